@@ -0,0 +1,108 @@
+/**
+ * Access Control Module
+ * Role-based permissions per table and action. A user's role is the `role` claim in
+ * their Supabase Auth app_metadata; what each role may do is in the role_permissions
+ * table, which the RLS policies check too. AccessControl only hides and disables
+ * what the server would refuse anyway, so the pages do not offer it. A user without a
+ * known role may do nothing.
+ * Requires auth-guard.js (AuthService) and supabase-js v2.
+ */
+
+const ROLES = {
+  admin: 'Admin',
+  sales: 'Sales',
+  procurement: 'Procurement',
+  warehouse: 'Warehouse',
+  'read-only': 'Read-only'
+};
+const UNASSIGNED_ROLE_LABEL = 'Unassigned';
+const ACCESS_ACTIONS = ['read', 'insert', 'update', 'delete'];
+const ACCESS_CACHE_PREFIX = 'its_role_permissions_';
+
+class AccessControl {
+  // options: { client, storage, role }. The role defaults to the stored session's.
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.storage = options.storage || localStorage;
+    this.role = options.role || AccessControl.roleOf(AuthService.getInstance().storedUser());
+    this.observers = new Set();
+    // Last known permissions, so the page renders right before load() returns or offline
+    this.permissions = this.readCache();
+  }
+
+  static roleOf(user) {
+    const role = user && user.app_metadata && user.app_metadata.role;
+    return ROLES[role] ? role : null;
+  }
+
+  static labelOf(role) {
+    return ROLES[role] || UNASSIGNED_ROLE_LABEL;
+  }
+
+  get roleLabel() {
+    return AccessControl.labelOf(this.role);
+  }
+
+  get isAdmin() {
+    return this.role === 'admin';
+  }
+
+  readCache() {
+    if (!ROLES[this.role]) return {};
+    try {
+      return JSON.parse(this.storage.getItem(ACCESS_CACHE_PREFIX + this.role) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async load() {
+    if (!this.client || this.isAdmin || !ROLES[this.role]) return this.permissions;
+    const { data, error } = await this.client
+      .from('role_permissions')
+      .select('table_name, can_read, can_insert, can_update, can_delete')
+      .eq('role', this.role);
+    if (error) throw new Error(error.message);
+
+    this.permissions = {};
+    data.forEach(row => {
+      this.permissions[row.table_name] = {
+        read: row.can_read,
+        insert: row.can_insert,
+        update: row.can_update,
+        delete: row.can_delete
+      };
+    });
+    this.storage.setItem(ACCESS_CACHE_PREFIX + this.role, JSON.stringify(this.permissions));
+    this.notifyObservers();
+    return this.permissions;
+  }
+
+  // Until permissions are known, only reading is offered
+  can(table, action) {
+    if (!ACCESS_ACTIONS.includes(action)) return false;
+    if (this.isAdmin) return true;
+    if (!this.permissions) return action === 'read';
+    return Boolean(this.permissions[table] && this.permissions[table][action]);
+  }
+
+  // Hides elements marked data-requires="insert" (or "update", "delete") the role may not use
+  applyTo(root, table) {
+    root.querySelectorAll('[data-requires]').forEach(element => {
+      element.style.display = this.can(table, element.dataset.requires) ? '' : 'none';
+    });
+  }
+
+  notifyObservers() {
+    this.observers.forEach(observer => observer(this));
+  }
+
+  subscribe(observer) {
+    this.observers.add(observer);
+    return () => this.observers.delete(observer);
+  }
+}
+
+// Make accessible globally
+window.ROLES = ROLES;
+window.AccessControl = AccessControl;
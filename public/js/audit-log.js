@@ -0,0 +1,205 @@
+/**
+ * Audit Log Module
+ * Viewer for the audit_log table: filter changes by user, table and date, inspect
+ * the before / after values of each change and restore the earlier version of a row.
+ * Requires core.js (Component) and vendors-core.js (AuditLog, AuditedRepository,
+ * SupabaseVendorRepository).
+ */
+
+const AUDIT_ACTION_STYLES = {
+  insert: { label: 'Created', color: '#27ae60' },
+  update: { label: 'Edited', color: '#2980b9' },
+  delete: { label: 'Deleted', color: '#c0392b' }
+};
+
+const AUDIT_PAGE_SIZE = 50;
+// Account changes (see user-admin.js) are logged here too, but are not rows a repository can write back
+const AUDIT_UNRESTORABLE_TABLES = ['users'];
+
+class AuditLogViewer extends Component {
+  // projects: { key: { label, client, tables: [table names] } }
+  constructor(container, projects, options = {}) {
+    super(container, options);
+    this.projects = projects;
+    this.state = {
+      project: Object.keys(projects)[0],
+      filters: { actor: '', table: '', recordId: '', from: '', to: '' },
+      rows: [],
+      total: 0,
+      loading: false,
+      expanded: null
+    };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  auditLog() {
+    return new AuditLog({ client: this.projects[this.state.project].client });
+  }
+
+  // Date inputs are whole days: "to" includes the day it names
+  query(offset) {
+    const { actor, table, recordId, from, to } = this.state.filters;
+    const nextDay = to ? new Date(new Date(to).getTime() + 86400000).toISOString().split('T')[0] : '';
+    return { actor: actor.trim(), table, recordId: recordId.trim(), from, to: nextDay, offset, limit: AUDIT_PAGE_SIZE };
+  }
+
+  async load(append = false) {
+    const offset = append ? this.state.rows.length : 0;
+    this.setState({ loading: true });
+    try {
+      const { rows, total } = await this.auditLog().fetch(this.query(offset));
+      this.setState({ loading: false, total, rows: append ? [...this.state.rows, ...rows] : rows, expanded: append ? this.state.expanded : null });
+    } catch (error) {
+      this.setState({ loading: false });
+      this.notify('Could not load the audit log: ' + error.message, 'error');
+    }
+  }
+
+  setFilter(name, value) {
+    if (name === 'project') {
+      // Table names differ between projects
+      this.state.project = value;
+      this.state.filters = { ...this.state.filters, table: '' };
+    } else {
+      this.state.filters = { ...this.state.filters, [name]: value };
+    }
+    this.load();
+  }
+
+  async restore(index) {
+    const entry = this.state.rows[index];
+    if (!confirm(`Restore ${entry.table_name} #${entry.record_id} to how it was before this change?`)) return;
+
+    const { client } = this.projects[this.state.project];
+    const repository = new AuditedRepository(
+      new SupabaseVendorRepository(client, entry.table_name, entry.key_column || 'id'),
+      this.auditLog()
+    );
+    try {
+      await repository.restore(entry);
+      this.notify(`Restored ${entry.table_name} #${entry.record_id}`);
+      this.load();
+    } catch (error) {
+      this.notify('Restore failed: ' + error.message, 'error');
+    }
+  }
+
+  renderFilters() {
+    const { project, filters } = this.state;
+    const input = 'padding: 8px 10px; border-radius: 8px; border: 2px solid #e2e8f0; font-size: 13px;';
+    const projectOptions = Object.entries(this.projects).map(([key, { label }]) =>
+      `<option value="${key}" ${key === project ? 'selected' : ''}>${escapeAuditText(label)}</option>`).join('');
+    const tableOptions = this.projects[project].tables.map(table =>
+      `<option value="${escapeAuditText(table)}" ${table === filters.table ? 'selected' : ''}>${escapeAuditText(table)}</option>`).join('');
+
+    return `
+      <div style="display: flex; gap: 10px; flex-wrap: wrap; align-items: center; margin-bottom: 15px;">
+        <select data-filter="project" style="${input}">${projectOptions}</select>
+        <select data-filter="table" style="${input}"><option value="">All tables</option>${tableOptions}</select>
+        <input data-filter="actor" placeholder="User" value="${escapeAuditText(filters.actor)}" style="${input} width: 140px;">
+        <input data-filter="recordId" placeholder="Record #" value="${escapeAuditText(filters.recordId)}" style="${input} width: 100px;">
+        <label style="font-size: 13px;">From <input type="date" data-filter="from" value="${filters.from}" style="${input}"></label>
+        <label style="font-size: 13px;">To <input type="date" data-filter="to" value="${filters.to}" style="${input}"></label>
+      </div>
+    `;
+  }
+
+  renderChanges(entry) {
+    const changes = Object.entries(entry.changes || {});
+    if (changes.length === 0) return '<p style="padding: 10px; color: #7f8c8d;">No field changes recorded.</p>';
+    const cell = value => value === null || value === undefined || value === ''
+      ? '<span style="color: #bdc3c7;">—</span>'
+      : escapeAuditText(typeof value === 'object' ? JSON.stringify(value) : value);
+
+    return `
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px; margin: 8px 0;">
+        <thead>
+          <tr style="text-align: left; color: #7f8c8d;">
+            <th style="padding: 4px 8px;">Field</th><th style="padding: 4px 8px;">Before</th><th style="padding: 4px 8px;">After</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${changes.map(([field, { from, to }]) => `
+            <tr style="border-top: 1px solid #ecf0f1;">
+              <th style="padding: 4px 8px; text-align: left; white-space: nowrap;">${escapeAuditText(field.replace(/_/g, ' '))}</th>
+              <td style="padding: 4px 8px; background: #fdedec;">${cell(from)}</td>
+              <td style="padding: 4px 8px; background: #e8f8f5;">${cell(to)}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderRows() {
+    const { rows, loading, expanded } = this.state;
+    if (rows.length === 0) {
+      return `<p style="padding: 20px; text-align: center; color: #7f8c8d;">${loading ? 'Loading…' : 'No changes match these filters.'}</p>`;
+    }
+
+    return rows.map((entry, index) => {
+      const style = AUDIT_ACTION_STYLES[entry.action] || { label: entry.action, color: '#7f8c8d' };
+      const fields = Object.keys(entry.changes || {});
+      const summary = entry.action === 'update' ? fields.map(field => field.replace(/_/g, ' ')).join(', ') : `${fields.length} fields`;
+      return `
+        <div style="border-bottom: 1px solid #ecf0f1;">
+          <div data-entry="${index}" style="display: flex; gap: 12px; align-items: center; padding: 10px 5px; cursor: pointer;">
+            <span style="color: #7f8c8d; font-size: 12px; min-width: 140px;">${escapeAuditText(new Date(entry.created_at).toLocaleString())}</span>
+            <span style="background: ${style.color}; color: white; border-radius: 10px; padding: 2px 8px; font-size: 12px;">${style.label}</span>
+            <strong>${escapeAuditText(entry.table_name)} #${escapeAuditText(entry.record_id)}</strong>
+            <span style="flex: 1; color: #7f8c8d; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeAuditText(summary)}</span>
+            <span>👤 ${escapeAuditText(entry.actor)}</span>
+          </div>
+          ${expanded === index ? `
+            <div style="padding: 0 5px 10px;">
+              ${this.renderChanges(entry)}
+              ${entry.before && !AUDIT_UNRESTORABLE_TABLES.includes(entry.table_name) ? `<button class="btn" data-restore="${index}" style="background: #8e44ad;">↩ Restore the version before this change</button>` : ''}
+            </div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  render() {
+    this.removeEventListeners();
+    const { rows, total, loading } = this.state;
+
+    this.container.innerHTML = `
+      ${this.renderFilters()}
+      <div style="color: #7f8c8d; font-size: 13px; margin-bottom: 5px;">${total} change${total === 1 ? '' : 's'}</div>
+      <div>${this.renderRows()}</div>
+      ${rows.length < total ? `
+        <div style="text-align: center; padding: 15px;">
+          <button class="btn" data-action="more" style="background: #2980b9;" ${loading ? 'disabled' : ''}>Load more</button>
+        </div>` : ''}
+    `;
+
+    this.addEventListener(this.container, 'change', (e) => {
+      const name = e.target.dataset.filter;
+      if (name) this.setFilter(name, e.target.value);
+    });
+
+    this.addEventListener(this.container, 'click', (e) => {
+      if (e.target.dataset.action === 'more') return this.load(true);
+      if (e.target.dataset.restore !== undefined) return this.restore(Number(e.target.dataset.restore));
+      const row = e.target.closest('[data-entry]');
+      if (row) {
+        const index = Number(row.dataset.entry);
+        this.setState({ expanded: this.state.expanded === index ? null : index });
+      }
+    });
+  }
+}
+
+function escapeAuditText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make accessible globally
+window.AuditLogViewer = AuditLogViewer;
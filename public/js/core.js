@@ -462,6 +462,113 @@ class Component {
   }
 }
 
+// Renders only the rows inside the scroll viewport (plus overscan) into a <tbody>.
+// Spacer rows keep the scrollbar height right; onNearEnd fires to fetch the next page.
+// Row elements are cached per row object, so unsaved inline edits survive scrolling.
+class VirtualTable extends Component {
+  constructor(container, options = {}) {
+    super(container, {
+      rowHeight: 48,
+      overscan: 10,
+      columnCount: 1,
+      ...options
+    });
+    this.state = { rows: [] };
+    this.pinnedRows = [];
+    this.rowCache = new WeakMap();
+    this.measuredRowHeight = null;
+    this.lastRange = null;
+    this.rafId = null;
+  }
+
+  mount() {
+    const { scrollContainer } = this.options;
+    if (scrollContainer) {
+      this.addEventListener(scrollContainer, 'scroll', () => {
+        if (this.rafId) return;
+        this.rafId = requestAnimationFrame(() => {
+          this.rafId = null;
+          this.render();
+        });
+      }, { passive: true });
+    }
+    super.mount();
+  }
+
+  setRows(rows) {
+    this.lastRange = null;
+    this.setState({ rows });
+  }
+
+  // Drop cached row elements, e.g. after the visible columns change
+  clearCache() {
+    this.rowCache = new WeakMap();
+    this.lastRange = null;
+  }
+
+  // Rows that stay on top regardless of scroll position (e.g. an unsaved new row)
+  pinRow(tr) {
+    this.pinnedRows.push(tr);
+    this.lastRange = null;
+    this.render();
+  }
+
+  unpinRow(tr) {
+    this.pinnedRows = this.pinnedRows.filter(row => row !== tr);
+    tr.remove();
+    this.lastRange = null;
+    this.render();
+  }
+
+  createSpacer(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'virtual-spacer';
+    const td = document.createElement('td');
+    td.colSpan = this.options.columnCount;
+    td.style.cssText = `height: ${height}px; padding: 0; border: none;`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  render() {
+    const { rows } = this.state;
+    const { scrollContainer, overscan, renderRow, onNearEnd } = this.options;
+    const rowHeight = this.measuredRowHeight || this.options.rowHeight;
+    const scrollTop = scrollContainer ? scrollContainer.scrollTop : 0;
+    const viewportHeight = (scrollContainer && scrollContainer.clientHeight) || window.innerHeight;
+
+    const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const end = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+    // Horizontal scrolling fires the same event; skip work when the window has not moved
+    if (this.lastRange && this.lastRange.start === start && this.lastRange.end === end) return;
+    this.lastRange = { start, end };
+
+    const fragment = document.createDocumentFragment();
+    this.pinnedRows.forEach(tr => fragment.appendChild(tr));
+    if (start > 0) fragment.appendChild(this.createSpacer(start * rowHeight));
+    for (let i = start; i < end; i++) {
+      if (!this.rowCache.has(rows[i])) {
+        this.rowCache.set(rows[i], renderRow(rows[i], i));
+      }
+      fragment.appendChild(this.rowCache.get(rows[i]));
+    }
+    if (end < rows.length) fragment.appendChild(this.createSpacer((rows.length - end) * rowHeight));
+
+    this.container.innerHTML = '';
+    this.container.appendChild(fragment);
+
+    if (!this.measuredRowHeight && end > start) {
+      const firstRow = this.container.querySelector('tr:not(.virtual-spacer)');
+      if (firstRow && firstRow.offsetHeight) this.measuredRowHeight = firstRow.offsetHeight;
+    }
+
+    if (onNearEnd && rows.length > 0 && end >= rows.length - overscan) {
+      onNearEnd();
+    }
+  }
+}
+
 // ============= Responsive Utilities =============
 
 class ResponsiveManager {
@@ -552,6 +659,7 @@ if (typeof window !== 'undefined') {
     PriorityQueue,
     LRUCache,
     Component,
+    VirtualTable,
     ResponsiveManager,
     // Instances
     perfMonitor,
@@ -0,0 +1,213 @@
+/**
+ * Duplicate Merge Module
+ * Modal listing the duplicate clusters DuplicateFinder finds in a table, with a
+ * side-by-side, field-by-field merge that runs as one undoable MergeVendorsCommand.
+ * Requires core.js (Component) and vendors-core.js (DuplicateFinder, MergeVendorsCommand).
+ */
+
+class DuplicateMergeDialog extends Component {
+  constructor(store, options = {}) {
+    const container = document.createElement('div');
+    container.className = 'duplicate-merge-dialog';
+    container.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0,0,0,0.5);
+      z-index: 2000;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      font-size: 13px;
+    `;
+    document.body.appendChild(container);
+
+    super(container, options);
+    this.store = store;
+    this.state = { open: false, loading: false, clusters: [], selected: null, survivorIndex: 0, choices: {} };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  async open() {
+    if (!this.rendered) this.mount();
+    this.setState({ open: true, loading: true, clusters: [], selected: null });
+    try {
+      // The whole table is scanned, not just the loaded page
+      const records = await this.store.repository.fetchEveryPage();
+      const clusters = new DuplicateFinder({ primaryKey: this.store.primaryKey }).find(records);
+      this.setState({ loading: false, clusters });
+    } catch (error) {
+      this.setState({ open: false, loading: false });
+      this.notify('Could not scan for duplicates: ' + error.message, 'error');
+    }
+  }
+
+  close() {
+    this.setState({ open: false, selected: null });
+  }
+
+  select(index) {
+    const { records } = this.state.clusters[index];
+    const survivorIndex = DuplicateFinder.pickSurvivor(records);
+    this.setState({
+      selected: index,
+      survivorIndex,
+      choices: DuplicateFinder.suggestChoices(records, survivorIndex, this.store.primaryKey)
+    });
+  }
+
+  setSurvivor(survivorIndex) {
+    const { records } = this.state.clusters[this.state.selected];
+    this.setState({
+      survivorIndex,
+      choices: DuplicateFinder.suggestChoices(records, survivorIndex, this.store.primaryKey)
+    });
+  }
+
+  choose(column, recordIndex) {
+    this.setState({ choices: { ...this.state.choices, [column]: recordIndex } });
+  }
+
+  async merge() {
+    const { clusters, selected, survivorIndex, choices } = this.state;
+    const { records } = clusters[selected];
+    const survivor = records[survivorIndex];
+    const duplicates = records.filter((_, index) => index !== survivorIndex);
+    const mergedFields = Object.fromEntries(
+      Object.entries(choices).map(([column, index]) => [column, records[index][column] ?? null])
+    );
+
+    if (!confirm(`Merge ${records.length} records into "${Command.describeRecord(survivor, this.store.primaryKey)}"? The other ${duplicates.length} will be deleted.`)) return;
+
+    const history = this.options.getHistory();
+    const command = new MergeVendorsCommand(this.store, survivor, duplicates, mergedFields);
+    try {
+      await history.executeCommand(command);
+    } catch (error) {
+      history.discard(command);
+      this.notify('Merge failed: ' + error.message, 'error');
+      if (this.options.onMerged) this.options.onMerged();
+      return;
+    }
+
+    const { action, record } = command.describe();
+    this.notify(`${action} ${record}`);
+    this.setState({ clusters: clusters.filter((_, index) => index !== selected), selected: null });
+    if (this.options.onMerged) this.options.onMerged();
+  }
+
+  renderClusters() {
+    const { clusters, loading } = this.state;
+    const primaryKey = this.store.primaryKey;
+    if (loading) return '<p style="padding: 20px; color: #7f8c8d;">Scanning for duplicates…</p>';
+    if (clusters.length === 0) return '<p style="padding: 20px; color: #27ae60;">No duplicates found 🎉</p>';
+
+    return `
+      <ul style="list-style: none; margin: 0; padding: 0;">
+        ${clusters.map((cluster, index) => `
+          <li data-cluster="${index}" style="padding: 10px 15px; border-bottom: 1px solid #ecf0f1; cursor: pointer;">
+            <div style="font-weight: 600; color: #2c3e50;">
+              ${cluster.records.map(record => escapeMergeText(Command.describeRecord(record, primaryKey))).join(' · ')}
+            </div>
+            <div style="color: #7f8c8d; font-size: 12px;">${cluster.records.length} records — ${escapeMergeText(cluster.reasons.join('; '))}</div>
+          </li>`).join('')}
+      </ul>
+    `;
+  }
+
+  renderMerge() {
+    const { records, reasons } = this.state.clusters[this.state.selected];
+    const { survivorIndex, choices } = this.state;
+    const primaryKey = this.store.primaryKey;
+
+    const header = records.map((record, index) => `
+      <th style="padding: 8px; text-align: left; background: ${index === survivorIndex ? '#e8f8f5' : '#f8f9fa'};">
+        <label style="cursor: pointer;">
+          <input type="radio" name="survivor" data-survivor="${index}" ${index === survivorIndex ? 'checked' : ''}>
+          Keep #${escapeMergeText(record[primaryKey])}
+        </label>
+      </th>`).join('');
+
+    const rows = Object.keys(choices).map(column => {
+      const values = records.map(record => String(record[column] ?? ''));
+      const differs = new Set(values).size > 1;
+      const cells = records.map((record, index) => {
+        const chosen = choices[column] === index;
+        return `
+          <td style="padding: 6px 8px; border-top: 1px solid #ecf0f1; ${chosen && differs ? 'background: #e8f8f5; font-weight: 600;' : ''}">
+            ${differs ? `<input type="radio" name="field-${escapeMergeText(column)}" data-column="${escapeMergeText(column)}" data-record="${index}" ${chosen ? 'checked' : ''}>` : ''}
+            ${escapeMergeText(values[index]) || '<span style="color: #bdc3c7;">—</span>'}
+          </td>`;
+      }).join('');
+      return `
+        <tr style="${differs ? '' : 'color: #95a5a6;'}">
+          <th style="padding: 6px 8px; border-top: 1px solid #ecf0f1; text-align: left; white-space: nowrap;">${escapeMergeText(column.replace(/_/g, ' '))}</th>
+          ${cells}
+        </tr>`;
+    }).join('');
+
+    return `
+      <div style="padding: 10px 15px; color: #7f8c8d;">${escapeMergeText(reasons.join('; '))}</div>
+      <div style="overflow: auto; flex: 1; padding: 0 15px;">
+        <table style="border-collapse: collapse; width: 100%;">
+          <thead><tr><th></th>${header}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <div style="display: flex; gap: 8px; justify-content: flex-end; padding: 12px 15px; border-top: 2px solid #ecf0f1;">
+        <button class="btn" data-action="back" style="background: #7f8c8d;">← Back</button>
+        <button class="btn" data-action="merge" style="background: #16a085;">🧬 Merge into #${escapeMergeText(records[survivorIndex][primaryKey])}</button>
+      </div>
+    `;
+  }
+
+  render() {
+    this.removeEventListeners();
+    this.container.style.display = this.state.open ? 'flex' : 'none';
+    if (!this.state.open) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const merging = this.state.selected !== null;
+    this.container.innerHTML = `
+      <div style="background: white; color: #2c3e50; border-radius: 12px; width: min(960px, 94vw); max-height: 86vh; display: flex; flex-direction: column; box-shadow: 0 20px 60px rgba(0,0,0,0.3);">
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 15px; border-bottom: 2px solid #ecf0f1;">
+          <strong>🧬 ${merging ? 'Merge duplicates' : `Possible duplicates${this.state.loading ? '' : ` (${this.state.clusters.length})`}`}</strong>
+          <button data-action="close" style="background: none; border: none; font-size: 20px; cursor: pointer;">&times;</button>
+        </div>
+        ${merging ? this.renderMerge() : `<div style="overflow-y: auto; flex: 1;">${this.renderClusters()}</div>`}
+      </div>
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      if (e.target === this.container) return this.close();
+      const action = e.target.dataset && e.target.dataset.action;
+      if (action === 'close') this.close();
+      if (action === 'back') this.setState({ selected: null });
+      if (action === 'merge') this.merge();
+
+      const item = e.target.closest('[data-cluster]');
+      if (item) this.select(Number(item.dataset.cluster));
+    });
+
+    this.addEventListener(this.container, 'change', (e) => {
+      const { survivor, column, record } = e.target.dataset;
+      if (survivor !== undefined) this.setSurvivor(Number(survivor));
+      if (column !== undefined) this.choose(column, Number(record));
+    });
+  }
+}
+
+function escapeMergeText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make accessible globally
+window.DuplicateMergeDialog = DuplicateMergeDialog;
@@ -0,0 +1,399 @@
+/**
+ * Email Campaigns Module
+ * Every batch from the email dialog is stored as a campaign with one row per recipient,
+ * so it is known who got which email. The send-campaign Edge Function sends it and records
+ * a status per recipient (sent, or failed with the error); failures can be resent on their
+ * own, and a scheduled campaign is sent by the same function from pg_cron (see the
+ * email_campaigns migration).
+ * Requires core.js (Component) and auth-guard.js (readFunctionError).
+ */
+
+const EMAIL_CAMPAIGN_STATUS_COLORS = {
+  scheduled: '#8e44ad',
+  sending: '#2980b9',
+  sent: '#27ae60',
+  partial: '#e67e22',
+  failed: '#c0392b',
+  cancelled: '#7f8c8d',
+  queued: '#2980b9'
+};
+
+class EmailCampaignService {
+  // options: { client }
+  constructor(options = {}) {
+    this.client = options.client;
+  }
+
+  static summarize(recipients) {
+    const counts = { total: recipients.length, queued: 0, sending: 0, sent: 0, failed: 0 };
+    recipients.forEach(recipient => { counts[recipient.status] = (counts[recipient.status] || 0) + 1; });
+    return counts;
+  }
+
+  static statusFor(counts) {
+    if (counts.queued > 0 || counts.sending > 0) return 'sending';
+    if (counts.failed === 0) return 'sent';
+    return counts.sent === 0 ? 'failed' : 'partial';
+  }
+
+  // messages: [{ recipient: { email, name }, subject, body }] as personalized by the email dialog
+  async create({ subject, body, messages, attachmentNames = [], scheduledAt = null }) {
+    const { data: campaign, error } = await this.client
+      .from('email_campaigns')
+      .insert([{
+        subject,
+        body,
+        status: scheduledAt ? 'scheduled' : 'sending',
+        scheduled_at: scheduledAt,
+        attachment_names: attachmentNames,
+        created_by: sessionStorage.getItem('currentUser') || null
+      }])
+      .select()
+      .single();
+    if (error) throw new Error(error.message);
+
+    const { data: recipients, error: recipientsError } = await this.client
+      .from('email_campaign_recipients')
+      .insert(messages.map(message => ({
+        campaign_id: campaign.id,
+        email: message.recipient.email,
+        name: message.recipient.name || null,
+        subject: message.subject,
+        body: message.body
+      })))
+      .select();
+    if (recipientsError) throw new Error(recipientsError.message);
+    return { campaign, recipients };
+  }
+
+  // Sends to the given recipient rows; the function claims them, so a recipient another send
+  // already has is skipped, and records each outcome. When it cannot be reached or gives no
+  // results, the recipients it did not claim are marked failed here. Never throws for a failed send.
+  async deliver(campaign, recipients, attachments = []) {
+    const formData = new FormData();
+    formData.append('campaign_id', campaign.id);
+    formData.append('recipient_ids', JSON.stringify(recipients.map(recipient => recipient.id)));
+    attachments.forEach(file => formData.append('attachments', file));
+
+    const { data, error } = await this.client.functions.invoke('send-campaign', { body: formData });
+    let results = data && data.results;
+    if (error || !Array.isArray(results)) {
+      const fallback = 'The email service is unreachable. Please try again later.';
+      const message = error ? await readFunctionError(error, fallback) : fallback;
+      results = recipients.map(recipient => ({ id: recipient.id, status: 'failed', error: message }));
+      await this.record(campaign.id, recipients, results);
+    }
+
+    const counts = EmailCampaignService.summarize(results);
+    return { sent: counts.sent, failed: counts.failed, errors: [...new Set(results.filter(r => r.error).map(r => r.error))] };
+  }
+
+  // Recipients with the same outcome are updated together; one send-campaign has claimed
+  // (status sending) or finished is left as it is
+  async record(campaignId, recipients, results) {
+    const groups = new Map();
+    results.forEach(result => {
+      const recipient = recipients.find(candidate => candidate.id === result.id);
+      const key = JSON.stringify([result.status, result.error, (recipient.attempts || 0) + 1]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(result.id);
+    });
+
+    const now = new Date().toISOString();
+    for (const [key, ids] of groups) {
+      const [status, error, attempts] = JSON.parse(key);
+      const { error: updateError } = await this.client
+        .from('email_campaign_recipients')
+        .update({ status, error, attempts, sent_at: status === 'sent' ? now : null })
+        .in('id', ids)
+        .in('status', ['queued', 'failed']);
+      if (updateError) throw new Error(updateError.message);
+    }
+
+    const all = await this.recipients(campaignId);
+    const status = EmailCampaignService.statusFor(EmailCampaignService.summarize(all));
+    const { error } = await this.client
+      .from('email_campaigns')
+      .update({ status, finished_at: status === 'sending' ? null : now })
+      .eq('id', campaignId);
+    if (error) throw new Error(error.message);
+  }
+
+  async send({ subject, body, messages, attachments = [] }) {
+    const { campaign, recipients } = await this.create({
+      subject,
+      body,
+      messages,
+      attachmentNames: attachments.map(file => file.name)
+    });
+    return { campaign, ...(await this.deliver(campaign, recipients, attachments)) };
+  }
+
+  // send-campaign sends it at scheduledAt; the files of an attachment cannot be kept until then
+  async schedule({ subject, body, messages, scheduledAt }) {
+    if (!(new Date(scheduledAt) > new Date())) throw new Error('Pick a delivery time in the future');
+    const { campaign } = await this.create({ subject, body, messages, scheduledAt: new Date(scheduledAt).toISOString() });
+    return campaign;
+  }
+
+  async retryFailed(campaign, attachments = []) {
+    const failed = (await this.recipients(campaign.id)).filter(recipient => recipient.status === 'failed');
+    if (failed.length === 0) throw new Error('No failed recipients to resend to');
+    return this.deliver(campaign, failed, attachments);
+  }
+
+  async cancel(campaignId) {
+    const { data, error } = await this.client
+      .from('email_campaigns')
+      .update({ status: 'cancelled', finished_at: new Date().toISOString() })
+      .eq('id', campaignId)
+      .eq('status', 'scheduled')
+      .select();
+    if (error) throw new Error(error.message);
+    if (!data || data.length === 0) throw new Error('Only a campaign that is still scheduled can be cancelled');
+  }
+
+  // Newest first, with recipient counts
+  async list(limit = 50) {
+    const { data, error } = await this.client
+      .from('email_campaigns')
+      .select('*, email_campaign_recipients(status)')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) throw new Error(error.message);
+    return (data || []).map(({ email_campaign_recipients: recipients, ...campaign }) => ({
+      ...campaign,
+      counts: EmailCampaignService.summarize(recipients || [])
+    }));
+  }
+
+  async recipients(campaignId) {
+    const { data, error } = await this.client
+      .from('email_campaign_recipients')
+      .select('id, email, name, subject, body, status, error, attempts, sent_at')
+      .eq('campaign_id', campaignId)
+      .order('id', { ascending: true });
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+}
+
+class EmailCampaignDialog extends Component {
+  constructor(service, options = {}) {
+    const container = document.createElement('div');
+    container.className = 'email-campaign-dialog';
+    container.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0,0,0,0.5);
+      z-index: 2000;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      font-size: 13px;
+    `;
+    document.body.appendChild(container);
+
+    super(container, options);
+    this.service = service;
+    this.state = { open: false, loading: false, campaigns: [], selected: null, recipients: [], busy: false };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  async open() {
+    if (!this.rendered) this.mount();
+    this.setState({ open: true, selected: null });
+    await this.load();
+  }
+
+  close() {
+    this.setState({ open: false, selected: null, recipients: [] });
+  }
+
+  async load() {
+    this.setState({ loading: true });
+    try {
+      this.setState({ loading: false, campaigns: await this.service.list() });
+    } catch (error) {
+      this.setState({ loading: false });
+      this.notify('Could not load campaigns: ' + error.message, 'error');
+    }
+  }
+
+  findCampaign(id) {
+    return this.state.campaigns.find(campaign => String(campaign.id) === String(id));
+  }
+
+  async select(id) {
+    try {
+      this.setState({ selected: this.findCampaign(id), recipients: await this.service.recipients(id) });
+    } catch (error) {
+      this.notify('Could not load recipients: ' + error.message, 'error');
+    }
+  }
+
+  async retry(id) {
+    const campaign = this.findCampaign(id);
+    const files = campaign.attachment_names || [];
+    if (files.length && !confirm(`Attachments are not stored, so the resend goes out without: ${files.join(', ')}. Continue?`)) return;
+
+    this.setState({ busy: true });
+    try {
+      const { sent, failed } = await this.service.retryFailed(campaign);
+      this.notify(failed ? `Resent: ${sent} delivered, ${failed} still failing` : `Resent to ${sent} recipient(s)`, failed ? 'error' : 'success');
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+    this.setState({ busy: false });
+    await this.load();
+    if (this.state.selected) await this.select(id);
+  }
+
+  async cancel(id) {
+    if (!confirm('Cancel this scheduled campaign? Nothing will be sent.')) return;
+    try {
+      await this.service.cancel(id);
+      this.notify('Campaign cancelled');
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+    await this.load();
+  }
+
+  formatTime(timestamp) {
+    if (!timestamp) return '';
+    return new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  renderBadge(status) {
+    return `<span style="display: inline-block; padding: 2px 8px; border-radius: 10px; color: white; font-size: 11px; background: ${EMAIL_CAMPAIGN_STATUS_COLORS[status] || '#7f8c8d'};">${escapeCampaignText(status)}</span>`;
+  }
+
+  renderActions(campaign) {
+    const busy = this.state.busy ? 'disabled' : '';
+    const canRetry = campaign.counts.failed > 0 && !['scheduled', 'cancelled'].includes(campaign.status);
+    return `
+      ${canRetry ? `<button class="btn" data-action="retry" data-id="${campaign.id}" ${busy} style="background: #e67e22;">🔁 Resend to ${campaign.counts.failed} failed</button>` : ''}
+      ${campaign.status === 'scheduled' ? `<button class="btn" data-action="cancel" data-id="${campaign.id}" style="background: #7f8c8d;">Cancel</button>` : ''}`;
+  }
+
+  renderList() {
+    const { campaigns, loading } = this.state;
+    if (loading && campaigns.length === 0) return '<p style="padding: 20px; color: #7f8c8d;">Loading campaigns…</p>';
+    if (campaigns.length === 0) return '<p style="padding: 20px; color: #7f8c8d;">No emails sent yet</p>';
+
+    return `
+      <table style="border-collapse: collapse; width: 100%;">
+        <thead>
+          <tr style="text-align: left; background: #f8f9fa;">
+            <th style="padding: 8px;">When</th><th style="padding: 8px;">Subject</th><th style="padding: 8px;">Status</th>
+            <th style="padding: 8px;">Sent / Failed / Queued</th><th style="padding: 8px;"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${campaigns.map(campaign => `
+            <tr style="border-top: 1px solid #ecf0f1;">
+              <td style="padding: 8px; white-space: nowrap;">
+                ${escapeCampaignText(this.formatTime(campaign.created_at))}
+                ${campaign.scheduled_at ? `<div style="color: #8e44ad; font-size: 11px;">🕒 for ${escapeCampaignText(this.formatTime(campaign.scheduled_at))}</div>` : ''}
+                <div style="color: #95a5a6; font-size: 11px;">${escapeCampaignText(campaign.created_by || '')}</div>
+              </td>
+              <td style="padding: 8px;">
+                <a href="#" data-action="details" data-id="${campaign.id}">${escapeCampaignText(campaign.subject) || '(no subject)'}</a>
+                ${(campaign.attachment_names || []).length ? `<div style="color: #95a5a6; font-size: 11px;">📎 ${escapeCampaignText(campaign.attachment_names.join(', '))}</div>` : ''}
+              </td>
+              <td style="padding: 8px;">${this.renderBadge(campaign.status)}</td>
+              <td style="padding: 8px;">${campaign.counts.sent} / ${campaign.counts.failed} / ${campaign.counts.queued + campaign.counts.sending}</td>
+              <td style="padding: 8px; text-align: right; white-space: nowrap;">${this.renderActions(campaign)}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderDetails() {
+    const { selected, recipients } = this.state;
+    const campaign = this.findCampaign(selected.id) || selected;
+    return `
+      <div style="padding: 10px 15px; display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+        <div><strong>${escapeCampaignText(campaign.subject) || '(no subject)'}</strong> ${this.renderBadge(campaign.status)}</div>
+        <div>${this.renderActions(campaign)}</div>
+      </div>
+      <div style="overflow: auto; flex: 1; padding: 0 15px;">
+        <table style="border-collapse: collapse; width: 100%;">
+          <thead>
+            <tr style="text-align: left; background: #f8f9fa;">
+              <th style="padding: 6px 8px;">Recipient</th><th style="padding: 6px 8px;">Status</th>
+              <th style="padding: 6px 8px;">Attempts</th><th style="padding: 6px 8px;">Sent</th><th style="padding: 6px 8px;">Error</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${recipients.map(recipient => `
+              <tr style="border-top: 1px solid #ecf0f1;" title="${escapeCampaignText(recipient.subject)}">
+                <td style="padding: 6px 8px;">${escapeCampaignText(recipient.name || '')} &lt;${escapeCampaignText(recipient.email)}&gt;</td>
+                <td style="padding: 6px 8px;">${this.renderBadge(recipient.status)}</td>
+                <td style="padding: 6px 8px;">${recipient.attempts}</td>
+                <td style="padding: 6px 8px; white-space: nowrap;">${escapeCampaignText(this.formatTime(recipient.sent_at))}</td>
+                <td style="padding: 6px 8px; color: #c0392b;">${escapeCampaignText(recipient.error || '')}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div style="display: flex; justify-content: flex-end; padding: 12px 15px; border-top: 2px solid #ecf0f1;">
+        <button class="btn" data-action="back" style="background: #7f8c8d;">← Back</button>
+      </div>
+    `;
+  }
+
+  render() {
+    this.removeEventListeners();
+    this.container.style.display = this.state.open ? 'flex' : 'none';
+    if (!this.state.open) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const details = this.state.selected !== null;
+    this.container.innerHTML = `
+      <div style="background: white; color: #2c3e50; border-radius: 12px; width: min(960px, 94vw); max-height: 86vh; display: flex; flex-direction: column; box-shadow: 0 20px 60px rgba(0,0,0,0.3);">
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 15px; border-bottom: 2px solid #ecf0f1;">
+          <strong>📜 ${details ? 'Campaign recipients' : 'Email campaigns'}</strong>
+          <div>
+            <button data-action="refresh" title="Refresh" style="background: none; border: none; font-size: 16px; cursor: pointer;">⟳</button>
+            <button data-action="close" style="background: none; border: none; font-size: 20px; cursor: pointer;">&times;</button>
+          </div>
+        </div>
+        ${details ? this.renderDetails() : `<div style="overflow-y: auto; flex: 1;">${this.renderList()}</div>`}
+      </div>
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      if (e.target === this.container) return this.close();
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      e.preventDefault();
+      const { action, id } = target.dataset;
+      if (action === 'close') this.close();
+      if (action === 'refresh') this.state.selected ? this.select(this.state.selected.id) : this.load();
+      if (action === 'back') this.setState({ selected: null, recipients: [] });
+      if (action === 'details') this.select(id);
+      if (action === 'retry') this.retry(id);
+      if (action === 'cancel') this.cancel(id);
+    });
+  }
+}
+
+function escapeCampaignText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make accessible globally
+window.EmailCampaignService = EmailCampaignService;
+window.EmailCampaignDialog = EmailCampaignDialog;
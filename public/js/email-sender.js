@@ -1,11 +1,17 @@
 /**
  * Email Sender Module
- * Handles sending emails via the Lumina Python Backend
+ * Handles sending emails via the send-campaign Edge Function.
+ * Subject and body are mail-merge templates (js/mail-merge.js): each recipient gets
+ * their own copy, previewed one by one before sending, and sent as `subject`/`body`
+ * on their entry in `recipients`. Each batch is recorded as a campaign with a status per
+ * recipient, or scheduled for later (js/email-campaigns.js).
  */
 
-const EMAIL_CONFIG = {
-    backendUrl: (window.BACKEND_API_URL || 'http://localhost:5000') + '/api/send-email'
-};
+let emailTemplates = [];
+let emailTemplateStore = null;
+let emailCampaignService = null;
+let emailPreviewIndex = 0;
+let emailLastFocused = 'emailBody';
 
 function setupEmailListeners() {
     const openBtn = document.getElementById('openEmailModalBtn');
@@ -13,8 +19,38 @@ function setupEmailListeners() {
         openBtn.addEventListener('click', openEmailModal);
     }
 
-    // Checkbox listener for updating counters if needed
-    // (Similar to WhatsApp, we can rely on reading checked boes when opening)
+    // Re-render the preview as the template is typed, and remember where fields go
+    ['emailSubject', 'emailBody'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener('input', updateEmailPreview);
+        input.addEventListener('focus', () => { emailLastFocused = id; });
+    });
+}
+
+function getEmailTemplateStore() {
+    if (!emailTemplateStore && window.supabaseClient) {
+        emailTemplateStore = new EmailTemplateStore({ client: window.supabaseClient });
+    }
+    return emailTemplateStore;
+}
+
+function getEmailCampaignService() {
+    if (!emailCampaignService && window.supabaseClient) {
+        emailCampaignService = new EmailCampaignService({ client: window.supabaseClient });
+    }
+    return emailCampaignService;
+}
+
+// Selected clients with a usable address, carrying every field a template can use
+function getSelectedRecipients() {
+    return Array.from(document.querySelectorAll('.client-checkbox:checked')).map(cb => ({
+        email: cb.dataset.email || '',
+        name: cb.dataset.name || '',
+        company: cb.dataset.company || '',
+        category: cb.dataset.category || '',
+        phone: cb.dataset.phone || ''
+    })).filter(r => r.email && r.email.includes('@')); // Basic validation
 }
 
 function openEmailModal() {
@@ -26,6 +62,10 @@ function openEmailModal() {
 
     document.getElementById('emailSelectedCount').textContent = count;
     modal.style.display = 'flex';
+
+    emailPreviewIndex = 0;
+    updateEmailPreview();
+    loadEmailTemplates();
 }
 
 function closeEmailModal() {
@@ -33,17 +73,169 @@ function closeEmailModal() {
     if (modal) modal.style.display = 'none';
 }
 
+// =============================================
+// TEMPLATES
+// =============================================
+
+async function loadEmailTemplates(selectedId = null) {
+    const select = document.getElementById('emailTemplateSelect');
+    const store = getEmailTemplateStore();
+    if (!select || !store) return;
+
+    try {
+        emailTemplates = await store.list();
+    } catch (err) {
+        console.error('Could not load email templates:', err);
+        emailTemplates = [];
+    }
+    select.innerHTML = '<option value="">— New message —</option>' + emailTemplates.map(t =>
+        `<option value="${t.id}">${escapeEmailText(t.name)}</option>`
+    ).join('');
+    select.value = selectedId ? String(selectedId) : '';
+    document.getElementById('emailTemplateDeleteBtn').disabled = !selectedId;
+}
+
+function applyEmailTemplate() {
+    const id = document.getElementById('emailTemplateSelect').value;
+    const template = emailTemplates.find(t => String(t.id) === id);
+    document.getElementById('emailTemplateDeleteBtn').disabled = !template;
+    if (!template) return;
+
+    document.getElementById('emailSubject').value = template.subject;
+    document.getElementById('emailBody').value = template.body;
+    emailPreviewIndex = 0;
+    updateEmailPreview();
+}
+
+async function saveEmailTemplate() {
+    const store = getEmailTemplateStore();
+    const select = document.getElementById('emailTemplateSelect');
+    const current = emailTemplates.find(t => String(t.id) === select.value);
+    const name = prompt('Template name (an existing name is replaced):', current ? current.name : '');
+    if (!name || !name.trim()) return;
+
+    try {
+        const saved = await store.save({
+            name,
+            subject: document.getElementById('emailSubject').value,
+            body: document.getElementById('emailBody').value
+        });
+        await loadEmailTemplates(saved.id);
+    } catch (err) {
+        alert('Could not save the template: ' + err.message);
+    }
+}
+
+async function deleteEmailTemplate() {
+    const select = document.getElementById('emailTemplateSelect');
+    const template = emailTemplates.find(t => String(t.id) === select.value);
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+
+    try {
+        await getEmailTemplateStore().remove(template.id);
+        await loadEmailTemplates();
+    } catch (err) {
+        alert('Could not delete the template: ' + err.message);
+    }
+}
+
+// Inserts {{field}} where the cursor was in the subject or body
+function insertEmailField(field) {
+    const input = document.getElementById(emailLastFocused);
+    const tag = `{{${field}}}`;
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.value = input.value.slice(0, start) + tag + input.value.slice(end);
+    input.focus();
+    input.setSelectionRange(start + tag.length, start + tag.length);
+    updateEmailPreview();
+}
+
+// =============================================
+// PER-RECIPIENT PREVIEW
+// =============================================
+
+// [{ recipient, subject, body, missing }]; throws when a template block is malformed
+function buildEmailMessages(recipients) {
+    const templates = {
+        subject: new MailMergeTemplate(document.getElementById('emailSubject').value),
+        body: new MailMergeTemplate(document.getElementById('emailBody').value)
+    };
+    return recipients.map(recipient => ({ recipient, ...MailMergeTemplate.merge(templates, recipient) }));
+}
+
+function describeMissingFields(messages) {
+    return messages
+        .filter(m => m.missing.length > 0)
+        .map(m => `${m.recipient.name || m.recipient.email} (${m.missing.join(', ')})`);
+}
+
+function updateEmailPreview() {
+    const preview = document.getElementById('emailPreview');
+    if (!preview) return;
+
+    let messages;
+    try {
+        messages = buildEmailMessages(getSelectedRecipients());
+    } catch (err) {
+        preview.innerHTML = `<div style="color:#c0392b;">⚠️ Template error: ${escapeEmailText(err.message)}</div>`;
+        return;
+    }
+    if (messages.length === 0) {
+        preview.innerHTML = '<div style="color:#888;">Select clients with an email address to preview their messages.</div>';
+        return;
+    }
+
+    emailPreviewIndex = Math.min(Math.max(emailPreviewIndex, 0), messages.length - 1);
+    const message = messages[emailPreviewIndex];
+    const missing = describeMissingFields(messages);
+
+    preview.innerHTML = `
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
+            <button type="button" onclick="moveEmailPreview(-1)" ${emailPreviewIndex === 0 ? 'disabled' : ''}
+                style="border:none; background:#e9ecef; border-radius:6px; padding:4px 10px; cursor:pointer;">◀</button>
+            <span style="font-size:12px; color:#555;">
+                ${emailPreviewIndex + 1} of ${messages.length} · <strong>${escapeEmailText(message.recipient.name)}</strong>
+                &lt;${escapeEmailText(message.recipient.email)}&gt;
+            </span>
+            <button type="button" onclick="moveEmailPreview(1)" ${emailPreviewIndex === messages.length - 1 ? 'disabled' : ''}
+                style="border:none; background:#e9ecef; border-radius:6px; padding:4px 10px; cursor:pointer;">▶</button>
+        </div>
+        <div style="background:white; border:1px solid #ddd; border-radius:8px; padding:10px;">
+            <div style="font-weight:600; margin-bottom:6px;">${escapeEmailText(message.subject) || '<span style="color:#aaa;">(no subject)</span>'}</div>
+            <div style="white-space:pre-wrap; font-size:13px; max-height:160px; overflow-y:auto;">${escapeEmailText(message.body)}</div>
+        </div>
+        ${message.missing.length ? `<div style="margin-top:6px; font-size:12px; color:#c0392b;">Missing for this recipient: ${escapeEmailText(message.missing.join(', '))}</div>` : ''}
+        ${missing.length ? `<div style="margin-top:6px; font-size:12px; color:#e67e22;">⚠️ ${missing.length} recipient(s) have empty placeholders: ${escapeEmailText(missing.join('; '))}</div>` : ''}
+    `;
+}
+
+function moveEmailPreview(step) {
+    emailPreviewIndex += step;
+    updateEmailPreview();
+}
+
+// =============================================
+// SENDING
+// =============================================
+
 async function sendBatchEmail() {
     const subject = document.getElementById('emailSubject').value;
     const body = document.getElementById('emailBody').value;
     const fileInput = document.getElementById('emailAttachments');
     const statusDiv = document.getElementById('emailStatus');
+    const scheduleAt = document.getElementById('emailScheduleAt').value;
 
     if (!subject || !body) {
         alert('Please enter a subject and body.');
         return;
     }
 
+    if (scheduleAt && fileInput.files.length > 0) {
+        alert('Scheduled emails cannot carry attachments, because the files are not stored until then. Remove them or send now.');
+        return;
+    }
+
     const selectedCheckboxes = document.querySelectorAll('.client-checkbox:checked');
     if (selectedCheckboxes.length === 0) {
         alert('No clients selected.');
@@ -51,65 +243,86 @@ async function sendBatchEmail() {
     }
 
     // Prepare Recipients
-    const recipients = Array.from(selectedCheckboxes).map(cb => ({
-        email: cb.dataset.email || '', // Ensure dataset.email exists in creating the table
-        name: cb.dataset.name
-    })).filter(r => r.email && r.email.includes('@')); // Basic validation
+    const recipients = getSelectedRecipients();
 
     if (recipients.length === 0) {
         alert('Selected clients do not have valid email addresses.');
         return;
     }
 
+    // Personalize, and flag empty placeholders before anything goes out
+    let messages;
+    try {
+        messages = buildEmailMessages(recipients);
+    } catch (err) {
+        alert('Please fix the template first: ' + err.message);
+        return;
+    }
+    const missing = describeMissingFields(messages);
+    if (missing.length > 0 && !confirm(`${missing.length} recipient(s) have empty placeholders:\n\n${missing.join('\n')}\n\nSend anyway? The placeholders will be left blank.`)) {
+        return;
+    }
+
     // UI Updates
     statusDiv.style.display = 'block';
-    statusDiv.innerHTML = `<div style="color:blue">⏳ Sending to ${recipients.length} recipients...</div>`;
+    statusDiv.innerHTML = scheduleAt
+        ? '<div style="color:blue">⏳ Scheduling...</div>'
+        : `<div style="color:blue">⏳ Sending to ${recipients.length} recipients...</div>`;
     document.getElementById('emailSendBtn').disabled = true;
 
     try {
-        const formData = new FormData();
-        formData.append('subject', subject);
-        formData.append('body', body);
-        formData.append('recipients', JSON.stringify(recipients));
-
-        // Attach files
-        for (let i = 0; i < fileInput.files.length; i++) {
-            formData.append('attachments', fileInput.files[i]);
-        }
-
-        const response = await fetch(EMAIL_CONFIG.backendUrl, {
-            method: 'POST',
-            body: formData
-        });
-
-        const result = await response.json();
-
-        if (result.success) {
-            statusDiv.innerHTML = `<div style="color:green">✅ ${result.message}</div>`;
-            setTimeout(() => {
-                closeEmailModal();
-                statusDiv.style.display = 'none';
-                document.getElementById('emailSendBtn').disabled = false;
-            }, 3000);
+        const campaigns = getEmailCampaignService();
+        let outcome;
+        if (scheduleAt) {
+            const campaign = await campaigns.schedule({ subject, body, messages, scheduledAt: new Date(scheduleAt) });
+            outcome = `<div style="color:green">🕒 Scheduled for ${new Date(campaign.scheduled_at).toLocaleString()} (${recipients.length} recipients)</div>`;
         } else {
-            throw new Error(result.error || 'Unknown Error');
+            const { sent, failed, errors } = await campaigns.send({ subject, body, messages, attachments: Array.from(fileInput.files) });
+            if (sent === 0) throw new Error(errors.join('; ') || 'Unknown Error');
+            if (failed > 0) {
+                // Stay open so the failures are seen; they can be resent from 📜 Campaigns
+                statusDiv.innerHTML = `<div style="color:#e67e22">⚠️ Sent to ${sent}, failed for ${failed}: ${escapeEmailText(errors.join('; '))}. Open 📜 Campaigns to resend to the failed ones.</div>`;
+                document.getElementById('emailSendBtn').disabled = false;
+                return;
+            }
+            outcome = `<div style="color:green">✅ Sent to ${sent} recipients</div>`;
         }
 
+        statusDiv.innerHTML = outcome;
+        setTimeout(() => {
+            closeEmailModal();
+            statusDiv.style.display = 'none';
+            document.getElementById('emailSendBtn').disabled = false;
+        }, 3000);
+
     } catch (err) {
         console.error(err);
-        statusDiv.innerHTML = `<div style="color:red">❌ Error: ${err.message}</div>`;
+        statusDiv.innerHTML = `<div style="color:red">❌ Error: ${escapeEmailText(err.message)}</div>`;
         document.getElementById('emailSendBtn').disabled = false;
 
-        if (err.message.includes('SMTP Password')) {
-            alert('CONFIGURATION ERROR:\nThe backend is missing the SMTP Password.\nPlease check the project .env file and add SMTP_PASSWORD=...');
+        if (err.message.includes('SMTP_HOST')) {
+            alert('CONFIGURATION ERROR:\nThe send-campaign function has no SMTP settings.\nSet them with: supabase secrets set SMTP_HOST=... SMTP_USER=... SMTP_PASS=... SMTP_FROM=...');
         }
     }
 }
 
+function escapeEmailText(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // Expose globally
 window.openEmailModal = openEmailModal;
 window.closeEmailModal = closeEmailModal;
 window.sendBatchEmail = sendBatchEmail;
 window.setupEmailListeners = setupEmailListeners;
+window.applyEmailTemplate = applyEmailTemplate;
+window.saveEmailTemplate = saveEmailTemplate;
+window.deleteEmailTemplate = deleteEmailTemplate;
+window.insertEmailField = insertEmailField;
+window.moveEmailPreview = moveEmailPreview;
 
 document.addEventListener('DOMContentLoaded', setupEmailListeners);
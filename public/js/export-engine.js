@@ -0,0 +1,329 @@
+/**
+ * Export Engine Module
+ * Exports the rows and columns a table page is showing (VendorAppState's filtered
+ * data and visible columns) as CSV, XLSX, JSON or a paginated PDF, plus a PDF
+ * snapshot of a page section such as the insights panel.
+ * Requires core.js (Component), vendors-core.js (VendorAppState), ExcelJS for XLSX,
+ * jsPDF for PDF and html2canvas for snapshots.
+ */
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', icon: '📄', description: 'Comma-separated values', type: 'text/csv;charset=utf-8;' },
+  xlsx: { label: 'Excel', icon: '📊', description: 'XLSX spreadsheet', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  json: { label: 'JSON', icon: '🧾', description: 'Raw records', type: 'application/json;charset=utf-8;' },
+  pdf: { label: 'PDF', icon: '📕', description: 'Printable document', type: 'application/pdf' }
+};
+
+class TableExporter {
+  constructor(options = {}) {
+    this.columns = options.columns || [];
+    this.rows = options.rows || [];
+    this.title = options.title || 'Export';
+    this.fileName = options.fileName || this.title.replace(/\s+/g, '_');
+    this.accent = options.accent || [52, 152, 219];
+    this.footer = options.footer || '';
+    // The PDF is landscape A4, so wide tables can leave out columns such as ids
+    this.pdfColumns = options.pdfColumns || this.columns;
+  }
+
+  // Exports what the user is looking at: the filtered rows and the visible columns.
+  // Paged tables pass options.rows with every matching row, not just the loaded pages
+  static fromAppState(appState, columns, options = {}) {
+    return new TableExporter({
+      ...options,
+      columns: appState.getVisibleColumns(columns),
+      rows: options.rows || appState.getFilteredData()
+    });
+  }
+
+  static textOf(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Spreadsheet cell value: numbers and booleans keep their type, ISO dates become Dates
+  static typedValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' || typeof value === 'boolean') return value;
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, day));
+    }
+    if (typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value)) {
+      const date = new Date(value);
+      // Excel has no time zones: shift so the sheet shows the local wall-clock time
+      if (!isNaN(date)) return new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    }
+    return TableExporter.textOf(value);
+  }
+
+  static stamp(date = new Date()) {
+    return date.toISOString().split('T')[0];
+  }
+
+  records() {
+    return this.rows.map(row => Object.fromEntries(this.columns.map(column => [column, row[column] ?? null])));
+  }
+
+  // Starts with a UTF-8 BOM so Excel opens Arabic text correctly
+  toCSV() {
+    const cell = value => {
+      const text = TableExporter.textOf(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = this.rows.map(row => this.columns.map(column => cell(row[column])).join(','));
+    return '\ufeff' + [this.columns.map(cell).join(','), ...lines].join('\r\n');
+  }
+
+  toJSON() {
+    return JSON.stringify(this.records(), null, 2);
+  }
+
+  async toXLSX() {
+    if (!window.ExcelJS) throw new Error('The Excel library is not loaded');
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const sheet = workbook.addWorksheet(this.title.slice(0, 31), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.columns = this.columns.map(column => {
+      const longest = Math.max(column.length, ...this.rows.slice(0, 200).map(row => TableExporter.textOf(row[column]).length));
+      return { header: column, key: column, width: Math.min(Math.max(longest + 2, 10), 50) };
+    });
+    this.rows.forEach(row => {
+      sheet.addRow(Object.fromEntries(this.columns.map(column => [column, TableExporter.typedValue(row[column])])));
+    });
+
+    this.columns.forEach((column, index) => {
+      const values = this.rows.map(row => row[column]).filter(value => typeof value === 'string');
+      if (values.length === 0) return;
+      if (values.every(value => ISO_DATE_PATTERN.test(value))) {
+        sheet.getColumn(index + 1).numFmt = 'yyyy-mm-dd';
+      } else if (values.every(value => ISO_DATE_PATTERN.test(value) || ISO_TIMESTAMP_PATTERN.test(value))) {
+        sheet.getColumn(index + 1).numFmt = 'yyyy-mm-dd hh:mm';
+      }
+    });
+
+    const argb = 'FF' + this.accent.map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase();
+    sheet.getRow(1).eachCell(cell => {
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+    });
+    if (this.columns.length) {
+      sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: this.columns.length } };
+    }
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    return new Blob([buffer], { type: EXPORT_FORMATS.xlsx.type });
+  }
+
+  toPDF() {
+    if (!window.jspdf) throw new Error('The PDF library is not loaded');
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('l', 'mm', 'a4');
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 10;
+    const headerHeight = 8;
+    const rowHeight = 7;
+    const columns = this.pdfColumns;
+    const colWidth = columns.length ? (pageWidth - 2 * margin) / columns.length : 0;
+    const [r, g, b] = this.accent;
+
+    const fit = (text, width) => {
+      if (pdf.getTextWidth(text) <= width) return text;
+      while (text.length > 1 && pdf.getTextWidth(text + '..') > width) text = text.slice(0, -1);
+      return text + '..';
+    };
+
+    const drawTableHeader = (y) => {
+      pdf.setFillColor(r, g, b);
+      pdf.rect(margin, y, colWidth * columns.length, headerHeight, 'F');
+      pdf.setTextColor(255, 255, 255);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'bold');
+      columns.forEach((column, index) => {
+        pdf.text(fit(column.replace(/_/g, ' '), colWidth - 4), margin + index * colWidth + 2, y + 5.5);
+      });
+      return y + headerHeight;
+    };
+
+    // Title band on the first page
+    pdf.setFillColor(r, g, b);
+    pdf.rect(0, 0, pageWidth, 20, 'F');
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFontSize(16);
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(this.title + ' Report', margin, 13);
+    pdf.setFontSize(10);
+    pdf.setFont('helvetica', 'normal');
+    const generated = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    pdf.text(`Generated: ${generated} | Total Records: ${this.rows.length}`, pageWidth - margin, 13, { align: 'right' });
+
+    let y = drawTableHeader(28);
+    const bottom = pageHeight - 15;
+    this.rows.forEach((row, rowIndex) => {
+      if (y + rowHeight > bottom) {
+        pdf.addPage();
+        y = drawTableHeader(margin);
+      }
+      pdf.setFillColor(...(rowIndex % 2 === 0 ? [245, 245, 245] : [255, 255, 255]));
+      pdf.rect(margin, y, colWidth * columns.length, rowHeight, 'F');
+      pdf.setTextColor(60, 60, 60);
+      pdf.setFontSize(7);
+      pdf.setFont('helvetica', 'normal');
+      columns.forEach((column, index) => {
+        pdf.text(fit(TableExporter.textOf(row[column]), colWidth - 4), margin + index * colWidth + 2, y + 5);
+      });
+      y += rowHeight;
+    });
+
+    TableExporter.addPageFooters(pdf, this.footer);
+    return pdf;
+  }
+
+  static addPageFooters(pdf, footer) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const totalPages = pdf.internal.getNumberOfPages();
+    for (let page = 1; page <= totalPages; page++) {
+      pdf.setPage(page);
+      pdf.setFillColor(240, 240, 240);
+      pdf.rect(0, pageHeight - 10, pageWidth, 10, 'F');
+      pdf.setTextColor(100, 100, 100);
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      if (footer) pdf.text(footer, 10, pageHeight - 4);
+      pdf.text(`Page ${page} of ${totalPages}`, pageWidth - 10, pageHeight - 4, { align: 'right' });
+    }
+  }
+
+  async toBlob(format) {
+    switch (format) {
+      case 'csv': return new Blob([this.toCSV()], { type: EXPORT_FORMATS.csv.type });
+      case 'json': return new Blob([this.toJSON()], { type: EXPORT_FORMATS.json.type });
+      case 'xlsx': return this.toXLSX();
+      case 'pdf': return this.toPDF().output('blob');
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  async download(format) {
+    if (this.rows.length === 0) throw new Error('No data to export. Please search for data first.');
+    const blob = await this.toBlob(format);
+    downloadExportBlob(blob, `${this.fileName}_${TableExporter.stamp()}.${format}`);
+  }
+
+  /**
+   * Saves a page section (charts, cards) as an A4 PDF. Sections taller than a page
+   * are sliced across pages rather than shrunk.
+   */
+  static async downloadElementPDF(element, { title = 'Report', fileName = 'report', footer = '' } = {}) {
+    if (!window.jspdf || !window.html2canvas) throw new Error('The PDF libraries are not loaded');
+    const { jsPDF } = window.jspdf;
+    const canvas = await html2canvas(element, { scale: 2, backgroundColor: '#ffffff', useCORS: true });
+    const pdf = new jsPDF('p', 'mm', 'a4');
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 10;
+    const top = 22;
+    const usableHeight = pageHeight - top - 15;
+    const imageWidth = pageWidth - 2 * margin;
+    const pixelsPerPage = Math.floor(canvas.width * usableHeight / imageWidth);
+
+    for (let offset = 0, page = 0; offset < canvas.height; offset += pixelsPerPage, page++) {
+      if (page > 0) pdf.addPage();
+      pdf.setFillColor(30, 58, 95);
+      pdf.rect(0, 0, pageWidth, 16, 'F');
+      pdf.setTextColor(255, 255, 255);
+      pdf.setFontSize(12);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(title, margin, 10.5);
+
+      const slice = document.createElement('canvas');
+      slice.width = canvas.width;
+      slice.height = Math.min(pixelsPerPage, canvas.height - offset);
+      slice.getContext('2d').drawImage(canvas, 0, offset, canvas.width, slice.height, 0, 0, canvas.width, slice.height);
+      pdf.addImage(slice.toDataURL('image/png'), 'PNG', margin, top, imageWidth, slice.height * imageWidth / canvas.width);
+    }
+
+    TableExporter.addPageFooters(pdf, footer);
+    pdf.save(`${fileName}_${TableExporter.stamp()}.pdf`);
+  }
+}
+
+function downloadExportBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download button with a format menu. `getExporter()` is called on each export so
+ * it always sees the current filters and column selection.
+ */
+class ExportMenu extends Component {
+  constructor(container, options = {}) {
+    super(container, options);
+    this.state = { busy: false };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  async export(format) {
+    this.setState({ busy: true });
+    try {
+      const exporter = await this.options.getExporter();
+      await exporter.download(format);
+      this.notify(`Exported ${exporter.rows.length} rows as ${EXPORT_FORMATS[format].label}`);
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+    this.setState({ busy: false });
+  }
+
+  render() {
+    this.removeEventListeners();
+    const formats = this.options.formats || Object.keys(EXPORT_FORMATS);
+
+    this.container.innerHTML = `
+      <details style="position: relative;">
+        <summary class="btn" style="background: ${this.options.color || '#16a085'}; list-style: none; cursor: pointer;">
+          ${this.state.busy ? '⏳ Exporting…' : '📥 Download ▾'}
+        </summary>
+        <div style="position: absolute; right: 0; z-index: 1200; background: white; color: #2c3e50; border-radius: 8px; box-shadow: 0 10px 30px rgba(0,0,0,0.15); padding: 6px 0; min-width: 200px; font-size: 13px;">
+          ${formats.map(format => `
+            <div data-format="${format}" style="display: flex; gap: 10px; align-items: center; padding: 8px 12px; cursor: pointer;">
+              <span style="pointer-events: none;">${EXPORT_FORMATS[format].icon}</span>
+              <span style="pointer-events: none;">
+                <strong>${EXPORT_FORMATS[format].label}</strong><br>
+                <span style="color: #7f8c8d; font-size: 12px;">${EXPORT_FORMATS[format].description}</span>
+              </span>
+            </div>`).join('')}
+        </div>
+      </details>
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      const item = e.target.closest('[data-format]');
+      if (!item || this.state.busy) return;
+      this.container.querySelector('details').open = false;
+      this.export(item.dataset.format);
+    });
+  }
+}
+
+// Make accessible globally
+window.EXPORT_FORMATS = EXPORT_FORMATS;
+window.TableExporter = TableExporter;
+window.ExportMenu = ExportMenu;
@@ -0,0 +1,133 @@
+/**
+ * History Panel Module
+ * Side panel listing recent add/edit/delete commands, with undo/redo
+ * buttons and the Ctrl+Z / Ctrl+Shift+Z shortcuts.
+ * Requires core.js (Component) and vendors-core.js (CommandHistory).
+ */
+
+class HistoryPanel extends Component {
+  constructor(history, options = {}) {
+    const container = document.createElement('div');
+    container.className = 'history-panel';
+    container.style.cssText = `
+      position: fixed;
+      top: 0;
+      right: 0;
+      width: 320px;
+      height: 100vh;
+      background: white;
+      box-shadow: -10px 0 40px rgba(0,0,0,0.15);
+      z-index: 1500;
+      display: none;
+      flex-direction: column;
+      font-size: 13px;
+    `;
+    document.body.appendChild(container);
+
+    super(container, options);
+    this.history = history;
+    this.state = { open: false };
+    this.unsubscribe = history.subscribe(() => this.rendered && this.render());
+  }
+
+  setHistory(history) {
+    if (this.unsubscribe) this.unsubscribe();
+    this.history = history;
+    this.unsubscribe = history.subscribe(() => this.rendered && this.render());
+    if (this.rendered) this.render();
+  }
+
+  toggle() {
+    this.setState({ open: !this.state.open });
+  }
+
+  formatTime(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  render() {
+    this.removeEventListeners();
+    this.container.style.display = this.state.open ? 'flex' : 'none';
+
+    const entries = this.history.getEntries();
+    const rows = entries.map(entry => `
+      <li style="padding: 10px 15px; border-bottom: 1px solid #ecf0f1; ${entry.undone ? 'opacity: 0.45; text-decoration: line-through;' : ''}">
+        <div style="font-weight: 600; color: #2c3e50;">${escapeHistoryText(entry.action)}</div>
+        <div style="color: #34495e;">${escapeHistoryText(entry.record)}</div>
+        <div style="color: #95a5a6; font-size: 11px;">${this.formatTime(entry.timestamp)}</div>
+      </li>`).join('');
+
+    this.container.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; padding: 15px; border-bottom: 2px solid #ecf0f1;">
+        <strong>🕘 ${escapeHistoryText(this.options.title || 'History')}</strong>
+        <button data-action="close" style="background: none; border: none; font-size: 20px; cursor: pointer;">&times;</button>
+      </div>
+      <div style="display: flex; gap: 8px; padding: 10px 15px;">
+        <button data-action="undo" class="btn" ${this.history.canUndo() ? '' : 'disabled'}>↶ Undo</button>
+        <button data-action="redo" class="btn" ${this.history.canRedo() ? '' : 'disabled'}>↷ Redo</button>
+      </div>
+      <ul style="list-style: none; margin: 0; padding: 0; overflow-y: auto; flex: 1;">
+        ${rows || '<li style="padding: 15px; color: #95a5a6;">No changes yet</li>'}
+      </ul>
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      const action = e.target.dataset && e.target.dataset.action;
+      if (action === 'close') this.toggle();
+      if (action === 'undo' && this.options.onUndo) this.options.onUndo();
+      if (action === 'redo' && this.options.onRedo) this.options.onRedo();
+    });
+  }
+}
+
+function escapeHistoryText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Binds Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) to the given handlers.
+ * Keystrokes inside inputs and editable cells keep their native text undo.
+ */
+function initHistoryShortcuts({ onUndo, onRedo }) {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      onUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      onRedo();
+    }
+  });
+}
+
+/**
+ * Creates a persisted CommandHistory for one table.
+ * Entries live in LocalStorageManager, so a delete can still be undone after a reload.
+ * Pass { queue } (an OfflineQueue) to queue changes made while offline.
+ */
+function createTableHistory(store, table, options = {}) {
+  return new CommandHistory({
+    storage: window.AppCore ? window.AppCore.storage : new LocalStorageManager('its_group'),
+    storageKey: `history_${table}`,
+    store,
+    ...options
+  });
+}
+
+// Make accessible globally
+window.HistoryPanel = HistoryPanel;
+window.initHistoryShortcuts = initHistoryShortcuts;
+window.createTableHistory = createTableHistory;
@@ -0,0 +1,509 @@
+/**
+ * Import Wizard Module
+ * Imports CSV / XLSX files into a table: headers are auto-mapped to columns, every row
+ * is validated against the table schema, and a dry run shows the inserts, updates
+ * (matched on a chosen key column) and rejects before anything is written.
+ * Requires core.js (Component), vendors-core.js (FuzzySearchStrategy, PhoneNumber),
+ * table-schemas.js (getTableValidator) and the XLSX library.
+ */
+
+// Spreadsheet headers that mean a table column, compared after normalizeHeader()
+const IMPORT_HEADER_ALIASES = {
+  name: ['full name', 'client name', 'contact name', 'contact'],
+  phone: ['mobile', 'tel', 'telephone', 'phone number', 'contact number', 'whatsapp'],
+  email: ['e-mail', 'email address', 'mail'],
+  company: ['company name', 'organization', 'organisation', 'firm'],
+  website: ['web', 'site', 'url', 'web site'],
+  vendor_name: ['vendor', 'supplier', 'supplier name'],
+  contact_person: ['contact', 'contact name'],
+  color_hex: ['hex', 'hex code', 'color code', 'colour code'],
+  color_name: ['color', 'colour', 'colour name']
+};
+
+class ImportPlanner {
+  constructor(options = {}) {
+    this.columns = options.columns || [];
+    this.primaryKey = options.primaryKey || 'id';
+    this.key = options.key || null;
+    this.validator = options.validator || new Validator();
+  }
+
+  static normalizeHeader(header) {
+    return String(header ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  }
+
+  // header -> column (or null). Exact names win, then aliases, then close spellings.
+  static autoMap(headers, columns) {
+    const normalize = ImportPlanner.normalizeHeader;
+    const mapping = Object.fromEntries(headers.map(header => [header, null]));
+    const used = new Set();
+    const unmapped = () => headers.filter(header => !mapping[header]);
+    const claim = (header, column) => {
+      if (!column) return;
+      mapping[header] = column;
+      used.add(column);
+    };
+
+    unmapped().forEach(header => {
+      claim(header, columns.find(column => !used.has(column) && normalize(column) === normalize(header)));
+    });
+    unmapped().forEach(header => {
+      claim(header, columns.find(column => !used.has(column) &&
+        (IMPORT_HEADER_ALIASES[column] || []).some(alias => normalize(alias) === normalize(header))));
+    });
+    unmapped().forEach(header => {
+      let best = null;
+      let bestScore = 0.8;
+      columns.filter(column => !used.has(column)).forEach(column => {
+        const score = FuzzySearchStrategy.similarity(normalize(header), normalize(column));
+        if (score >= bestScore) {
+          best = column;
+          bestScore = score;
+        }
+      });
+      claim(header, best);
+    });
+    return mapping;
+  }
+
+  toRecord(row, mapping) {
+    const record = {};
+    Object.entries(mapping).forEach(([header, column]) => {
+      if (!column) return;
+      const value = String(row[header] ?? '').trim();
+      record[column] = value === '' ? null : value;
+    });
+    return record;
+  }
+
+  static keyOf(value) {
+    return String(value ?? '').trim().toLowerCase();
+  }
+
+  // Dry run. Rows matching an existing record on the key column become updates of the
+  // cells that differ (blank cells keep the stored value); the rest become inserts.
+  // `line` is the spreadsheet row number, counting the header as row 1.
+  plan(rows, mapping, existing = []) {
+    const result = { inserts: [], updates: [], rejects: [], unchanged: 0 };
+    const byKey = new Map();
+    if (this.key) {
+      existing.forEach(record => {
+        const key = ImportPlanner.keyOf(record[this.key]);
+        if (key && !byKey.has(key)) byKey.set(key, record);
+      });
+    }
+    const seen = new Map();
+    const checkedColumns = this.columns.filter(column => this.validator.rules.has(column));
+
+    rows.forEach((row, index) => {
+      const line = index + 2;
+      const record = this.toRecord(row, mapping);
+      if (Object.values(record).every(value => value === null)) return;
+
+      const reject = errors => result.rejects.push({ line, row, errors });
+      const key = this.key ? ImportPlanner.keyOf(record[this.key]) : '';
+      if (key && seen.has(key)) {
+        reject({ [this.key]: `Same ${this.key} as row ${seen.get(key)}` });
+        return;
+      }
+      if (key) seen.set(key, line);
+
+      const previous = key ? byKey.get(key) : null;
+      if (previous) {
+        const changed = Object.keys(record).filter(field =>
+          field !== this.primaryKey && record[field] !== null && String(previous[field] ?? '') !== record[field]
+        );
+        if (changed.length === 0) {
+          result.unchanged++;
+          return;
+        }
+        const changes = Object.fromEntries(changed.map(field => [field, record[field]]));
+        const merged = { ...previous, ...changes };
+        const { valid, errors } = this.validator.validateRecord(merged, changed);
+        if (!valid) {
+          reject(errors);
+          return;
+        }
+        // Only the changed cells (and the E.164 copy of a changed phone) are written;
+        // `previous` is what they held at dry-run time, checked again on commit
+        const derived = PhoneNumber.addE164(merged, this.columns);
+        const written = Object.keys(derived).filter(field => field.endsWith('_e164') && derived[field] !== (previous[field] ?? null));
+        const id = previous[this.primaryKey];
+        result.updates.push({
+          line,
+          row,
+          id,
+          changes,
+          previous: Object.fromEntries(changed.map(field => [field, previous[field] ?? null])),
+          record: { [this.primaryKey]: id, ...changes, ...Object.fromEntries(written.map(field => [field, derived[field]])) }
+        });
+      } else {
+        delete record[this.primaryKey];
+        const fields = [...new Set([...Object.keys(record), ...checkedColumns])].filter(field => field !== this.primaryKey);
+        const { valid, errors } = this.validator.validateRecord(record, fields);
+        if (!valid) {
+          reject(errors);
+          return;
+        }
+        result.inserts.push({ line, row, record: PhoneNumber.addE164(record, this.columns) });
+      }
+    });
+    return result;
+  }
+
+  // Writes a plan in batches. A failed batch is reported row by row and the import carries on.
+  // An update whose cells someone else changed (or whose row was deleted) since the dry run
+  // is reported instead of overwriting their edit.
+  static async commit(repository, plan, { batchSize = 200, onProgress = null } = {}) {
+    const failures = [];
+    const total = plan.inserts.length + plan.updates.length;
+    let done = 0;
+
+    const writeAll = async (entries, write) => {
+      let written = 0;
+      for (let i = 0; i < entries.length; i += batchSize) {
+        const batch = entries.slice(i, i + batchSize);
+        try {
+          written += await write(batch);
+        } catch (error) {
+          batch.forEach(({ line, row }) => failures.push({ line, row, errors: { import: error.message } }));
+        }
+        done += batch.length;
+        if (onProgress) onProgress(done, total);
+      }
+      return written;
+    };
+
+    const inserted = await writeAll(plan.inserts, async batch => (await repository.insertMany(batch.map(entry => entry.record))).length);
+    const updated = await writeAll(plan.updates, async batch => {
+      const current = await repository.fetchByIds(batch.map(entry => entry.id));
+      const byId = new Map(current.map(record => [String(record[repository.primaryKey]), record]));
+      const fresh = batch.filter(({ line, row, id, previous }) => {
+        const record = byId.get(String(id));
+        const stale = record ? Object.keys(previous).filter(field => String(record[field] ?? '') !== String(previous[field] ?? '')) : [];
+        if (record && stale.length === 0) return true;
+        failures.push({
+          line,
+          row,
+          errors: { import: record ? `Changed by someone else since the dry run (${stale.join(', ')}). Run it again.` : 'Deleted since the dry run' }
+        });
+        return false;
+      });
+      if (fresh.length) await repository.updateMany(fresh.map(entry => entry.record));
+      return fresh.length;
+    });
+    return { inserted, updated, failures };
+  }
+
+  // CSV of rejected rows: spreadsheet row, reasons, then the original cells
+  static errorReport(rejects, headers) {
+    const cell = value => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = rejects.map(({ line, row, errors }) => [
+      line,
+      Object.entries(errors).map(([field, message]) => `${field}: ${message}`).join('; '),
+      ...headers.map(header => row[header])
+    ].map(cell).join(','));
+    return [['Row', 'Errors', ...headers].map(cell).join(','), ...lines].join('\n');
+  }
+}
+
+class ImportWizard extends Component {
+  constructor(store, options = {}) {
+    const container = document.createElement('div');
+    container.className = 'import-wizard';
+    container.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0,0,0,0.5);
+      z-index: 2000;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      font-size: 13px;
+    `;
+    document.body.appendChild(container);
+
+    super(container, options);
+    this.store = store;
+    this.state = this.initialState();
+  }
+
+  initialState() {
+    return {
+      open: false,
+      step: 'file',
+      fileName: '',
+      headers: [],
+      rows: [],
+      mapping: {},
+      key: '',
+      plan: null,
+      view: 'inserts',
+      busy: false,
+      progress: 0,
+      result: null
+    };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  get table() {
+    return this.options.getTable();
+  }
+
+  // Table columns a file can fill; ids may still be chosen as the match key
+  get targetColumns() {
+    return this.options.getColumns().filter(column => column !== 'created_at' && !column.endsWith('_e164'));
+  }
+
+  open() {
+    if (!this.rendered) this.mount();
+    this.setState({ ...this.initialState(), open: true });
+  }
+
+  close() {
+    if (this.state.busy) return;
+    this.setState({ open: false });
+  }
+
+  // CSV is read as text so leading zeros and Arabic text survive; XLSX as a workbook
+  async readFile(file) {
+    const isCSV = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+    const workbook = isCSV
+      ? XLSX.read(await file.text(), { type: 'string', raw: true })
+      : XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, dateNF: 'yyyy-mm-dd' });
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    return { headers, rows };
+  }
+
+  async loadFile(file) {
+    if (!file) return;
+    try {
+      const { headers, rows } = await this.readFile(file);
+      if (rows.length === 0) {
+        this.notify('That file has no data rows', 'error');
+        return;
+      }
+      const mapping = ImportPlanner.autoMap(headers, this.targetColumns);
+      const mapped = Object.values(mapping);
+      const primaryKey = this.store.primaryKey;
+      const key = mapped.includes(primaryKey) ? primaryKey : ['email', 'product_code'].find(column => mapped.includes(column)) || '';
+      this.setState({ step: 'map', fileName: file.name, headers, rows, mapping, key });
+    } catch (error) {
+      this.notify('Could not read file: ' + error.message, 'error');
+    }
+  }
+
+  async preview() {
+    this.setState({ busy: true });
+    try {
+      const { rows, mapping, key } = this.state;
+      const existing = key ? await this.store.repository.fetchEveryPage() : [];
+      const planner = new ImportPlanner({
+        columns: this.options.getColumns(),
+        primaryKey: this.store.primaryKey,
+        key: key || null,
+        validator: getTableValidator(this.table)
+      });
+      const plan = planner.plan(rows, mapping, existing);
+      const view = plan.inserts.length ? 'inserts' : plan.updates.length ? 'updates' : 'rejects';
+      this.setState({ step: 'preview', plan, view, busy: false });
+    } catch (error) {
+      this.setState({ busy: false });
+      this.notify('Dry run failed: ' + error.message, 'error');
+    }
+  }
+
+  async commit() {
+    const { plan } = this.state;
+    this.setState({ busy: true, progress: 0 });
+    const result = await ImportPlanner.commit(this.store.repository, plan, {
+      onProgress: (done, total) => this.setState({ progress: Math.round((done / total) * 100) })
+    });
+    this.setState({ step: 'done', busy: false, result });
+    this.notify(`Imported ${result.inserted} new and ${result.updated} updated rows`, result.failures.length ? 'error' : 'success');
+    if (this.options.onImported) this.options.onImported(result);
+  }
+
+  downloadErrors() {
+    const rejects = [...this.state.plan.rejects, ...(this.state.result ? this.state.result.failures : [])];
+    const csv = ImportPlanner.errorReport(rejects, this.state.headers);
+    const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.state.fileName.replace(/\.[^.]+$/, '')}_errors.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  renderFile() {
+    return `
+      <div style="padding: 30px; text-align: center;">
+        <p style="color: #7f8c8d;">Choose a CSV or Excel file. The first row must hold the column headers.</p>
+        <input type="file" data-role="file" accept=".csv,.xlsx,.xls,text/csv">
+      </div>
+    `;
+  }
+
+  renderMapping() {
+    const { headers, rows, mapping, key } = this.state;
+    const columns = this.targetColumns;
+    const mappedColumns = Object.values(mapping).filter(Boolean);
+    const items = headers.map(header => `
+      <tr>
+        <td style="padding: 6px 8px; border-top: 1px solid #ecf0f1; font-weight: 600;">${escapeImportText(header)}</td>
+        <td style="padding: 6px 8px; border-top: 1px solid #ecf0f1; color: #7f8c8d;">${escapeImportText(rows[0][header])}</td>
+        <td style="padding: 6px 8px; border-top: 1px solid #ecf0f1;">
+          <select data-header="${escapeImportText(header)}" style="padding: 4px 6px; border-radius: 6px; border: 1px solid #bdc3c7;">
+            <option value="">— skip —</option>
+            ${columns.map(column => `<option value="${escapeImportText(column)}" ${mapping[header] === column ? 'selected' : ''}>${escapeImportText(column)}</option>`).join('')}
+          </select>
+        </td>
+      </tr>`).join('');
+
+    return `
+      <div style="padding: 10px 15px; color: #7f8c8d;">${escapeImportText(this.state.fileName)} — ${rows.length} rows</div>
+      <div style="overflow: auto; flex: 1; padding: 0 15px;">
+        <table style="border-collapse: collapse; width: 100%;">
+          <thead><tr><th style="text-align: left;">File column</th><th style="text-align: left;">First row</th><th style="text-align: left;">Table column</th></tr></thead>
+          <tbody>${items}</tbody>
+        </table>
+      </div>
+      <div style="display: flex; gap: 8px; align-items: center; padding: 12px 15px; border-top: 2px solid #ecf0f1;">
+        <label>Match existing rows on
+          <select data-role="key" style="padding: 4px 6px; border-radius: 6px; border: 1px solid #bdc3c7;">
+            <option value="">— nothing, insert every row —</option>
+            ${mappedColumns.map(column => `<option value="${escapeImportText(column)}" ${column === key ? 'selected' : ''}>${escapeImportText(column)}</option>`).join('')}
+          </select>
+        </label>
+        <span style="flex: 1;"></span>
+        <button class="btn" data-action="restart" style="background: #7f8c8d;">← Other file</button>
+        <button class="btn" data-action="preview" style="background: #2980b9;" ${mappedColumns.length && !this.state.busy ? '' : 'disabled'}>
+          ${this.state.busy ? 'Checking…' : '🔍 Dry run'}
+        </button>
+      </div>
+    `;
+  }
+
+  renderPreview() {
+    const { plan, view, headers, busy, progress } = this.state;
+    const tabs = [
+      ['inserts', `➕ ${plan.inserts.length} new`],
+      ['updates', `✏️ ${plan.updates.length} updates`],
+      ['rejects', `⛔ ${plan.rejects.length} rejected`]
+    ];
+    const entries = plan[view].slice(0, 100);
+    const body = entries.map(entry => {
+      const detail = view === 'rejects'
+        ? Object.entries(entry.errors).map(([field, message]) => `${field}: ${message}`).join('; ')
+        : Object.entries(view === 'updates' ? entry.changes : entry.record)
+          .filter(([field, value]) => value !== null && !field.endsWith('_e164'))
+          .map(([field, value]) => `${field}: ${value}`).join(' · ');
+      return `
+        <tr>
+          <td style="padding: 6px 8px; border-top: 1px solid #ecf0f1; color: #7f8c8d;">${entry.line}</td>
+          ${view === 'updates' ? `<td style="padding: 6px 8px; border-top: 1px solid #ecf0f1;">#${escapeImportText(entry.id)}</td>` : ''}
+          <td style="padding: 6px 8px; border-top: 1px solid #ecf0f1; ${view === 'rejects' ? 'color: #c0392b;' : ''}">${escapeImportText(detail)}</td>
+        </tr>`;
+    }).join('');
+
+    return `
+      <div style="display: flex; gap: 8px; padding: 10px 15px; flex-wrap: wrap; align-items: center;">
+        ${tabs.map(([name, label]) => `<button class="btn" data-view="${name}" style="background: ${name === view ? '#2c3e50' : '#95a5a6'};">${label}</button>`).join('')}
+        ${plan.unchanged ? `<span style="color: #7f8c8d;">${plan.unchanged} rows already up to date</span>` : ''}
+      </div>
+      <div style="overflow: auto; flex: 1; padding: 0 15px;">
+        <table style="border-collapse: collapse; width: 100%;">
+          <tbody>${body || '<tr><td style="padding: 15px; color: #95a5a6;">Nothing here</td></tr>'}</tbody>
+        </table>
+        ${plan[view].length > entries.length ? `<p style="color: #7f8c8d;">…and ${plan[view].length - entries.length} more</p>` : ''}
+      </div>
+      <div style="display: flex; gap: 8px; align-items: center; padding: 12px 15px; border-top: 2px solid #ecf0f1;">
+        ${busy ? `<div style="flex: 1; height: 8px; background: #ecf0f1; border-radius: 4px;"><div style="width: ${progress}%; height: 100%; background: #16a085; border-radius: 4px;"></div></div>` : '<span style="flex: 1;"></span>'}
+        ${plan.rejects.length && headers.length ? '<button class="btn" data-action="errors" style="background: #c0392b;">⬇ Error report</button>' : ''}
+        <button class="btn" data-action="back" style="background: #7f8c8d;" ${busy ? 'disabled' : ''}>← Mapping</button>
+        <button class="btn" data-action="commit" style="background: #16a085;" ${busy || !(plan.inserts.length + plan.updates.length) ? 'disabled' : ''}>
+          ${busy ? `Importing… ${progress}%` : `📥 Import ${plan.inserts.length + plan.updates.length} rows`}
+        </button>
+      </div>
+    `;
+  }
+
+  renderDone() {
+    const { result, plan } = this.state;
+    const problems = plan.rejects.length + result.failures.length;
+    return `
+      <div style="padding: 30px; text-align: center; line-height: 1.8;">
+        <div style="font-size: 16px; font-weight: 600;">✅ ${result.inserted} added · ${result.updated} updated</div>
+        ${problems ? `<div style="color: #c0392b;">${problems} rows were not imported</div>` : ''}
+        <div style="margin-top: 15px; display: flex; gap: 8px; justify-content: center;">
+          ${problems ? '<button class="btn" data-action="errors" style="background: #c0392b;">⬇ Error report</button>' : ''}
+          <button class="btn" data-action="close" style="background: #2c3e50;">Close</button>
+        </div>
+      </div>
+    `;
+  }
+
+  render() {
+    this.removeEventListeners();
+    this.container.style.display = this.state.open ? 'flex' : 'none';
+    if (!this.state.open) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const steps = { file: this.renderFile, map: this.renderMapping, preview: this.renderPreview, done: this.renderDone };
+    this.container.innerHTML = `
+      <div style="background: white; color: #2c3e50; border-radius: 12px; width: min(860px, 94vw); max-height: 86vh; display: flex; flex-direction: column; box-shadow: 0 20px 60px rgba(0,0,0,0.3);">
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 15px; border-bottom: 2px solid #ecf0f1;">
+          <strong>📤 Import into ${escapeImportText(this.table)}</strong>
+          <button data-action="close" style="background: none; border: none; font-size: 20px; cursor: pointer;">&times;</button>
+        </div>
+        ${steps[this.state.step].call(this)}
+      </div>
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      if (e.target === this.container) return this.close();
+      const { action, view } = e.target.dataset || {};
+      if (view) this.setState({ view });
+      if (action === 'close') this.close();
+      if (action === 'restart') this.setState({ ...this.initialState(), open: true });
+      if (action === 'preview') this.preview();
+      if (action === 'back') this.setState({ step: 'map' });
+      if (action === 'commit') this.commit();
+      if (action === 'errors') this.downloadErrors();
+    });
+
+    this.addEventListener(this.container, 'change', (e) => {
+      const { role, header } = e.target.dataset;
+      if (role === 'file') this.loadFile(e.target.files[0]);
+      if (role === 'key') this.setState({ key: e.target.value });
+      if (header !== undefined) {
+        const mapping = { ...this.state.mapping, [header]: e.target.value || null };
+        const key = Object.values(mapping).includes(this.state.key) ? this.state.key : '';
+        this.setState({ mapping, key });
+      }
+    });
+  }
+}
+
+function escapeImportText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make accessible globally
+window.ImportPlanner = ImportPlanner;
+window.ImportWizard = ImportWizard;
@@ -0,0 +1,154 @@
+/**
+ * Mail Merge Module
+ * Email templates with per-recipient placeholders:
+ *   {{name}}                      the recipient's value
+ *   {{company | your company}}    with a fallback when the value is empty
+ *   {{#if category}}…{{else}}…{{/if}}  a block only for recipients who have the value
+ * A placeholder without a fallback and without a value is reported as missing, so
+ * the batch can be checked before it goes out. Templates are shared through the
+ * email_templates table.
+ */
+
+const MAIL_MERGE_FIELDS = ['name', 'company', 'category', 'email', 'phone'];
+const MAIL_MERGE_TAG = /\{\{\s*(#if\s+[\w.]+|else|\/if|[\w.]+(?:\s*\|[^}]*)?)\s*\}\}/g;
+
+class MailMergeTemplate {
+  constructor(text = '') {
+    this.text = String(text);
+    this.nodes = MailMergeTemplate.parse(this.text);
+  }
+
+  // Nodes: { type: 'text', value }, { type: 'field', name, fallback }, { type: 'if', name, then, otherwise }
+  static parse(text) {
+    const root = { nodes: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    let last = 0;
+
+    for (const match of text.matchAll(MAIL_MERGE_TAG)) {
+      if (match.index > last) current().nodes.push({ type: 'text', value: text.slice(last, match.index) });
+      last = match.index + match[0].length;
+      const tag = match[1].trim();
+
+      if (tag.startsWith('#if')) {
+        const block = { type: 'if', name: tag.slice(3).trim().toLowerCase(), then: [], otherwise: [] };
+        current().nodes.push(block);
+        stack.push({ block, nodes: block.then });
+      } else if (tag === 'else') {
+        const frame = current();
+        if (!frame.block || frame.nodes === frame.block.otherwise) throw new Error('{{else}} is not inside an {{#if}} block');
+        frame.nodes = frame.block.otherwise;
+      } else if (tag === '/if') {
+        if (stack.length === 1) throw new Error('{{/if}} has no matching {{#if}}');
+        stack.pop();
+      } else {
+        const [name, ...fallback] = tag.split('|');
+        current().nodes.push({
+          type: 'field',
+          name: name.trim().toLowerCase(),
+          fallback: fallback.length ? fallback.join('|').trim() : undefined
+        });
+      }
+    }
+    if (stack.length > 1) throw new Error(`{{#if ${current().block.name}}} is never closed with {{/if}}`);
+    if (last < text.length) root.nodes.push({ type: 'text', value: text.slice(last) });
+    return root.nodes;
+  }
+
+  static valueOf(record, name) {
+    const key = Object.keys(record || {}).find(candidate => candidate.toLowerCase() === name);
+    const value = key === undefined ? null : record[key];
+    return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+  }
+
+  // Every placeholder name used, including ones that only appear in conditions
+  fields() {
+    const names = new Set();
+    const walk = nodes => nodes.forEach(node => {
+      if (node.type === 'text') return;
+      names.add(node.name);
+      if (node.type === 'if') {
+        walk(node.then);
+        walk(node.otherwise);
+      }
+    });
+    walk(this.nodes);
+    return [...names];
+  }
+
+  // Returns { text, missing } where missing lists the placeholders left empty
+  render(record) {
+    const missing = new Set();
+    const renderNodes = nodes => nodes.map(node => {
+      if (node.type === 'text') return node.value;
+      if (node.type === 'if') return renderNodes(MailMergeTemplate.valueOf(record, node.name) !== null ? node.then : node.otherwise);
+      const value = MailMergeTemplate.valueOf(record, node.name);
+      if (value !== null) return value;
+      if (node.fallback !== undefined) return node.fallback;
+      missing.add(node.name);
+      return '';
+    }).join('');
+    return { text: renderNodes(this.nodes), missing: [...missing] };
+  }
+
+  // One recipient's subject and body; missing covers both
+  static merge({ subject, body }, record) {
+    const renderedSubject = (subject instanceof MailMergeTemplate ? subject : new MailMergeTemplate(subject)).render(record);
+    const renderedBody = (body instanceof MailMergeTemplate ? body : new MailMergeTemplate(body)).render(record);
+    return {
+      subject: renderedSubject.text,
+      body: renderedBody.text,
+      missing: [...new Set([...renderedSubject.missing, ...renderedBody.missing])]
+    };
+  }
+}
+
+// Saved templates, shared by everyone signed in to the clients project
+class EmailTemplateStore {
+  constructor(options = {}) {
+    this.client = options.client;
+    this.table = options.table || 'email_templates';
+  }
+
+  async list() {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('id, name, subject, body, updated_by, updated_at')
+      .order('name', { ascending: true });
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  // Saving under an existing name replaces that template
+  async save({ name, subject, body }) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Template name is required');
+    // Fails here, not at send time, when a block is left open
+    new MailMergeTemplate(subject);
+    new MailMergeTemplate(body);
+
+    const { data, error } = await this.client
+      .from(this.table)
+      .upsert([{
+        name: trimmed,
+        subject,
+        body,
+        updated_by: sessionStorage.getItem('currentUser') || null,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'name' })
+      .select()
+      .single();
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async remove(id) {
+    const { error } = await this.client.from(this.table).delete().eq('id', id);
+    if (error) throw new Error(error.message);
+  }
+}
+
+// Make accessible globally
+window.MAIL_MERGE_FIELDS = MAIL_MERGE_FIELDS;
+window.MailMergeTemplate = MailMergeTemplate;
+window.EmailTemplateStore = EmailTemplateStore;
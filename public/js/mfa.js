@@ -0,0 +1,252 @@
+/**
+ * MFA Module
+ * One-time codes for password reset and authenticator-app (TOTP) enrolment. Codes are
+ * created, hashed, expired and rate limited by the database (see the mfa_codes migration);
+ * the send-mfa-code Edge Function only delivers them by WhatsApp or email, so the browser
+ * never sees a code it did not receive. TOTP is Supabase Auth MFA, with backup codes kept hashed in the database.
+ * Requires core.js (Component) and auth-guard.js (AuthService).
+ */
+
+const MFA_CHANNELS = {
+  whatsapp: { icon: '📱', label: 'WhatsApp' },
+  email: { icon: '📧', label: 'Email' }
+};
+const MFA_FACTOR_NAME = 'Authenticator app';
+
+class MfaService {
+  // options: { auth, client }
+  constructor(options = {}) {
+    this.auth = options.auth || AuthService.getInstance();
+    this.client = options.client || this.auth.client;
+  }
+
+  async rpc(name, params) {
+    const { data, error } = await this.client.rpc(name, params);
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // [{ channel, destination }] with the destination masked, e.g. 011****2246
+  async destinations(username) {
+    return (await this.rpc('mfa_destinations', { username })) || [];
+  }
+
+  // The send-mfa-code function asks the database for a code and sends it; the response never contains it
+  async sendCode(username, channel) {
+    const { data, error } = await this.client.functions.invoke('send-mfa-code', { body: { username, channel } });
+    if (error) throw new Error(await readFunctionError(error, 'The verification service is unreachable. Please try again later.'));
+    return { destination: data.destination, retryAfter: data.retryAfter || 60 };
+  }
+
+  // Returns a one-time token for resetPassword()
+  async verifyCode(username, code) {
+    const result = await this.rpc('verify_mfa_code', { username, code });
+    if (result.error) throw new Error(result.error);
+    return result.token;
+  }
+
+  async resetPassword(username, token, password) {
+    await this.rpc('reset_password_with_token', { username, token, password });
+  }
+
+  // ---- Authenticator app ----
+
+  async listTotpFactors() {
+    const { data, error } = await this.auth.client.auth.mfa.listFactors();
+    if (error) throw new Error(error.message);
+    return data.totp;
+  }
+
+  async getTotpFactor() {
+    return (await this.listTotpFactors()).find(factor => factor.status === 'verified') || null;
+  }
+
+  // Returns { factorId, qrCode, secret }. An enrolment left unfinished earlier is dropped first.
+  async startTotpEnrollment() {
+    const unfinished = (await this.listTotpFactors()).filter(factor => factor.status !== 'verified');
+    for (const factor of unfinished) {
+      await this.auth.client.auth.mfa.unenroll({ factorId: factor.id });
+    }
+    const { data, error } = await this.auth.client.auth.mfa.enroll({ factorType: 'totp', friendlyName: MFA_FACTOR_NAME });
+    if (error) throw new Error(error.message);
+    return { factorId: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret };
+  }
+
+  // Verifying the first code turns the factor on; returns the new backup codes
+  async confirmTotpEnrollment(factorId, code) {
+    const { error } = await this.auth.client.auth.mfa.challengeAndVerify({ factorId, code: String(code).trim() });
+    if (error) throw new Error(/invalid/i.test(error.message) ? 'Invalid code. Check your authenticator app and try again.' : error.message);
+    return this.createBackupCodes();
+  }
+
+  // Replaces any earlier backup codes
+  async createBackupCodes() {
+    return this.rpc('create_mfa_backup_codes');
+  }
+
+  async removeTotp(factorId) {
+    const { error } = await this.auth.client.auth.mfa.unenroll({ factorId });
+    if (error) throw new Error(error.message);
+  }
+
+  // supabase-js returns the QR code as SVG markup or, in newer versions, as a data URL
+  static qrImageSource(qrCode) {
+    return String(qrCode).startsWith('data:') ? qrCode : `data:image/svg+xml;utf-8,${encodeURIComponent(qrCode)}`;
+  }
+}
+
+class TotpSetupPanel extends Component {
+  constructor(container, service, options = {}) {
+    super(container, options);
+    this.service = service;
+    this.state = { loading: true, factor: null, enrollment: null, backupCodes: null };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  async load() {
+    try {
+      this.setState({ loading: false, factor: await this.service.getTotpFactor() });
+    } catch (error) {
+      this.setState({ loading: false });
+      this.notify('Could not load two-factor status: ' + error.message, 'error');
+    }
+  }
+
+  async start() {
+    try {
+      this.setState({ enrollment: await this.service.startTotpEnrollment(), backupCodes: null });
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+  }
+
+  async confirm() {
+    const input = this.container.querySelector('[data-field="code"]');
+    try {
+      const backupCodes = await this.service.confirmTotpEnrollment(this.state.enrollment.factorId, input.value);
+      this.setState({ enrollment: null, backupCodes, factor: await this.service.getTotpFactor() });
+      this.notify('Authenticator app enabled');
+    } catch (error) {
+      input.value = '';
+      this.notify(error.message, 'error');
+    }
+  }
+
+  async newBackupCodes() {
+    if (!confirm('Create new backup codes? The old ones will stop working.')) return;
+    try {
+      this.setState({ backupCodes: await this.service.createBackupCodes() });
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+  }
+
+  async remove() {
+    if (!confirm('Turn off the authenticator app? Sign-in will only need your password.')) return;
+    try {
+      await this.service.removeTotp(this.state.factor.id);
+      this.setState({ factor: null, backupCodes: null });
+      this.notify('Authenticator app removed');
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+  }
+
+  downloadBackupCodes() {
+    const text = `I.T.S-Group backup codes - each works once\n\n${this.state.backupCodes.join('\n')}\n`;
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'its-group-backup-codes.txt';
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  renderControls() {
+    const { loading, factor, enrollment } = this.state;
+    if (loading) return '<span style="color: #6b7280;">Loading…</span>';
+    if (enrollment) return '';
+    if (!factor) return '<button class="btn btn-primary" data-action="start"><span>🔐</span> Set up</button>';
+    return `
+      <span class="status-badge active">On</span>
+      <button class="btn btn-secondary" data-action="codes">New backup codes</button>
+      <button class="btn btn-danger" data-action="remove">Remove</button>`;
+  }
+
+  renderEnrollment() {
+    const { qrCode, secret } = this.state.enrollment;
+    return `
+      <div style="display: flex; gap: 20px; flex-wrap: wrap; align-items: center; padding: 15px 0;">
+        <img src="${escapeMfaText(MfaService.qrImageSource(qrCode))}" alt="QR code for your authenticator app"
+          style="width: 180px; height: 180px; background: white; padding: 8px; border-radius: 8px;">
+        <div style="flex: 1; min-width: 220px;">
+          <p style="margin: 0 0 8px;">Scan the QR code with Google Authenticator, Microsoft Authenticator or a similar app.</p>
+          <p style="margin: 0 0 12px; font-size: 12px; color: #6b7280;">Or enter this key: <code>${escapeMfaText(secret)}</code></p>
+          <input type="text" data-field="code" inputmode="numeric" maxlength="6" placeholder="6-digit code"
+            style="padding: 8px 10px; border: 1px solid #cbd5e1; border-radius: 6px; width: 140px; letter-spacing: 3px;">
+          <div class="btn-group" style="margin-top: 12px;">
+            <button class="btn btn-primary" data-action="confirm">Verify</button>
+            <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  renderBackupCodes() {
+    const codes = this.state.backupCodes.map(code => `<code style="font-size: 14px;">${escapeMfaText(code)}</code>`).join('');
+    return `
+      <div style="margin: 10px 0 15px; padding: 15px; border: 1px solid #fcd34d; background: #fffbeb; color: #92400e; border-radius: 8px;">
+        <strong>Backup codes</strong> - if you lose your phone, sign in with one of these instead of an app code.
+        Each works once, and they are shown only now.
+        <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 8px; margin: 12px 0;">${codes}</div>
+        <button class="btn btn-secondary" data-action="download">📥 Download</button>
+        <button class="btn btn-secondary" data-action="dismiss">Done</button>
+      </div>`;
+  }
+
+  render() {
+    this.removeEventListeners();
+    const { enrollment, backupCodes } = this.state;
+    this.container.innerHTML = `
+      <div class="setting-item">
+        <div class="setting-info">
+          <div class="setting-label">Two-Factor Authentication</div>
+          <div class="setting-description">Ask for a code from an authenticator app after your password</div>
+        </div>
+        <div style="display: flex; gap: 8px; align-items: center;">${this.renderControls()}</div>
+      </div>
+      ${enrollment ? this.renderEnrollment() : ''}
+      ${backupCodes ? this.renderBackupCodes() : ''}
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      switch (button.dataset.action) {
+        case 'start': return this.start();
+        case 'confirm': return this.confirm();
+        case 'cancel': return this.setState({ enrollment: null });
+        case 'codes': return this.newBackupCodes();
+        case 'remove': return this.remove();
+        case 'download': return this.downloadBackupCodes();
+        case 'dismiss': return this.setState({ backupCodes: null });
+      }
+    });
+  }
+}
+
+function escapeMfaText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make accessible globally
+window.MFA_CHANNELS = MFA_CHANNELS;
+window.MfaService = MfaService;
+window.TotpSetupPanel = TotpSetupPanel;
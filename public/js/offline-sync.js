@@ -0,0 +1,453 @@
+/**
+ * Offline Sync Module
+ * Keeps the table pages usable without a connection. The rows each table last fetched
+ * are cached in IndexedDB and served (filtered and sorted locally) while offline.
+ * Edits made offline are applied locally and queued as serialized Commands; once the
+ * connection returns they are replayed to Supabase in order. A row changed or deleted
+ * on the server in the meantime is reported as a conflict.
+ * Requires core.js (Component) and vendors-core.js (VendorRepository, VendorDataStore,
+ * Command, createCommandFromJSON).
+ */
+
+function isBrowserOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+// supabase-js reports a dropped connection as an error whose message is the fetch TypeError
+function isNetworkError(error) {
+  return !isBrowserOnline() || /failed to fetch|networkerror|load failed|network request failed/i.test(String(error && error.message));
+}
+
+// IndexedDB cache: "rows" holds the last fetched rows per table, "queue" the offline commands
+class OfflineCache {
+  constructor(dbName = 'its_group_offline') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const rows = db.createObjectStore('rows', { keyPath: ['table', 'key'] });
+          rows.createIndex('table', 'table');
+          db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(storeName, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const result = work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async getRows(table) {
+    const entries = await this.run('rows', 'readonly', store => store.index('table').getAll(table));
+    return entries.map(entry => entry.row);
+  }
+
+  // entries: [{ key, row }]
+  putRows(table, entries) {
+    return this.run('rows', 'readwrite', store =>
+      entries.forEach(({ key, row }) => store.put({ table, key: String(key), row })));
+  }
+
+  deleteRows(table, keys) {
+    return this.run('rows', 'readwrite', store => keys.forEach(key => store.delete([table, String(key)])));
+  }
+
+  // Oldest first, so replay keeps the order the changes were made in
+  getQueue() {
+    return this.run('queue', 'readonly', store => store.getAll());
+  }
+
+  // Resolves to the entry's sequence number
+  pushQueue(entry) {
+    return this.run('queue', 'readwrite', store => store.add(entry));
+  }
+
+  deleteQueue(seq) {
+    return this.run('queue', 'readwrite', store => store.delete(seq));
+  }
+}
+
+// DECORATOR over any VendorRepository: fetched rows and successful writes are copied into
+// the cache, and reads fall back to it while offline or when the request cannot get through
+class CachingRepository extends VendorRepository {
+  constructor(inner, cache) {
+    super(inner.primaryKey);
+    this.inner = inner;
+    this.cache = cache;
+  }
+
+  // The wrapped adapter owns the key, so VendorDataStore.setPrimaryKey() reaches it
+  get primaryKey() {
+    return this.inner ? this.inner.primaryKey : undefined;
+  }
+
+  set primaryKey(value) {
+    if (this.inner) this.inner.primaryKey = value;
+  }
+
+  get table() {
+    return this.inner.table;
+  }
+
+  get client() {
+    return this.inner.client;
+  }
+
+  // A failing cache must never fail the write or read it follows
+  remember(rows) {
+    const entries = rows
+      .filter(row => row && row[this.primaryKey] !== undefined && row[this.primaryKey] !== null)
+      .map(row => ({ key: row[this.primaryKey], row }));
+    if (entries.length === 0) return Promise.resolve();
+    return this.cache.putRows(this.table, entries).catch(error => console.warn('Offline cache write failed:', error));
+  }
+
+  forget(ids) {
+    return this.cache.deleteRows(this.table, ids).catch(error => console.warn('Offline cache write failed:', error));
+  }
+
+  async fetchCachedPage(query) {
+    const rows = await this.cache.getRows(this.table);
+    const page = await new InMemoryVendorRepository(rows, this.primaryKey).fetchPage(query);
+    return { ...page, offline: true };
+  }
+
+  async fetchAll() {
+    if (!isBrowserOnline()) return this.cache.getRows(this.table);
+    try {
+      const rows = await this.inner.fetchAll();
+      await this.remember(rows);
+      return rows;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      return this.cache.getRows(this.table);
+    }
+  }
+
+  async fetchPage(query = {}) {
+    if (!isBrowserOnline()) return this.fetchCachedPage(query);
+    try {
+      const page = await this.inner.fetchPage(query);
+      await this.remember(page.rows);
+      return page;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      return this.fetchCachedPage(query);
+    }
+  }
+
+  async insert(record) {
+    const saved = await this.inner.insert(record);
+    await this.remember([saved]);
+    return saved;
+  }
+
+  async update(id, updates, options) {
+    const saved = await this.inner.update(id, updates, options);
+    await this.remember([saved]);
+    return saved;
+  }
+
+  async remove(id, options) {
+    const result = await this.inner.remove(id, options);
+    await this.forget([id]);
+    return result;
+  }
+
+  async insertMany(records) {
+    const saved = await this.inner.insertMany(records);
+    await this.remember(saved);
+    return saved;
+  }
+
+  async updateMany(records) {
+    const saved = await this.inner.updateMany(records);
+    await this.remember(saved);
+    return saved;
+  }
+}
+
+// Commands made offline, in order. CommandHistory hands them over through defer() and
+// withdraw(); replay() writes them through the store's repository when back online.
+class OfflineQueue {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = options;
+    this.cache = options.cache;
+    this.versionColumn = options.versionColumn || 'version';
+    this.entries = [];
+    this.live = new Map();
+    this.syncing = false;
+    this.observers = new Set();
+
+    // Changes queued in an earlier visit sync as soon as the page opens online
+    this.ready = this.cache.getQueue()
+      .then(entries => { this.entries = entries; })
+      .catch(error => console.warn('Could not read the offline queue:', error));
+    this.ready.then(() => {
+      this.notifyObservers();
+      this.replay();
+    });
+
+    window.addEventListener('online', () => this.replay());
+    window.addEventListener('offline', () => this.notifyObservers());
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  isOnline() {
+    return this.options.isOnline ? this.options.isOnline() : isBrowserOnline();
+  }
+
+  get table() {
+    return this.store.repository.table;
+  }
+
+  get pending() {
+    return this.entries.length;
+  }
+
+  // Runs the command locally and queues it. Rows it touched are cached right away, so a
+  // reload while still offline shows them; a new row is keyed by its queue entry until saved.
+  async defer(command) {
+    const changes = [];
+    const unsubscribe = this.store.subscribe((event, data) => changes.push({ event, data }));
+    let result;
+    try {
+      result = await command.execute({ persist: false });
+    } finally {
+      unsubscribe();
+    }
+
+    await this.ready;
+    const entry = { table: this.table, command: command.toJSON(), queuedAt: new Date().toISOString() };
+    entry.seq = await this.cache.pushQueue(entry);
+    this.entries.push(entry);
+    this.live.set(entry.seq, command);
+
+    const primaryKey = this.store.primaryKey;
+    const keyOf = row => row[primaryKey] ?? `pending:${entry.seq}`;
+    const kept = changes.filter(({ event }) => event === 'vendorAdded' || event === 'vendorUpdated');
+    const deleted = changes.filter(({ event, data }) => event === 'vendorDeleted' && data);
+    await Promise.all([
+      kept.length && this.cache.putRows(entry.table, kept.map(({ data }) => ({ key: keyOf(data), row: data }))),
+      deleted.length && this.cache.deleteRows(entry.table, deleted.map(({ data }) => keyOf(data)))
+    ]).catch(error => console.warn('Offline cache write failed:', error));
+
+    this.notifyObservers();
+    return result;
+  }
+
+  // Undo while offline: only a change that is still queued can be taken back
+  async withdraw(command) {
+    const entry = this.entries.find(queued => this.live.get(queued.seq) === command);
+    if (!entry) {
+      throw new Error('That change is already saved - undo it once you are back online');
+    }
+    await command.undo({ persist: false });
+    await this.settle(entry);
+  }
+
+  async settle(entry, replayed = null) {
+    this.entries = this.entries.filter(queued => queued !== entry);
+    const live = this.live.get(entry.seq);
+    this.live.delete(entry.seq);
+    // The history's copy of an offline add learns its key, so undo can find the row
+    if (live instanceof AddVendorCommand && replayed) live.vendor = replayed.vendor;
+    await Promise.all([
+      this.cache.deleteQueue(entry.seq),
+      this.cache.deleteRows(entry.table, [`pending:${entry.seq}`])
+    ]).catch(error => console.warn('Offline cache write failed:', error));
+  }
+
+  // Rows as they were when the command was made offline, and the fields it changes
+  static baselines(command) {
+    if (command instanceof UpdateVendorCommand) {
+      return command.previousState ? [{ row: command.previousState, fields: Object.keys(command.updates) }] : [];
+    }
+    if (command instanceof DeleteVendorCommand) {
+      return command.deletedVendor ? [{ row: command.deletedVendor, fields: Object.keys(command.deletedVendor) }] : [];
+    }
+    if (command instanceof MergeVendorsCommand) {
+      return [command.survivor, ...command.duplicates].map(row => ({ row, fields: Object.keys(row) }));
+    }
+    return [];
+  }
+
+  // 'deleted' or 'changed' when the server row moved on since `local`, else null. The version
+  // column decides when the table has one; otherwise created_at and the fields being changed.
+  static compare(local, remote, fields, versionColumn = 'version') {
+    if (!remote) return 'deleted';
+    const same = field => String(local[field] ?? '') === String(remote[field] ?? '');
+    if (local[versionColumn] !== undefined && local[versionColumn] !== null) {
+      return same(versionColumn) ? null : 'changed';
+    }
+    return ['created_at', ...fields].every(same) ? null : 'changed';
+  }
+
+  async findConflict(command, repository) {
+    const primaryKey = repository.primaryKey;
+    const baselines = OfflineQueue.baselines(command);
+    if (baselines.length === 0) return null;
+
+    const remote = await repository.fetchByIds(baselines.map(({ row }) => row[primaryKey]));
+    for (const { row, fields } of baselines) {
+      const current = remote.find(candidate => String(candidate[primaryKey]) === String(row[primaryKey])) || null;
+      const reason = OfflineQueue.compare(row, current, fields, this.versionColumn);
+      if (reason) return { reason, local: row, remote: current };
+    }
+    return null;
+  }
+
+  // Without a resolver the server's version wins
+  resolveConflict(command, conflict) {
+    return this.options.resolveConflict ? this.options.resolveConflict(command, conflict) : 'theirs';
+  }
+
+  // Replays this table's queued commands, oldest first. A dropped connection stops the run
+  // and leaves the rest queued; a change the server rejects is reported and dropped.
+  async replay() {
+    await this.ready;
+    if (this.syncing || !this.isOnline()) return;
+    const table = this.table;
+    const due = this.entries.filter(entry => entry.table === table);
+    if (due.length === 0) return;
+
+    // The page's store already shows these changes, so they are written through a store of their own
+    const replayStore = new VendorDataStore();
+    replayStore.setRepository(this.store.repository);
+    this.syncing = true;
+    this.notifyObservers();
+
+    let synced = 0;
+    try {
+      for (const entry of due) {
+        const command = createCommandFromJSON(entry.command, replayStore);
+        if (!command) {
+          await this.settle(entry);
+          continue;
+        }
+        const { action, record } = command.describe();
+        try {
+          const conflict = await this.findConflict(command, replayStore.repository);
+          if (conflict && conflict.reason === 'deleted' && command instanceof DeleteVendorCommand) {
+            // Someone else deleted the row too: nothing left to do
+          } else if (conflict && (await this.resolveConflict(command, conflict)) === 'theirs') {
+            this.notify(`Kept the server's version - dropped your offline change: ${action} ${record}`, 'error');
+          } else {
+            await command.execute();
+            synced++;
+          }
+        } catch (error) {
+          if (isNetworkError(error)) break;
+          this.notify(`Could not save your offline change (${action} ${record}): ${error.message}`, 'error');
+        }
+        await this.settle(entry, command);
+      }
+    } finally {
+      this.syncing = false;
+      this.notifyObservers();
+    }
+
+    if (synced) this.notify(`Synced ${synced} offline change${synced === 1 ? '' : 's'}`);
+    if (this.options.onReplayed) this.options.onReplayed({ table, synced });
+  }
+
+  getStatus() {
+    return { online: this.isOnline(), pending: this.pending, syncing: this.syncing };
+  }
+
+  subscribe(observer) {
+    this.observers.add(observer);
+    return () => this.observers.delete(observer);
+  }
+
+  notifyObservers() {
+    this.observers.forEach(observer => observer(this.getStatus()));
+  }
+}
+
+// Fixed pill in the bottom-left corner: offline state and the number of queued changes
+class OfflineStatusBadge extends Component {
+  constructor(queue, options = {}) {
+    const container = document.createElement('div');
+    container.className = 'offline-status';
+    container.style.cssText = `
+      position: fixed;
+      bottom: 60px;
+      left: 30px;
+      z-index: 1400;
+      display: none;
+    `;
+    document.body.appendChild(container);
+
+    super(container, options);
+    this.queue = queue;
+    queue.subscribe(() => this.rendered && this.render());
+  }
+
+  render() {
+    this.removeEventListeners();
+    const { online, pending, syncing } = this.queue.getStatus();
+    const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+    this.container.style.display = online && pending === 0 ? 'none' : 'block';
+
+    let label;
+    let color;
+    if (!online) {
+      label = pending ? `📴 Offline - ${changes} waiting to sync` : '📴 Offline - showing saved data';
+      color = '#7f8c8d';
+    } else if (syncing) {
+      label = `🔄 Syncing ${changes}…`;
+      color = '#2980b9';
+    } else {
+      label = `⏳ ${changes} waiting - click to sync`;
+      color = '#e67e22';
+    }
+
+    this.container.innerHTML = `
+      <button type="button" title="Changes made offline are saved in this browser until they sync"
+        style="background: ${color}; color: white; border: none; border-radius: 20px; padding: 10px 18px; font-weight: 600; font-size: 13px; box-shadow: 0 4px 15px rgba(0,0,0,0.2); cursor: ${online && !syncing ? 'pointer' : 'default'};">
+        ${label}
+      </button>
+    `;
+    this.addEventListener(this.container, 'click', () => {
+      if (online && !syncing) this.queue.replay();
+    });
+  }
+}
+
+// Asks whether a queued change should overwrite the server's newer version of a row
+function confirmOfflineConflict(command, conflict) {
+  const { action, record } = command.describe();
+  const what = conflict.reason === 'deleted' ? 'has since been deleted' : 'has since been changed by someone else';
+  return confirm(
+    `${record} ${what}.\n\nYour offline change: ${action}\n\n` +
+    'OK: apply your change anyway.\nCancel: keep the server\'s version and drop your change.'
+  ) ? 'mine' : 'theirs';
+}
+
+// Make accessible globally
+window.OfflineCache = OfflineCache;
+window.CachingRepository = CachingRepository;
+window.OfflineQueue = OfflineQueue;
+window.OfflineStatusBadge = OfflineStatusBadge;
+window.confirmOfflineConflict = confirmOfflineConflict;
+window.isNetworkError = isNetworkError;
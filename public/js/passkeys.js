@@ -0,0 +1,272 @@
+/**
+ * Passkeys Module
+ * WebAuthn passkeys as the "biometric" sign-in: Face ID, Touch ID, Windows Hello or a
+ * security key. Public keys and challenges live in the database (see the passkeys
+ * migration); the passkey-register Edge Function checks a new passkey before storing its
+ * key, and passkey-login checks the signature and hands back a one-time token that becomes
+ * a Supabase session. Without a real authenticator, Chrome DevTools > More tools >
+ * WebAuthn > "Enable virtual authenticator environment" stands in for one.
+ * Requires core.js (Component) and auth-guard.js (AuthService).
+ */
+
+const PASSKEY_ALGORITHMS = [-7, -257]; // ES256, RS256
+const PASSKEY_TIMEOUT = 60000;
+
+class PasskeyService {
+  // options: { auth, client, credentials }
+  constructor(options = {}) {
+    this.auth = options.auth || AuthService.getInstance();
+    this.client = options.client || this.auth.client;
+    this.credentials = options.credentials || navigator.credentials;
+  }
+
+  static isSupported() {
+    return typeof window.PublicKeyCredential === 'function' && !!navigator.credentials;
+  }
+
+  static encode(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static decode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+  }
+
+  static describeError(error) {
+    if (error.name === 'NotAllowedError') return 'The passkey request was cancelled or timed out.';
+    if (error.name === 'InvalidStateError') return 'This device already has a passkey for your account.';
+    if (error.name === 'SecurityError') return 'Passkeys need HTTPS (or localhost).';
+    return error.message;
+  }
+
+  async rpc(name, params) {
+    const { data, error } = await this.client.rpc(name, params);
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // Wraps navigator.credentials so browser errors read like the rest of the app
+  async ceremony(kind, publicKey) {
+    try {
+      const credential = await this.credentials[kind]({ publicKey });
+      if (!credential) throw new Error('No passkey was selected.');
+      return credential;
+    } catch (error) {
+      throw new Error(PasskeyService.describeError(error));
+    }
+  }
+
+  static descriptors(list) {
+    return (list || []).map(item => ({ type: 'public-key', id: PasskeyService.decode(item.id), transports: item.transports }));
+  }
+
+  // ---- Settings ----
+
+  async list() {
+    const { data, error } = await this.client
+      .from('passkey_credentials')
+      .select('id, name, created_at, last_used_at')
+      .order('created_at');
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async register(name) {
+    const options = await this.rpc('passkey_registration_options');
+    const credential = await this.ceremony('create', {
+      challenge: PasskeyService.decode(options.challenge),
+      rp: { name: 'I.T.S-Group Database' },
+      user: { ...options.user, id: PasskeyService.decode(options.user.id) },
+      pubKeyCredParams: PASSKEY_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+      excludeCredentials: PasskeyService.descriptors(options.excludeCredentials),
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+      attestation: 'none',
+      timeout: PASSKEY_TIMEOUT
+    });
+
+    // The public key is read from the attestation object on the server, not taken from here
+    const { response } = credential;
+    const result = await this.client.functions.invoke('passkey-register', {
+      body: {
+        credentialId: PasskeyService.encode(credential.rawId),
+        clientDataJSON: PasskeyService.encode(response.clientDataJSON),
+        attestationObject: PasskeyService.encode(response.attestationObject),
+        transports: typeof response.getTransports === 'function' ? response.getTransports() : [],
+        name: name || null
+      }
+    });
+    if (result.error) throw new Error(await readFunctionError(result.error, 'The passkey service is unreachable. Please try again later.'));
+    return result.data.id;
+  }
+
+  async rename(id, name) {
+    const { error } = await this.client.from('passkey_credentials').update({ name }).eq('id', id);
+    if (error) throw new Error(error.message);
+  }
+
+  async remove(id) {
+    const { error } = await this.client.from('passkey_credentials').delete().eq('id', id);
+    if (error) throw new Error(error.message);
+  }
+
+  // ---- Sign-in ----
+
+  // Without a username the authenticator offers the passkeys it holds for this site
+  async signIn(username = '') {
+    const options = await this.rpc('passkey_login_options', { username: username || null });
+    const credential = await this.ceremony('get', {
+      challenge: PasskeyService.decode(options.challenge),
+      allowCredentials: PasskeyService.descriptors(options.allowCredentials),
+      userVerification: 'preferred',
+      timeout: PASSKEY_TIMEOUT
+    });
+
+    const { response } = credential;
+    const result = await this.client.functions.invoke('passkey-login', {
+      body: {
+        credentialId: PasskeyService.encode(credential.rawId),
+        clientDataJSON: PasskeyService.encode(response.clientDataJSON),
+        authenticatorData: PasskeyService.encode(response.authenticatorData),
+        signature: PasskeyService.encode(response.signature),
+        userHandle: response.userHandle ? PasskeyService.encode(response.userHandle) : null
+      }
+    });
+    if (result.error) throw new Error(await readFunctionError(result.error, 'The sign-in service is unreachable. Please try again later.'));
+
+    const { data, error } = await this.auth.client.auth.verifyOtp({ token_hash: result.data.tokenHash, type: 'magiclink' });
+    if (error) throw new Error(AuthService.describeError(error));
+    return data.user;
+  }
+}
+
+class PasskeyListPanel extends Component {
+  constructor(container, service, options = {}) {
+    super(container, options);
+    this.service = service;
+    this.state = { loading: true, passkeys: [], busy: false };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  async load() {
+    try {
+      this.setState({ loading: false, passkeys: await this.service.list() });
+    } catch (error) {
+      this.setState({ loading: false });
+      this.notify('Could not load passkeys: ' + error.message, 'error');
+    }
+  }
+
+  async add() {
+    const input = this.container.querySelector('[data-field="name"]');
+    const name = input ? input.value.trim() : '';
+    this.setState({ busy: true });
+    try {
+      await this.service.register(name);
+      this.notify('Passkey added');
+      this.setState({ busy: false, passkeys: await this.service.list() });
+    } catch (error) {
+      this.setState({ busy: false });
+      this.notify(error.message, 'error');
+    }
+  }
+
+  async rename(id) {
+    const passkey = this.state.passkeys.find(item => String(item.id) === String(id));
+    const name = prompt('Passkey name:', passkey.name);
+    if (!name || !name.trim()) return;
+    try {
+      await this.service.rename(passkey.id, name.trim());
+      await this.load();
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+  }
+
+  async remove(id) {
+    const passkey = this.state.passkeys.find(item => String(item.id) === String(id));
+    if (!confirm(`Remove the passkey "${passkey.name}"? It will no longer sign you in.`)) return;
+    try {
+      await this.service.remove(passkey.id);
+      this.notify('Passkey removed');
+      await this.load();
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+  }
+
+  formatTime(timestamp) {
+    if (!timestamp) return 'Never';
+    return new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  renderList() {
+    const { loading, passkeys } = this.state;
+    if (loading) return '<div style="color: #6b7280; padding: 10px 0;">Loading…</div>';
+    if (passkeys.length === 0) return '<div style="color: #6b7280; padding: 10px 0;">No passkeys yet</div>';
+    return passkeys.map(passkey => `
+      <div style="display: flex; align-items: center; gap: 12px; padding: 10px 0; border-top: 1px solid #e2e8f0;">
+        <span>🔑</span>
+        <div style="flex: 1;">
+          <div style="font-weight: 600;">${escapePasskeyText(passkey.name)}</div>
+          <div style="font-size: 12px; color: #6b7280;">
+            Added ${escapePasskeyText(this.formatTime(passkey.created_at))} · Last used ${escapePasskeyText(this.formatTime(passkey.last_used_at))}
+          </div>
+        </div>
+        <button class="btn btn-secondary" data-action="rename" data-id="${escapePasskeyText(passkey.id)}">Rename</button>
+        <button class="btn btn-danger" data-action="remove" data-id="${escapePasskeyText(passkey.id)}">Remove</button>
+      </div>`).join('');
+  }
+
+  render() {
+    this.removeEventListeners();
+    const supported = PasskeyService.isSupported();
+    this.container.innerHTML = `
+      <div class="setting-item">
+        <div class="setting-info">
+          <div class="setting-label">Passkeys</div>
+          <div class="setting-description">Sign in with Face ID, Touch ID, Windows Hello or a security key instead of a password</div>
+        </div>
+        <div style="display: flex; gap: 8px; align-items: center;">
+          ${supported ? `
+            <input type="text" data-field="name" placeholder="Name, e.g. Work laptop" maxlength="60"
+              style="padding: 8px 10px; border: 1px solid #cbd5e1; border-radius: 6px; width: 170px;">
+            <button class="btn btn-primary" data-action="add" ${this.state.busy ? 'disabled' : ''}><span>➕</span> Add passkey</button>`
+          : '<span style="color: #6b7280;">Not supported in this browser</span>'}
+        </div>
+      </div>
+      <div>${this.renderList()}</div>
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      switch (button.dataset.action) {
+        case 'add': return this.add();
+        case 'rename': return this.rename(button.dataset.id);
+        case 'remove': return this.remove(button.dataset.id);
+      }
+    });
+  }
+}
+
+function escapePasskeyText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make accessible globally
+window.PasskeyService = PasskeyService;
+window.PasskeyListPanel = PasskeyListPanel;
@@ -0,0 +1,228 @@
+/**
+ * Realtime Sync Module
+ * Subscribes to Supabase Realtime Postgres changes for one table and merges other
+ * people's inserts, updates and deletes into a VendorDataStore (and so into
+ * VendorAppState) without writing them back. Rows changed remotely are flagged for
+ * highlighting, and an update to a row with unsaved edits asks before replacing them.
+ * Requires vendors-core.js (VendorDataStore, Command) and supabase-js v2.
+ */
+
+// Our own writes come back as change events; for this long they are merged silently
+const REALTIME_ECHO_WINDOW = 10000;
+// How long a row stays highlighted after a remote change
+const REALTIME_HIGHLIGHT_TIME = 15000;
+
+class RealtimeSync {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = options;
+    this.client = options.client || null;
+    this.table = null;
+    this.channel = null;
+    this.applying = false;
+    this.queue = [];
+    this.ownWrites = new Map();
+    this.remoteChanges = new Map();
+
+    // Anything the store reports that we did not apply ourselves is a local change: a
+    // write to remember as an echo, or a reload / save after which queued changes can go
+    store.subscribe((event, data) => {
+      if (this.applying) return;
+      if (data && ['vendorSaved', 'vendorUpdated', 'vendorDeleted'].includes(event)) {
+        this.ownWrites.set(String(data[this.store.primaryKey]), Date.now());
+      }
+      if (this.queue.length) setTimeout(() => this.flush());
+    });
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  start(table) {
+    if (!this.client || table === this.table) return;
+    this.stop();
+    this.table = table;
+    this.channel = this.client
+      .channel(`realtime:${table}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table }, payload => this.handle(payload))
+      .subscribe(status => {
+        if (this.options.onStatus) this.options.onStatus(status);
+      });
+  }
+
+  stop() {
+    if (this.channel) this.client.removeChannel(this.channel);
+    this.channel = null;
+    this.table = null;
+    this.queue = [];
+  }
+
+  static sameValues(local, remote) {
+    return Object.keys(remote).every(field => {
+      const a = local[field];
+      const b = remote[field];
+      if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+      return String(a ?? '') === String(b ?? '');
+    });
+  }
+
+  isEcho(id) {
+    const time = this.ownWrites.get(String(id));
+    return time !== undefined && Date.now() - time < REALTIME_ECHO_WINDOW;
+  }
+
+  wasChangedRemotely(id) {
+    const time = this.remoteChanges.get(String(id));
+    return time !== undefined && Date.now() - time < REALTIME_HIGHLIGHT_TIME;
+  }
+
+  // Stores a remote change without notifying observers: used while the row is on screen
+  // with edits or focus, so re-rendering would throw the user's typing away
+  mergeInPlace(local, remote) {
+    Object.assign(local, remote);
+    if (this.options.patchRow) this.options.patchRow(local[this.store.primaryKey], local);
+  }
+
+  apply(work) {
+    this.applying = true;
+    try {
+      return work();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  // payload: { eventType: 'INSERT' | 'UPDATE' | 'DELETE', new, old }
+  async handle(payload) {
+    const primaryKey = this.store.primaryKey;
+    const record = payload.new || {};
+    const id = payload.eventType === 'DELETE' ? (payload.old || {})[primaryKey] : record[primaryKey];
+    if (id === undefined || id === null) return;
+    const local = this.store.getAllVendors().find(row => String(row[primaryKey]) === String(id));
+
+    if (this.isEcho(id)) {
+      // Keep columns the server filled in (timestamps, defaults) without re-rendering
+      if (payload.eventType === 'UPDATE' && local) Object.assign(local, record);
+      return;
+    }
+    const editState = this.options.getEditState ? this.options.getEditState(id) : null;
+
+    // Changes to other rows would re-render the page over unsaved edits, so they wait for flush()
+    if (!editState && this.options.isBusy && this.options.isBusy()) {
+      this.queue.push(payload);
+      return;
+    }
+
+    if (payload.eventType === 'INSERT') {
+      // Our own insert can arrive before the insert request returns the new id
+      const pending = this.store.getAllVendors().some(row =>
+        (row[primaryKey] === undefined || row[primaryKey] === null) && RealtimeSync.sameValues(record, row)
+      );
+      if (local || pending) return;
+      this.remoteChanges.set(String(id), Date.now());
+      this.apply(() => this.store.addVendor(record, { persist: false }));
+    } else if (payload.eventType === 'UPDATE') {
+      if (!local || RealtimeSync.sameValues(local, record)) return;
+      this.remoteChanges.set(String(id), Date.now());
+      if (editState === 'dirty') {
+        const choice = this.options.resolveConflict
+          ? await this.options.resolveConflict(local, record)
+          : 'mine';
+        if (choice === 'mine') {
+          this.mergeInPlace(local, record);
+          return;
+        }
+      } else if (editState === 'focused') {
+        this.mergeInPlace(local, record);
+        return;
+      }
+      this.apply(() => this.store.updateVendor(local[primaryKey], record, { persist: false }));
+    } else if (payload.eventType === 'DELETE') {
+      if (!local) return;
+      if (editState === 'dirty') {
+        this.notify(`${Command.describeRecord(local, primaryKey)} was deleted by someone else - your edits were discarded`, 'error');
+      }
+      this.apply(() => this.store.deleteVendor(local[primaryKey], { persist: false }));
+    }
+
+    if (this.options.onRemoteChange) this.options.onRemoteChange({ type: payload.eventType, id });
+  }
+
+  // Applies the changes that arrived while the page was busy
+  async flush() {
+    if (this.options.isBusy && this.options.isBusy()) return;
+    const queued = this.queue;
+    this.queue = [];
+    for (const payload of queued) {
+      await this.handle(payload);
+    }
+  }
+}
+
+// ---- Table editor helpers ----
+
+// Marks cells the user has typed in, so their rows count as being edited
+function trackCellEdits(container) {
+  container.addEventListener('input', (e) => {
+    const td = e.target.closest && e.target.closest('td[data-column]');
+    if (td) td.dataset.dirty = 'true';
+  });
+}
+
+// 'dirty' when a row has unsaved edits, 'focused' when the caret is in it, else null
+function getRowEditState(container, id) {
+  const tr = container.querySelector(`tr[data-pk="${CSS.escape(String(id))}"]`);
+  if (!tr) return null;
+  if (tr.querySelector('td[data-dirty]')) return 'dirty';
+  if (tr.contains(document.activeElement)) return 'focused';
+  return null;
+}
+
+// True while any row has unsaved edits or focus, or an unsaved new row is open
+function hasActiveEdits(container) {
+  return Boolean(
+    container.querySelector('td[data-dirty]') ||
+    container.querySelector('tr.new-row:not([data-pk])') ||
+    container.contains(document.activeElement)
+  );
+}
+
+// Writes remote values into the cells the user has not touched and flags the row
+function patchRowCells(container, id, record) {
+  const tr = container.querySelector(`tr[data-pk="${CSS.escape(String(id))}"]`);
+  if (!tr) return;
+  tr.querySelectorAll('td[data-column]').forEach(td => {
+    if (td.dataset.dirty || td.contentEditable !== 'true' || td === document.activeElement) return;
+    td.textContent = record[td.dataset.column] ?? '';
+  });
+  highlightRemoteRow(tr);
+}
+
+function highlightRemoteRow(tr) {
+  tr.style.boxShadow = 'inset 4px 0 0 #f39c12';
+  tr.style.background = 'rgba(243, 156, 18, 0.12)';
+  tr.title = 'Changed by someone else just now';
+}
+
+// Asks whether to load the other person's version of a row with unsaved edits
+function confirmRemoteConflict(local, remote, primaryKey) {
+  const fields = Object.keys(remote).filter(field =>
+    field !== primaryKey && String(local[field] ?? '') !== String(remote[field] ?? '')
+  );
+  const list = fields.slice(0, 5).map(field => `• ${field.replace(/_/g, ' ')}: ${remote[field] ?? '(empty)'}`).join('\n');
+  const more = fields.length > 5 ? `\n…and ${fields.length - 5} more` : '';
+  return confirm(
+    `Someone else just changed ${Command.describeRecord(local, primaryKey)}, which you are editing:\n\n${list}${more}\n\n` +
+    'OK: load their version and discard your unsaved edits.\nCancel: keep editing (fields you have not touched are updated).'
+  ) ? 'theirs' : 'mine';
+}
+
+// Make accessible globally
+window.RealtimeSync = RealtimeSync;
+window.trackCellEdits = trackCellEdits;
+window.getRowEditState = getRowEditState;
+window.hasActiveEdits = hasActiveEdits;
+window.patchRowCells = patchRowCells;
+window.highlightRemoteRow = highlightRemoteRow;
+window.confirmRemoteConflict = confirmRemoteConflict;
@@ -0,0 +1,159 @@
+/**
+ * Saved Views Module
+ * Toolbar for saving, restoring and sharing named filter / sort / column presets,
+ * plus a column visibility picker.
+ * Requires core.js (Component) and vendors-core.js (SavedViewManager).
+ */
+
+class SavedViewsBar extends Component {
+  constructor(container, manager, options = {}) {
+    super(container, options);
+    this.manager = manager;
+    this.state = { selected: '' };
+    this.unsubscribe = manager.subscribe(() => this.rendered && this.render());
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  currentView() {
+    if (!this.state.selected) return null;
+    const [scope, ...rest] = this.state.selected.split(':');
+    return this.manager.get(rest.join(':'), scope === 'shared');
+  }
+
+  save() {
+    const current = this.currentView();
+    const name = prompt('Name this view:', current && !current.shared ? current.name : '');
+    if (!name || !name.trim()) return;
+
+    const view = this.manager.save(name, this.options.getState());
+    this.setState({ selected: `local:${view.name}` });
+    this.notify(`View "${view.name}" saved`);
+  }
+
+  async share() {
+    const view = this.currentView();
+    if (!view || view.shared) {
+      this.notify('Select one of your views to share', 'error');
+      return;
+    }
+    try {
+      await this.manager.share(view.name);
+      this.notify(`View "${view.name}" shared with the team`);
+    } catch (error) {
+      this.notify('Could not share view: ' + error.message, 'error');
+    }
+  }
+
+  async copyLink() {
+    const view = { ...this.options.getState(), name: (this.currentView() || {}).name || '' };
+    const url = `${location.origin}${location.pathname}?${SavedViewManager.toQueryString(view)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      this.notify('Link to this view copied');
+    } catch {
+      prompt('Copy this link:', url);
+    }
+  }
+
+  remove() {
+    const view = this.currentView();
+    if (!view || view.shared) return;
+    if (!confirm(`Delete the view "${view.name}"?`)) return;
+
+    this.manager.remove(view.name);
+    this.setState({ selected: '' });
+  }
+
+  apply(value) {
+    this.setState({ selected: value });
+    const view = this.currentView();
+    if (view) this.options.applyView(view);
+  }
+
+  render() {
+    this.removeEventListeners();
+
+    const views = this.manager.list();
+    const option = (view) => {
+      const value = `${view.shared ? 'shared' : 'local'}:${view.name}`;
+      return `<option value="${escapeViewText(value)}" ${value === this.state.selected ? 'selected' : ''}>${escapeViewText(view.name)}</option>`;
+    };
+    const local = views.filter(view => !view.shared).map(option).join('');
+    const shared = views.filter(view => view.shared).map(option).join('');
+
+    const columns = this.options.getColumns ? this.options.getColumns() : [];
+    const columnItems = columns.map(({ name, visible }) => `
+      <label style="display: block; padding: 4px 10px; white-space: nowrap; cursor: pointer;">
+        <input type="checkbox" data-column="${escapeViewText(name)}" ${visible ? 'checked' : ''}>
+        ${escapeViewText(name.replace(/_/g, ' '))}
+      </label>`).join('');
+
+    const selectedView = this.currentView();
+    const canEdit = selectedView && !selectedView.shared;
+
+    this.container.innerHTML = `
+      <div style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap;">
+        <select data-role="views" style="padding: 8px 10px; border-radius: 8px; border: 2px solid #ecf0f1; font-size: 13px;">
+          <option value="">📑 Saved views</option>
+          ${local ? `<optgroup label="My views">${local}</optgroup>` : ''}
+          ${shared ? `<optgroup label="Shared views">${shared}</optgroup>` : ''}
+        </select>
+        <button class="btn" data-action="save" style="background: #16a085;">💾 Save view</button>
+        ${this.manager.client ? `<button class="btn" data-action="share" style="background: #2980b9;" ${canEdit ? '' : 'disabled'}>☁ Share</button>` : ''}
+        <button class="btn" data-action="link" style="background: #8e44ad;">🔗 Copy link</button>
+        <button class="btn" data-action="delete" style="background: #c0392b;" ${canEdit ? '' : 'disabled'}>🗑</button>
+        ${columns.length ? `
+        <details style="position: relative;">
+          <summary class="btn" style="background: #7f8c8d; list-style: none; cursor: pointer;">▦ Columns</summary>
+          <div style="position: absolute; z-index: 1200; background: white; color: #2c3e50; border-radius: 8px; box-shadow: 0 10px 30px rgba(0,0,0,0.15); max-height: 320px; overflow-y: auto; padding: 6px 0; font-size: 13px;">
+            ${columnItems}
+          </div>
+        </details>` : ''}
+      </div>
+    `;
+
+    const select = this.container.querySelector('[data-role="views"]');
+    this.addEventListener(select, 'change', () => this.apply(select.value));
+
+    this.addEventListener(this.container, 'click', (e) => {
+      const action = e.target.dataset && e.target.dataset.action;
+      if (action === 'save') this.save();
+      if (action === 'share') this.share();
+      if (action === 'link') this.copyLink();
+      if (action === 'delete') this.remove();
+    });
+
+    this.container.querySelectorAll('input[data-column]').forEach(input => {
+      this.addEventListener(input, 'change', () => {
+        if (this.options.onColumnToggle) this.options.onColumnToggle(input.dataset.column, input.checked);
+      });
+    });
+  }
+}
+
+function escapeViewText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Creates the SavedViewManager for one table. Pass a Supabase client to enable
+ * shared views (requires the saved_views table).
+ */
+function createViewManager(table, client = null) {
+  return new SavedViewManager({
+    storage: window.AppCore ? window.AppCore.storage : new LocalStorageManager('its_group'),
+    table,
+    client
+  });
+}
+
+// Make accessible globally
+window.SavedViewsBar = SavedViewsBar;
+window.createViewManager = createViewManager;
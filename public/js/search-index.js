@@ -0,0 +1,467 @@
+/**
+ * Global Search Module
+ * In-browser inverted index over clients, suppliers, hot vendors, services and
+ * warehouse rows, so a record can be found without knowing which page it lives on.
+ * The index is built in batches, cached in IndexedDB and kept fresh from
+ * VendorDataStore events.
+ * Requires core.js (Component, PriorityQueue), vendors-core.js (FuzzySearchStrategy, Command)
+ * and auth-guard.js (createProjectClient and the project URLs and keys).
+ */
+
+// Suppliers and clients live in different Supabase projects
+const SEARCH_PROJECTS = {
+  suppliers: { url: AUTH_SUPABASE_URL, key: AUTH_SUPABASE_KEY },
+  clients: { url: CLIENTS_SUPABASE_URL, key: CLIENTS_SUPABASE_KEY }
+};
+
+const SEARCH_SOURCES = {
+  clients: { label: 'Clients', icon: '👥', project: 'clients', page: 'clients.html' },
+  global_code_duplicate1: { label: 'Suppliers', icon: '📦', project: 'suppliers', page: 'all_suppliers.html', tab: 'vendors' },
+  hot_vendors: { label: 'Hot Vendors', icon: '🔥', project: 'suppliers', page: 'all_suppliers.html', tab: 'hot-vendors' },
+  services: { label: 'Services', icon: '🛠️', project: 'suppliers', page: 'all_suppliers.html', tab: 'services' },
+  warehouse_inventory: { label: 'Warehouse', icon: '🏭', project: 'suppliers', page: 'all_suppliers.html', tab: 'warehouse' }
+};
+
+// IndexedDB cache: one "documents" store for indexed rows, one "meta" store for build progress
+class SearchIndexCache {
+  constructor(dbName = 'its_group_search') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const documents = db.createObjectStore('documents', { keyPath: 'key' });
+          documents.createIndex('source', 'source');
+          db.createObjectStore('meta', { keyPath: 'source' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(storeName, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const result = work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  getAllDocuments() {
+    return this.run('documents', 'readonly', store => store.getAll());
+  }
+
+  putDocuments(documents) {
+    return this.run('documents', 'readwrite', store => documents.forEach(doc => store.put(doc)));
+  }
+
+  deleteDocuments(keys) {
+    return this.run('documents', 'readwrite', store => keys.forEach(key => store.delete(key)));
+  }
+
+  getAllMeta() {
+    return this.run('meta', 'readonly', store => store.getAll());
+  }
+
+  putMeta(meta) {
+    return this.run('meta', 'readwrite', store => store.put(meta));
+  }
+}
+
+// Token -> document keys. Tokens are folded with FuzzySearchStrategy, so accents,
+// Arabic diacritics and transliteration are handled the same way as in fuzzy search.
+class InvertedIndex {
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.sortedTokens = null;
+  }
+
+  static tokenize(text) {
+    return FuzzySearchStrategy.tokens(text);
+  }
+
+  add(doc) {
+    if (this.documents.has(doc.key)) this.remove(doc.key);
+    this.documents.set(doc.key, doc);
+    for (const token of new Set(InvertedIndex.tokenize(doc.text))) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+        this.sortedTokens = null;
+      }
+      this.postings.get(token).add(doc.key);
+    }
+  }
+
+  remove(key) {
+    const doc = this.documents.get(key);
+    if (!doc) return;
+    for (const token of new Set(InvertedIndex.tokenize(doc.text))) {
+      const keys = this.postings.get(token);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.postings.delete(token);
+        this.sortedTokens = null;
+      }
+    }
+    this.documents.delete(key);
+  }
+
+  // All indexed tokens starting with prefix, via binary search over the sorted token list
+  tokensWithPrefix(prefix) {
+    if (!this.sortedTokens) this.sortedTokens = [...this.postings.keys()].sort();
+    const tokens = this.sortedTokens;
+
+    let low = 0;
+    let high = tokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tokens[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < tokens.length && tokens[i].startsWith(prefix); i++) {
+      matches.push(tokens[i]);
+    }
+    return matches;
+  }
+
+  // Every query word must match a token (exactly or as a prefix); exact hits score higher
+  search(query, limit = 50) {
+    const words = InvertedIndex.tokenize(query);
+    if (words.length === 0) return [];
+
+    let scores = null;
+    for (const word of words) {
+      const wordScores = new Map();
+      for (const token of this.tokensWithPrefix(word)) {
+        const weight = token === word ? 2 : 1;
+        for (const key of this.postings.get(token)) {
+          wordScores.set(key, Math.max(wordScores.get(key) || 0, weight));
+        }
+      }
+
+      if (scores === null) {
+        scores = wordScores;
+      } else {
+        const merged = new Map();
+        for (const [key, score] of scores) {
+          if (wordScores.has(key)) merged.set(key, score + wordScores.get(key));
+        }
+        scores = merged;
+      }
+      if (scores.size === 0) return [];
+    }
+
+    // Keep the best `limit` hits with a min-heap
+    const queue = new PriorityQueue((a, b) => a.score - b.score);
+    for (const [key, score] of scores) {
+      queue.push({ key, score });
+      if (queue.size > limit) queue.pop();
+    }
+    const hits = [];
+    while (queue.size > 0) hits.push(queue.pop());
+    return hits.reverse().map(({ key, score }) => ({ ...this.documents.get(key), score }));
+  }
+}
+
+class GlobalSearchIndex {
+  constructor(options = {}) {
+    this.sources = options.sources || SEARCH_SOURCES;
+    this.cache = options.cache || new SearchIndexCache();
+    this.batchSize = options.batchSize || 1000;
+    this.refreshAfter = options.refreshAfter || 12 * 60 * 60 * 1000;
+    this.clients = options.clients || {};
+    this.index = new InvertedIndex();
+    this.meta = new Map();
+    this.observers = new Set();
+    this.building = null;
+  }
+
+  getClient(project) {
+    if (!this.clients[project]) {
+      const { url, key } = SEARCH_PROJECTS[project];
+      const pageClient = window.supabaseClient;
+      this.clients[project] = pageClient && pageClient.supabaseUrl === url
+        ? pageClient
+        : createProjectClient(url, key);
+    }
+    return this.clients[project];
+  }
+
+  static documentKey(source, id) {
+    return `${source}:${id}`;
+  }
+
+  // Title reuses the label the history panel shows; the subtitle is a few other text fields
+  static toDocument(source, row, primaryKey = 'id') {
+    const id = row[primaryKey];
+    const title = Command.describeRecord(row, primaryKey);
+    const values = Object.entries(row)
+      .filter(([column, value]) => column !== primaryKey && typeof value === 'string' && value.trim())
+      .map(([, value]) => value.trim());
+
+    return {
+      key: GlobalSearchIndex.documentKey(source, id),
+      source,
+      id,
+      title,
+      subtitle: values.filter(value => value !== title).slice(0, 3).join(' · '),
+      text: [title, ...values].join(' ')
+    };
+  }
+
+  async load() {
+    try {
+      const [documents, meta] = await Promise.all([this.cache.getAllDocuments(), this.cache.getAllMeta()]);
+      documents.forEach(doc => this.index.add(doc));
+      meta.forEach(entry => this.meta.set(entry.source, entry));
+    } catch (error) {
+      console.warn('Search index cache unavailable:', error);
+    }
+    this.notify();
+  }
+
+  // Resumes unfinished builds and refreshes stale sources, one batch at a time
+  build() {
+    if (!this.building) {
+      this.building = (async () => {
+        for (const source of Object.keys(this.sources)) {
+          const meta = this.meta.get(source);
+          const stale = !meta || !meta.complete || Date.now() - meta.builtAt > this.refreshAfter;
+          if (!stale) continue;
+          try {
+            await this.buildSource(source, meta && !meta.complete ? meta : null);
+          } catch (error) {
+            console.warn(`Search index: could not index ${source}:`, error.message);
+          }
+        }
+      })().finally(() => {
+        this.building = null;
+      });
+    }
+    return this.building;
+  }
+
+  async buildSource(source, resumeFrom = null) {
+    const { project, primaryKey = 'id' } = this.sources[source];
+    const client = this.getClient(project);
+    let offset = resumeFrom ? resumeFrom.offset : 0;
+    const startedAt = resumeFrom ? resumeFrom.startedAt : Date.now();
+
+    while (true) {
+      const { data, error } = await client
+        .from(source)
+        .select('*')
+        .order(primaryKey, { ascending: true })
+        .range(offset, offset + this.batchSize - 1);
+      if (error) throw new Error(error.message);
+
+      const documents = (data || []).map(row => ({ ...GlobalSearchIndex.toDocument(source, row, primaryKey), indexedAt: startedAt }));
+      documents.forEach(doc => this.index.add(doc));
+      offset += documents.length;
+
+      const done = documents.length < this.batchSize;
+      const meta = { source, offset, startedAt, complete: done, builtAt: done ? Date.now() : null };
+      this.meta.set(source, meta);
+      await this.cache.putDocuments(documents);
+      await this.cache.putMeta(meta);
+      this.notify();
+
+      if (done) break;
+    }
+
+    // Rows not seen in this pass were deleted elsewhere
+    const removed = [...this.index.documents.values()]
+      .filter(doc => doc.source === source && doc.indexedAt < startedAt)
+      .map(doc => doc.key);
+    removed.forEach(key => this.index.remove(key));
+    if (removed.length) await this.cache.deleteDocuments(removed);
+  }
+
+  upsert(source, rows, primaryKey = 'id') {
+    if (!this.sources[source]) return;
+    const documents = (Array.isArray(rows) ? rows : [rows])
+      .filter(row => row && row[primaryKey] !== undefined && row[primaryKey] !== null)
+      .map(row => ({ ...GlobalSearchIndex.toDocument(source, row, primaryKey), indexedAt: Date.now() }));
+    if (documents.length === 0) return;
+
+    documents.forEach(doc => this.index.add(doc));
+    this.cache.putDocuments(documents).catch(error => console.warn('Search index cache write failed:', error));
+    this.notify();
+  }
+
+  remove(source, id) {
+    const key = GlobalSearchIndex.documentKey(source, id);
+    this.index.remove(key);
+    this.cache.deleteDocuments([key]).catch(error => console.warn('Search index cache write failed:', error));
+    this.notify();
+  }
+
+  // Keeps the index in step with a page's VendorDataStore. The source is read from the
+  // store's repository at event time, since all_suppliers.html swaps it per tab.
+  watchStore(store) {
+    return store.subscribe((event, data) => {
+      const source = store.repository && store.repository.table;
+      if (!this.sources[source]) return;
+
+      if (event === 'dataLoaded') {
+        this.upsert(source, data, store.primaryKey);
+      } else if (event === 'vendorSaved' || event === 'vendorUpdated') {
+        this.upsert(source, data, store.primaryKey);
+      } else if (event === 'vendorDeleted' && data) {
+        this.remove(source, data[store.primaryKey]);
+      }
+    });
+  }
+
+  static recordUrl(source, id) {
+    const { page, tab } = SEARCH_SOURCES[source];
+    const params = new URLSearchParams();
+    if (tab) params.set('tab', tab);
+    params.set('focus', id);
+    return `${page}?${params.toString()}`;
+  }
+
+  // Results grouped by entity type, in SEARCH_SOURCES order
+  search(query, limitPerSource = 8) {
+    const hits = this.index.search(query, limitPerSource * Object.keys(this.sources).length * 4);
+    return Object.entries(this.sources)
+      .map(([source, { label, icon }]) => ({
+        source,
+        label,
+        icon,
+        results: hits
+          .filter(hit => hit.source === source)
+          .slice(0, limitPerSource)
+          .map(hit => ({ ...hit, url: GlobalSearchIndex.recordUrl(source, hit.id) }))
+      }))
+      .filter(group => group.results.length > 0);
+  }
+
+  isBuilding() {
+    return this.building !== null;
+  }
+
+  subscribe(observer) {
+    this.observers.add(observer);
+    return () => this.observers.delete(observer);
+  }
+
+  notify() {
+    this.observers.forEach(observer => observer(this));
+  }
+}
+
+class GlobalSearchBox extends Component {
+  constructor(container, searchIndex, options = {}) {
+    super(container, options);
+    this.searchIndex = searchIndex;
+    this.state = { query: '', open: false };
+    this.debouncer = new Debouncer();
+    searchIndex.subscribe(() => {
+      if (this.rendered && this.state.open) this.debouncer.debounce('refresh', () => this.renderResults(), 250);
+    });
+  }
+
+  render() {
+    this.removeEventListeners();
+    this.container.style.position = 'relative';
+    this.container.innerHTML = `
+      <input type="search" data-role="query" placeholder="🔎 Search clients, suppliers, services, warehouse..."
+        style="width: 100%; min-width: 260px; padding: 10px 14px; border-radius: 8px; border: 2px solid #ecf0f1; font-size: 14px;">
+      <div data-role="results" style="display: none; position: absolute; top: 100%; left: 0; right: 0; min-width: 320px; max-height: 420px; overflow-y: auto; background: white; color: #2c3e50; border-radius: 8px; box-shadow: 0 10px 30px rgba(0,0,0,0.2); z-index: 1300; margin-top: 4px;"></div>
+    `;
+
+    const input = this.container.querySelector('[data-role="query"]');
+    input.value = this.state.query;
+
+    this.addEventListener(input, 'input', () => {
+      this.state.query = input.value;
+      this.state.open = true;
+      this.debouncer.debounce('search', () => this.renderResults(), 150);
+    });
+    this.addEventListener(input, 'focus', () => {
+      this.state.open = true;
+      this.renderResults();
+    });
+    this.addEventListener(input, 'keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+    this.addEventListener(document, 'click', (e) => {
+      if (!this.container.contains(e.target)) this.close();
+    });
+  }
+
+  close() {
+    this.state.open = false;
+    this.container.querySelector('[data-role="results"]').style.display = 'none';
+  }
+
+  renderResults() {
+    const panel = this.container.querySelector('[data-role="results"]');
+    const query = this.state.query.trim();
+    if (!this.state.open || !query) {
+      panel.style.display = 'none';
+      return;
+    }
+
+    const groups = this.searchIndex.search(query);
+    const status = this.searchIndex.isBuilding()
+      ? `<div style="padding: 8px 14px; font-size: 12px; color: #95a5a6;">Indexing... (${this.searchIndex.index.documents.size} records so far)</div>`
+      : '';
+
+    panel.innerHTML = status + (groups.length === 0
+      ? '<div style="padding: 14px; color: #95a5a6;">No matches</div>'
+      : groups.map(group => `
+        <div style="padding: 8px 14px; font-size: 12px; font-weight: 700; text-transform: uppercase; color: #7f8c8d; background: #f8f9fa;">
+          ${group.icon} ${escapeSearchText(group.label)}
+        </div>
+        ${group.results.map(result => `
+          <a href="${escapeSearchText(result.url)}" style="display: block; padding: 8px 14px; text-decoration: none; color: inherit; border-bottom: 1px solid #ecf0f1;">
+            <div style="font-weight: 600;">${escapeSearchText(result.title)}</div>
+            <div style="font-size: 12px; color: #7f8c8d;">${escapeSearchText(result.subtitle)}</div>
+          </a>`).join('')}
+      `).join(''));
+    panel.style.display = 'block';
+  }
+}
+
+function escapeSearchText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Mounts the global search box into `container`, loads the cached index, starts the
+ * background build and keeps the index in step with the given stores.
+ */
+function initGlobalSearch(container, stores = []) {
+  const searchIndex = new GlobalSearchIndex();
+  stores.forEach(store => searchIndex.watchStore(store));
+
+  const box = new GlobalSearchBox(container, searchIndex);
+  box.mount();
+
+  searchIndex.load().then(() => searchIndex.build());
+  return searchIndex;
+}
+
+// Make accessible globally
+window.GlobalSearchIndex = GlobalSearchIndex;
+window.InvertedIndex = InvertedIndex;
+window.initGlobalSearch = initGlobalSearch;
@@ -0,0 +1,227 @@
+/**
+ * Session Manager Module
+ * One inactivity timeout for every page. The timeout comes from the Session Timeout
+ * setting (localStorage `sessionTimeout`, minutes, 0 = never), and the last activity is
+ * shared through localStorage, so working in one tab keeps the others signed in. A
+ * minute before the timeout a warning dialog counts down; signing out or timing out in
+ * one tab signs out every tab (BroadcastChannel, or storage events where it is missing).
+ * The access token is refreshed while the user is active.
+ * Requires auth-guard.js (AuthService).
+ */
+
+const SESSION_TIMEOUT_KEY = 'sessionTimeout';
+const SESSION_DEFAULT_TIMEOUT = 30; // minutes, the settings page default
+const SESSION_ACTIVITY_KEY = 'its_session_activity';
+const SESSION_EVENT_KEY = 'its_session_event';
+const SESSION_REASON_KEY = 'its_session_logout_reason';
+const SESSION_CHANNEL_NAME = 'its-session';
+const SESSION_WARNING_MS = 60 * 1000;
+const SESSION_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const SESSION_ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'click'];
+
+class SessionManager {
+  static instance = null;
+
+  static getInstance() {
+    if (!SessionManager.instance) {
+      SessionManager.instance = new SessionManager();
+    }
+    return SessionManager.instance;
+  }
+
+  // options: { auth, storage, channel, now, dialog }
+  constructor(options = {}) {
+    this.auth = options.auth || AuthService.getInstance();
+    this.storage = options.storage || localStorage;
+    this.channel = options.channel !== undefined ? options.channel : SessionManager.createChannel();
+    this.now = options.now || (() => Date.now());
+    this.dialog = options.dialog !== false;
+    this.observers = new Set();
+    this.running = false;
+    this.timer = null;
+    this.lastWrite = 0;
+    this.warningShown = false;
+    this.refreshing = false;
+
+    this.handleActivity = () => this.touch();
+    this.handleStorage = (event) => this.onStorage(event);
+    if (this.channel) this.channel.onmessage = (event) => this.onMessage(event.data);
+  }
+
+  static createChannel() {
+    return typeof BroadcastChannel === 'function' ? new BroadcastChannel(SESSION_CHANNEL_NAME) : null;
+  }
+
+  // Why the last tab-wide sign-out happened ('timeout' or 'signout'); read once by the login page
+  static takeLogoutReason() {
+    const reason = sessionStorage.getItem(SESSION_REASON_KEY);
+    sessionStorage.removeItem(SESSION_REASON_KEY);
+    return reason;
+  }
+
+  getTimeoutMinutes() {
+    const minutes = parseInt(this.storage.getItem(SESSION_TIMEOUT_KEY), 10);
+    return Number.isNaN(minutes) || minutes < 0 ? SESSION_DEFAULT_TIMEOUT : minutes;
+  }
+
+  // Called by the settings page; other tabs pick it up on their next tick
+  setTimeoutMinutes(minutes) {
+    this.storage.setItem(SESSION_TIMEOUT_KEY, String(minutes));
+    this.touch(true);
+    if (this.running) this.tick();
+  }
+
+  lastActivity() {
+    return Number(this.storage.getItem(SESSION_ACTIVITY_KEY)) || this.now();
+  }
+
+  // Activity is written at most every few seconds; mousemove fires far more often
+  touch(force = false) {
+    const now = this.now();
+    if (!force && now - this.lastWrite < 5000) return;
+    this.lastWrite = now;
+    this.storage.setItem(SESSION_ACTIVITY_KEY, String(now));
+    if (this.warningShown) this.hideWarning();
+  }
+
+  // Milliseconds until the timeout; Infinity when it is turned off
+  remaining() {
+    const minutes = this.getTimeoutMinutes();
+    if (minutes === 0) return Infinity;
+    return minutes * 60 * 1000 - (this.now() - this.lastActivity());
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.touch(true);
+    SESSION_ACTIVITY_EVENTS.forEach(event => document.addEventListener(event, this.handleActivity, { passive: true }));
+    window.addEventListener('storage', this.handleStorage);
+    this.timer = setInterval(() => this.tick(), 1000);
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    SESSION_ACTIVITY_EVENTS.forEach(event => document.removeEventListener(event, this.handleActivity));
+    window.removeEventListener('storage', this.handleStorage);
+    this.hideWarning();
+  }
+
+  tick() {
+    const remaining = this.remaining();
+    if (remaining <= 0) {
+      this.logout('timeout');
+    } else if (remaining <= SESSION_WARNING_MS) {
+      this.showWarning(Math.ceil(remaining / 1000));
+    } else {
+      if (this.warningShown) this.hideWarning();
+      this.refreshIfNeeded();
+    }
+  }
+
+  async refreshIfNeeded(force = false) {
+    const session = this.auth.session;
+    if (!session || !session.expires_at || this.refreshing) return;
+    if (!force && session.expires_at * 1000 - this.now() > SESSION_REFRESH_MARGIN_MS) return;
+    this.refreshing = true;
+    try {
+      const { error } = await this.auth.client.auth.refreshSession();
+      if (error) console.warn('Could not refresh the session:', error.message);
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  stayLoggedIn() {
+    this.touch(true);
+    this.refreshIfNeeded(true);
+  }
+
+  // Signs this tab out and tells the others to do the same
+  async logout(reason = 'signout') {
+    if (!this.running) return;
+    this.stop();
+    this.post({ type: 'logout', reason });
+    await this.endLocalSession(reason);
+  }
+
+  async endLocalSession(reason) {
+    sessionStorage.setItem(SESSION_REASON_KEY, reason);
+    this.observers.forEach(observer => observer('logout', reason));
+    try {
+      await this.auth.signOut();
+    } catch (error) {
+      console.warn('Sign out failed:', error.message);
+    }
+  }
+
+  post(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+    } else {
+      // storage events reach the other tabs only; the timestamp makes every write a change
+      this.storage.setItem(SESSION_EVENT_KEY, JSON.stringify({ ...message, at: this.now() }));
+    }
+  }
+
+  onMessage(message) {
+    if (!this.running || !message || message.type !== 'logout') return;
+    this.stop();
+    this.endLocalSession(message.reason);
+  }
+
+  onStorage(event) {
+    if (event.key === SESSION_EVENT_KEY && event.newValue) {
+      this.onMessage(JSON.parse(event.newValue));
+    } else if (event.key === AUTH_STORAGE_KEY && !event.newValue) {
+      // Signed out by a page without this module, or the token was cleared
+      this.onMessage({ type: 'logout', reason: 'signout' });
+    }
+  }
+
+  showWarning(seconds) {
+    this.warningShown = true;
+    this.observers.forEach(observer => observer('warning', seconds));
+    if (!this.dialog) return;
+
+    let overlay = document.getElementById('sessionWarning');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'sessionWarning';
+      overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0, 0, 0, 0.7); display: flex; justify-content: center; align-items: center; z-index: 50000;';
+      overlay.innerHTML = `
+        <div style="background: linear-gradient(135deg, #2c3e50 0%, #1a252f 100%); border-radius: 20px; padding: 40px; text-align: center; max-width: 400px; box-shadow: 0 25px 50px rgba(0, 0, 0, 0.5), 0 0 0 1px rgba(243, 156, 18, 0.3); font-family: inherit;">
+          <div style="font-size: 60px; margin-bottom: 15px;">⚠️</div>
+          <div style="color: #f39c12; font-size: 24px; font-weight: 600; margin-bottom: 10px;">Session Expiring Soon</div>
+          <div style="color: rgba(255, 255, 255, 0.8); font-size: 15px; margin-bottom: 25px; line-height: 1.5;">
+            You will be logged out in <span data-countdown style="color: #e74c3c; font-weight: 700; font-size: 18px;"></span> seconds due to inactivity.
+          </div>
+          <button type="button" style="background: linear-gradient(135deg, #27ae60 0%, #1e8449 100%); color: white; border: none; padding: 15px 40px; border-radius: 30px; font-size: 16px; font-weight: 600; cursor: pointer; box-shadow: 0 5px 20px rgba(39, 174, 96, 0.4);">Stay Logged In</button>
+        </div>`;
+      overlay.querySelector('button').addEventListener('click', () => this.stayLoggedIn());
+      document.body.appendChild(overlay);
+    }
+    overlay.style.display = 'flex';
+    overlay.querySelector('[data-countdown]').textContent = seconds;
+  }
+
+  hideWarning() {
+    if (!this.warningShown) return;
+    this.warningShown = false;
+    this.observers.forEach(observer => observer('active'));
+    const overlay = document.getElementById('sessionWarning');
+    if (overlay) overlay.style.display = 'none';
+  }
+
+  // observer(event, detail): 'warning' (seconds left), 'active', 'logout' ('timeout' or 'signout')
+  subscribe(observer) {
+    this.observers.add(observer);
+    return () => this.observers.delete(observer);
+  }
+}
+
+// Make accessible globally
+window.SessionManager = SessionManager;
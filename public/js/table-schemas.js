@@ -0,0 +1,142 @@
+/**
+ * Table Schemas Module
+ * Declarative validation schema per Supabase table, turned into Validator rules,
+ * plus the inline error markers the table editors show on offending cells.
+ * Requires vendors-core.js (Validator).
+ *
+ * Only the columns a record actually holds are checked, so a schema can list
+ * columns that some tables or views do not have.
+ */
+
+const CONTACT_FIELDS = {
+  phone: { format: 'phone' },
+  mobile: { format: 'phone' },
+  email: { format: 'email' },
+  website: { format: 'url' }
+};
+
+const CLIENT_CATEGORIES = ['Consultants', 'Developers', 'Construction Companies', 'Hotels', 'Clubs', 'Individuals', 'Others', 'Unknown'];
+
+const HOT_VENDORS_SCHEMA = {
+  fields: {
+    ...CONTACT_FIELDS,
+    vendor_name: { label: 'Vendor name', required: true, maxLength: 200 },
+    contact_person: { maxLength: 120 },
+    rating: { type: 'number', min: 0, max: 5 },
+    status: { enum: ['active', 'inactive', 'pending'] }
+  }
+};
+
+const TABLE_SCHEMAS = {
+  clients: {
+    fields: {
+      ...CONTACT_FIELDS,
+      name: { maxLength: 120 },
+      company: { maxLength: 200 },
+      category: { enum: CLIENT_CATEGORIES },
+      registration_date: { type: 'date' }
+    },
+    rules: [
+      {
+        fields: ['name', 'company'],
+        message: 'Enter a client name or a company',
+        check: record => Boolean(String(record.name ?? '').trim() || String(record.company ?? '').trim())
+      }
+    ]
+  },
+  global_code_duplicate1: {
+    fields: {
+      ...CONTACT_FIELDS,
+      company: { required: true, maxLength: 200 },
+      color_hex: { label: 'Color hex', format: 'hex-color' },
+      product_code: { maxLength: 50 }
+    },
+    rules: [
+      {
+        fields: ['color_hex', 'color_name'],
+        message: 'A color with a hex code needs a color name',
+        check: record => !String(record.color_hex ?? '').trim() || Boolean(String(record.color_name ?? '').trim())
+      }
+    ]
+  },
+  hot_vendors: HOT_VENDORS_SCHEMA,
+  'hot_vendors🔥🔥🔥': HOT_VENDORS_SCHEMA,
+  services: {
+    fields: { ...CONTACT_FIELDS }
+  },
+  warehouse_inventory: {
+    fields: {
+      quantity: { type: 'number', min: 0 },
+      color_hex: { label: 'Color hex', format: 'hex-color' }
+    }
+  }
+};
+
+const tableValidators = new Map();
+
+function getTableValidator(table) {
+  if (!tableValidators.has(table)) {
+    tableValidators.set(table, Validator.fromSchema(TABLE_SCHEMAS[table]));
+  }
+  return tableValidators.get(table);
+}
+
+// Outlines invalid cells in red with the message as a tooltip; typing in a cell clears its marker
+function markInvalidCells(tr, errors) {
+  tr.querySelectorAll('td[data-column]').forEach(td => {
+    const message = errors[td.dataset.column];
+    td.style.outline = message ? '2px solid #e74c3c' : '';
+    td.style.outlineOffset = message ? '-2px' : '';
+    if (message) {
+      td.dataset.error = message;
+      td.title = message;
+    } else if (td.dataset.error) {
+      delete td.dataset.error;
+      td.removeAttribute('title');
+    }
+
+    if (message && !td.dataset.validationBound) {
+      td.dataset.validationBound = 'true';
+      const clear = () => markInvalidCells(tr, { ...collectErrors(tr), [td.dataset.column]: null });
+      td.addEventListener('input', clear);
+      td.addEventListener('change', clear);
+    }
+  });
+}
+
+function collectErrors(tr) {
+  const errors = {};
+  tr.querySelectorAll('td[data-error]').forEach(td => {
+    errors[td.dataset.column] = td.dataset.error;
+  });
+  return errors;
+}
+
+/**
+ * Validates a row from a table editor and marks its invalid cells.
+ * Pass the stored record as `previous` for edits: only changed fields are checked,
+ * so existing bad data in other cells does not block a save.
+ * Returns { valid, errors, summary }.
+ */
+function validateEditorRow(tr, table, record, previous = null) {
+  const merged = previous ? { ...previous, ...record } : record;
+  const fields = Object.keys(record).filter(field =>
+    !previous || String(previous[field] ?? '') !== String(record[field] ?? '')
+  );
+
+  const { valid, errors } = getTableValidator(table).validateRecord(merged, fields);
+  markInvalidCells(tr, errors);
+
+  const messages = Object.values(errors);
+  const summary = valid ? '' : `Please fix: ${messages[0]}${messages.length > 1 ? ` (+${messages.length - 1} more)` : ''}`;
+  if (!valid) {
+    const firstInvalid = tr.querySelector('td[data-error]');
+    if (firstInvalid && firstInvalid.isContentEditable) firstInvalid.focus();
+  }
+  return { valid, errors, summary };
+}
+
+// Make accessible globally
+window.TABLE_SCHEMAS = TABLE_SCHEMAS;
+window.getTableValidator = getTableValidator;
+window.validateEditorRow = validateEditorRow;
@@ -0,0 +1,373 @@
+/**
+ * User Admin Module
+ * User administration for settings.html: invite, edit profile and role, reset
+ * password, deactivate and force logout. Accounts are the Supabase Auth users that
+ * index.html signs in against; new accounts are made by the create-user Edge Function
+ * and changes to other accounts go through the admin_* database functions. Both check
+ * the caller is an admin and write each change to audit_log (table "users").
+ * Requires core.js (Component), vendors-core.js (AuditLog, PhoneNumber), auth-guard.js (AuthService)
+ * and access-control.js (ROLES).
+ */
+
+const USER_AUDIT_TABLE = 'users';
+const USER_USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,}$/;
+// No look-alike characters, so a temporary password can be read out or typed from a note
+const USER_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+class UserAdminService {
+  constructor({ auth = AuthService.getInstance(), client = null, auditLog = null } = {}) {
+    this.auth = auth;
+    this.client = client || auth.client;
+    this.auditLog = auditLog || new AuditLog({ client: this.client });
+  }
+
+  static generatePassword(length = 12) {
+    const values = new Uint32Array(length);
+    crypto.getRandomValues(values);
+    return Array.from(values, value => USER_PASSWORD_ALPHABET[value % USER_PASSWORD_ALPHABET.length]).join('');
+  }
+
+  async call(name, params) {
+    const { data, error } = await this.client.rpc(name, params);
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async list() {
+    return (await this.call('admin_list_users')) || [];
+  }
+
+  // Creates the account with a temporary password for the admin to hand over
+  async invite({ username, fullName, email, phone, role }) {
+    if (!USER_USERNAME_PATTERN.test(username || '')) {
+      throw new Error('Usernames need at least 3 letters, digits, dots, dashes or underscores.');
+    }
+    if (!ROLES[role]) throw new Error(`Unknown role: ${role}`);
+    const password = UserAdminService.generatePassword();
+    const user = await this.auth.createAccount(username, password, {
+      fullName: fullName || null,
+      email: email || null,
+      phone: UserAdminService.toWhatsAppNumber(phone),
+      role
+    });
+    return { user, password };
+  }
+
+  async update(id, { fullName, email, phone, role }) {
+    await this.call('admin_update_user', {
+      target: id,
+      full_name: fullName || null,
+      contact_email: email || null,
+      new_role: role,
+      phone: UserAdminService.toWhatsAppNumber(phone)
+    });
+  }
+
+  // Codes go out through the WhatsApp Cloud API, which needs the country code
+  static toWhatsAppNumber(phone) {
+    if (!phone) return null;
+    return PhoneNumber.toE164(phone) || phone;
+  }
+
+  // Returns the new temporary password; the user is signed out everywhere
+  async resetPassword(id) {
+    const password = UserAdminService.generatePassword();
+    await this.call('admin_set_password', { target: id, password });
+    return password;
+  }
+
+  async setActive(id, active) {
+    await this.call('admin_set_active', { target: id, active });
+  }
+
+  async signOut(id) {
+    await this.call('admin_sign_out_user', { target: id });
+  }
+
+  async history(id, limit = 20) {
+    const { rows } = await this.auditLog.fetch({ table: USER_AUDIT_TABLE, recordId: id, limit });
+    return rows;
+  }
+}
+
+class UserAdminPanel extends Component {
+  constructor(container, service, options = {}) {
+    super(container, options);
+    this.service = service;
+    this.state = { users: [], loading: false, error: null, form: null, history: null, secret: null };
+  }
+
+  notify(message, type = 'success') {
+    if (this.options.notify) this.options.notify(message, type);
+  }
+
+  async load() {
+    this.setState({ loading: true, error: null });
+    try {
+      this.setState({ users: await this.service.list(), loading: false });
+    } catch (error) {
+      this.setState({ users: [], loading: false, error: error.message });
+    }
+  }
+
+  findUser(id) {
+    return this.state.users.find(user => user.id === id);
+  }
+
+  // Runs one admin action, reports it and reloads the list
+  async run(work, message) {
+    try {
+      await work();
+      this.notify(message);
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+    await this.load();
+  }
+
+  openInvite() {
+    this.setState({ form: { mode: 'invite', username: '', fullName: '', email: '', phone: '', role: 'read-only' }, history: null, secret: null });
+  }
+
+  openEdit(id) {
+    const user = this.findUser(id);
+    this.setState({
+      form: { mode: 'edit', id, username: user.username, fullName: user.full_name || '', email: user.contact_email || '', phone: user.phone || '', role: user.role || 'read-only' },
+      history: null,
+      secret: null
+    });
+  }
+
+  readForm() {
+    const field = name => this.container.querySelector(`[data-field="${name}"]`);
+    return {
+      ...this.state.form,
+      username: field('username') ? field('username').value.trim() : this.state.form.username,
+      fullName: field('fullName').value.trim(),
+      email: field('email').value.trim(),
+      phone: field('phone').value.trim(),
+      role: field('role').value
+    };
+  }
+
+  async saveForm() {
+    const form = this.readForm();
+    if (form.mode === 'invite') {
+      try {
+        const { password } = await this.service.invite(form);
+        this.setState({ form: null, secret: { username: form.username, password } });
+        this.notify(`${form.username} was invited`);
+      } catch (error) {
+        this.setState({ form });
+        this.notify(error.message, 'error');
+        return;
+      }
+      await this.load();
+    } else {
+      this.setState({ form: null });
+      await this.run(() => this.service.update(form.id, form), `${form.username} was updated`);
+    }
+  }
+
+  async resetPassword(id) {
+    const user = this.findUser(id);
+    if (!confirm(`Give ${user.username} a new temporary password? They will be signed out everywhere.`)) return;
+    try {
+      const password = await this.service.resetPassword(id);
+      this.setState({ secret: { username: user.username, password }, form: null, history: null });
+      this.notify(`${user.username}'s password was reset`);
+    } catch (error) {
+      this.notify(error.message, 'error');
+    }
+    await this.load();
+  }
+
+  async toggleActive(id) {
+    const user = this.findUser(id);
+    const active = user.status === 'deactivated';
+    if (!active && !confirm(`Deactivate ${user.username}? They will be signed out and cannot sign in until reactivated.`)) return;
+    await this.run(() => this.service.setActive(id, active), `${user.username} was ${active ? 'reactivated' : 'deactivated'}`);
+  }
+
+  async forceSignOut(id) {
+    const user = this.findUser(id);
+    if (!confirm(`Sign ${user.username} out on every device?`)) return;
+    await this.run(() => this.service.signOut(id), `${user.username} was signed out everywhere`);
+  }
+
+  async showHistory(id) {
+    const user = this.findUser(id);
+    try {
+      this.setState({ history: { user, rows: await this.service.history(id) }, form: null, secret: null });
+    } catch (error) {
+      this.notify('Could not load the audit trail: ' + error.message, 'error');
+    }
+  }
+
+  formatTime(timestamp) {
+    if (!timestamp) return 'Never';
+    return new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  renderRow(user) {
+    const id = escapeUserText(user.id);
+    const statusClass = user.status === 'deactivated' ? 'inactive' : user.status;
+    return `
+      <tr>
+        <td style="display: flex; align-items: center; gap: 10px;">
+          <div class="user-avatar-small">${escapeUserText((user.full_name || user.username || '?').charAt(0).toUpperCase())}</div>
+          ${escapeUserText(user.full_name || '')}
+        </td>
+        <td>${escapeUserText(user.username)}</td>
+        <td>
+          ${escapeUserText(user.contact_email || '')}
+          ${user.phone ? `<div style="font-size: 12px; color: #6b7280;">📱 ${escapeUserText(user.phone)}</div>` : ''}
+        </td>
+        <td><span class="role-badge ${user.role === 'admin' ? 'admin' : 'user'}">${escapeUserText(AccessControl.labelOf(user.role))}</span></td>
+        <td><span class="status-badge ${statusClass}" title="${user.sessions} active session(s)">${escapeUserText(user.status)}</span></td>
+        <td>${user.status === 'invited' ? 'Never' : this.formatTime(user.last_sign_in_at)}</td>
+        <td>${user.mfa_enabled ? '🔐 On' : 'Off'}</td>
+        <td>
+          <div class="table-actions">
+            <button class="edit-btn" data-action="edit" data-id="${id}">✏️ Edit</button>
+            <button class="edit-btn" data-action="reset" data-id="${id}">🔑 Reset password</button>
+            <button class="edit-btn" data-action="signout" data-id="${id}" ${user.sessions > 0 ? '' : 'disabled'}>🚪 Log out</button>
+            ${user.status === 'deactivated'
+              ? `<button class="edit-btn" data-action="toggle" data-id="${id}">▶ Reactivate</button>`
+              : `<button class="delete-btn" data-action="toggle" data-id="${id}">⏸ Deactivate</button>`}
+            <button class="edit-btn" data-action="history" data-id="${id}">🕘 History</button>
+          </div>
+        </td>
+      </tr>`;
+  }
+
+  renderForm() {
+    const { form } = this.state;
+    const roleOptions = Object.entries(ROLES).map(([role, label]) =>
+      `<option value="${role}" ${role === form.role ? 'selected' : ''}>${escapeUserText(label)}</option>`
+    ).join('');
+    const input = (name, value, placeholder, type = 'text') =>
+      `<input type="${type}" data-field="${name}" value="${escapeUserText(value)}" placeholder="${placeholder}"
+        style="padding: 8px 10px; border: 1px solid #cbd5e1; border-radius: 6px; min-width: 180px;">`;
+    return `
+      <div style="margin-top: 15px; padding: 15px; border: 1px solid #e2e8f0; border-radius: 8px;">
+        <strong>${form.mode === 'invite' ? '➕ Invite user' : `✏️ Edit ${escapeUserText(form.username)}`}</strong>
+        <div style="display: flex; flex-wrap: wrap; gap: 10px; margin-top: 10px;">
+          ${form.mode === 'invite' ? input('username', form.username, 'Username') : ''}
+          ${input('fullName', form.fullName, 'Full name')}
+          ${input('email', form.email, 'Contact email', 'email')}
+          ${input('phone', form.phone, 'WhatsApp number', 'tel')}
+          <select data-field="role" style="padding: 8px 10px; border: 1px solid #cbd5e1; border-radius: 6px;">${roleOptions}</select>
+        </div>
+        <div class="btn-group" style="margin-top: 12px;">
+          <button class="btn btn-primary" data-action="save">${form.mode === 'invite' ? 'Invite' : 'Save'}</button>
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+        </div>
+      </div>`;
+  }
+
+  renderSecret() {
+    const { username, password } = this.state.secret;
+    return `
+      <div style="margin-top: 15px; padding: 15px; border: 1px solid #fcd34d; background: #fffbeb; color: #92400e; border-radius: 8px;">
+        Temporary password for <strong>${escapeUserText(username)}</strong>:
+        <code style="font-size: 15px; padding: 2px 8px; background: white; border-radius: 4px;">${escapeUserText(password)}</code>
+        <button class="btn btn-secondary" data-action="copy" style="padding: 4px 10px; margin-left: 8px;">Copy</button>
+        <button class="btn btn-secondary" data-action="dismiss" style="padding: 4px 10px;">Done</button>
+        <div style="font-size: 12px; margin-top: 6px;">It is shown only once. Hand it over privately.</div>
+      </div>`;
+  }
+
+  renderHistory() {
+    const { user, rows } = this.state.history;
+    const items = rows.map(entry => {
+      const changes = Object.entries(entry.changes || {}).map(([field, { from, to }]) =>
+        `${escapeUserText(field.replace(/_/g, ' '))}: ${escapeUserText(from ?? '(empty)')} → ${escapeUserText(to ?? '(empty)')}`
+      ).join('<br>');
+      return `
+        <li style="padding: 8px 0; border-bottom: 1px solid #e2e8f0;">
+          <div><strong>${escapeUserText(entry.action === 'insert' ? 'Invited' : 'Changed')}</strong>
+            by ${escapeUserText(entry.actor)} · <span style="color: #6b7280;">${this.formatTime(entry.created_at)}</span></div>
+          <div style="font-size: 12px; color: #475569;">${changes}</div>
+        </li>`;
+    }).join('');
+    return `
+      <div style="margin-top: 15px; padding: 15px; border: 1px solid #e2e8f0; border-radius: 8px;">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <strong>🕘 Audit trail for ${escapeUserText(user.username)}</strong>
+          <button class="btn btn-secondary" data-action="dismiss" style="padding: 4px 10px;">Close</button>
+        </div>
+        <ul style="list-style: none; margin: 10px 0 0; padding: 0;">
+          ${items || '<li style="color: #9ca3af;">No recorded changes</li>'}
+        </ul>
+      </div>`;
+  }
+
+  render() {
+    this.removeEventListeners();
+    const { users, loading, error, form, history, secret } = this.state;
+
+    let body;
+    if (loading) body = '<tr class="empty-row"><td colspan="8">Loading users…</td></tr>';
+    else if (error) body = `<tr class="empty-row"><td colspan="8">${escapeUserText(error)}</td></tr>`;
+    else if (users.length === 0) body = '<tr class="empty-row"><td colspan="8">No users found. Click "Invite User" to create one.</td></tr>';
+    else body = users.map(user => this.renderRow(user)).join('');
+
+    this.container.innerHTML = `
+      <table class="users-table">
+        <thead>
+          <tr>
+            <th>User</th>
+            <th>Username</th>
+            <th>Email</th>
+            <th>Role</th>
+            <th>Status</th>
+            <th>Last Login</th>
+            <th>MFA</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+      ${secret ? this.renderSecret() : ''}
+      ${form ? this.renderForm() : ''}
+      ${history ? this.renderHistory() : ''}
+      <button class="btn btn-primary add-user-btn" data-action="invite">
+        <span>➕</span> Invite User
+      </button>
+    `;
+
+    this.addEventListener(this.container, 'click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button || button.disabled) return;
+      const id = button.dataset.id;
+      switch (button.dataset.action) {
+        case 'invite': return this.openInvite();
+        case 'edit': return this.openEdit(id);
+        case 'save': return this.saveForm();
+        case 'cancel': return this.setState({ form: null });
+        case 'reset': return this.resetPassword(id);
+        case 'signout': return this.forceSignOut(id);
+        case 'toggle': return this.toggleActive(id);
+        case 'history': return this.showHistory(id);
+        case 'dismiss': return this.setState({ secret: null, history: null });
+        case 'copy':
+          return navigator.clipboard.writeText(secret.password)
+            .then(() => this.notify('Password copied'))
+            .catch(() => this.notify('Could not copy - select the password instead', 'error'));
+      }
+    });
+  }
+}
+
+function escapeUserText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make accessible globally
+window.UserAdminService = UserAdminService;
+window.UserAdminPanel = UserAdminPanel;
@@ -1,7 +1,7 @@
 /**
  * Vendors Management System - Core Architecture
  * Implements: OOP, Design Patterns, Data Structures, Algorithms
- * Patterns: Strategy, Observer, Singleton, Factory, Command
+ * Patterns: Strategy, Observer, Singleton, Factory, Command, Composite, Memento
  */
 
 // ==================== DESIGN PATTERNS ====================
@@ -42,44 +42,270 @@ class RegexSearchStrategy extends SearchStrategy {
   }
 }
 
+// Typo-tolerant matching. Text is folded (case, Latin accents, Arabic diacritics and
+// letter variants, spacing) and Arabic is transliterated, so "Jotn", "jo tun" and
+// "جوتن" all score against "Jotun". score() returns 0..1; match() applies the threshold.
+const ARABIC_TO_LATIN = {
+  'ا': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh', 'د': 'd',
+  'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't',
+  'ظ': 'z', 'ع': 'a', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm',
+  'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y', 'ء': ''
+};
+
+class FuzzySearchStrategy extends SearchStrategy {
+  constructor(threshold = 0.75) {
+    super();
+    this.threshold = threshold;
+  }
+  
+  static fold(text) {
+    return String(text ?? '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')              // Latin accents
+      .replace(/[\u064b-\u065f\u0670\u0640]/g, '')   // Arabic tashkeel and tatweel
+      .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // alef variants
+      .replace(/\u0629/g, '\u0647')                   // teh marbuta -> heh
+      .replace(/\u0649/g, '\u064a')                   // alef maksura -> yeh
+      .replace(/\u0624/g, '\u0648')                   // waw with hamza
+      .replace(/\u0626/g, '\u064a')                   // yeh with hamza
+      .replace(/(^|\s)\u0627\u0644/g, '$1al ')          // split off the article: الفطيم -> al ftym
+      .replace(/[\u0600-\u06ff]/g, ch => ARABIC_TO_LATIN[ch] ?? ch)
+      .toLowerCase();
+  }
+  
+  static tokens(text) {
+    return FuzzySearchStrategy.fold(text).split(/[^a-z0-9\u00c0-\u024f]+/).filter(Boolean);
+  }
+  
+  // Consonant skeleton, so vowel spellings of transliterated names line up (jotun / jwtn -> jtn)
+  static skeleton(text) {
+    return text.replace(/[aeiouwy]/g, '').replace(/q|c(?!h)/g, 'k').replace(/(.)\1+/g, '$1');
+  }
+  
+  static levenshtein(a, b) {
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+  
+  // 1 - edit distance / longer length, on lowercased trimmed strings
+  static similarity(a, b) {
+    if (!a || !b) return 0;
+    a = String(a).toLowerCase().trim();
+    b = String(b).toLowerCase().trim();
+    if (a === b) return 1;
+    
+    const maxLen = Math.max(a.length, b.length);
+    if (maxLen === 0) return 1;
+    return 1 - FuzzySearchStrategy.levenshtein(a, b) / maxLen;
+  }
+  
+  score(value, searchTerm) {
+    const valueTokens = FuzzySearchStrategy.tokens(value);
+    const termTokens = FuzzySearchStrategy.tokens(searchTerm);
+    if (valueTokens.length === 0 || termTokens.length === 0) return 0;
+    
+    const compactValue = valueTokens.join('');
+    const compactTerm = termTokens.join('');
+    if (compactValue === compactTerm) return 1;
+    if (compactValue.startsWith(compactTerm)) return 0.95;
+    if (compactValue.includes(compactTerm)) return 0.9;
+    
+    // Each search word is scored against its best-matching word in the value
+    const wordScores = termTokens.map(term => {
+      let best = 0;
+      for (const word of valueTokens) {
+        let s = FuzzySearchStrategy.similarity(word, term);
+        if (word.startsWith(term) && term.length >= 3) s = Math.max(s, 0.85);
+        const wordSkeleton = FuzzySearchStrategy.skeleton(word);
+        const termSkeleton = FuzzySearchStrategy.skeleton(term);
+        if (termSkeleton.length >= 2 && wordSkeleton === termSkeleton) s = Math.max(s, 0.8);
+        best = Math.max(best, s);
+      }
+      return best;
+    });
+    const tokenScore = wordScores.reduce((sum, s) => sum + s, 0) / wordScores.length;
+    
+    // Inconsistent spacing ("Al Futtaim" / "Alfutaim") is caught by comparing compact forms
+    return Math.max(tokenScore, FuzzySearchStrategy.similarity(compactValue, compactTerm));
+  }
+  
+  match(value, searchTerm) {
+    return this.score(value, searchTerm) >= this.threshold;
+  }
+  
+  // Ranks records best-first. terms is { column: term } (every column must match) or a
+  // plain string matched against any column. Keeps the top `limit` with a min-heap.
+  rank(records, terms, limit = Infinity) {
+    const entries = typeof terms === 'string'
+      ? null
+      : Object.entries(terms).filter(([, term]) => String(term ?? '').trim() !== '');
+    
+    // Lower score first; on equal scores the later record is evicted first
+    const queue = new PriorityQueue((a, b) => a.score - b.score || b.index - a.index);
+    
+    records.forEach((record, index) => {
+      let score;
+      if (entries === null) {
+        score = Math.max(0, ...Object.values(record).map(value => this.score(value, terms)));
+      } else if (entries.length === 0) {
+        score = 1;
+      } else {
+        const scores = entries.map(([column, term]) => this.score(record[column], term));
+        score = Math.min(...scores) < this.threshold ? 0 : scores.reduce((sum, s) => sum + s, 0) / scores.length;
+      }
+      
+      if (score < this.threshold) return;
+      queue.push({ record, score, index });
+      if (queue.size > limit) queue.pop();
+    });
+    
+    const ranked = [];
+    while (queue.size > 0) ranked.push(queue.pop());
+    return ranked.reverse().map(({ record, score }) => ({ record, score }));
+  }
+}
+
 // 2. STRATEGY PATTERN - Sort Strategies
+// compare() orders two records ascending; sort() flips it for 'desc'.
+// Array.prototype.sort is stable, so ties keep their incoming order.
 class SortStrategy {
-  sort(data, column, direction) {
-    throw new Error('sort() must be implemented by subclass');
+  compare(a, b, column) {
+    throw new Error('compare() must be implemented by subclass');
+  }
+  
+  sort(data, column, direction = 'asc') {
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...data].sort((a, b) => sign * this.compare(a, b, column));
+  }
+  
+  // Picks numeric, date or alphabetic ordering from the values a column holds
+  static forColumn(data, column) {
+    const values = data
+      .map(row => row[column])
+      .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+      .slice(0, 100);
+    
+    if (values.length === 0) return new AlphabeticSortStrategy();
+    if (values.every(value => typeof value === 'number' || !isNaN(Number(value)))) {
+      return new NumericSortStrategy();
+    }
+    if (values.every(value => /^\d{4}-\d{2}-\d{2}/.test(String(value)) && !isNaN(Date.parse(value)))) {
+      return new DateSortStrategy();
+    }
+    return new AlphabeticSortStrategy();
   }
 }
 
 class AlphabeticSortStrategy extends SortStrategy {
-  sort(data, column, direction = 'asc') {
-    return [...data].sort((a, b) => {
-      const aVal = String(a[column] || '').toLowerCase();
-      const bVal = String(b[column] || '').toLowerCase();
-      const comparison = aVal.localeCompare(bVal);
-      return direction === 'asc' ? comparison : -comparison;
-    });
+  compare(a, b, column) {
+    const aVal = String(a[column] || '').toLowerCase();
+    const bVal = String(b[column] || '').toLowerCase();
+    return aVal.localeCompare(bVal);
   }
 }
 
 class NumericSortStrategy extends SortStrategy {
-  sort(data, column, direction = 'asc') {
-    return [...data].sort((a, b) => {
-      const aVal = Number(a[column]) || 0;
-      const bVal = Number(b[column]) || 0;
-      const comparison = aVal - bVal;
-      return direction === 'asc' ? comparison : -comparison;
-    });
+  compare(a, b, column) {
+    const aVal = Number(a[column]) || 0;
+    const bVal = Number(b[column]) || 0;
+    return aVal - bVal;
   }
 }
 
 class DateSortStrategy extends SortStrategy {
-  sort(data, column, direction = 'asc') {
+  compare(a, b, column) {
+    const aVal = new Date(a[column] || 0).getTime();
+    const bVal = new Date(b[column] || 0).getTime();
+    return aVal - bVal;
+  }
+}
+
+// Ordered list of { column, direction, strategy } sort keys. The first entry is the
+// primary key; later entries only break ties. A null strategy is picked per column.
+class SortStack {
+  constructor(entries = []) {
+    this.entries = entries.map(({ column, direction = 'asc', strategy = null }) => ({ column, direction, strategy }));
+  }
+  
+  // Plain click: sort by this column only (toggling if it already is the only key).
+  // Shift-click (append): add it as the next key, or toggle it in place.
+  toggle(column, append = false) {
+    const existing = this.entries.find(entry => entry.column === column);
+    
+    if (append) {
+      if (existing) {
+        existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+      } else {
+        this.entries.push({ column, direction: 'asc', strategy: null });
+      }
+    } else if (existing && this.entries.length === 1) {
+      existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+      this.entries = [{ column, direction: 'asc', strategy: null }];
+    }
+    return this;
+  }
+  
+  clear() {
+    this.entries = [];
+    return this;
+  }
+  
+  replace(entries = []) {
+    this.entries = new SortStack(entries).entries;
+    return this;
+  }
+  
+  isEmpty() {
+    return this.entries.length === 0;
+  }
+  
+  getEntries() {
+    return this.entries.map(({ column, direction }) => ({ column, direction }));
+  }
+  
+  // 1-based position of a column in the stack, or 0 when it is not sorted
+  getPosition(column) {
+    return this.entries.findIndex(entry => entry.column === column) + 1;
+  }
+  
+  getDirection(column) {
+    const entry = this.entries.find(e => e.column === column);
+    return entry ? entry.direction : null;
+  }
+  
+  sort(data) {
+    if (this.isEmpty()) return [...data];
+    
+    const keys = this.entries.map(entry => ({
+      column: entry.column,
+      sign: entry.direction === 'asc' ? 1 : -1,
+      strategy: entry.strategy || SortStrategy.forColumn(data, entry.column)
+    }));
+    
     return [...data].sort((a, b) => {
-      const aVal = new Date(a[column] || 0).getTime();
-      const bVal = new Date(b[column] || 0).getTime();
-      const comparison = aVal - bVal;
-      return direction === 'asc' ? comparison : -comparison;
+      for (const { column, sign, strategy } of keys) {
+        const comparison = strategy.compare(a, b, column);
+        if (comparison !== 0) return sign * comparison;
+      }
+      return 0;
     });
   }
+  
+  toJSON() {
+    return this.getEntries();
+  }
 }
 
 // 3. SINGLETON PATTERN - Application State
@@ -97,10 +323,11 @@ class VendorAppState {
     this.primaryKey = 'id';
     this.sortColumn = null;
     this.sortDirection = 'asc';
+    this.sortStack = new SortStack();
     this.searchFilters = new Map();
+    this.filterTree = null;
+    this.hiddenColumns = new Set();
     this.observers = new Set();
-    this.searchStrategy = new PartialSearchStrategy();
-    this.sortStrategy = new AlphabeticSortStrategy();
     
     VendorAppState.instance = this;
   }
@@ -134,11 +361,34 @@ class VendorAppState {
     this.notify('dataChanged', { data: this.filteredData });
   }
   
+  // Mirror a VendorDataStore so local edits show up without a re-query
+  bindStore(store) {
+    return store.subscribe(() => this.setData(store.getAllVendors()));
+  }
+  
   setColumns(columns) {
     this.columns = columns;
     this.notify('columnsChanged', { columns });
   }
   
+  setColumnVisible(column, visible) {
+    if (visible) {
+      this.hiddenColumns.delete(column);
+    } else {
+      this.hiddenColumns.add(column);
+    }
+    this.notify('columnsChanged', { columns: this.columns, hidden: [...this.hiddenColumns] });
+  }
+  
+  setHiddenColumns(columns = []) {
+    this.hiddenColumns = new Set(columns);
+    this.notify('columnsChanged', { columns: this.columns, hidden: [...this.hiddenColumns] });
+  }
+  
+  getVisibleColumns(columns = this.columns) {
+    return columns.filter(column => !this.hiddenColumns.has(column));
+  }
+  
   setSearchFilter(column, value) {
     if (value) {
       this.searchFilters.set(column, value);
@@ -149,32 +399,35 @@ class VendorAppState {
     this.notify('filtersChanged', { filters: this.searchFilters });
   }
   
-  setSortColumn(column) {
-    if (this.sortColumn === column) {
-      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
-    } else {
-      this.sortColumn = column;
-      this.sortDirection = 'asc';
-    }
+  // Advanced filters (FilterGroup / FilterCondition), ANDed with the per-column search boxes
+  setFilterTree(node) {
+    this.filterTree = node;
     this.applyFiltersAndSort();
-    this.notify('sortChanged', { column, direction: this.sortDirection });
+    this.notify('filtersChanged', { filters: this.searchFilters, tree: node });
+  }
+  
+  getFilterTree() {
+    return FilterBuilder.fromTerms(Object.fromEntries(this.searchFilters)).add(this.filterTree);
+  }
+  
+  // append (shift-click) adds the column as a secondary key instead of replacing the sort
+  setSortColumn(column, append = false) {
+    this.sortStack.toggle(column, append);
+    const [primary] = this.sortStack.getEntries();
+    this.sortColumn = primary ? primary.column : null;
+    this.sortDirection = primary ? primary.direction : 'asc';
+    this.applyFiltersAndSort();
+    this.notify('sortChanged', { column, direction: this.sortStack.getDirection(column), sort: this.sortStack.getEntries() });
   }
   
   applyFiltersAndSort() {
     // Filter
-    let filtered = this.data.filter(item => {
-      for (const [column, searchTerm] of this.searchFilters.entries()) {
-        const value = item[column];
-        if (!this.searchStrategy.match(value, searchTerm)) {
-          return false;
-        }
-      }
-      return true;
-    });
+    const predicate = new PredicateFilterCompiler().compile(this.getFilterTree());
+    let filtered = this.data.filter(predicate);
     
     // Sort
-    if (this.sortColumn) {
-      filtered = this.sortStrategy.sort(filtered, this.sortColumn, this.sortDirection);
+    if (!this.sortStack.isEmpty()) {
+      filtered = this.sortStack.sort(filtered);
     }
     
     this.filteredData = filtered;
@@ -193,52 +446,851 @@ class VendorAppState {
   }
 }
 
-// 4. DATA STORE PATTERN with CRUD Operations
+// 4. COMPOSITE PATTERN - Filter query builder
+// A filter is a tree of conditions joined by AND/OR groups. The same tree compiles to an
+// in-memory predicate or to a Supabase query chain, so both sides return the same rows.
+const FILTER_OPERATORS = ['equals', 'contains', 'regex', 'range', 'in', 'isEmpty', 'dateBetween'];
+
+class FilterNode {
+  accept(compiler) {
+    throw new Error('accept() must be implemented by subclass');
+  }
+}
+
+class FilterCondition extends FilterNode {
+  constructor(column, operator, value = null) {
+    super();
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown filter operator: ${operator}`);
+    }
+    this.column = column;
+    this.operator = operator;
+    this.value = value;
+  }
+  
+  accept(compiler) {
+    return compiler.compileCondition(this);
+  }
+  
+  toJSON() {
+    return { column: this.column, operator: this.operator, value: this.value };
+  }
+}
+
+class FilterGroup extends FilterNode {
+  constructor(combinator = 'and', children = []) {
+    super();
+    if (combinator !== 'and' && combinator !== 'or') {
+      throw new Error(`Unknown filter combinator: ${combinator}`);
+    }
+    this.combinator = combinator;
+    this.children = children.filter(Boolean);
+  }
+  
+  add(node) {
+    if (node) this.children.push(node);
+    return this;
+  }
+  
+  isEmpty() {
+    return this.children.length === 0;
+  }
+  
+  accept(compiler) {
+    return compiler.compileGroup(this);
+  }
+  
+  toJSON() {
+    return { combinator: this.combinator, children: this.children.map(child => child.toJSON()) };
+  }
+}
+
+// Factory helpers: FilterBuilder.and(FilterBuilder.contains('name', 'paint'), ...)
+const FilterBuilder = {
+  equals: (column, value) => new FilterCondition(column, 'equals', value),
+  contains: (column, value) => new FilterCondition(column, 'contains', value),
+  regex: (column, pattern) => new FilterCondition(column, 'regex', pattern),
+  range: (column, min = null, max = null) => new FilterCondition(column, 'range', { min, max }),
+  in: (column, values) => new FilterCondition(column, 'in', values),
+  isEmpty: (column) => new FilterCondition(column, 'isEmpty'),
+  dateBetween: (column, from = null, to = null) => new FilterCondition(column, 'dateBetween', { from, to }),
+  and: (...children) => new FilterGroup('and', children),
+  or: (...children) => new FilterGroup('or', children),
+  
+  // { column: term } search-box maps become an AND of contains conditions
+  fromTerms(terms = {}) {
+    return new FilterGroup('and', Object.entries(terms)
+      .filter(([, term]) => term !== null && term !== undefined && String(term).trim() !== '')
+      .map(([column, term]) => this.contains(column, String(term).trim())));
+  },
+  
+  fromJSON(json) {
+    if (!json) return null;
+    if (json.children) {
+      return new FilterGroup(json.combinator, json.children.map(child => this.fromJSON(child)));
+    }
+    return new FilterCondition(json.column, json.operator, json.value);
+  }
+};
+
+class PredicateFilterCompiler {
+  compile(node) {
+    return node ? node.accept(this) : () => true;
+  }
+  
+  compileGroup(group) {
+    // Empty sub-groups are dropped, matching what the Supabase compiler sends
+    const predicates = group.children
+      .filter(child => !(child instanceof FilterGroup && child.isEmpty()))
+      .map(child => child.accept(this));
+    if (predicates.length === 0) return () => true;
+    return group.combinator === 'or'
+      ? (record) => predicates.some(predicate => predicate(record))
+      : (record) => predicates.every(predicate => predicate(record));
+  }
+  
+  compileCondition({ column, operator, value }) {
+    const isBlank = (v) => v === null || v === undefined || v === '';
+    
+    switch (operator) {
+      case 'equals':
+        return (record) => !isBlank(record[column]) && String(record[column]) === String(value);
+      case 'contains': {
+        const strategy = new PartialSearchStrategy();
+        return (record) => !isBlank(record[column]) && strategy.match(record[column], value);
+      }
+      case 'regex': {
+        const strategy = new RegexSearchStrategy();
+        return (record) => !isBlank(record[column]) && strategy.match(record[column], value);
+      }
+      case 'range':
+        return (record) => {
+          if (isBlank(record[column])) return false;
+          const n = Number(record[column]);
+          return (value.min === null || n >= Number(value.min)) && (value.max === null || n <= Number(value.max));
+        };
+      case 'in': {
+        const allowed = new Set(value.map(String));
+        return (record) => !isBlank(record[column]) && allowed.has(String(record[column]));
+      }
+      case 'isEmpty':
+        return (record) => isBlank(record[column]);
+      case 'dateBetween': {
+        const from = value.from ? new Date(value.from).getTime() : null;
+        const to = value.to ? new Date(value.to).getTime() : null;
+        return (record) => {
+          if (isBlank(record[column])) return false;
+          const time = new Date(record[column]).getTime();
+          return !isNaN(time) && (from === null || time >= from) && (to === null || time <= to);
+        };
+      }
+    }
+  }
+}
+
+class SupabaseFilterCompiler {
+  // Applies the tree to a supabase-js query: the top-level AND becomes chained calls,
+  // OR groups become PostgREST .or() strings.
+  apply(query, node) {
+    if (!node) return query;
+    if (node instanceof FilterCondition) return this.applyCondition(query, node);
+    if (node.isEmpty()) return query;
+    if (node.combinator === 'or') return query.or(this.compileGroupChildren(node));
+    return node.children.reduce((q, child) => this.apply(q, child), query);
+  }
+  
+  applyCondition(query, { column, operator, value }) {
+    switch (operator) {
+      case 'equals':
+        return query.eq(column, value);
+      case 'contains':
+        return query.ilike(column, `%${this.escapeLike(value)}%`);
+      case 'regex':
+        return query.filter(column, 'imatch', value);
+      case 'range':
+      case 'dateBetween': {
+        const [min, max] = this.bounds(operator, value);
+        if (min !== null) query = query.gte(column, min);
+        if (max !== null) query = query.lte(column, max);
+        return query;
+      }
+      case 'in':
+        return query.in(column, value);
+      case 'isEmpty':
+        return query.or(`${column}.is.null,${column}.eq.""`);
+    }
+  }
+  
+  compile(node) {
+    return node ? node.accept(this) : '';
+  }
+  
+  compileGroupChildren(group) {
+    return group.children.map(child => child.accept(this)).filter(Boolean).join(',');
+  }
+  
+  compileGroup(group) {
+    if (group.isEmpty()) return '';
+    return `${group.combinator}(${this.compileGroupChildren(group)})`;
+  }
+  
+  compileCondition({ column, operator, value }) {
+    switch (operator) {
+      case 'equals':
+        return `${column}.eq.${this.quote(value)}`;
+      case 'contains':
+        return `${column}.ilike.${this.quote(`%${this.escapeLike(value)}%`)}`;
+      case 'regex':
+        return `${column}.imatch.${this.quote(value)}`;
+      case 'range':
+      case 'dateBetween': {
+        const [min, max] = this.bounds(operator, value);
+        const parts = [];
+        if (min !== null) parts.push(`${column}.gte.${this.quote(min)}`);
+        if (max !== null) parts.push(`${column}.lte.${this.quote(max)}`);
+        if (parts.length === 0) return `${column}.not.is.null`;
+        return parts.length === 1 ? parts[0] : `and(${parts.join(',')})`;
+      }
+      case 'in':
+        return `${column}.in.(${value.map(v => this.quote(v)).join(',')})`;
+      case 'isEmpty':
+        return `or(${column}.is.null,${column}.eq."")`;
+    }
+  }
+  
+  bounds(operator, value) {
+    if (operator === 'range') return [value.min, value.max];
+    const toISO = (date) => date ? new Date(date).toISOString() : null;
+    return [toISO(value.from), toISO(value.to)];
+  }
+  
+  // % and _ are LIKE wildcards; escape them so a search term matches literally
+  escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+  }
+  
+  // Values inside .or() strings are quoted so commas, dots and parentheses survive
+  quote(value) {
+    return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  }
+}
+
+// 5. REPOSITORY PATTERN - Pluggable persistence behind VendorDataStore
+class VendorRepository {
+  constructor(primaryKey = 'id') {
+    this.primaryKey = primaryKey;
+  }
+  
+  async fetchAll() {
+    throw new Error('fetchAll() must be implemented by subclass');
+  }
+  
+  // query: { offset, limit, filters, sort }
+  // filters is a FilterNode or a { column: term } map of contains searches.
+  // sort is one { column, direction } key or an array of them, primary first.
+  // Resolves to { rows, total } where total is the exact number of matching rows
+  async fetchPage(query) {
+    throw new Error('fetchPage() must be implemented by subclass');
+  }
+  
+  static toFilter(filters) {
+    return filters instanceof FilterNode ? filters : FilterBuilder.fromTerms(filters);
+  }
+  
+  // The primary key is always the last key, so ties order deterministically across pages
+  toSortKeys(sort) {
+    const keys = (Array.isArray(sort) ? sort : [sort]).filter(key => key && key.column);
+    if (!keys.some(key => key.column === this.primaryKey)) {
+      keys.push({ column: this.primaryKey, direction: 'asc' });
+    }
+    return keys;
+  }
+  
+  async insert(record) {
+    throw new Error('insert() must be implemented by subclass');
+  }
+  
+  async update(id, updates) {
+    throw new Error('update() must be implemented by subclass');
+  }
+  
+  async remove(id) {
+    throw new Error('remove() must be implemented by subclass');
+  }
+  
+  // Every matching row, read a page at a time (Supabase caps one select at 1000 rows),
+  // in the order of the sort keys when given
+  async fetchEveryPage(filters = {}, sort = null, batchSize = 1000) {
+    const rows = [];
+    while (true) {
+      const page = await this.fetchPage({ offset: rows.length, limit: batchSize, filters, sort });
+      rows.push(...page.rows);
+      if (page.rows.length < batchSize) return rows;
+    }
+  }
+  
+  async fetchByIds(ids) {
+    if (ids.length === 0) return [];
+    return this.fetchEveryPage(new FilterCondition(this.primaryKey, 'in', ids));
+  }
+  
+  async fetchById(id) {
+    const [record] = await this.fetchByIds([id]);
+    return record || null;
+  }
+  
+  // Batch writes for imports; adapters that can write a batch in one request override these
+  async insertMany(records) {
+    const saved = [];
+    for (const record of records) {
+      saved.push(await this.insert(record));
+    }
+    return saved;
+  }
+  
+  // Records carry their primary key and the fields to change
+  async updateMany(records) {
+    const saved = [];
+    for (const record of records) {
+      saved.push(await this.update(record[this.primaryKey], record));
+    }
+    return saved;
+  }
+}
+
+class InMemoryVendorRepository extends VendorRepository {
+  constructor(records = [], primaryKey = 'id') {
+    super(primaryKey);
+    this.records = records.map(record => ({ ...record }));
+    this.nextId = this.records.reduce((max, r) => Math.max(max, Number(r[primaryKey]) || 0), 0) + 1;
+  }
+  
+  async fetchAll() {
+    return this.records.map(record => ({ ...record }));
+  }
+  
+  async fetchPage({ offset = 0, limit = 50, filters = {}, sort = null } = {}) {
+    const predicate = new PredicateFilterCompiler().compile(VendorRepository.toFilter(filters));
+    let matches = this.records.filter(predicate);
+    matches = new SortStack(this.toSortKeys(sort)).sort(matches);
+    return {
+      rows: matches.slice(offset, offset + limit).map(record => ({ ...record })),
+      total: matches.length
+    };
+  }
+  
+  async insert(record) {
+    const saved = { ...record };
+    if (saved[this.primaryKey] === undefined || saved[this.primaryKey] === null) {
+      saved[this.primaryKey] = this.nextId++;
+    }
+    this.records.push(saved);
+    return { ...saved };
+  }
+  
+  async update(id, updates) {
+    const index = this.records.findIndex(r => r[this.primaryKey] === id);
+    if (index === -1) {
+      throw new Error(`Record ${id} not found`);
+    }
+    this.records[index] = { ...this.records[index], ...updates };
+    return { ...this.records[index] };
+  }
+  
+  async remove(id) {
+    const index = this.records.findIndex(r => r[this.primaryKey] === id);
+    if (index === -1) {
+      throw new Error(`Record ${id} not found`);
+    }
+    return this.records.splice(index, 1)[0];
+  }
+}
+
+class SupabaseVendorRepository extends VendorRepository {
+  constructor(client, table, primaryKey = 'id') {
+    super(primaryKey);
+    this.client = client;
+    this.table = table;
+  }
+  
+  async fetchAll() {
+    const { data, error } = await this.client.from(this.table).select('*');
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+  
+  async fetchPage({ offset = 0, limit = 50, filters = {}, sort = null } = {}) {
+    let query = this.client.from(this.table).select('*', { count: 'exact' });
+    query = new SupabaseFilterCompiler().apply(query, VendorRepository.toFilter(filters));
+    
+    // A deterministic order keeps range() pages from overlapping
+    for (const { column, direction } of this.toSortKeys(sort)) {
+      query = query.order(column, { ascending: direction !== 'desc' });
+    }
+    
+    const { data, error, count } = await query.range(offset, offset + limit - 1);
+    if (error) throw new Error(error.message);
+    return { rows: data || [], total: count ?? 0 };
+  }
+  
+  async insert(record) {
+    const { data, error } = await this.client.from(this.table).insert([record]).select();
+    if (error) throw new Error(error.message);
+    return data && data[0] ? data[0] : record;
+  }
+  
+  async update(id, updates) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update(updates)
+      .eq(this.primaryKey, id)
+      .select();
+    if (error) throw new Error(error.message);
+    return data && data[0] ? data[0] : null;
+  }
+  
+  async remove(id) {
+    const { error } = await this.client.from(this.table).delete().eq(this.primaryKey, id);
+    if (error) throw new Error(error.message);
+    return true;
+  }
+  
+  async insertMany(records) {
+    const { data, error } = await this.client.from(this.table).insert(records).select();
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+  
+  // Each record holds its primary key and only the fields to change, so columns it leaves
+  // out keep whatever they hold now. Records with the same changes share one request.
+  async updateMany(records) {
+    const groups = new Map();
+    records.forEach(record => {
+      const { [this.primaryKey]: id, ...changes } = record;
+      const key = JSON.stringify(changes);
+      if (!groups.has(key)) groups.set(key, { changes, ids: [] });
+      groups.get(key).ids.push(id);
+    });
+    
+    const saved = await Promise.all([...groups.values()].map(async ({ changes, ids }) => {
+      const { data, error } = await this.client
+        .from(this.table)
+        .update(changes)
+        .in(this.primaryKey, ids)
+        .select();
+      if (error) throw new Error(error.message);
+      return data || [];
+    }));
+    return saved.flat();
+  }
+}
+
+// 6. DATA STORE PATTERN with CRUD Operations
+// Local state changes first so the UI stays responsive; the repository write follows.
 class VendorDataStore {
-  constructor() {
+  constructor(repository = new InMemoryVendorRepository()) {
     this.data = [];
     this.columns = [];
     this.primaryKey = 'id';
     this.observers = new Set();
+    this.repository = repository;
+    this.total = 0;
+  }
+  
+  setRepository(repository) {
+    this.repository = repository;
+    this.primaryKey = repository.primaryKey || this.primaryKey;
+  }
+  
+  setPrimaryKey(primaryKey) {
+    this.primaryKey = primaryKey;
+    this.repository.primaryKey = primaryKey;
+  }
+  
+  setData(data, total = data.length) {
+    this.data = data;
+    this.total = total;
+    this.notifyObservers('dataLoaded', this.data);
+  }
+  
+  async load() {
+    const records = await this.repository.fetchAll();
+    this.setData(records);
+    return records;
+  }
+  
+  // True while fewer rows are loaded than the repository reported as matching
+  hasMore() {
+    return this.data.length < this.total;
+  }
+  
+  // Pass { persist: false } to change local state only, e.g. when rolling back a failed write
+  async addVendor(vendor, { persist = true } = {}) {
+    this.data.push(vendor);
+    this.total++;
+    this.notifyObservers('vendorAdded', vendor);
+    if (!persist) return vendor;
+    
+    try {
+      const saved = await this.repository.insert(vendor);
+      const index = this.data.indexOf(vendor);
+      if (index !== -1) this.data[index] = saved;
+      this.notifyObservers('vendorSaved', saved);
+      return saved;
+    } catch (error) {
+      this.notifyObservers('syncFailed', { operation: 'insert', record: vendor, error });
+      throw error;
+    }
+  }
+  
+  // Rows missing locally (e.g. filtered out, or replayed from a saved history) are still written
+  async updateVendor(id, updates, { persist = true } = {}) {
+    const index = this.data.findIndex(v => v[this.primaryKey] === id);
+    const before = index !== -1 ? { ...this.data[index] } : null;
+    let updated = null;
+    if (index !== -1) {
+      this.data[index] = { ...this.data[index], ...updates };
+      updated = this.data[index];
+      this.notifyObservers('vendorUpdated', updated);
+    }
+    if (!persist) return updated;
+    
+    try {
+      // The before-state lets an audited repository skip re-reading the row
+      const saved = await this.repository.update(id, updates, { before });
+      return updated || saved;
+    } catch (error) {
+      this.notifyObservers('syncFailed', { operation: 'update', id, updates, error });
+      throw error;
+    }
+  }
+  
+  async deleteVendor(id, { persist = true } = {}) {
+    const index = this.data.findIndex(v => v[this.primaryKey] === id);
+    let deleted = null;
+    if (index !== -1) {
+      deleted = this.data.splice(index, 1)[0];
+      this.total--;
+      this.notifyObservers('vendorDeleted', deleted);
+    }
+    if (!persist) return deleted;
+    
+    try {
+      await this.repository.remove(id, { before: deleted });
+      return deleted;
+    } catch (error) {
+      this.notifyObservers('syncFailed', { operation: 'delete', id, record: deleted, error });
+      throw error;
+    }
+  }
+  
+  getVendor(id) {
+    return this.data.find(v => v[this.primaryKey] === id);
+  }
+  
+  getAllVendors() {
+    return [...this.data];
+  }
+  
+  subscribe(observer) {
+    this.observers.add(observer);
+    return () => this.observers.delete(observer);
+  }
+  
+  notifyObservers(event, data) {
+    this.observers.forEach(observer => observer(event, data));
+  }
+}
+
+// 7. COMMAND PATTERN - Undo/Redo functionality
+// execute() and undo() take the store's { persist } option: with { persist: false } the
+// change is made locally only, e.g. while offline (see OfflineQueue in offline-sync.js)
+class Command {
+  execute() {}
+  undo() {}
+  
+  // Short human-readable label for the affected row, used by the history panel
+  static describeRecord(record, primaryKey = 'id') {
+    if (!record) return '';
+    const label = ['name', 'vendor_name', 'company', 'product_code', 'color_name']
+      .map(field => record[field])
+      .find(value => value !== undefined && value !== null && String(value).trim() !== '');
+    return label ? String(label) : `#${record[primaryKey]}`;
+  }
+}
+
+class AddVendorCommand extends Command {
+  constructor(store, vendor) {
+    super();
+    this.store = store;
+    this.vendor = vendor;
+  }
+  
+  execute(options) {
+    return this.store.addVendor(this.vendor, options).then(saved => {
+      // Keep the server-assigned key so undo can find the row
+      this.vendor = saved;
+      return saved;
+    });
+  }
+  
+  undo(options) {
+    return this.store.deleteVendor(this.vendor[this.store.primaryKey], options);
+  }
+  
+  describe() {
+    return { action: 'Added', record: Command.describeRecord(this.vendor, this.store.primaryKey) };
+  }
+  
+  toJSON() {
+    return { type: 'add', vendor: this.vendor };
+  }
+}
+
+class UpdateVendorCommand extends Command {
+  constructor(store, id, updates) {
+    super();
+    this.store = store;
+    this.id = id;
+    this.updates = updates;
+    this.previousState = null;
+  }
+  
+  execute(options) {
+    // Keep the original before-state when a command is re-executed by redo
+    this.previousState = this.previousState || this.store.getVendor(this.id);
+    return this.store.updateVendor(this.id, this.updates, options);
+  }
+  
+  // Puts back only the fields this command wrote, so later edits to other fields survive
+  undo(options) {
+    if (this.previousState) {
+      const restore = Object.fromEntries(Object.keys(this.updates).map(field => [field, this.previousState[field] ?? null]));
+      return this.store.updateVendor(this.id, restore, options);
+    }
+  }
+  
+  // Fields whose value actually differs from the captured before-state
+  getChangedFields() {
+    const before = this.previousState || {};
+    return Object.keys(this.updates).filter(field =>
+      String(before[field] ?? '') !== String(this.updates[field] ?? '')
+    );
+  }
+  
+  describe() {
+    const fields = this.getChangedFields();
+    return {
+      action: fields.length ? `Edited ${fields.join(', ')}` : 'Edited',
+      record: Command.describeRecord(this.previousState || { [this.store.primaryKey]: this.id }, this.store.primaryKey)
+    };
+  }
+  
+  toJSON() {
+    return { type: 'update', id: this.id, updates: this.updates, previousState: this.previousState };
+  }
+}
+
+class DeleteVendorCommand extends Command {
+  constructor(store, id) {
+    super();
+    this.store = store;
+    this.id = id;
+    this.deletedVendor = null;
+  }
+  
+  execute(options) {
+    this.deletedVendor = this.deletedVendor || this.store.getVendor(this.id);
+    return this.store.deleteVendor(this.id, options);
+  }
+  
+  undo(options) {
+    if (this.deletedVendor) {
+      return this.store.addVendor(this.deletedVendor, options);
+    }
+  }
+  
+  describe() {
+    return {
+      action: 'Deleted',
+      record: Command.describeRecord(this.deletedVendor || { [this.store.primaryKey]: this.id }, this.store.primaryKey)
+    };
+  }
+  
+  toJSON() {
+    return { type: 'delete', id: this.id, deletedVendor: this.deletedVendor };
+  }
+}
+
+// Folds duplicate rows into one survivor: the survivor takes the chosen field values and the
+// duplicates are deleted. Records are passed in whole, since they may not be on the loaded page.
+class MergeVendorsCommand extends Command {
+  constructor(store, survivor, duplicates, mergedFields) {
+    super();
+    this.store = store;
+    this.survivor = survivor;
+    this.duplicates = duplicates;
+    this.mergedFields = mergedFields;
+  }
+
+  get survivorId() {
+    return this.survivor[this.store.primaryKey];
+  }
+
+  getChangedFields() {
+    return Object.keys(this.mergedFields).filter(field =>
+      field !== this.store.primaryKey &&
+      String(this.survivor[field] ?? '') !== String(this.mergedFields[field] ?? '')
+    );
+  }
+
+  async execute(options) {
+    const fields = this.getChangedFields();
+    if (fields.length) {
+      const updates = Object.fromEntries(fields.map(field => [field, this.mergedFields[field]]));
+      await this.store.updateVendor(this.survivorId, updates, options);
+    }
+    for (const duplicate of this.duplicates) {
+      await this.store.deleteVendor(duplicate[this.store.primaryKey], options);
+    }
+  }
+
+  async undo(options) {
+    for (const duplicate of this.duplicates) {
+      await this.store.addVendor({ ...duplicate }, options);
+    }
+    const fields = this.getChangedFields();
+    if (fields.length) {
+      const previous = Object.fromEntries(fields.map(field => [field, this.survivor[field] ?? null]));
+      await this.store.updateVendor(this.survivorId, previous, options);
+    }
+  }
+
+  describe() {
+    const count = this.duplicates.length;
+    return {
+      action: `Merged ${count} duplicate${count === 1 ? '' : 's'} into`,
+      record: Command.describeRecord(this.survivor, this.store.primaryKey)
+    };
+  }
+
+  toJSON() {
+    return { type: 'merge', survivor: this.survivor, duplicates: this.duplicates, mergedFields: this.mergedFields };
+  }
+}
+
+// Rebuilds a command saved with toJSON() against the given store
+function createCommandFromJSON(json, store) {
+  switch (json.type) {
+    case 'add':
+      return new AddVendorCommand(store, json.vendor);
+    case 'update': {
+      const command = new UpdateVendorCommand(store, json.id, json.updates);
+      command.previousState = json.previousState;
+      return command;
+    }
+    case 'delete': {
+      const command = new DeleteVendorCommand(store, json.id);
+      command.deletedVendor = json.deletedVendor;
+      return command;
+    }
+    case 'merge':
+      return new MergeVendorsCommand(store, json.survivor, json.duplicates, json.mergedFields);
+    default:
+      return null;
+  }
+}
+
+// Pass { storage, storageKey, store } to keep the stacks in LocalStorageManager across reloads.
+// With { queue } (an OfflineQueue), commands run while offline are made locally and queued.
+class CommandHistory {
+  constructor(options = {}) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.storage = options.storage || null;
+    this.storageKey = options.storageKey || 'command_history';
+    this.store = options.store || null;
+    this.limit = options.limit || 50;
+    this.queue = options.queue || null;
+    this.observers = new Set();
+    
+    if (this.storage && this.store) {
+      this.restore();
+    }
   }
   
-  setData(data) {
-    this.data = data;
-    this.notifyObservers('dataLoaded', this.data);
+  executeCommand(command) {
+    command.timestamp = new Date().toISOString();
+    const result = this.isOffline() ? this.queue.defer(command) : command.execute();
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = []; // Clear redo stack on new command
+    this.persist();
+    return result;
   }
   
-  addVendor(vendor) {
-    this.data.push(vendor);
-    this.notifyObservers('vendorAdded', vendor);
-    return vendor;
+  isOffline() {
+    return Boolean(this.queue) && !this.queue.isOnline();
   }
   
-  updateVendor(id, updates) {
-    const index = this.data.findIndex(v => v[this.primaryKey] === id);
-    if (index !== -1) {
-      this.data[index] = { ...this.data[index], ...updates };
-      this.notifyObservers('vendorUpdated', this.data[index]);
-      return this.data[index];
+  // Drops a command whose write never reached the backend
+  discard(command) {
+    this.undoStack = this.undoStack.filter(c => c !== command);
+    this.redoStack = this.redoStack.filter(c => c !== command);
+    this.persist();
+  }
+  
+  async undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    
+    try {
+      await (this.isOffline() ? this.queue.withdraw(command) : command.undo());
+    } catch (error) {
+      this.undoStack.push(command);
+      throw error;
     }
-    return null;
+    this.redoStack.push(command);
+    this.persist();
+    return command;
   }
   
-  deleteVendor(id) {
-    const index = this.data.findIndex(v => v[this.primaryKey] === id);
-    if (index !== -1) {
-      const deleted = this.data.splice(index, 1)[0];
-      this.notifyObservers('vendorDeleted', deleted);
-      return deleted;
+  async redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    
+    try {
+      await (this.isOffline() ? this.queue.defer(command) : command.execute());
+    } catch (error) {
+      this.redoStack.push(command);
+      throw error;
     }
-    return null;
+    this.undoStack.push(command);
+    this.persist();
+    return command;
   }
   
-  getVendor(id) {
-    return this.data.find(v => v[this.primaryKey] === id);
+  canUndo() {
+    return this.undoStack.length > 0;
   }
   
-  getAllVendors() {
-    return [...this.data];
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  
+  // Most recent first; undone commands are flagged so the panel can grey them out
+  getEntries() {
+    const toEntry = (command, undone) => ({
+      ...command.describe(),
+      timestamp: command.timestamp,
+      undone
+    });
+    return [
+      ...[...this.redoStack].map(command => toEntry(command, true)),
+      ...[...this.undoStack].reverse().map(command => toEntry(command, false))
+    ];
   }
   
   subscribe(observer) {
@@ -246,111 +1298,171 @@ class VendorDataStore {
     return () => this.observers.delete(observer);
   }
   
-  notifyObservers(event, data) {
-    this.observers.forEach(observer => observer(event, data));
-  }
-}
-
-// 5. COMMAND PATTERN - Undo/Redo functionality
-class Command {
-  execute() {}
-  undo() {}
-}
-
-class AddVendorCommand extends Command {
-  constructor(store, vendor) {
-    super();
-    this.store = store;
-    this.vendor = vendor;
+  persist() {
+    if (this.storage) {
+      const serialize = command => ({ ...command.toJSON(), timestamp: command.timestamp });
+      this.storage.set(this.storageKey, {
+        undo: this.undoStack.map(serialize),
+        redo: this.redoStack.map(serialize)
+      });
+    }
+    this.observers.forEach(observer => observer(this));
   }
   
-  execute() {
-    this.store.addVendor(this.vendor);
+  restore() {
+    const saved = this.storage.get(this.storageKey, null);
+    if (!saved) return;
+    
+    const hydrate = json => {
+      const command = createCommandFromJSON(json, this.store);
+      if (command) command.timestamp = json.timestamp;
+      return command;
+    };
+    this.undoStack = (saved.undo || []).map(hydrate).filter(Boolean);
+    this.redoStack = (saved.redo || []).map(hydrate).filter(Boolean);
   }
   
-  undo() {
-    this.store.deleteVendor(this.vendor[this.store.primaryKey]);
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.persist();
   }
 }
 
-class UpdateVendorCommand extends Command {
-  constructor(store, id, updates) {
-    super();
-    this.store = store;
-    this.id = id;
-    this.updates = updates;
-    this.previousState = null;
+// 8. MEMENTO PATTERN - Saved views (named filter, sort and column presets per table)
+// Views live in LocalStorageManager; with a Supabase client they can also be shared
+// through the saved_views table. A view can be sent as a ?view= link.
+class SavedViewManager {
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.table = options.table || 'default';
+    this.client = options.client || null;
+    this.sharedTable = options.sharedTable || 'saved_views';
+    this.shared = [];
+    this.observers = new Set();
   }
   
-  execute() {
-    this.previousState = this.store.getVendor(this.id);
-    this.store.updateVendor(this.id, this.updates);
+  get storageKey() {
+    return `views_${this.table}`;
   }
   
-  undo() {
-    if (this.previousState) {
-      this.store.updateVendor(this.id, this.previousState);
-    }
+  static normalize(name, state = {}) {
+    return {
+      name: String(name || '').trim(),
+      tab: state.tab || null,
+      category: state.category || null,
+      filters: { ...(state.filters || {}) },
+      sort: (state.sort || []).map(({ column, direction }) => ({ column, direction: direction === 'desc' ? 'desc' : 'asc' })),
+      hiddenColumns: [...(state.hiddenColumns || [])]
+    };
   }
-}
-
-class DeleteVendorCommand extends Command {
-  constructor(store, id) {
-    super();
-    this.store = store;
-    this.id = id;
-    this.deletedVendor = null;
+  
+  getLocal() {
+    return this.storage ? this.storage.get(this.storageKey, []) : [];
   }
   
-  execute() {
-    this.deletedVendor = this.store.deleteVendor(this.id);
+  list() {
+    return [
+      ...this.getLocal().map(view => ({ ...view, shared: false })),
+      ...this.shared.map(view => ({ ...view, shared: true }))
+    ];
   }
   
-  undo() {
-    if (this.deletedVendor) {
-      this.store.addVendor(this.deletedVendor);
+  get(name, shared = false) {
+    return this.list().find(view => view.name === name && view.shared === shared) || null;
+  }
+  
+  save(name, state) {
+    const view = { ...SavedViewManager.normalize(name, state), savedAt: new Date().toISOString() };
+    if (!view.name) {
+      throw new Error('View name is required');
     }
+    const views = this.getLocal().filter(v => v.name !== view.name);
+    views.push(view);
+    views.sort((a, b) => a.name.localeCompare(b.name));
+    this.storage.set(this.storageKey, views);
+    this.notify();
+    return view;
   }
-}
-
-class CommandHistory {
-  constructor() {
-    this.undoStack = [];
-    this.redoStack = [];
+  
+  remove(name) {
+    this.storage.set(this.storageKey, this.getLocal().filter(view => view.name !== name));
+    this.notify();
   }
   
-  executeCommand(command) {
-    command.execute();
-    this.undoStack.push(command);
-    this.redoStack = []; // Clear redo stack on new command
+  async loadShared() {
+    if (!this.client) return [];
+    
+    const { data, error } = await this.client
+      .from(this.sharedTable)
+      .select('name, state')
+      .eq('table_name', this.table)
+      .order('name', { ascending: true });
+    if (error) throw new Error(error.message);
+    
+    this.shared = (data || []).map(row => SavedViewManager.normalize(row.name, row.state));
+    this.notify();
+    return this.shared;
   }
   
-  undo() {
-    const command = this.undoStack.pop();
-    if (command) {
-      command.undo();
-      this.redoStack.push(command);
+  async share(name) {
+    if (!this.client) throw new Error('Shared views are not configured for this page');
+    const view = this.get(name);
+    if (!view) throw new Error(`View "${name}" not found`);
+    
+    // A name that is taken can only be replaced by whoever shared it; RLS filters
+    // other people's rows out of the update, so nothing is changed for them
+    const state = SavedViewManager.normalize(view.name, view);
+    const { error } = await this.client
+      .from(this.sharedTable)
+      .insert([{ table_name: this.table, name: view.name, state }]);
+    if (error && error.code !== '23505') throw new Error(error.message);
+    
+    if (error) {
+      const { data, error: updateError } = await this.client
+        .from(this.sharedTable)
+        .update({ state })
+        .eq('table_name', this.table)
+        .eq('name', view.name)
+        .select('name');
+      if (updateError) throw new Error(updateError.message);
+      if (!data || data.length === 0) {
+        throw new Error(`Someone else already shared a view named "${view.name}". Save yours under another name first.`);
+      }
     }
+    
+    return this.loadShared();
   }
   
-  redo() {
-    const command = this.redoStack.pop();
-    if (command) {
-      command.execute();
-      this.undoStack.push(command);
-    }
+  subscribe(observer) {
+    this.observers.add(observer);
+    return () => this.observers.delete(observer);
   }
   
-  canUndo() {
-    return this.undoStack.length > 0;
+  notify() {
+    this.observers.forEach(observer => observer(this));
   }
   
-  canRedo() {
-    return this.redoStack.length > 0;
+  static toQueryString(view) {
+    const params = new URLSearchParams();
+    params.set('view', JSON.stringify(SavedViewManager.normalize(view.name, view)));
+    return params.toString();
+  }
+  
+  // Returns the view encoded in a location.search string, or null
+  static fromQueryString(search) {
+    const raw = new URLSearchParams(search).get('view');
+    if (!raw) return null;
+    try {
+      const parsed = JSON.parse(raw);
+      return SavedViewManager.normalize(parsed.name, parsed);
+    } catch {
+      return null;
+    }
   }
 }
 
-// 6. SCROLL MANAGER with Performance Optimization
+// 9. SCROLL MANAGER with Performance Optimization
 class ScrollManager {
   constructor() {
     this.scrollPosition = 0;
@@ -409,7 +1521,7 @@ class ScrollManager {
   }
 }
 
-// 7. THEME MANAGER with LocalStorage Persistence
+// 10. THEME MANAGER with LocalStorage Persistence
 class ThemeManager {
   constructor() {
     this.currentTheme = this.loadTheme();
@@ -459,10 +1571,14 @@ class ThemeManager {
   }
 }
 
-// 8. VALIDATOR with Chain of Responsibility
+// 11. VALIDATOR with Chain of Responsibility
+// Field rules run in order and stop at the first failure. Rules get (value, record), so a
+// rule can look at other columns; record rules span several fields. fromSchema() builds
+// both from a declarative table schema (see js/table-schemas.js).
 class Validator {
   constructor() {
     this.rules = new Map();
+    this.recordRules = [];
   }
   
   addRule(field, rule) {
@@ -472,10 +1588,15 @@ class Validator {
     this.rules.get(field).push(rule);
   }
   
-  validate(field, value) {
+  // { fields, check(record) } - a failure is reported on every listed field
+  addRecordRule(rule) {
+    this.recordRules.push(rule);
+  }
+  
+  validate(field, value, record = {}) {
     const fieldRules = this.rules.get(field) || [];
     for (const rule of fieldRules) {
-      const result = rule(value);
+      const result = rule(value, record);
       if (!result.valid) {
         return result;
       }
@@ -483,6 +1604,98 @@ class Validator {
     return { valid: true };
   }
   
+  // Checks the given fields of a record (default: every field it holds).
+  // Returns { valid, errors: { field: message } }.
+  validateRecord(record, fields = Object.keys(record)) {
+    const errors = {};
+    fields.forEach(field => {
+      const result = this.validate(field, record[field], record);
+      if (!result.valid) errors[field] = result.message;
+    });
+    
+    this.recordRules
+      .filter(rule => rule.fields.some(field => fields.includes(field)))
+      .forEach(rule => {
+        const result = rule.check(record);
+        if (result.valid) return;
+        // Marked on the fields the record holds, or the first listed field when it holds none
+        const present = rule.fields.filter(field => field in record);
+        (present.length ? present : rule.fields.slice(0, 1))
+          .filter(field => !errors[field])
+          .forEach(field => { errors[field] = result.message; });
+      });
+    
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+  
+  // schema: { fields: { column: { label, required, type, format, pattern, min, max,
+  // minLength, maxLength, enum, message } }, rules: [{ fields, message, check(record) }] }.
+  // Only required fails on a blank value; the other checks skip blanks.
+  static fromSchema(schema = {}) {
+    const validator = new Validator();
+    const formats = {
+      email: value => validator.isValidEmail(value),
+      phone: (value, record) => value.split(/[,;\/]/).every(part => validator.isValidPhone(part.trim(), record.country)),
+      url: value => validator.isValidURL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`) && /\.[a-z]{2,}/i.test(value),
+      'hex-color': value => /^#[0-9a-f]{6}$/i.test(value)
+    };
+    const formatNames = { email: 'an email address', phone: 'a valid phone number for its country', url: 'a web address', 'hex-color': 'a #RRGGBB color' };
+    const types = {
+      number: value => Number.isFinite(Number(value)),
+      integer: value => Number.isInteger(Number(value)),
+      date: value => /^\d{4}-\d{2}-\d{2}/.test(String(value)) && !Number.isNaN(Date.parse(value)),
+      boolean: value => ['true', 'false'].includes(String(value).toLowerCase())
+    };
+    
+    Object.entries(schema.fields || {}).forEach(([field, spec]) => {
+      const label = spec.label || field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, ' ');
+      const rule = (test, message) => validator.addRule(field, (value, record) => {
+        if (!validator.isRequired(value) || test(value, record)) return { valid: true };
+        return { valid: false, message: spec.message || message };
+      });
+      
+      if (spec.required) {
+        validator.addRule(field, value => validator.isRequired(value)
+          ? { valid: true }
+          : { valid: false, message: `${label} is required` });
+      }
+      if (spec.type && types[spec.type]) {
+        rule(types[spec.type], `${label} must be a ${spec.type === 'date' ? 'date (YYYY-MM-DD)' : spec.type}`);
+      }
+      if (spec.format) {
+        const test = spec.format instanceof RegExp ? value => spec.format.test(String(value)) : formats[spec.format];
+        rule((value, record) => test(String(value).trim(), record), `${label} must be ${formatNames[spec.format] || 'in the expected format'}`);
+      }
+      if (spec.min !== undefined || spec.max !== undefined) {
+        const toComparable = spec.type === 'date' ? value => Date.parse(value) : Number;
+        const min = spec.min === undefined ? -Infinity : toComparable(spec.min);
+        const max = spec.max === undefined ? Infinity : toComparable(spec.max);
+        const range = spec.min === undefined ? `at most ${spec.max}`
+          : spec.max === undefined ? `at least ${spec.min}` : `between ${spec.min} and ${spec.max}`;
+        rule(value => toComparable(value) >= min && toComparable(value) <= max, `${label} must be ${range}`);
+      }
+      if (spec.minLength !== undefined) {
+        rule(value => validator.minLength(String(value).trim(), spec.minLength), `${label} must be at least ${spec.minLength} characters`);
+      }
+      if (spec.maxLength !== undefined) {
+        rule(value => validator.maxLength(String(value).trim(), spec.maxLength), `${label} must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.enum) {
+        rule(value => spec.enum.some(option => String(option).toLowerCase() === String(value).trim().toLowerCase()),
+          `${label} must be one of: ${spec.enum.join(', ')}`);
+      }
+    });
+    
+    (schema.rules || []).forEach(({ fields, message, check }) => {
+      validator.addRecordRule({
+        fields,
+        check: record => (check(record) ? { valid: true } : { valid: false, message })
+      });
+    });
+    
+    return validator;
+  }
+  
   isRequired(value) {
     return value !== null && value !== undefined && String(value).trim() !== '';
   }
@@ -492,9 +1705,9 @@ class Validator {
     return regex.test(email);
   }
   
-  isValidPhone(phone) {
-    const regex = /^[\d\s\-\(\)]+$/;
-    return regex.test(phone) && phone.replace(/\D/g, '').length >= 10;
+  // Length and prefix rules of the given country (see PhoneNumber)
+  isValidPhone(phone, country = null) {
+    return PhoneNumber.parse(phone, country).valid;
   }
   
   isValidURL(url) {
@@ -515,7 +1728,7 @@ class Validator {
   }
 }
 
-// 9. STATISTICS CALCULATOR
+// 12. STATISTICS CALCULATOR
 class StatisticsCalculator {
   sum(data, field) {
     return data.reduce((sum, item) => sum + (Number(item[field]) || 0), 0);
@@ -549,6 +1762,457 @@ class StatisticsCalculator {
   }
 }
 
+// 13. UNION-FIND - Duplicate detection
+// Records are linked when they share a normalized phone number, when a name/company is
+// within edit distance of another, or when they share a company email domain and their
+// names are at least loosely alike; linked records form a cluster.
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'ymail.com', 'protonmail.com',
+  'proton.me', 'pm.me', 'mail.com', 'gmx.com', 'gmx.de', 'web.de', 'zoho.com', 'yandex.com',
+  'yandex.ru', 'mail.ru', 'rediffmail.com',
+  // Chinese providers, common among suppliers
+  'qq.com', 'foxmail.com', '163.com', '126.com', 'yeah.net', 'sina.com', 'sina.cn',
+  'sohu.com', 'aliyun.com', '139.com', '188.com', '21cn.com', 'tom.com'
+]);
+// Country editions of the big providers: yahoo.co.uk, hotmail.fr, outlook.com.eg…
+const FREE_EMAIL_PROVIDER = /^(yahoo|ymail|hotmail|outlook|live|msn|gmail|aol)\.[a-z]{2,3}(\.[a-z]{2})?$/;
+
+class DuplicateFinder {
+  constructor(options = {}) {
+    this.primaryKey = options.primaryKey || 'id';
+    this.nameThreshold = options.nameThreshold || 0.85;
+    // Colleagues share a company domain, so it only links names at least this alike
+    this.domainNameThreshold = options.domainNameThreshold || 0.6;
+    this.normalizePhone = options.normalizePhone || null;
+    this.fields = options.fields || null;
+  }
+
+  // Phone, email and name/company columns, picked by column name
+  static detectFields(columns) {
+    return {
+      phone: columns.filter(column => /phone|mobile|whats|tel/i.test(column)),
+      email: columns.filter(column => /e-?mail/i.test(column)),
+      name: columns.filter(column => /(^|_)(name|company)(_|$)/i.test(column) && !/color|product|file|user/i.test(column))
+    };
+  }
+
+  // E.164 in the record's country, so 0100... and +20 100... match; numbers that fail the
+  // country's rules are compared on their digits
+  phoneKey(value, country = null) {
+    if (this.normalizePhone) return this.normalizePhone(String(value)) || null;
+    const parsed = PhoneNumber.parse(value, country);
+    if (parsed.valid) return parsed.e164;
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length >= 7 ? digits : null;
+  }
+
+  static emailDomain(value) {
+    const match = String(value).trim().toLowerCase().match(/@([a-z0-9.-]+\.[a-z]{2,})$/);
+    if (!match || FREE_EMAIL_DOMAINS.has(match[1]) || FREE_EMAIL_PROVIDER.test(match[1])) return null;
+    return match[1];
+  }
+
+  // Cells can hold several numbers or addresses ("010.../012...", "a@x.com; b@y.com")
+  static splitValues(value, separator) {
+    if (value === null || value === undefined) return [];
+    return String(value).split(separator).map(part => part.trim()).filter(Boolean);
+  }
+
+  find(records) {
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const fields = this.fields || DuplicateFinder.detectFields(columns);
+    const parent = records.map((_, index) => index);
+    const links = [];
+
+    const root = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const link = (a, b, reason) => {
+      if (a === b) return;
+      links.push({ a, b, reason });
+      parent[root(a)] = root(b);
+    };
+
+    // Exact keys: every record sharing a key joins the first record that had it
+    const linkByKey = (keysOf, describe) => {
+      const firstSeen = new Map();
+      records.forEach((record, index) => {
+        new Set(keysOf(record)).forEach(key => {
+          if (firstSeen.has(key)) link(firstSeen.get(key), index, describe(key));
+          else firstSeen.set(key, index);
+        });
+      });
+    };
+
+    linkByKey(
+      record => fields.phone.flatMap(field => DuplicateFinder.splitValues(record[field], /[,;\/|]/))
+        .map(value => this.phoneKey(value, record.country)).filter(Boolean),
+      key => `Same phone ${key}`
+    );
+    const names = records.map(record => fields.name
+      .map(field => ({ text: String(record[field] ?? '').trim(), compact: FuzzySearchStrategy.tokens(record[field]).join(' ') }))
+      .filter(name => name.compact.replace(/ /g, '').length >= 4));
+
+    // A shared domain alone would join every contact at one company (and, transitively,
+    // everyone on a provider missing from the list), so the names must also be alike
+    const domains = new Map();
+    records.forEach((record, index) => {
+      new Set(fields.email.flatMap(field => DuplicateFinder.splitValues(record[field], /[,;\s]+/))
+        .map(DuplicateFinder.emailDomain).filter(Boolean)).forEach(domain => {
+        if (!domains.has(domain)) domains.set(domain, []);
+        domains.get(domain).push(index);
+      });
+    });
+    domains.forEach((indexes, domain) => {
+      for (let i = 0; i < indexes.length; i++) {
+        for (let j = i + 1; j < indexes.length; j++) {
+          const [a, b] = [indexes[i], indexes[j]];
+          if (root(a) === root(b)) continue;
+          const alike = names[a].some(nameA => names[b].some(nameB =>
+            FuzzySearchStrategy.similarity(nameA.compact, nameB.compact) >= this.domainNameThreshold));
+          if (alike) link(a, b, `Same email domain @${domain} and similar names`);
+        }
+      }
+    });
+
+    // Names are only compared within a block sharing their first three folded characters
+    const blocks = new Map();
+    names.forEach((recordNames, index) => {
+      recordNames.forEach(({ text, compact }) => {
+        const block = compact.replace(/ /g, '').slice(0, 3);
+        if (!blocks.has(block)) blocks.set(block, []);
+        blocks.get(block).push({ index, compact, text });
+      });
+    });
+    blocks.forEach(entries => {
+      for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+          const a = entries[i];
+          const b = entries[j];
+          if (a.index === b.index || root(a.index) === root(b.index)) continue;
+          if (FuzzySearchStrategy.similarity(a.compact, b.compact) >= this.nameThreshold) {
+            link(a.index, b.index, a.compact === b.compact ? `Same name "${a.text}"` : `Similar names "${a.text}" / "${b.text}"`);
+          }
+        }
+      }
+    });
+
+    const clusters = new Map();
+    records.forEach((record, index) => {
+      const key = root(index);
+      if (!clusters.has(key)) clusters.set(key, { records: [], reasons: new Set() });
+      clusters.get(key).records.push(record);
+    });
+    links.forEach(({ a, reason }) => clusters.get(root(a)).reasons.add(reason));
+
+    return [...clusters.values()]
+      .filter(cluster => cluster.records.length > 1)
+      .map(cluster => ({ records: cluster.records, reasons: [...cluster.reasons] }))
+      .sort((a, b) => b.records.length - a.records.length);
+  }
+
+  // Index of the record with the most filled-in fields, which survives by default
+  static pickSurvivor(records) {
+    const filled = record => Object.values(record).filter(value => value !== null && value !== undefined && String(value).trim() !== '').length;
+    return records.reduce((best, record, index) => (filled(record) > filled(records[best]) ? index : best), 0);
+  }
+
+  // For each column, the index of the record whose value the merge keeps: the survivor's,
+  // unless it is blank and another record has one
+  static suggestChoices(records, survivorIndex = 0, primaryKey = 'id') {
+    const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+    const order = [survivorIndex, ...records.map((_, index) => index).filter(index => index !== survivorIndex)];
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const choices = {};
+    columns.filter(column => column !== primaryKey).forEach(column => {
+      const filled = order.find(index => !isBlank(records[index][column]));
+      choices[column] = filled === undefined ? survivorIndex : filled;
+    });
+    return choices;
+  }
+}
+
+// 14. PHONE NUMBERS - Per-country parsing with E.164 output
+// Numbers are read in the context of the record's country (the free-text `country` column),
+// falling back to PhoneNumber.defaultCountry. `pattern` matches the national significant
+// number (no trunk 0), so it checks both length and leading digits.
+const PHONE_COUNTRIES = {
+  EG: { dial: '20', trunk: '0', pattern: /^(1[0125]\d{8}|[2-9]\d{7,8})$/, names: ['egypt', 'misr', 'cairo', 'alexandria', 'مصر'] },
+  AE: { dial: '971', trunk: '0', pattern: /^(5\d{8}|[2-4679]\d{7}|800\d{2,9})$/, names: ['united arab emirates', 'uae', 'u.a.e', 'emirates', 'dubai', 'abu dhabi', 'sharjah', 'ajman', 'الامارات', 'الإمارات'] },
+  SA: { dial: '966', trunk: '0', pattern: /^(5\d{8}|1\d{8}|800\d{7}|9200\d{5})$/, names: ['saudi arabia', 'ksa', 'saudi', 'riyadh', 'jeddah', 'dammam', 'السعودية'] },
+  KW: { dial: '965', trunk: '', pattern: /^[2569]\d{7}$/, names: ['kuwait', 'الكويت'] },
+  QA: { dial: '974', trunk: '', pattern: /^([3-7]\d{7}|800\d{4})$/, names: ['qatar', 'doha', 'قطر'] },
+  BH: { dial: '973', trunk: '', pattern: /^[136-9]\d{7}$/, names: ['bahrain', 'manama', 'البحرين'] },
+  OM: { dial: '968', trunk: '', pattern: /^[279]\d{7}$/, names: ['oman', 'muscat', 'عمان'] },
+  JO: { dial: '962', trunk: '0', pattern: /^(7[789]\d{7}|[2-6]\d{7})$/, names: ['jordan', 'amman', 'الاردن', 'الأردن'] },
+  LB: { dial: '961', trunk: '0', pattern: /^[1-9]\d{6,7}$/, names: ['lebanon', 'beirut', 'لبنان'] },
+  TR: { dial: '90', trunk: '0', pattern: /^[2-5]\d{9}$/, names: ['turkey', 'turkiye', 'türkiye', 'istanbul'] },
+  GB: { dial: '44', trunk: '0', pattern: /^[1-9]\d{8,9}$/, names: ['united kingdom', 'uk', 'great britain', 'england', 'britain', 'london'] },
+  DE: { dial: '49', trunk: '0', pattern: /^[1-9]\d{5,13}$/, names: ['germany', 'deutschland'] },
+  FR: { dial: '33', trunk: '0', pattern: /^[1-9]\d{8}$/, names: ['france'] },
+  IT: { dial: '39', trunk: '', pattern: /^(3\d{8,9}|0\d{5,10})$/, names: ['italy', 'italia'] },
+  ES: { dial: '34', trunk: '', pattern: /^[6-9]\d{8}$/, names: ['spain', 'espana', 'españa'] },
+  PT: { dial: '351', trunk: '', pattern: /^[2-9]\d{8}$/, names: ['portugal'] },
+  NL: { dial: '31', trunk: '0', pattern: /^[1-9]\d{8}$/, names: ['netherlands', 'holland', 'the netherlands'] },
+  BE: { dial: '32', trunk: '0', pattern: /^[1-9]\d{7,8}$/, names: ['belgium'] },
+  CH: { dial: '41', trunk: '0', pattern: /^[1-9]\d{8}$/, names: ['switzerland'] },
+  AT: { dial: '43', trunk: '0', pattern: /^[1-9]\d{3,12}$/, names: ['austria'] },
+  PL: { dial: '48', trunk: '', pattern: /^[1-9]\d{8}$/, names: ['poland'] },
+  GR: { dial: '30', trunk: '', pattern: /^[2-9]\d{9}$/, names: ['greece'] },
+  SE: { dial: '46', trunk: '0', pattern: /^[1-9]\d{6,9}$/, names: ['sweden'] },
+  NO: { dial: '47', trunk: '', pattern: /^[2-9]\d{7}$/, names: ['norway'] },
+  DK: { dial: '45', trunk: '', pattern: /^[2-9]\d{7}$/, names: ['denmark'] },
+  FI: { dial: '358', trunk: '0', pattern: /^[1-9]\d{4,11}$/, names: ['finland'] },
+  CN: { dial: '86', trunk: '0', pattern: /^(1[3-9]\d{9}|[2-9]\d{8,10})$/, names: ['china', 'prc', "people's republic of china", 'shanghai', 'guangzhou', 'shenzhen', 'beijing', 'الصين'] },
+  HK: { dial: '852', trunk: '', pattern: /^[2-9]\d{7}$/, names: ['hong kong'] },
+  IN: { dial: '91', trunk: '0', pattern: /^[1-9]\d{9}$/, names: ['india'] },
+  US: { dial: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, names: ['united states', 'usa', 'us', 'america'] }
+};
+
+class PhoneNumber {
+  // Resolves an ISO code, country name or major city to a PHONE_COUNTRIES key
+  static resolveCountry(country) {
+    const value = String(country ?? '').trim();
+    if (!value) return null;
+    if (PHONE_COUNTRIES[value.toUpperCase()]) return value.toUpperCase();
+    const name = value.toLowerCase().replace(/\s+/g, ' ');
+    return Object.keys(PHONE_COUNTRIES).find(code => PHONE_COUNTRIES[code].names.includes(name)) || null;
+  }
+  
+  // Longest dial-code prefix of an international number
+  static countryForDigits(digits) {
+    for (const length of [3, 2, 1]) {
+      const code = Object.keys(PHONE_COUNTRIES).find(key => PHONE_COUNTRIES[key].dial === digits.slice(0, length));
+      if (code) return code;
+    }
+    return null;
+  }
+  
+  // Returns { valid, country, e164, national, reason }. `national` keeps the trunk prefix
+  // for display; `e164` is null when the number does not fit the country's rules.
+  static parse(raw, country = null) {
+    const text = String(raw ?? '').replace(/(ext\.?|x|#)\s*\d+$/i, '').trim();
+    const invalid = (reason, code = null) => ({ valid: false, country: code, e164: null, national: text, reason });
+    if (!text) return invalid('empty');
+    if (/[a-z]/i.test(text)) return invalid('contains letters');
+    
+    let digits = text.replace(/\D/g, '');
+    const international = /^(\+|00)/.test(text);
+    if (international && text.startsWith('00')) digits = digits.slice(2);
+    
+    let code = PhoneNumber.resolveCountry(country) || PhoneNumber.defaultCountry;
+    let national = digits;
+    
+    if (international) {
+      code = PhoneNumber.countryForDigits(digits);
+      if (!code) return invalid('unknown country code');
+      national = digits.slice(PHONE_COUNTRIES[code].dial.length);
+    } else {
+      const { dial, pattern } = PHONE_COUNTRIES[code];
+      // Written with the country code but no + (e.g. 201001611579)
+      if (digits.startsWith(dial) && pattern.test(digits.slice(dial.length))) {
+        national = digits.slice(dial.length);
+      }
+    }
+    
+    // Strip the trunk prefix, including the "+44 (0)20..." style
+    const { dial, trunk, pattern } = PHONE_COUNTRIES[code];
+    if (trunk && national.startsWith(trunk) && !pattern.test(national)) {
+      national = national.slice(trunk.length);
+    }
+    
+    if (!pattern.test(national)) return invalid(`not a valid ${code} number`, code);
+    return { valid: true, country: code, e164: `+${dial}${national}`, national: `${trunk}${national}`, reason: null };
+  }
+  
+  static toE164(raw, country = null) {
+    return PhoneNumber.parse(raw, country).e164;
+  }
+  
+  // Fills `<field>_e164` for each phone field whose canonical column the table has.
+  // `context` supplies the country for partial updates that do not include it.
+  static addE164(record, columns, context = {}) {
+    const result = { ...record };
+    const country = record.country ?? context.country ?? null;
+    Object.keys(record)
+      .filter(field => /phone|mobile|whats|tel/i.test(field) && !field.endsWith('_e164') && columns.includes(`${field}_e164`))
+      .forEach(field => {
+        const first = String(record[field] ?? '').split(/[,;\/]/)[0];
+        result[`${field}_e164`] = PhoneNumber.toE164(first, country);
+      });
+    return result;
+  }
+}
+
+PhoneNumber.defaultCountry = 'EG';
+
+// 15. DECORATOR PATTERN - Audit trail of every write that goes through a repository
+class AuditLog {
+  // Without a client entries are kept in memory (tests, offline pages) under `actor`; with
+  // one the audit_log table is read, and written only by its triggers
+  constructor({ client = null, table = 'audit_log', actor = 'anonymous' } = {}) {
+    this.client = client;
+    this.table = table;
+    this.actor = actor;
+    this.entries = [];
+  }
+  
+  // { field: { from, to } } for every field whose value differs
+  static diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.forEach(field => {
+      const from = before ? before[field] ?? null : null;
+      const to = after ? after[field] ?? null : null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+    });
+    return changes;
+  }
+  
+  entry(action, tableName, keyColumn, recordId, before, after) {
+    return {
+      actor: this.actor,
+      action,
+      table_name: tableName,
+      key_column: keyColumn,
+      record_id: String(recordId),
+      before: before || null,
+      after: after || null,
+      changes: AuditLog.diff(before, after),
+      created_at: new Date().toISOString()
+    };
+  }
+  
+  // Updates that changed nothing are not logged. With a client nothing is sent: the
+  // database's audit triggers log every write, with the actor taken from the token.
+  async write(entries) {
+    entries = entries.filter(entry => entry.action !== 'update' || Object.keys(entry.changes).length > 0);
+    if (entries.length === 0 || this.client) return;
+    this.entries.push(...entries);
+  }
+  
+  // { actor, table, recordId, from, to, offset, limit } -> { rows, total }, newest first
+  async fetch({ actor = '', table = '', recordId = '', from = '', to = '', offset = 0, limit = 50 } = {}) {
+    if (!this.client) {
+      const rows = this.entries.filter(entry =>
+        (!actor || entry.actor.toLowerCase().includes(actor.toLowerCase())) &&
+        (!table || entry.table_name === table) &&
+        (!recordId || entry.record_id === String(recordId)) &&
+        (!from || entry.created_at >= from) &&
+        (!to || entry.created_at < to)
+      ).reverse();
+      return { rows: rows.slice(offset, offset + limit), total: rows.length };
+    }
+    
+    let query = this.client.from(this.table).select('*', { count: 'exact' });
+    if (actor) query = query.ilike('actor', `%${actor}%`);
+    if (table) query = query.eq('table_name', table);
+    if (recordId) query = query.eq('record_id', String(recordId));
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lt('created_at', to);
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw new Error(error.message);
+    return { rows: data || [], total: count ?? 0 };
+  }
+}
+
+// Wraps any VendorRepository; reads pass straight through, writes are logged with their
+// before and after rows
+class AuditedRepository extends VendorRepository {
+  constructor(inner, auditLog) {
+    super(inner.primaryKey);
+    this.inner = inner;
+    this.auditLog = auditLog;
+  }
+  
+  // The wrapped adapter owns the key, so VendorDataStore.setPrimaryKey() reaches it
+  get primaryKey() {
+    return this.inner ? this.inner.primaryKey : undefined;
+  }
+  
+  set primaryKey(value) {
+    if (this.inner) this.inner.primaryKey = value;
+  }
+  
+  get table() {
+    return this.inner.table;
+  }
+  
+  get client() {
+    return this.inner.client;
+  }
+  
+  log(action, id, before, after) {
+    return this.auditLog.write([this.auditLog.entry(action, this.table, this.primaryKey, id, before, after)]);
+  }
+  
+  fetchAll() {
+    return this.inner.fetchAll();
+  }
+  
+  fetchPage(query) {
+    return this.inner.fetchPage(query);
+  }
+  
+  async insert(record) {
+    const saved = await this.inner.insert(record);
+    await this.log('insert', saved[this.primaryKey], null, saved);
+    return saved;
+  }
+  
+  async update(id, updates, { before = null } = {}) {
+    const previous = before || await this.inner.fetchById(id);
+    const saved = await this.inner.update(id, updates);
+    await this.log('update', id, previous, saved || { ...previous, ...updates });
+    return saved;
+  }
+  
+  async remove(id, { before = null } = {}) {
+    const previous = before || await this.inner.fetchById(id);
+    const result = await this.inner.remove(id);
+    await this.log('delete', id, previous, null);
+    return result;
+  }
+  
+  async insertMany(records) {
+    const saved = await this.inner.insertMany(records);
+    await this.auditLog.write(saved.map(record =>
+      this.auditLog.entry('insert', this.table, this.primaryKey, record[this.primaryKey], null, record)
+    ));
+    return saved;
+  }
+  
+  async updateMany(records) {
+    const previous = await this.inner.fetchByIds(records.map(record => record[this.primaryKey]));
+    const byId = new Map(previous.map(record => [String(record[this.primaryKey]), record]));
+    const saved = await this.inner.updateMany(records);
+    await this.auditLog.write(saved.map(record => {
+      const id = record[this.primaryKey];
+      return this.auditLog.entry('update', this.table, this.primaryKey, id, byId.get(String(id)) || null, record);
+    }));
+    return saved;
+  }
+  
+  // Puts a row back the way it was before a logged change; a deleted row is re-inserted.
+  // The restore is itself logged.
+  async restore(entry) {
+    if (!entry.before) throw new Error('This change created the row, so there is no earlier version to restore');
+    const current = await this.inner.fetchById(entry.record_id);
+    if (!current) return this.insert({ ...entry.before });
+    const fields = { ...entry.before };
+    delete fields[this.primaryKey];
+    return this.update(current[this.primaryKey], fields, { before: current });
+  }
+}
+
 // Export for use in HTML
 if (typeof window !== 'undefined') {
   window.VendorCore = {
@@ -558,23 +2222,40 @@ if (typeof window !== 'undefined') {
     PartialSearchStrategy,
     CaseInsensitiveSearchStrategy,
     RegexSearchStrategy,
+    FuzzySearchStrategy,
     SortStrategy,
     AlphabeticSortStrategy,
     NumericSortStrategy,
     DateSortStrategy,
+    SortStack,
     // State & Data
     VendorAppState,
+    FilterCondition,
+    FilterGroup,
+    FilterBuilder,
+    PredicateFilterCompiler,
+    SupabaseFilterCompiler,
+    VendorRepository,
+    InMemoryVendorRepository,
+    SupabaseVendorRepository,
     VendorDataStore,
     // Commands
     Command,
     AddVendorCommand,
     UpdateVendorCommand,
     DeleteVendorCommand,
+    MergeVendorsCommand,
+    createCommandFromJSON,
     CommandHistory,
+    SavedViewManager,
     // Utilities
     ScrollManager,
     ThemeManager,
     Validator,
-    StatisticsCalculator
+    StatisticsCalculator,
+    DuplicateFinder,
+    PhoneNumber,
+    AuditLog,
+    AuditedRepository
   };
 }
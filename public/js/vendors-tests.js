@@ -207,6 +207,905 @@ async function runVendorManagementTests() {
     expect(store.data).toHaveLength(0);
   });
 
+  // Test: Repository Adapters
+  suite.test('InMemoryVendorRepository should assign ids on insert', async () => {
+    const repository = new InMemoryVendorRepository([{ id: 4, name: 'Existing' }]);
+    const saved = await repository.insert({ name: 'New Vendor' });
+    expect(saved.id).toBe(5);
+    expect(await repository.fetchAll()).toHaveLength(2);
+  });
+
+  suite.test('InMemoryVendorRepository should return filtered pages with a total', async () => {
+    const records = [];
+    for (let i = 1; i <= 12; i++) {
+      records.push({ id: i, name: `Vendor ${String(i).padStart(2, '0')}`, country: i % 2 ? 'UAE' : 'Oman' });
+    }
+    const repository = new InMemoryVendorRepository(records);
+    const page = await repository.fetchPage({ offset: 5, limit: 5, filters: { country: 'uae' }, sort: { column: 'name', direction: 'desc' } });
+    expect(page.total).toBe(6);
+    expect(page.rows).toHaveLength(1);
+    expect(page.rows[0].name).toBe('Vendor 01');
+  });
+
+  // Test: Filter Query Builder
+  suite.test('PredicateFilterCompiler should evaluate AND/OR filter trees', () => {
+    const vendors = [
+      { id: 1, name: 'Jotun Paints', country: 'Norway', rating: 5, created_at: '2024-03-01' },
+      { id: 2, name: 'National Paints', country: 'UAE', rating: 3, created_at: '2024-06-15' },
+      { id: 3, name: 'Hempel', country: '', rating: 4, created_at: '2023-11-20' }
+    ];
+    const tree = FilterBuilder.and(
+      FilterBuilder.range('rating', 3, 4),
+      FilterBuilder.or(FilterBuilder.contains('name', 'paint'), FilterBuilder.isEmpty('country'))
+    );
+    const predicate = new PredicateFilterCompiler().compile(tree);
+    expect(vendors.filter(predicate).map(v => v.id)).toEqual([2, 3]);
+
+    const dated = new PredicateFilterCompiler().compile(FilterBuilder.dateBetween('created_at', '2024-01-01', '2024-12-31'));
+    expect(vendors.filter(dated)).toHaveLength(2);
+  });
+
+  suite.test('SupabaseFilterCompiler should chain AND conditions and quote OR groups', () => {
+    const calls = [];
+    const query = new Proxy({}, {
+      get: (target, method) => (...args) => { calls.push([method, ...args]); return query; }
+    });
+    const tree = FilterBuilder.and(
+      FilterBuilder.contains('name', '50%'),
+      FilterBuilder.or(FilterBuilder.in('country', ['UAE', 'Oman']), FilterBuilder.isEmpty('country'))
+    );
+    new SupabaseFilterCompiler().apply(query, tree);
+    expect(calls[0]).toEqual(['ilike', 'name', '%50\\%%']);
+    expect(calls[1]).toEqual(['or', 'country.in.("UAE","Oman"),or(country.is.null,country.eq."")']);
+  });
+
+  suite.test('VendorDataStore should write through to its repository', async () => {
+    const repository = new InMemoryVendorRepository();
+    const store = new VendorDataStore(repository);
+    const saved = await store.addVendor({ name: 'Test Vendor' });
+    await store.updateVendor(saved.id, { name: 'Updated Vendor' });
+    expect(repository.records[0].name).toBe('Updated Vendor');
+    await store.deleteVendor(saved.id);
+    expect(repository.records).toHaveLength(0);
+  });
+
+  suite.test('VendorDataStore should notify observers when a write fails', async () => {
+    const store = new VendorDataStore(new InMemoryVendorRepository());
+    store.setData([{ id: 9, name: 'Local Only' }]);
+    const events = [];
+    store.subscribe((event, data) => events.push(event));
+    let failed = false;
+    try {
+      await store.updateVendor(9, { name: 'Changed' });
+    } catch (e) {
+      failed = true;
+    }
+    expect(failed).toBeTruthy();
+    expect(events).toContain('syncFailed');
+  });
+
+  suite.test('UpdateVendorCommand should roll back locally when the write fails', async () => {
+    const store = new VendorDataStore(new InMemoryVendorRepository());
+    store.setData([{ id: 3, name: 'Jotun', country: 'Norway' }]);
+    const command = new UpdateVendorCommand(store, 3, { name: 'Jotun', country: 'UAE' });
+    try {
+      await command.execute();
+    } catch (e) {
+      await command.undo({ persist: false });
+    }
+    expect(store.getVendor(3).country).toBe('Norway');
+    expect(command.getChangedFields()).toEqual(['country']);
+  });
+
+  suite.test('UpdateVendorCommand undo should restore only the fields it changed', async () => {
+    const repository = new InMemoryVendorRepository([{ id: 4, name: 'Acme', country: 'Egypt', phone: '0100' }]);
+    const store = new VendorDataStore(repository);
+    await store.load();
+    const command = new UpdateVendorCommand(store, 4, { country: 'UAE' });
+    await command.execute();
+    // Someone else edits another field before the undo
+    await store.updateVendor(4, { phone: '0122' });
+    await command.undo();
+    expect(store.getVendor(4).country).toBe('Egypt');
+    expect(store.getVendor(4).phone).toBe('0122');
+    expect(repository.records[0].phone).toBe('0122');
+  });
+
+  // Test: CommandHistory
+  suite.test('CommandHistory should undo and redo commands', async () => {
+    const store = new VendorDataStore(new InMemoryVendorRepository());
+    const history = new CommandHistory();
+    const saved = await history.executeCommand(new AddVendorCommand(store, { name: 'Jotun' }));
+    await history.undo();
+    expect(store.getVendor(saved.id)).toBeUndefined();
+    await history.redo();
+    expect(store.getVendor(saved.id).name).toBe('Jotun');
+  });
+
+  suite.test('CommandHistory should restore a delete from storage after reload', async () => {
+    const storage = new LocalStorageManager('history_test');
+    storage.remove('history_clients');
+    const repository = new InMemoryVendorRepository([{ id: 1, name: 'Acme' }]);
+    const store = new VendorDataStore(repository);
+    await store.load();
+    const history = new CommandHistory({ storage, storageKey: 'history_clients', store });
+    await history.executeCommand(new DeleteVendorCommand(store, 1));
+
+    // Simulate a page reload: fresh storage cache, store and history
+    const reloadedStore = new VendorDataStore(repository);
+    await reloadedStore.load();
+    const reloaded = new CommandHistory({ storage: new LocalStorageManager('history_test'), storageKey: 'history_clients', store: reloadedStore });
+    expect(reloaded.getEntries()[0].action).toBe('Deleted');
+    expect(reloaded.getEntries()[0].record).toBe('Acme');
+    await reloaded.undo();
+    expect(repository.records[0].name).toBe('Acme');
+    storage.remove('history_clients');
+  });
+
+  // Test: Audit log
+  suite.test('AuditedRepository should log every write with a diff and restore old versions', async () => {
+    const auditLog = new AuditLog({ actor: 'mona' });
+    const inner = new InMemoryVendorRepository([{ id: 1, name: 'Acme', phone: '0100' }]);
+    inner.table = 'clients';
+    const store = new VendorDataStore(new AuditedRepository(inner, auditLog));
+    await store.load();
+
+    await store.updateVendor(1, { phone: '0122' });
+    await store.updateVendor(1, { phone: '0122' });
+    await store.addVendor({ name: 'Nour' });
+    await store.deleteVendor(1);
+
+    expect(auditLog.entries.map(entry => entry.action)).toEqual(['update', 'insert', 'delete']);
+    expect(auditLog.entries[0].changes).toEqual({ phone: { from: '0100', to: '0122' } });
+    expect(auditLog.entries[0].actor).toBe('mona');
+    expect(auditLog.entries[2].record_id).toBe('1');
+
+    const { rows } = await auditLog.fetch({ table: 'clients', recordId: 1 });
+    expect(rows.map(entry => entry.action)).toEqual(['delete', 'update']);
+
+    // Undo the delete, then roll the edit back
+    await store.repository.restore(rows[0]);
+    await store.repository.restore(rows[1]);
+    expect(inner.records.find(record => record.id === 1).phone).toBe('0100');
+    expect(auditLog.entries).toHaveLength(5);
+  });
+
+  suite.test('AuditLog should leave writing entries to the database when it has a client', async () => {
+    const tables = [];
+    const auditLog = new AuditLog({ client: { from: table => { tables.push(table); return {}; } } });
+    await auditLog.write([auditLog.entry('insert', 'clients', 'id', 1, null, { id: 1 })]);
+    expect(tables).toHaveLength(0);
+    expect(auditLog.entries).toHaveLength(0);
+  });
+
+  // Test: Realtime sync (realtime-sync.js)
+  suite.test('RealtimeSync should merge remote changes and respect rows being edited', async () => {
+    const store = new VendorDataStore(new InMemoryVendorRepository([{ id: 1, name: 'Acme' }, { id: 2, name: 'Nour' }]));
+    await store.load();
+    let busy = false;
+    const events = [];
+    store.subscribe(event => events.push(event));
+    const sync = new RealtimeSync(store, {
+      isBusy: () => busy,
+      getEditState: id => (id === 2 ? 'dirty' : null),
+      resolveConflict: async () => 'mine'
+    });
+
+    await sync.handle({ eventType: 'UPDATE', new: { id: 1, name: 'Acme Group' } });
+    expect(store.getVendor(1).name).toBe('Acme Group');
+    expect(sync.wasChangedRemotely(1)).toBeTruthy();
+
+    // Keeping local edits stores the remote values without a re-render
+    events.length = 0;
+    await sync.handle({ eventType: 'UPDATE', new: { id: 2, name: 'Nour Co' } });
+    expect(store.getVendor(2).name).toBe('Nour Co');
+    expect(events).toHaveLength(0);
+
+    // Our own write coming back is not treated as someone else's
+    await store.updateVendor(1, { name: 'Mine' });
+    events.length = 0;
+    await sync.handle({ eventType: 'UPDATE', new: { id: 1, name: 'Mine', updated_at: '2026-10-19' } });
+    expect(events).toHaveLength(0);
+
+    busy = true;
+    await sync.handle({ eventType: 'INSERT', new: { id: 3, name: 'Jotun' } });
+    expect(store.getAllVendors()).toHaveLength(2);
+    busy = false;
+    await sync.flush();
+    expect(store.getVendor(3).name).toBe('Jotun');
+
+    await sync.handle({ eventType: 'DELETE', old: { id: 3 } });
+    expect(store.getVendor(3)).toBeFalsy();
+  });
+
+  suite.test('OfflineQueue should queue commands offline and replay them in order', async () => {
+    const cached = new Map();
+    const queued = new Map();
+    let seq = 0;
+    const cache = {
+      getRows: async () => [...cached.values()],
+      putRows: async (table, entries) => entries.forEach(({ key, row }) => cached.set(String(key), row)),
+      deleteRows: async (table, keys) => keys.forEach(key => cached.delete(String(key))),
+      getQueue: async () => [...queued.values()],
+      pushQueue: async entry => { queued.set(++seq, entry); return seq; },
+      deleteQueue: async key => queued.delete(key)
+    };
+    const server = new InMemoryVendorRepository([{ id: 1, name: 'Acme', version: 1 }, { id: 2, name: 'Nour', version: 1 }]);
+    server.table = 'clients';
+    const store = new VendorDataStore();
+    store.setRepository(new CachingRepository(server, cache));
+    await store.load();
+    expect(cached.size).toBe(2);
+
+    let online = false;
+    const queue = new OfflineQueue(store, { cache, isOnline: () => online, resolveConflict: async () => 'theirs' });
+    const history = new CommandHistory({ store, queue });
+    await history.executeCommand(new UpdateVendorCommand(store, 1, { name: 'Acme Group' }));
+    await history.executeCommand(new AddVendorCommand(store, { name: 'Jotun' }));
+    await history.executeCommand(new UpdateVendorCommand(store, 2, { name: 'Nour Co' }));
+    expect(queue.pending).toBe(3);
+    expect(store.getVendor(1).name).toBe('Acme Group');
+    expect(server.records[0].name).toBe('Acme');
+
+    // Undo while offline takes the queued change back
+    await history.undo();
+    expect(queue.pending).toBe(2);
+    expect(store.getVendor(2).name).toBe('Nour');
+
+    // Someone else edits Nour before our second attempt reaches the server
+    await history.executeCommand(new UpdateVendorCommand(store, 2, { name: 'Nour Co' }));
+    await server.update(2, { name: 'Nour LLC', version: 2 });
+
+    online = true;
+    await queue.replay();
+    expect(queue.pending).toBe(0);
+    expect(server.records.map(record => record.name)).toEqual(['Acme Group', 'Nour LLC', 'Jotun']);
+    expect(history.undoStack[1].vendor.id).toBe(3);
+
+    // Reads fall back to the cache when the request cannot get through
+    const unreachable = new CachingRepository({
+      primaryKey: 'id',
+      table: 'clients',
+      fetchPage: async () => { throw new Error('TypeError: Failed to fetch'); }
+    }, cache);
+    const page = await unreachable.fetchPage({ filters: { name: 'acme' } });
+    expect(page.offline).toBeTruthy();
+    expect(page.rows.map(record => record.name)).toEqual(['Acme Group']);
+  });
+
+  suite.test('AuthService should sign in by username and only let admins create accounts', async () => {
+    const accounts = {
+      'admin@users.itsgroup.local': { password: 'secret1', user: { email: 'admin@users.itsgroup.local', app_metadata: { role: 'admin' }, user_metadata: { username: 'admin' } } },
+      'mona@users.itsgroup.local': { password: 'secret2', user: { email: 'mona@users.itsgroup.local', app_metadata: {}, user_metadata: { username: 'Mona' } } }
+    };
+    const fakeClient = () => {
+      let signedIn = null;
+      return {
+        auth: {
+          onAuthStateChange() {},
+          async signInWithPassword({ email, password }) {
+            const account = accounts[email];
+            if (!account || account.password !== password) return { data: {}, error: { message: 'Invalid login credentials' } };
+            signedIn = account.user;
+            return { data: { user: account.user, session: { user: account.user, refresh_token: 'r' } }, error: null };
+          },
+          async signOut() {
+            signedIn = null;
+            return { error: null };
+          }
+        },
+        // Stands in for the create-user function, which checks the caller's token
+        functions: {
+          async invoke(name, { body }) {
+            const email = `${body.username}@users.itsgroup.local`;
+            const refuse = message => ({ data: null, error: { context: { json: async () => ({ success: false, error: message }) } } });
+            if (!signedIn || !AuthService.isAdmin(signedIn)) return refuse('Only admins can create accounts');
+            if (accounts[email]) return refuse('Username already exists. Please choose a different one.');
+            accounts[email] = { password: body.password, user: { email, app_metadata: { role: body.role }, user_metadata: { username: body.username } } };
+            return { data: { success: true, user: accounts[email].user }, error: null };
+          }
+        }
+      };
+    };
+    const auth = new AuthService({ client: fakeClient(), scratchClient: fakeClient(), storage: localStorage });
+
+    const user = await auth.signIn('Mona', 'secret2');
+    expect(AuthService.usernameOf(user)).toBe('Mona');
+    expect(sessionStorage.getItem('currentUser')).toBe('Mona');
+
+    const attempt = async credentials => {
+      try {
+        await auth.signUp({ ...credentials, username: 'karim', password: 'secret3' });
+        return 'created';
+      } catch (error) {
+        return error.message;
+      }
+    };
+    expect(await attempt({ adminUsername: 'Mona', adminPassword: 'secret2' })).toBe('Invalid admin credentials. Only admins can create new users.');
+    expect(await attempt({ adminUsername: 'admin', adminPassword: 'secret1' })).toBe('created');
+    expect(accounts['karim@users.itsgroup.local'].user.app_metadata.role).toBe('read-only');
+    expect(await attempt({ adminUsername: 'admin', adminPassword: 'secret1' })).toBe('Username already exists. Please choose a different one.');
+
+    expect(getSafeReturnUrl('clients.html?focus=7')).toBe('clients.html?focus=7');
+    expect(getSafeReturnUrl('https://evil.example/clients.html')).toBeNull();
+    await auth.signOut();
+    expect(sessionStorage.getItem('currentUser')).toBeNull();
+  });
+
+  // Test: Role-based access control
+  suite.test('AccessControl should apply role permissions per table and action', async () => {
+    const rows = [
+      { role: 'warehouse', table_name: 'warehouse_inventory', can_read: true, can_insert: true, can_update: true, can_delete: false },
+      { role: 'warehouse', table_name: 'global_code_duplicate1', can_read: true, can_insert: false, can_update: false, can_delete: false },
+      { role: 'read-only', table_name: 'clients', can_read: true, can_insert: false, can_update: false, can_delete: false }
+    ];
+    const fakeClient = {
+      from: () => ({
+        select: () => ({
+          eq: async (column, value) => ({ data: rows.filter(row => row[column] === value), error: null })
+        })
+      })
+    };
+    localStorage.removeItem('its_role_permissions_warehouse');
+    const access = new AccessControl({ client: fakeClient, role: 'warehouse' });
+    expect(access.can('warehouse_inventory', 'update')).toBeFalsy();
+    expect(access.can('warehouse_inventory', 'read')).toBeTruthy();
+
+    await access.load();
+    expect(access.can('warehouse_inventory', 'update')).toBeTruthy();
+    expect(access.can('warehouse_inventory', 'delete')).toBeFalsy();
+    expect(access.can('global_code_duplicate1', 'update')).toBeFalsy();
+    expect(access.can('clients', 'read')).toBeFalsy();
+    // The next page load starts from the cached permissions
+    expect(new AccessControl({ role: 'warehouse' }).can('warehouse_inventory', 'insert')).toBeTruthy();
+
+    const readOnly = new AccessControl({ client: fakeClient, role: 'read-only' });
+    await readOnly.load();
+    expect(readOnly.can('clients', 'read')).toBeTruthy();
+    expect(readOnly.can('clients', 'delete')).toBeFalsy();
+    expect(readOnly.can('warehouse_inventory', 'read')).toBeFalsy();
+    expect(new AccessControl({ role: 'admin' }).can('clients', 'delete')).toBeTruthy();
+    expect(AccessControl.roleOf({ app_metadata: { role: 'owner' } })).toBeNull();
+    expect(AccessControl.roleOf({ app_metadata: {} })).toBeNull();
+    const unassigned = new AccessControl({ client: fakeClient, role: 'owner' });
+    await unassigned.load();
+    expect(unassigned.can('clients', 'read')).toBeFalsy();
+    expect(unassigned.roleLabel).toBe('Unassigned');
+  });
+
+  // Test: User administration
+  suite.test('UserAdminService should invite with a temporary password and call the admin functions', async () => {
+    const calls = [];
+    const fakeClient = {
+      async rpc(name, params) {
+        calls.push({ name, params });
+        if (name === 'admin_set_active' && !params.active) return { data: null, error: { message: 'You cannot deactivate your own account' } };
+        return { data: name === 'admin_list_users' ? [{ id: 'u1', username: 'mona' }] : null, error: null };
+      }
+    };
+    const created = [];
+    const fakeAuth = {
+      client: fakeClient,
+      async createAccount(username, password, profile) {
+        created.push({ username, password, profile });
+        return { id: 'u2' };
+      }
+    };
+    const admin = new UserAdminService({ auth: fakeAuth, auditLog: new AuditLog() });
+
+    expect(await admin.list()).toHaveLength(1);
+    const { password } = await admin.invite({ username: 'karim', fullName: 'Karim Nabil', email: '', role: 'sales' });
+    expect(password).toHaveLength(12);
+    expect(created[0]).toEqual({ username: 'karim', password, profile: { fullName: 'Karim Nabil', email: null, phone: null, role: 'sales' } });
+    expect(calls).toHaveLength(1);
+
+    let rejected = false;
+    try {
+      await admin.invite({ username: 'k', role: 'sales' });
+    } catch (error) {
+      rejected = true;
+    }
+    expect(rejected).toBeTruthy();
+    expect(created).toHaveLength(1);
+
+    const reset = await admin.resetPassword('u2');
+    expect(calls[1].params.password).toBe(reset);
+    let failure = null;
+    try {
+      await admin.setActive('u1', false);
+    } catch (error) {
+      failure = error.message;
+    }
+    expect(failure).toBe('You cannot deactivate your own account');
+  });
+
+  // Test: Server-issued MFA codes
+  suite.test('MfaService should send codes through the send-mfa-code function and exchange a verified code for a reset token', async () => {
+    const requests = [];
+    let limited = false;
+    const fakeClient = {
+      functions: {
+        async invoke(name, { body }) {
+          requests.push({ name, body });
+          if (limited) {
+            const context = { json: async () => ({ success: false, error: 'Please wait 42 seconds before requesting another code' }) };
+            return { data: null, error: { message: 'Edge Function returned a non-2xx status code', context } };
+          }
+          return { data: { success: true, destination: 'mo***@acme.com', retryAfter: 60 }, error: null };
+        }
+      },
+      async rpc(name, params) {
+        if (name !== 'verify_mfa_code') return { data: null, error: null };
+        return { data: params.code === '482913' ? { token: 'reset-token' } : { error: 'Invalid code. 4 attempts left.' }, error: null };
+      }
+    };
+    const mfa = new MfaService({ auth: { client: fakeClient } });
+
+    const sent = await mfa.sendCode('mona', 'email');
+    expect(requests[0]).toEqual({ name: 'send-mfa-code', body: { username: 'mona', channel: 'email' } });
+    expect(sent.destination).toBe('mo***@acme.com');
+    expect(sent.code).toBeUndefined();
+
+    limited = true;
+    let failure = null;
+    try {
+      await mfa.sendCode('mona', 'email');
+    } catch (error) {
+      failure = error.message;
+    }
+    expect(failure).toBe('Please wait 42 seconds before requesting another code');
+
+    failure = null;
+    try {
+      await mfa.verifyCode('mona', '000000');
+    } catch (error) {
+      failure = error.message;
+    }
+    expect(failure).toBe('Invalid code. 4 attempts left.');
+    expect(await mfa.verifyCode('mona', '482913')).toBe('reset-token');
+  });
+
+  // Test: Passkeys
+  suite.test('PasskeyService should register and sign in through a WebAuthn authenticator', async () => {
+    const bytes = text => new TextEncoder().encode(text).buffer;
+    const rpcCalls = [];
+    const requests = [];
+    const fakeClient = {
+      functions: {
+        async invoke(name, { body }) {
+          requests.push({ name, body });
+          return { data: name === 'passkey-register' ? { success: true, id: 1 } : { success: true, tokenHash: 'hashed-token' }, error: null };
+        }
+      },
+      async rpc(name, params) {
+        rpcCalls.push({ name, params });
+        if (name === 'passkey_registration_options') {
+          return { data: { challenge: 'Y2hhbGxlbmdl', user: { id: 'dXNlcg', name: 'mona', displayName: 'Mona' }, excludeCredentials: [] }, error: null };
+        }
+        if (name === 'passkey_login_options') return { data: { challenge: 'bG9naW4', allowCredentials: [{ id: 'Y3JlZA', transports: ['internal'] }] }, error: null };
+        return { data: 1, error: null };
+      },
+      auth: {
+        async verifyOtp(params) {
+          return params.token_hash === 'hashed-token' ? { data: { user: { id: 'u1' } }, error: null } : { data: {}, error: { message: 'Token has expired or is invalid' } };
+        }
+      }
+    };
+    const authenticator = {
+      async create({ publicKey }) {
+        expect(new TextDecoder().decode(publicKey.challenge)).toBe('challenge');
+        return {
+          rawId: bytes('cred'),
+          response: {
+            clientDataJSON: bytes('{"type":"webauthn.create"}'),
+            attestationObject: bytes('attestation'),
+            getTransports: () => ['internal']
+          }
+        };
+      },
+      async get({ publicKey }) {
+        expect(new TextDecoder().decode(publicKey.allowCredentials[0].id)).toBe('cred');
+        return { rawId: bytes('cred'), response: { clientDataJSON: bytes('{}'), authenticatorData: bytes('auth'), signature: bytes('sig'), userHandle: null } };
+      }
+    };
+    const passkeys = new PasskeyService({ auth: { client: fakeClient }, client: fakeClient, credentials: authenticator });
+
+    expect(await passkeys.register('Work laptop')).toBe(1);
+    expect(rpcCalls).toHaveLength(1);
+    expect(requests[0].name).toBe('passkey-register');
+    expect(requests[0].body.credentialId).toBe('Y3JlZA');
+    expect(requests[0].body.attestationObject).toBe(PasskeyService.encode(bytes('attestation')));
+    expect(requests[0].body.name).toBe('Work laptop');
+
+    const user = await passkeys.signIn('mona');
+    expect(requests[1].name).toBe('passkey-login');
+    expect(requests[1].body.signature).toBe(PasskeyService.encode(bytes('sig')));
+    expect(user.id).toBe('u1');
+
+    authenticator.get = async () => { throw Object.assign(new Error('denied'), { name: 'NotAllowedError' }); };
+    let failure = null;
+    try {
+      await passkeys.signIn();
+    } catch (error) {
+      failure = error.message;
+    }
+    expect(failure).toBe('The passkey request was cancelled or timed out.');
+  });
+
+  // Test: Shared session timeout
+  suite.test('SessionManager should warn, time out and sign out the other tabs', async () => {
+    const values = new Map([['sessionTimeout', '15']]);
+    const storage = { getItem: key => values.has(key) ? values.get(key) : null, setItem: (key, value) => values.set(key, String(value)) };
+    const posted = [];
+    let signOuts = 0;
+    let clock = 1000000;
+    const makeManager = () => new SessionManager({
+      auth: { session: null, async signOut() { signOuts++; } },
+      storage,
+      channel: { postMessage: message => posted.push(message) },
+      now: () => clock,
+      dialog: false
+    });
+    const session = makeManager();
+    const other = makeManager();
+    const events = [];
+    session.subscribe((event, detail) => events.push([event, detail]));
+
+    session.start();
+    other.start();
+    expect(session.remaining()).toBe(15 * 60 * 1000);
+
+    clock += 14.5 * 60 * 1000;
+    session.tick();
+    expect(events[0]).toEqual(['warning', 30]);
+
+    // Activity in the other tab counts for this one too
+    other.touch();
+    session.tick();
+    expect(events[1]).toEqual(['active', undefined]);
+
+    clock += 15 * 60 * 1000;
+    await session.tick();
+    expect(events[2]).toEqual(['logout', 'timeout']);
+    expect(posted[0]).toEqual({ type: 'logout', reason: 'timeout' });
+    expect(SessionManager.takeLogoutReason()).toBe('timeout');
+
+    other.onMessage(posted[0]);
+    expect(other.running).toBeFalsy();
+    expect(signOuts).toBe(2);
+  });
+
+  // Test: Mail merge
+  suite.test('MailMergeTemplate should personalize with fallbacks and conditions and flag missing values', () => {
+    const templates = {
+      subject: 'Offer for {{company | your company}}',
+      body: 'Dear {{Name}},{{#if category}} as a {{category}} client{{else}} as a new client{{/if}} you get 10% off. {{phone}}'
+    };
+    const full = MailMergeTemplate.merge(templates, { name: 'Mona', company: 'Acme', category: 'Gold', phone: '0100' });
+    expect(full.subject).toBe('Offer for Acme');
+    expect(full.body).toBe('Dear Mona, as a Gold client you get 10% off. 0100');
+    expect(full.missing).toHaveLength(0);
+
+    const sparse = MailMergeTemplate.merge(templates, { name: 'Karim', company: ' ', category: '' });
+    expect(sparse.subject).toBe('Offer for your company');
+    expect(sparse.body).toBe('Dear Karim, as a new client you get 10% off. ');
+    expect(sparse.missing).toEqual(['phone']);
+
+    expect(new MailMergeTemplate(templates.body).fields()).toEqual(['name', 'category', 'phone']);
+    expect(() => new MailMergeTemplate('{{#if company}}Hi')).toThrow();
+    expect(() => new MailMergeTemplate('Hi{{/if}}')).toThrow();
+  });
+
+  // Test: Email campaigns
+  suite.test('EmailCampaignService should send through send-campaign and resend only the failures', async () => {
+    const rows = [
+      { id: 1, email: 'mona@acme.com', name: 'Mona', subject: 'Hi Mona', body: '', status: 'queued', attempts: 0 },
+      { id: 2, email: 'karim@acme.com', name: 'Karim', subject: 'Hi Karim', body: '', status: 'queued', attempts: 0 }
+    ];
+    const campaignUpdates = [];
+    // Stands in for the send-campaign function in front of an SMTP server that rejects one
+    // mailbox: it sends, records each recipient and answers with their results
+    const sentTo = [];
+    let functionDown = false;
+    let noResults = false;
+    const fakeClient = {
+      functions: {
+        async invoke(name, { body }) {
+          if (functionDown) {
+            return { data: null, error: { message: 'Failed to send a request to the Edge Function', context: {} } };
+          }
+          if (noResults) return { data: { success: true }, error: null };
+          const ids = JSON.parse(body.get('recipient_ids'));
+          const pending = rows.filter(row => ids.includes(row.id) && row.status !== 'sent');
+          sentTo.push(pending.map(row => row.email));
+          const results = pending.map(row => {
+            const failed = row.email.startsWith('karim') && sentTo.length === 1;
+            Object.assign(row, { status: failed ? 'failed' : 'sent', error: failed ? '550 Mailbox unavailable' : null, attempts: row.attempts + 1 });
+            return { id: row.id, email: row.email, status: row.status, error: row.error };
+          });
+          return { data: { success: true, status: EmailCampaignService.statusFor(EmailCampaignService.summarize(rows)), results }, error: null };
+        }
+      },
+      from(table) {
+        const query = {};
+        const chain = {
+          update(patch) { query.patch = patch; return chain; },
+          in(column, values) { query[column] = values; return chain; },
+          select() { return chain; },
+          eq() { return chain; },
+          order() { return chain; },
+          then(resolve) {
+            if (query.patch && table === 'email_campaigns') campaignUpdates.push(query.patch);
+            if (query.patch && table === 'email_campaign_recipients') {
+              rows
+                .filter(row => query.id.includes(row.id) && (!query.status || query.status.includes(row.status)))
+                .forEach(row => Object.assign(row, query.patch));
+            }
+            resolve({ data: table === 'email_campaign_recipients' ? rows.map(row => ({ ...row })) : null, error: null });
+          }
+        };
+        return chain;
+      }
+    };
+    const campaigns = new EmailCampaignService({ client: fakeClient });
+    const campaign = { id: 7, subject: 'Hi {{name}}', body: '' };
+
+    const first = await campaigns.deliver(campaign, rows.map(row => ({ ...row })));
+    expect(first).toEqual({ sent: 1, failed: 1, errors: ['550 Mailbox unavailable'] });
+    expect(rows[1].status).toBe('failed');
+    expect(rows[1].attempts).toBe(1);
+
+    const retry = await campaigns.retryFailed(campaign);
+    expect(sentTo[1]).toEqual(['karim@acme.com']);
+    expect(retry.sent).toBe(1);
+    expect(rows[1].attempts).toBe(2);
+    expect(campaignUpdates).toHaveLength(0);
+
+    // Nothing was sent, so the page marks the recipients failed itself
+    functionDown = true;
+    rows.push({ id: 3, email: 'nour@acme.com', name: 'Nour', subject: 'Hi Nour', body: '', status: 'queued', attempts: 0 });
+    const offline = await campaigns.deliver(campaign, [{ ...rows[2] }]);
+    expect(offline.failed).toBe(1);
+    expect(rows[2].error).toBe('The email service is unreachable. Please try again later.');
+    expect(campaignUpdates[0].status).toBe('partial');
+
+    // An answer without results counts as a failed send; a recipient another send has
+    // claimed keeps its status
+    functionDown = false;
+    noResults = true;
+    rows[1].status = 'sending';
+    const unanswered = await campaigns.deliver(campaign, [{ ...rows[1] }, { ...rows[2] }]);
+    expect(unanswered.failed).toBe(2);
+    expect(rows[2].attempts).toBe(2);
+    expect(rows[1].status).toBe('sending');
+    expect(campaignUpdates[1].status).toBe('sending');
+  });
+
+  // Test: Duplicate detection and merge
+  suite.test('DuplicateFinder should cluster by phone, email domain and similar names', () => {
+    const clusters = new DuplicateFinder().find([
+      { id: 1, name: 'Ahmed Saleh', phone: '0100 161 1579', email: '' },
+      { id: 2, name: 'Mona Adel', phone: '+20 100-161-1579', email: 'mona@acme.com' },
+      { id: 3, name: 'Acme Trading', phone: '', email: 'info@acme.com' },
+      { id: 4, name: 'Jotun Paints', phone: '', email: 'a@gmail.com' },
+      { id: 5, name: 'Jotun Paint', phone: '', email: 'b@gmail.com' },
+      { id: 6, name: 'Sherif Fawzy', phone: '0122 555 0000', email: '' },
+      { id: 7, name: 'Acme Trading Co', phone: '', email: 'sales@acme.com' }
+    ]);
+    expect(clusters).toHaveLength(3);
+    expect(clusters[0].records.map(record => record.id)).toEqual([1, 2]);
+    expect(clusters[1].records.map(record => record.id)).toEqual([3, 7]);
+    expect(clusters[2].records.map(record => record.id)).toEqual([4, 5]);
+  });
+
+  suite.test('DuplicateFinder should not cluster unrelated people by a shared email domain', () => {
+    const clusters = new DuplicateFinder().find([
+      { id: 1, name: 'Li Wei', email: 'liwei@qq.com' },
+      { id: 2, name: 'Zhang Min', email: 'zhangmin@qq.com' },
+      { id: 3, name: 'Wang Fang', email: 'wf@163.com' },
+      { id: 4, name: 'Chen Jie', email: 'cj@163.com' },
+      { id: 5, name: 'Tom Hardy', email: 'tom@yahoo.co.uk' },
+      { id: 6, name: 'Anne Martin', email: 'anne@yahoo.co.uk' },
+      { id: 7, name: 'Mona Adel', email: 'mona@acme.com' },
+      { id: 8, name: 'Karim Nabil', email: 'karim@acme.com' }
+    ]);
+    expect(clusters).toHaveLength(0);
+  });
+
+  suite.test('MergeVendorsCommand should merge chosen fields and undo as one step', async () => {
+    const repository = new InMemoryVendorRepository([
+      { id: 1, name: 'Acme', phone: '', email: 'info@acme.com' },
+      { id: 2, name: 'ACME Co', phone: '01001611579', email: '' }
+    ]);
+    const store = new VendorDataStore(repository);
+    await store.load();
+    const [survivor, duplicate] = repository.records.map(record => ({ ...record }));
+    const choices = DuplicateFinder.suggestChoices([survivor, duplicate], 0);
+    const merged = Object.fromEntries(Object.entries(choices).map(([column, index]) => [column, [survivor, duplicate][index][column]]));
+
+    const history = new CommandHistory();
+    await history.executeCommand(new MergeVendorsCommand(store, survivor, [duplicate], merged));
+    expect(repository.records).toHaveLength(1);
+    expect(repository.records[0].phone).toBe('01001611579');
+    expect(history.getEntries()[0].action).toBe('Merged 1 duplicate into');
+
+    await history.undo();
+    expect(repository.records).toHaveLength(2);
+    expect(repository.records.find(record => record.id === 1).phone).toBe('');
+  });
+
+  // Test: CSV / XLSX import (import-wizard.js)
+  suite.test('ImportPlanner should map headers, dry-run rows and commit the plan', async () => {
+    const columns = ['id', 'name', 'phone', 'email', 'company', 'category'];
+    const headers = ['Client Name', 'Mobile', 'E-mail', 'Company', 'Categry'];
+    const mapping = ImportPlanner.autoMap(headers, columns);
+    expect(mapping).toEqual({ 'Client Name': 'name', Mobile: 'phone', 'E-mail': 'email', Company: 'company', Categry: 'category' });
+
+    const repository = new InMemoryVendorRepository([{ id: 1, name: 'Acme', email: 'info@acme.com', company: 'Acme' }]);
+    const planner = new ImportPlanner({ columns, key: 'email', validator: getTableValidator('clients') });
+    const plan = planner.plan([
+      { 'Client Name': 'Acme Group', 'E-mail': 'INFO@acme.com', Company: '' },
+      { 'Client Name': 'Nour', Mobile: '01001611579', 'E-mail': 'nour@example.com', Categry: 'Hotels' },
+      { 'Client Name': 'Bad', 'E-mail': 'not-an-email' },
+      { 'Client Name': 'Nour again', 'E-mail': 'nour@example.com' },
+      { 'Client Name': '', Mobile: '', 'E-mail': '' }
+    ], mapping, repository.records);
+
+    expect(plan.updates).toHaveLength(1);
+    expect(plan.updates[0].changes).toEqual({ name: 'Acme Group', email: 'INFO@acme.com' });
+    expect(plan.updates[0].record).toEqual({ id: 1, name: 'Acme Group', email: 'INFO@acme.com' });
+    expect(plan.inserts).toHaveLength(1);
+    expect(plan.rejects.map(reject => reject.line)).toEqual([4, 5]);
+    expect(ImportPlanner.errorReport(plan.rejects, headers).split('\n')).toHaveLength(3);
+
+    const result = await ImportPlanner.commit(repository, plan);
+    expect(result).toEqual({ inserted: 1, updated: 1, failures: [] });
+    expect(repository.records[0].name).toBe('Acme Group');
+    expect(repository.records[1].category).toBe('Hotels');
+  });
+
+  suite.test('ImportPlanner should not overwrite cells changed by someone else after the dry run', async () => {
+    const columns = ['id', 'name', 'email', 'company', 'category'];
+    const repository = new InMemoryVendorRepository([
+      { id: 1, name: 'Acme', email: 'info@acme.com', company: 'Acme', category: 'Hotels' },
+      { id: 2, name: 'Nour', email: 'nour@example.com', company: 'Nour', category: 'Hotels' }
+    ]);
+    const planner = new ImportPlanner({ columns, key: 'email', validator: getTableValidator('clients') });
+    const plan = planner.plan([
+      { name: 'Acme Group', email: 'info@acme.com' },
+      { name: 'Nour', email: 'nour@example.com', company: 'Nour Co' }
+    ], { name: 'name', email: 'email', company: 'company' }, repository.records);
+
+    // Colleagues edit both rows between the preview and the commit
+    await repository.update(1, { name: 'Acme Holding' });
+    await repository.update(2, { category: 'Restaurants' });
+
+    const result = await ImportPlanner.commit(repository, plan);
+    expect(result.updated).toBe(1);
+    expect(result.failures.map(failure => failure.line)).toEqual([2]);
+    expect(repository.records[0].name).toBe('Acme Holding');
+    expect(repository.records[1].company).toBe('Nour Co');
+    expect(repository.records[1].category).toBe('Restaurants');
+  });
+
+  // Test: Export engine (export-engine.js)
+  suite.test('TableExporter should export the filtered rows and visible columns', () => {
+    const appState = {
+      getVisibleColumns: columns => columns.filter(column => column !== 'website'),
+      getFilteredData: () => [
+        { id: 1, name: 'شركة النور', company: 'Nour, Co', website: 'nour.com', rating: 4.5 },
+        { id: 2, name: 'Say "hi"', company: null, website: '', rating: null }
+      ]
+    };
+    const exporter = TableExporter.fromAppState(appState, ['id', 'name', 'company', 'website', 'rating'], { title: 'Clients' });
+
+    const csv = exporter.toCSV();
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    expect(csv.slice(1).split('\r\n')).toEqual([
+      'id,name,company,rating',
+      '1,شركة النور,"Nour, Co",4.5',
+      '2,"Say ""hi""",,'
+    ]);
+    expect(JSON.parse(exporter.toJSON())[1]).toEqual({ id: 2, name: 'Say "hi"', company: null, rating: null });
+
+    expect(TableExporter.typedValue(4.5)).toBe(4.5);
+    expect(TableExporter.typedValue('2026-03-01').getUTCDate()).toBe(1);
+    expect(TableExporter.typedValue('0100 161 1579')).toBe('0100 161 1579');
+    expect(TableExporter.typedValue('')).toBe(null);
+  });
+
+  suite.test('TableExporter should export every matching row of a paged table', async () => {
+    const repository = new InMemoryVendorRepository(Array.from({ length: 120 }, (_, i) => ({ id: i + 1, name: `Vendor ${i + 1}` })));
+    const store = new VendorDataStore(repository);
+    const firstPage = await repository.fetchPage({ offset: 0, limit: 50, sort: [{ column: 'id', direction: 'desc' }] });
+    store.setData(firstPage.rows, firstPage.total);
+    const appState = { getVisibleColumns: columns => columns, getFilteredData: () => store.getAllVendors() };
+
+    expect(store.hasMore()).toBeTruthy();
+    const rows = await repository.fetchEveryPage({}, [{ column: 'id', direction: 'desc' }]);
+    const exporter = TableExporter.fromAppState(appState, ['id', 'name'], { rows, title: 'Vendors' });
+    expect(exporter.rows).toHaveLength(120);
+    expect(exporter.rows[0].id).toBe(120);
+  });
+
+  // Test: Global Search Index (search-index.js)
+  suite.test('InvertedIndex should match every query word by prefix', () => {
+    const index = new InvertedIndex();
+    index.add({ key: 'clients:1', source: 'clients', id: 1, text: 'Emaar Properties Dubai' });
+    index.add({ key: 'services:7', source: 'services', id: 7, text: 'Dubai Painting Services' });
+    expect(index.search('dub')).toHaveLength(2);
+    expect(index.search('dubai emaar')[0].id).toBe(1);
+    index.remove('clients:1');
+    expect(index.search('emaar')).toHaveLength(0);
+  });
+
+  suite.test('GlobalSearchIndex should follow VendorDataStore events', async () => {
+    const cache = { putDocuments: async () => {}, deleteDocuments: async () => {} };
+    const searchIndex = new GlobalSearchIndex({ cache });
+    const store = new VendorDataStore(new InMemoryVendorRepository());
+    store.repository.table = 'hot_vendors';
+    searchIndex.watchStore(store);
+
+    const saved = await store.addVendor({ vendor_name: 'Jotun Paints' });
+    const [group] = searchIndex.search('jotun');
+    expect(group.source).toBe('hot_vendors');
+    expect(group.results[0].url).toBe(`all_suppliers.html?tab=hot-vendors&focus=${saved.id}`);
+
+    await store.deleteVendor(saved.id);
+    expect(searchIndex.search('jotun')).toHaveLength(0);
+  });
+
+  // Test: Saved Views
+  suite.test('SavedViewManager should save views and round-trip them through a link', () => {
+    const storage = new LocalStorageManager('views_test');
+    const manager = new SavedViewManager({ storage, table: 'clients' });
+    manager.save('Dubai hotels', {
+      tab: 'clients',
+      category: 'Hotels',
+      filters: { company: 'Dubai' },
+      sort: [{ column: 'name', direction: 'desc' }],
+      hiddenColumns: ['website']
+    });
+    expect(manager.list()).toHaveLength(1);
+    expect(manager.get('Dubai hotels').filters.company).toBe('Dubai');
+
+    const linked = SavedViewManager.fromQueryString('?' + SavedViewManager.toQueryString(manager.get('Dubai hotels')));
+    expect(linked.category).toBe('Hotels');
+    expect(linked.sort).toEqual([{ column: 'name', direction: 'desc' }]);
+    expect(linked.hiddenColumns).toEqual(['website']);
+
+    manager.remove('Dubai hotels');
+    expect(manager.list()).toHaveLength(0);
+    storage.remove('views_clients');
+  });
+
+  suite.test('SavedViewManager should not replace a shared view someone else owns', async () => {
+    const storage = new LocalStorageManager('views_test');
+    // Another user already shared "Dubai hotels"; RLS hides their row from the update
+    const fakeClient = {
+      from: () => {
+        const chain = {
+          insert: async () => ({ error: { code: '23505', message: 'duplicate key value violates unique constraint' } }),
+          update: () => chain,
+          eq: () => chain,
+          select: async () => ({ data: [], error: null })
+        };
+        return chain;
+      }
+    };
+    const manager = new SavedViewManager({ storage, table: 'clients', client: fakeClient });
+    manager.save('Dubai hotels', { tab: 'clients' });
+
+    let message = '';
+    try {
+      await manager.share('Dubai hotels');
+    } catch (error) {
+      message = error.message;
+    }
+    expect(message).toContain('Someone else already shared');
+    storage.remove('views_clients');
+  });
+
   // Test: SearchStrategy Classes
   suite.test('ExactSearchStrategy should match exact values', () => {
     const strategy = new ExactSearchStrategy();
@@ -221,6 +1120,41 @@ async function runVendorManagementTests() {
     expect(strategy.match('hello', 'test')).toBeFalsy();
   });
 
+  suite.test('FuzzySearchStrategy should tolerate typos, spacing and transliteration', () => {
+    const strategy = new FuzzySearchStrategy();
+    expect(strategy.match('Jotun', 'Jotn')).toBeTruthy();
+    expect(strategy.match('Al Futtaim', 'alfutaim')).toBeTruthy();
+    expect(strategy.match('جوتن', 'Jotun')).toBeTruthy();
+    expect(strategy.match('Crème Brûlée', 'creme brulee')).toBeTruthy();
+    expect(strategy.match('Hempel', 'Jotun')).toBeFalsy();
+  });
+
+  suite.test('FuzzySearchStrategy should rank records best match first', () => {
+    const vendors = [
+      { id: 1, company: 'Jotun Paints LLC' },
+      { id: 2, company: 'Hempel' },
+      { id: 3, company: 'Jotun' },
+      { id: 4, company: 'Jotn Trading' }
+    ];
+    const ranked = new FuzzySearchStrategy().rank(vendors, { company: 'jotun' });
+    expect(ranked.map(({ record }) => record.id)).toEqual([3, 1, 4]);
+    expect(new FuzzySearchStrategy().rank(vendors, 'jotun', 1)[0].record.id).toBe(3);
+  });
+
+  suite.test('Fuzzy search should see every row past the API page cap, in sort order', async () => {
+    const records = Array.from({ length: 2500 }, (_, i) => ({ id: i + 1, company: i === 2200 ? 'Jotun' : `Vendor ${i + 1}` }));
+    records.push({ id: 2501, company: 'Jotun' });
+    const repository = new InMemoryVendorRepository(records);
+
+    const rows = await repository.fetchEveryPage({}, [{ column: 'id', direction: 'desc' }]);
+    expect(rows).toHaveLength(2501);
+    expect(rows[0].id).toBe(2501);
+
+    // Equal scores keep the sort order
+    const ranked = new FuzzySearchStrategy().rank(rows, { company: 'jotun' });
+    expect(ranked.map(({ record }) => record.id)).toEqual([2501, 2201]);
+  });
+
   suite.test('CaseInsensitiveSearchStrategy should ignore case', () => {
     const strategy = new CaseInsensitiveSearchStrategy();
     expect(strategy.match('Test', 'test')).toBeTruthy();
@@ -245,6 +1179,31 @@ async function runVendorManagementTests() {
     expect(sorted[2].value).toBe(30);
   });
 
+  suite.test('SortStrategy.forColumn should pick a strategy from column values', () => {
+    const data = [
+      { rating: '4', created_at: '2024-05-01T10:00:00Z', name: 'Jotun' },
+      { rating: 10, created_at: '2023-01-15', name: '3M' }
+    ];
+    expect(SortStrategy.forColumn(data, 'rating') instanceof NumericSortStrategy).toBeTruthy();
+    expect(SortStrategy.forColumn(data, 'created_at') instanceof DateSortStrategy).toBeTruthy();
+    expect(SortStrategy.forColumn(data, 'name') instanceof AlphabeticSortStrategy).toBeTruthy();
+  });
+
+  suite.test('SortStack should sort by secondary keys and keep ties stable', () => {
+    const data = [
+      { id: 1, country: 'UAE', rating: 3 },
+      { id: 2, country: 'Oman', rating: 5 },
+      { id: 3, country: 'UAE', rating: 10 },
+      { id: 4, country: 'UAE', rating: 3 }
+    ];
+    const stack = new SortStack().toggle('country').toggle('rating', true).toggle('rating', true);
+    expect(stack.getEntries()).toEqual([{ column: 'country', direction: 'asc' }, { column: 'rating', direction: 'desc' }]);
+    expect(stack.sort(data).map(row => row.id)).toEqual([2, 3, 1, 4]);
+
+    stack.toggle('rating');
+    expect(stack.getEntries()).toEqual([{ column: 'rating', direction: 'asc' }]);
+  });
+
   // Test: Filter Function
   suite.test('filterVendors should apply search criteria correctly', () => {
     const vendors = [
@@ -305,6 +1264,40 @@ async function runVendorManagementTests() {
     expect(validator.isValidPhone('invalid')).toBeFalsy();
   });
 
+  suite.test('PhoneNumber should parse numbers with the record country into E.164', () => {
+    expect(PhoneNumber.toE164('0100 161 1579')).toBe('+201001611579');
+    expect(PhoneNumber.toE164('050 123 4567', 'Dubai')).toBe('+971501234567');
+    expect(PhoneNumber.toE164('+44 (0)20 7946 0018', 'UAE')).toBe('+442079460018');
+    expect(PhoneNumber.toE164('138 0013 8000', 'China')).toBe('+8613800138000');
+    expect(PhoneNumber.parse('050 123 4567', 'Kuwait').valid).toBeFalsy();
+    expect(new Validator().isValidPhone('5123 4567', 'KW')).toBeTruthy();
+    expect(PhoneNumber.addE164({ phone: '0501234567', country: 'AE' }, ['phone', 'phone_e164']).phone_e164).toBe('+971501234567');
+  });
+
+  suite.test('Validator.fromSchema should enforce field and cross-field rules', () => {
+    const validator = Validator.fromSchema({
+      fields: {
+        company: { required: true },
+        color_hex: { format: 'hex-color' },
+        rating: { type: 'number', min: 0, max: 5 },
+        status: { enum: ['active', 'inactive'] }
+      },
+      rules: [{
+        fields: ['color_hex', 'color_name'],
+        message: 'A color with a hex code needs a color name',
+        check: record => !record.color_hex || Boolean(record.color_name)
+      }]
+    });
+
+    const { valid, errors } = validator.validateRecord({ company: '', color_hex: '#12ab', color_name: '', rating: '7', status: 'Active' });
+    expect(valid).toBeFalsy();
+    expect(Object.keys(errors).sort()).toEqual(['color_hex', 'color_name', 'company', 'rating']);
+    expect(errors.color_name).toBe('A color with a hex code needs a color name');
+
+    // Only the edited fields are checked, so a blank company elsewhere does not block this edit
+    expect(validator.validateRecord({ company: '', color_hex: '#12AB9F', color_name: 'Teal' }, ['color_hex']).valid).toBeTruthy();
+  });
+
   // Test: StatisticsCalculator
   suite.test('StatisticsCalculator should calculate totals correctly', () => {
     const calc = new StatisticsCalculator();
@@ -100,20 +100,13 @@ function closeWhatsAppModal() {
 }
 
 /**
- * Normalizes phone number to international format
+ * Normalizes phone number to international format (E.164 digits, as wa.me expects)
+ * using the client's country rules from PhoneNumber (vendors-core.js).
+ * Eg: 01001611579 -> 201001611579. Returns null when the number is not valid.
  */
-function normalizePhone(phone) {
-    if (!phone) return null;
-    let p = phone.replace(/\D/g, '');
-
-    // Eg: 01001611579 -> 201001611579
-    if (p.startsWith('01')) {
-        p = '20' + p.substring(1);
-    } else if (p.startsWith('1') && p.length === 10) {
-        p = '20' + p;
-    }
-
-    return p;
+function normalizePhone(phone, country = null) {
+    const e164 = PhoneNumber.toE164(phone, country);
+    return e164 ? e164.substring(1) : null;
 }
 
 /**
@@ -182,7 +175,7 @@ async function startBatchSend() {
     logArea.innerHTML += `<div class="log-info" style="color:orange">⚠️ IMPORTANT: Please allow popups for this site if multiple tabs don't open.</div>`;
 
     for (const client of targetClients) {
-        const phone = normalizePhone(client.phone);
+        const phone = normalizePhone(client.phone, client.country);
         if (!phone) {
             logArea.innerHTML += `<div class="log-error">❌ ${client.name}: Invalid Phone</div>`;
             processed++;
@@ -0,0 +1,23 @@
+// Responses for functions the pages call with supabase-js' functions.invoke()
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+export function json(status: number, body: unknown): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+// The pages show `error` as is, so it must make sense to the person who clicked
+export function fail(status: number, error: string): Response {
+  return json(status, { success: false, error });
+}
+
+export function preflight(): Response {
+  return new Response('ok', { headers: corsHeaders });
+}
@@ -0,0 +1,70 @@
+// Mail over SMTP, configured with function secrets:
+//   SMTP_HOST, SMTP_PORT (587), SMTP_USER, SMTP_PASS, SMTP_FROM
+// Supabase blocks ports 25 and 465 for Edge Functions, so use 587 with STARTTLS.
+import { Buffer } from 'node:buffer';
+import nodemailer from 'npm:nodemailer@6.9.16';
+
+export interface Attachment {
+  filename: string;
+  content: Uint8Array;
+  contentType?: string;
+}
+
+export interface Message {
+  to: string;
+  subject: string;
+  text?: string;
+  html?: string;
+  attachments?: Attachment[];
+}
+
+export type SendMail = (message: Message) => Promise<void>;
+
+export interface SmtpConfig {
+  host: string;
+  port: number;
+  user?: string;
+  pass?: string;
+  from: string;
+  // Plain SMTP without STARTTLS, for a local stand-in only
+  insecure?: boolean;
+}
+
+export function smtpConfigFromEnv(env: { get(name: string): string | undefined } = Deno.env): SmtpConfig {
+  const host = env.get('SMTP_HOST');
+  const from = env.get('SMTP_FROM') || env.get('SMTP_USER');
+  if (!host || !from) throw new Error('Set the SMTP_HOST and SMTP_FROM function secrets');
+  return {
+    host,
+    port: Number(env.get('SMTP_PORT') || 587),
+    user: env.get('SMTP_USER'),
+    pass: env.get('SMTP_PASS'),
+    from
+  };
+}
+
+// A rejected recipient rejects the promise with the server's reply, e.g. "550 No such user"
+export function createMailer(config: SmtpConfig): SendMail {
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: false,
+    requireTLS: !config.insecure,
+    ignoreTLS: Boolean(config.insecure),
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
+  });
+  return async message => {
+    await transport.sendMail({
+      from: config.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: (message.attachments || []).map(({ filename, content, contentType }) => ({
+        filename,
+        content: Buffer.from(content),
+        contentType
+      }))
+    });
+  };
+}
@@ -0,0 +1,52 @@
+// Verification codes over the WhatsApp Cloud API, configured with function secrets:
+//   WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_CODE_TEMPLATE (an approved
+//   "authentication" template, default verification_code), WHATSAPP_TEMPLATE_LANGUAGE (en)
+// Meta only delivers a code to a number that has not messaged us through such a template.
+
+export type SendCode = (to: string, code: string) => Promise<void>;
+
+export interface WhatsAppConfig {
+  token: string;
+  phoneNumberId: string;
+  template: string;
+  language: string;
+}
+
+export function whatsAppConfigFromEnv(env: { get(name: string): string | undefined } = Deno.env): WhatsAppConfig {
+  const token = env.get('WHATSAPP_TOKEN');
+  const phoneNumberId = env.get('WHATSAPP_PHONE_NUMBER_ID');
+  if (!token || !phoneNumberId) throw new Error('Set the WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID function secrets');
+  return {
+    token,
+    phoneNumberId,
+    template: env.get('WHATSAPP_CODE_TEMPLATE') || 'verification_code',
+    language: env.get('WHATSAPP_TEMPLATE_LANGUAGE') || 'en'
+  };
+}
+
+// `to` is the E.164 number settings.html stores; the API wants its digits only
+export function createWhatsAppCodeSender(config: WhatsAppConfig, fetchImpl: typeof fetch = fetch): SendCode {
+  return async (to, code) => {
+    const response = await fetchImpl(`https://graph.facebook.com/v21.0/${config.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${config.token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to: to.replace(/\D/g, ''),
+        type: 'template',
+        template: {
+          name: config.template,
+          language: { code: config.language },
+          components: [
+            { type: 'body', parameters: [{ type: 'text', text: code }] },
+            { type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: code }] }
+          ]
+        }
+      })
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error?.message || `WhatsApp API answered ${response.status}`);
+    }
+  };
+}
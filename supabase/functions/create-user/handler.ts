@@ -0,0 +1,80 @@
+// Creates an account for an admin. Public sign-up is off, so this is the only way to get one:
+// the caller's own token must pass require_admin(), the account is created with the service
+// key, and admin_finish_invite, run with the caller's token, sets its profile and role and
+// writes the audit_log entry under the admin's name.
+import { fail, json, preflight } from '../_shared/http.ts';
+
+type DbResult<T> = PromiseLike<{ data: T | null; error: { code?: string; message: string } | null }>;
+
+export interface Profile {
+  full_name: string | null;
+  contact_email: string | null;
+  phone: string | null;
+  new_role: string;
+}
+
+export interface Dependencies {
+  // Run as the caller, whose token is `authorization`
+  requireAdmin(authorization: string): DbResult<unknown>;
+  finishInvite(authorization: string, target: string, profile: Profile): DbResult<unknown>;
+  // Run with the service key
+  createUser(email: string, password: string, username: string): DbResult<{ id: string; email: string }>;
+  deleteUser(id: string): PromiseLike<unknown>;
+}
+
+// Usernames sign in as <username>@users.itsgroup.local (AuthService.toEmail)
+export const USERNAME_DOMAIN = 'users.itsgroup.local';
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,}$/;
+
+const optional = (value: unknown) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+export function createHandler({ requireAdmin, finishInvite, createUser, deleteUser }: Dependencies) {
+  return async (request: Request): Promise<Response> => {
+    if (request.method === 'OPTIONS') return preflight();
+    if (request.method !== 'POST') return fail(405, 'Method not allowed');
+
+    const authorization = request.headers.get('Authorization');
+    if (!authorization) return fail(401, 'Sign in as an admin to create accounts');
+
+    const body = await request.json().catch(() => ({}));
+    const username = String(body.username || '').trim();
+    if (!USERNAME_PATTERN.test(username)) {
+      return fail(400, 'Usernames need at least 3 letters, digits, dots, dashes or underscores.');
+    }
+    if (typeof body.password !== 'string' || !body.password) return fail(400, 'A password is required');
+    if (typeof body.role !== 'string' || !body.role) return fail(400, 'A role is required');
+
+    const admin = await requireAdmin(authorization);
+    if (admin.error) {
+      if (admin.error.code === '42501') return fail(403, 'Only admins can create accounts');
+      if (admin.error.code === 'PGRST301') return fail(401, 'Your session has expired. Please sign in again.');
+      console.error('require_admin failed:', admin.error.message);
+      return fail(500, 'Accounts cannot be created right now. Please try again later.');
+    }
+
+    const created = await createUser(`${username.toLowerCase()}@${USERNAME_DOMAIN}`, body.password, username);
+    if (created.error) {
+      if (created.error.code === 'email_exists') return fail(409, 'Username already exists. Please choose a different one.');
+      if (created.error.code === 'weak_password') return fail(400, created.error.message);
+      console.error('Creating the account failed:', created.error.message);
+      return fail(500, 'Accounts cannot be created right now. Please try again later.');
+    }
+    const user = created.data!;
+
+    const finished = await finishInvite(authorization, user.id, {
+      full_name: optional(body.full_name),
+      contact_email: optional(body.contact_email),
+      phone: optional(body.phone),
+      new_role: body.role
+    });
+    if (finished.error) {
+      // An account without a role cannot do anything, but nor should it be left behind
+      await deleteUser(user.id);
+      if (finished.error.code === '22023') return fail(400, finished.error.message);
+      console.error('admin_finish_invite failed:', finished.error.message);
+      return fail(500, 'Accounts cannot be created right now. Please try again later.');
+    }
+
+    return json(200, { success: true, user: { id: user.id, email: user.email } });
+  };
+}
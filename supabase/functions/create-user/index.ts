@@ -0,0 +1,34 @@
+// POST { username, password, full_name, contact_email, phone, role } with an admin's token
+//   -> { success, user: { id, email } } | { success: false, error }
+// Deploy on the suppliers project: supabase functions deploy create-user
+// Then turn public sign-up off (Authentication > Sign In / Providers > "Allow new users to
+// sign up") on both projects; supabase/scripts/shared-auth.mjs check reports it while it is on.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createHandler } from './handler.ts';
+
+const url = Deno.env.get('SUPABASE_URL')!;
+const anonKey = Deno.env.get('SUPABASE_ANON_KEY')!;
+const admin = createClient(url, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!, {
+  auth: { persistSession: false }
+});
+const asCaller = (authorization: string) => createClient(url, anonKey, {
+  auth: { persistSession: false },
+  global: { headers: { Authorization: authorization } }
+});
+
+Deno.serve(createHandler({
+  requireAdmin: authorization => asCaller(authorization).rpc('require_admin'),
+  finishInvite: (authorization, target, profile) =>
+    asCaller(authorization).rpc('admin_finish_invite', { target, ...profile }),
+  createUser: async (email, password, username) => {
+    const { data, error } = await admin.auth.admin.createUser({
+      email,
+      password,
+      email_confirm: true,
+      user_metadata: { username }
+    });
+    if (error) return { data: null, error: { code: error.code, message: error.message } };
+    return { data: { id: data.user.id, email: data.user.email! }, error: null };
+  },
+  deleteUser: id => admin.auth.admin.deleteUser(id)
+}));
@@ -0,0 +1,117 @@
+// Passkey sign-in. The database hands out and consumes the challenge (passkey_assertion,
+// service key only) and keeps the public key; this checks the assertion with
+// @simplewebauthn/server and turns it into a one-time magic-link token, which the browser
+// exchanges for a Supabase session with verifyOtp.
+import { verifyAuthenticationResponse } from 'npm:@simplewebauthn/server@13.1.1';
+import { isoBase64URL, isoCBOR } from 'npm:@simplewebauthn/server@13.1.1/helpers';
+import { fail, json, preflight } from '../_shared/http.ts';
+
+type DbResult<T> = PromiseLike<{ data: T | null; error: { code?: string; message: string } | null }>;
+
+export interface Assertion {
+  user_id: string;
+  email: string;
+  public_key: string;
+  algorithm: number;
+  sign_count: number;
+  origin: string;
+}
+
+export interface Dependencies {
+  assertion(credentialId: string, clientDataJSON: string): DbResult<Assertion>;
+  recordUse(credentialId: string, signCount: number): DbResult<unknown>;
+  // The hashed token of a new magic link for the account
+  createTokenHash(email: string): Promise<string>;
+  // Where the pages are served from, e.g. https://erp.example.com; the RP IDs are their hosts
+  origins: string[];
+}
+
+// Public keys are stored as SPKI (see passkey-register's coseToSpki). The library wants COSE.
+export async function spkiToCose(spki: string, algorithm: number): Promise<Uint8Array> {
+  const der = new Uint8Array(isoBase64URL.toBuffer(spki));
+  if (algorithm === -7) {
+    const key = await crypto.subtle.importKey('spki', der, { name: 'ECDSA', namedCurve: 'P-256' }, true, ['verify']);
+    const jwk = await crypto.subtle.exportKey('jwk', key);
+    return isoCBOR.encode(new Map<number, number | Uint8Array>([
+      [1, 2], [3, -7], [-1, 1], [-2, isoBase64URL.toBuffer(jwk.x!)], [-3, isoBase64URL.toBuffer(jwk.y!)]
+    ]));
+  }
+  if (algorithm === -257) {
+    const key = await crypto.subtle.importKey('spki', der, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, true, ['verify']);
+    const jwk = await crypto.subtle.exportKey('jwk', key);
+    return isoCBOR.encode(new Map<number, number | Uint8Array>([
+      [1, 3], [3, -257], [-1, isoBase64URL.toBuffer(jwk.n!)], [-2, isoBase64URL.toBuffer(jwk.e!)]
+    ]));
+  }
+  throw new Error(`Unsupported passkey algorithm ${algorithm}`);
+}
+
+// The user handle is the account id's 16 bytes (see passkey_registration_options)
+export function userHandleFor(userId: string): string {
+  const hex = userId.replace(/-/g, '');
+  return isoBase64URL.fromBuffer(Uint8Array.from(hex.match(/../g)!, byte => parseInt(byte, 16)));
+}
+
+export function createHandler({ assertion, recordUse, createTokenHash, origins }: Dependencies) {
+  const rpIds = [...new Set(origins.map(origin => new URL(origin).hostname))];
+
+  return async (request: Request): Promise<Response> => {
+    if (request.method === 'OPTIONS') return preflight();
+    if (request.method !== 'POST') return fail(405, 'Method not allowed');
+
+    const body = await request.json().catch(() => ({}));
+    const { credentialId, clientDataJSON, authenticatorData, signature, userHandle } = body;
+    if (![credentialId, clientDataJSON, authenticatorData, signature].every(value => typeof value === 'string' && value)) {
+      return fail(400, 'The passkey response is incomplete');
+    }
+
+    const stored = await assertion(credentialId, clientDataJSON);
+    if (stored.error) {
+      if (stored.error.code === '22023') return fail(400, stored.error.message);
+      if (stored.error.code === '42501') return fail(403, stored.error.message);
+      console.error('passkey_assertion failed:', stored.error.message);
+      return fail(500, 'Passkey sign-in is unavailable. Please sign in with your password.');
+    }
+    const account = stored.data!;
+    if (userHandle && userHandle !== userHandleFor(account.user_id)) {
+      return fail(401, 'This passkey belongs to another account');
+    }
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response: {
+          id: credentialId,
+          rawId: credentialId,
+          type: 'public-key',
+          response: { clientDataJSON, authenticatorData, signature, userHandle: userHandle || undefined },
+          clientExtensionResults: {}
+        },
+        // passkey_assertion has already matched the challenge to an unused one and spent it
+        expectedChallenge: () => true,
+        expectedOrigin: origins,
+        expectedRPID: rpIds,
+        credential: {
+          id: credentialId,
+          publicKey: await spkiToCose(account.public_key, account.algorithm),
+          counter: Number(account.sign_count)
+        },
+        requireUserVerification: false
+      });
+    } catch (error) {
+      console.warn('Passkey assertion rejected:', (error as Error).message);
+      return fail(401, 'The passkey could not be verified. Please try again.');
+    }
+    if (!verification.verified) return fail(401, 'The passkey could not be verified. Please try again.');
+
+    const used = await recordUse(credentialId, verification.authenticationInfo.newCounter);
+    if (used.error) return fail(used.error.code === '42501' ? 403 : 500, used.error.message);
+
+    try {
+      return json(200, { success: true, tokenHash: await createTokenHash(account.email) });
+    } catch (error) {
+      console.error('Creating the sign-in link failed:', (error as Error).message);
+      return fail(500, 'Passkey sign-in is unavailable. Please sign in with your password.');
+    }
+  };
+}
@@ -0,0 +1,27 @@
+// POST { credentialId, clientDataJSON, authenticatorData, signature, userHandle } (base64url)
+//   -> { success, tokenHash } | { success: false, error }
+// Deploy on the suppliers project: supabase functions deploy passkey-login
+// Secret PASSKEY_ORIGINS: the origins the pages are served from, comma separated,
+// e.g. https://erp.example.com,http://localhost:5500
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createHandler } from './handler.ts';
+
+const admin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!, {
+  auth: { persistSession: false }
+});
+
+const origins = (Deno.env.get('PASSKEY_ORIGINS') || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (origins.length === 0) throw new Error('Set the PASSKEY_ORIGINS function secret');
+
+Deno.serve(createHandler({
+  assertion: (credentialId, clientDataJSON) =>
+    admin.rpc('passkey_assertion', { credential_id: credentialId, client_data_json: clientDataJSON }),
+  recordUse: (credentialId, signCount) =>
+    admin.rpc('record_passkey_use', { credential_id: credentialId, sign_count: signCount }),
+  createTokenHash: async email => {
+    const { data, error } = await admin.auth.admin.generateLink({ type: 'magiclink', email });
+    if (error) throw new Error(error.message);
+    return data.properties.hashed_token;
+  },
+  origins
+}));
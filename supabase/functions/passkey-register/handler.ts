@@ -0,0 +1,129 @@
+// Passkey registration. The database spends the caller's challenge
+// (consume_passkey_registration, run with their token); this checks the attestation with
+// @simplewebauthn/server and stores the public key it carries (register_passkey, service
+// key only), so nothing the browser claims about the key is taken on trust.
+import { verifyRegistrationResponse } from 'npm:@simplewebauthn/server@13.1.1';
+import { cose, decodeCredentialPublicKey, isoBase64URL } from 'npm:@simplewebauthn/server@13.1.1/helpers';
+import { fail, json, preflight } from '../_shared/http.ts';
+
+type DbResult<T> = PromiseLike<{ data: T | null; error: { code?: string; message: string } | null }>;
+
+export interface Passkey {
+  target: string;
+  credential_id: string;
+  public_key: string;
+  algorithm: number;
+  sign_count: number;
+  transports: string[];
+  name: string | null;
+}
+
+export interface Dependencies {
+  // Run as the caller, whose token is `authorization`; gives their user id
+  consumeChallenge(authorization: string, clientDataJSON: string): DbResult<string>;
+  store(passkey: Passkey): DbResult<number>;
+  // Where the pages are served from, e.g. https://erp.example.com; the RP IDs are their hosts
+  origins: string[];
+}
+
+const ALGORITHMS = [-7, -257]; // ES256, RS256
+
+// passkey-login reads public keys as SPKI, what PublicKeyCredential.getPublicKey() gives
+export async function coseToSpki(publicKey: Uint8Array): Promise<{ spki: string; algorithm: number }> {
+  const key = decodeCredentialPublicKey(publicKey);
+  const algorithm = Number(key.get(cose.COSEKEYS.alg));
+  let imported: CryptoKey;
+  if (algorithm === -7 && cose.isCOSEPublicKeyEC2(key)) {
+    imported = await crypto.subtle.importKey('jwk', {
+      kty: 'EC',
+      crv: 'P-256',
+      x: isoBase64URL.fromBuffer(key.get(cose.COSEKEYS.x)!),
+      y: isoBase64URL.fromBuffer(key.get(cose.COSEKEYS.y)!)
+    }, { name: 'ECDSA', namedCurve: 'P-256' }, true, ['verify']);
+  } else if (algorithm === -257 && cose.isCOSEPublicKeyRSA(key)) {
+    imported = await crypto.subtle.importKey('jwk', {
+      kty: 'RSA',
+      n: isoBase64URL.fromBuffer(key.get(cose.COSEKEYS.n)!),
+      e: isoBase64URL.fromBuffer(key.get(cose.COSEKEYS.e)!)
+    }, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, true, ['verify']);
+  } else {
+    throw new Error(`Unsupported passkey algorithm ${algorithm}`);
+  }
+  return { spki: isoBase64URL.fromBuffer(new Uint8Array(await crypto.subtle.exportKey('spki', imported))), algorithm };
+}
+
+export function createHandler({ consumeChallenge, store, origins }: Dependencies) {
+  const rpIds = [...new Set(origins.map(origin => new URL(origin).hostname))];
+
+  return async (request: Request): Promise<Response> => {
+    if (request.method === 'OPTIONS') return preflight();
+    if (request.method !== 'POST') return fail(405, 'Method not allowed');
+
+    const authorization = request.headers.get('Authorization');
+    if (!authorization) return fail(401, 'Sign in to add a passkey');
+
+    const body = await request.json().catch(() => ({}));
+    const { credentialId, clientDataJSON, attestationObject, transports, name } = body;
+    if (![credentialId, clientDataJSON, attestationObject].every(value => typeof value === 'string' && value)) {
+      return fail(400, 'The passkey response is incomplete');
+    }
+
+    const consumed = await consumeChallenge(authorization, clientDataJSON);
+    if (consumed.error) {
+      if (consumed.error.code === '22023') return fail(400, consumed.error.message);
+      if (consumed.error.code === '42501') return fail(403, consumed.error.message);
+      console.error('consume_passkey_registration failed:', consumed.error.message);
+      return fail(500, 'Passkeys cannot be added right now. Please try again later.');
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: {
+          id: credentialId,
+          rawId: credentialId,
+          type: 'public-key',
+          response: { clientDataJSON, attestationObject },
+          clientExtensionResults: {}
+        },
+        // consume_passkey_registration has already matched the challenge to an unused one and spent it
+        expectedChallenge: () => true,
+        expectedOrigin: origins,
+        expectedRPID: rpIds,
+        requireUserVerification: false,
+        supportedAlgorithmIDs: ALGORITHMS
+      });
+    } catch (error) {
+      console.warn('Passkey registration rejected:', (error as Error).message);
+      return fail(400, 'The passkey could not be verified. Please try again.');
+    }
+    if (!verification.verified || !verification.registrationInfo) {
+      return fail(400, 'The passkey could not be verified. Please try again.');
+    }
+
+    const { credential } = verification.registrationInfo;
+    let key;
+    try {
+      key = await coseToSpki(credential.publicKey);
+    } catch {
+      return fail(400, 'This passkey uses an unsupported algorithm');
+    }
+
+    const stored = await store({
+      target: consumed.data!,
+      credential_id: credential.id,
+      public_key: key.spki,
+      algorithm: key.algorithm,
+      sign_count: credential.counter,
+      transports: Array.isArray(transports) ? transports.filter(item => typeof item === 'string') : [],
+      name: typeof name === 'string' && name.trim() ? name.trim() : null
+    });
+    if (stored.error) {
+      if (['22023', '54000'].includes(stored.error.code || '')) return fail(400, stored.error.message);
+      console.error('register_passkey failed:', stored.error.message);
+      return fail(500, 'Passkeys cannot be added right now. Please try again later.');
+    }
+
+    return json(200, { success: true, id: stored.data });
+  };
+}
@@ -0,0 +1,25 @@
+// POST { credentialId, clientDataJSON, attestationObject (base64url), transports, name } with the
+// signed-in user's token -> { success, id } | { success: false, error }
+// Deploy on the suppliers project: supabase functions deploy passkey-register
+// Secret PASSKEY_ORIGINS: the same origins as passkey-login
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createHandler } from './handler.ts';
+
+const url = Deno.env.get('SUPABASE_URL')!;
+const anonKey = Deno.env.get('SUPABASE_ANON_KEY')!;
+const admin = createClient(url, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!, {
+  auth: { persistSession: false }
+});
+
+const origins = (Deno.env.get('PASSKEY_ORIGINS') || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (origins.length === 0) throw new Error('Set the PASSKEY_ORIGINS function secret');
+
+Deno.serve(createHandler({
+  consumeChallenge: (authorization, clientDataJSON) =>
+    createClient(url, anonKey, {
+      auth: { persistSession: false },
+      global: { headers: { Authorization: authorization } }
+    }).rpc('consume_passkey_registration', { client_data_json: clientDataJSON }),
+  store: passkey => admin.rpc('register_passkey', passkey),
+  origins
+}));
@@ -0,0 +1,111 @@
+// Sends an email campaign one recipient at a time and records each outcome (sent, or
+// failed with the SMTP server's answer) and the campaign status in the database.
+//   - From the email dialog: multipart with `campaign_id`, `recipient_ids` (JSON) and any
+//     `attachments`, sent with the user's token; their role needs update on email_campaigns.
+//   - Every minute from pg_cron: JSON { scheduled: true } with the service key. Delivers
+//     the campaigns claim_due_email_campaigns() hands over.
+import { fail, json, preflight } from '../_shared/http.ts';
+import type { Attachment, SendMail } from '../_shared/mailer.ts';
+import type { Campaign, CampaignStore, Recipient, Result } from './store.ts';
+
+export interface Dependencies {
+  serviceKey: string;
+  // A store acting as the caller: the service key, or the user's Authorization header
+  storeFor(authorization: string): CampaignStore;
+  // Built on first use, so missing SMTP secrets are reported rather than crashing the function
+  mailer(): SendMail;
+  // Keeps the scheduled run going after its answer (EdgeRuntime.waitUntil); awaited when absent
+  background?: (work: Promise<unknown>) => void;
+}
+
+// Campaigns the dialog may (re)send; a scheduled one is left to the scheduler
+const SENDABLE_STATUSES = ['sending', 'partial', 'failed'];
+
+function describeSendError(error: unknown): string {
+  const { response, message } = error as { response?: string; message?: string };
+  return response || message || 'Unknown error';
+}
+
+export async function deliver(store: CampaignStore, sendMail: SendMail, campaign: Campaign, recipients: Recipient[], attachments: Attachment[] = []) {
+  const results: Result[] = [];
+  for (const recipient of recipients) {
+    let result: Result;
+    try {
+      await sendMail({ to: recipient.email, subject: recipient.subject, text: recipient.body, attachments });
+      result = { id: recipient.id, email: recipient.email, status: 'sent', error: null };
+    } catch (error) {
+      result = { id: recipient.id, email: recipient.email, status: 'failed', error: describeSendError(error) };
+    }
+    await store.record(recipient, result);
+    results.push(result);
+  }
+  return { status: await store.finish(campaign.id), results };
+}
+
+export function createHandler({ serviceKey, storeFor, mailer, background }: Dependencies) {
+  async function sendDue(store: CampaignStore, sendMail: SendMail) {
+    for (const campaign of await store.claimDue()) {
+      try {
+        await deliver(store, sendMail, campaign, await store.claim(campaign.id, null));
+      } catch (error) {
+        console.error(`Scheduled campaign ${campaign.id} failed:`, (error as Error).message);
+      }
+    }
+  }
+
+  return async (request: Request): Promise<Response> => {
+    if (request.method === 'OPTIONS') return preflight();
+    if (request.method !== 'POST') return fail(405, 'Method not allowed');
+    const authorization = request.headers.get('Authorization') || '';
+
+    let sendMail: SendMail;
+    try {
+      sendMail = mailer();
+    } catch (error) {
+      return fail(500, (error as Error).message);
+    }
+
+    if ((request.headers.get('Content-Type') || '').startsWith('application/json')) {
+      const { scheduled } = await request.json().catch(() => ({}));
+      if (!scheduled) return fail(400, 'Send a campaign as multipart form data');
+      if (authorization !== `Bearer ${serviceKey}`) return fail(401, 'Scheduled runs need the service key');
+      const work = sendDue(storeFor(authorization), sendMail);
+      if (!background) {
+        await work;
+        return json(200, { success: true });
+      }
+      background(work);
+      return json(202, { success: true });
+    }
+
+    const form = await request.formData().catch(() => null);
+    const campaignId = Number(form?.get('campaign_id'));
+    let recipientIds: number[];
+    try {
+      recipientIds = JSON.parse(String(form?.get('recipient_ids'))).map(Number);
+    } catch {
+      return fail(400, 'A campaign_id and the recipient_ids to send to are required');
+    }
+    if (!campaignId || recipientIds.length === 0) return fail(400, 'A campaign_id and the recipient_ids to send to are required');
+
+    const store = storeFor(authorization);
+    try {
+      if (!await store.canSend()) return fail(403, 'Your role cannot send email campaigns');
+      const campaign = await store.campaign(campaignId);
+      if (!campaign) return fail(404, 'Campaign not found');
+      if (!SENDABLE_STATUSES.includes(campaign.status)) return fail(409, `A ${campaign.status} campaign cannot be sent now`);
+
+      const attachments: Attachment[] = [];
+      for (const file of form!.getAll('attachments')) {
+        if (file instanceof File) {
+          attachments.push({ filename: file.name, content: new Uint8Array(await file.arrayBuffer()), contentType: file.type || undefined });
+        }
+      }
+      const { status, results } = await deliver(store, sendMail, campaign, await store.claim(campaignId, recipientIds), attachments);
+      return json(200, { success: true, status, results });
+    } catch (error) {
+      console.error(`Campaign ${campaignId} failed:`, (error as Error).message);
+      return fail(500, (error as Error).message);
+    }
+  };
+}
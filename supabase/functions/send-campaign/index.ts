@@ -0,0 +1,26 @@
+// Deploy on the clients project: supabase functions deploy send-campaign
+// Secrets: SMTP_* (see _shared/mailer.ts). The schedule is in the email_campaigns migration.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createMailer, type SendMail, smtpConfigFromEnv } from '../_shared/mailer.ts';
+import { createHandler } from './handler.ts';
+import { createCampaignStore } from './store.ts';
+
+declare const EdgeRuntime: { waitUntil(work: Promise<unknown>): void };
+
+const url = Deno.env.get('SUPABASE_URL')!;
+const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+const anonKey = Deno.env.get('SUPABASE_ANON_KEY')!;
+const admin = createCampaignStore(createClient(url, serviceKey, { auth: { persistSession: false } }));
+let sendMail: SendMail | null = null;
+
+Deno.serve(createHandler({
+  serviceKey,
+  storeFor: authorization => authorization === `Bearer ${serviceKey}`
+    ? admin
+    : createCampaignStore(createClient(url, anonKey, {
+      auth: { persistSession: false },
+      global: { headers: { Authorization: authorization } }
+    })),
+  mailer: () => (sendMail ??= createMailer(smtpConfigFromEnv())),
+  background: work => EdgeRuntime.waitUntil(work)
+}));
@@ -0,0 +1,98 @@
+// email_campaigns and email_campaign_recipients through supabase-js. With the caller's
+// token RLS decides what they may send; the scheduled run uses the service key.
+import type { SupabaseClient } from 'npm:@supabase/supabase-js@2';
+
+export interface Campaign {
+  id: number;
+  subject: string;
+  body: string;
+  status: string;
+}
+
+export interface Recipient {
+  id: number;
+  campaign_id: number;
+  email: string;
+  name: string | null;
+  subject: string;
+  body: string;
+  status: 'queued' | 'sending' | 'sent' | 'failed';
+  error: string | null;
+  attempts: number;
+}
+
+export interface Result {
+  id: number;
+  email: string;
+  status: 'sent' | 'failed';
+  error: string | null;
+}
+
+export interface CampaignStore {
+  canSend(): Promise<boolean>;
+  campaign(id: number): Promise<Campaign | null>;
+  claimDue(): Promise<Campaign[]>;
+  // Marks the given recipients still queued or failed, or, without ids, every queued one,
+  // as sending and returns them; a recipient another send has claimed is left out
+  claim(campaignId: number, ids: number[] | null): Promise<Recipient[]>;
+  record(recipient: Recipient, result: Result): Promise<void>;
+  // Sets and returns the campaign status from its recipients
+  finish(campaignId: number): Promise<string>;
+}
+
+export function campaignStatus(statuses: string[]): string {
+  if (statuses.includes('queued') || statuses.includes('sending')) return 'sending';
+  if (!statuses.includes('failed')) return 'sent';
+  return statuses.includes('sent') ? 'partial' : 'failed';
+}
+
+function check<T>({ data, error }: { data: T; error: { message: string } | null }): T {
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+export function createCampaignStore(client: SupabaseClient): CampaignStore {
+  return {
+    async canSend() {
+      return check(await client.rpc('can_access', { target_table: 'email_campaigns', action: 'update' })) === true;
+    },
+
+    async campaign(id) {
+      return check(await client.from('email_campaigns').select('id, subject, body, status').eq('id', id).maybeSingle());
+    },
+
+    async claimDue() {
+      return check(await client.rpc('claim_due_email_campaigns')) || [];
+    },
+
+    async claim(campaignId, ids) {
+      const rows: Recipient[] = check(await client.rpc('claim_email_campaign_recipients', {
+        target_campaign: campaignId,
+        recipient_ids: ids
+      })) || [];
+      return rows.sort((a, b) => a.id - b.id);
+    },
+
+    async record(recipient, result) {
+      check(await client
+        .from('email_campaign_recipients')
+        .update({
+          status: result.status,
+          error: result.error,
+          attempts: recipient.attempts + 1,
+          sent_at: result.status === 'sent' ? new Date().toISOString() : null
+        })
+        .eq('id', recipient.id));
+    },
+
+    async finish(campaignId) {
+      const rows = check(await client.from('email_campaign_recipients').select('status').eq('campaign_id', campaignId)) || [];
+      const status = campaignStatus(rows.map(row => row.status));
+      check(await client
+        .from('email_campaigns')
+        .update({ status, finished_at: status === 'sending' ? null : new Date().toISOString() })
+        .eq('id', campaignId));
+      return status;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// Delivers a password-reset code. The database creates, hashes and rate limits it
+// (issue_mfa_code, service key only); this only sends it to the address or WhatsApp
+// number on the account, so the browser never sees a code it did not receive.
+import { fail, json, preflight } from '../_shared/http.ts';
+import type { SendMail } from '../_shared/mailer.ts';
+import type { SendCode } from '../_shared/whatsapp.ts';
+
+export interface IssuedCode {
+  code: string;
+  channel: 'email' | 'whatsapp';
+  destination: string;
+  masked: string;
+  expires_in: number;
+}
+
+export interface Dependencies {
+  issueCode(username: string, channel: string): PromiseLike<{ data: IssuedCode | null; error: { code?: string; message: string } | null }>;
+  sendMail: SendMail;
+  // Null when WhatsApp is not configured
+  sendWhatsApp: SendCode | null;
+}
+
+const RETRY_AFTER_SECONDS = 60;
+
+export function codeEmail(to: string, code: string, expiresIn: number) {
+  const minutes = Math.round(expiresIn / 60);
+  return {
+    to,
+    subject: `Your ITS Group verification code: ${code}`,
+    text: `Your verification code is ${code}.\n\nIt expires in ${minutes} minutes. If you did not ask to reset your password, ignore this email.`
+  };
+}
+
+export function createHandler({ issueCode, sendMail, sendWhatsApp }: Dependencies) {
+  return async (request: Request): Promise<Response> => {
+    if (request.method === 'OPTIONS') return preflight();
+    if (request.method !== 'POST') return fail(405, 'Method not allowed');
+
+    const { username, channel } = await request.json().catch(() => ({}));
+    if (!username || !['email', 'whatsapp'].includes(channel)) return fail(400, 'A username and a channel (email or whatsapp) are required');
+    if (channel === 'whatsapp' && !sendWhatsApp) return fail(400, 'Codes cannot be sent by WhatsApp yet. Choose email.');
+
+    const { data, error } = await issueCode(String(username), channel);
+    if (error) {
+      // 54000: asked again too soon; 22023: nothing to send the code to
+      if (error.code === '54000') return fail(429, error.message);
+      if (error.code === '22023') return fail(400, error.message);
+      console.error('issue_mfa_code failed:', error.message);
+      return fail(500, 'Could not create a verification code. Please try again later.');
+    }
+
+    try {
+      if (data!.channel === 'email') {
+        await sendMail(codeEmail(data!.destination, data!.code, data!.expires_in));
+      } else {
+        await sendWhatsApp!(data!.destination, data!.code);
+      }
+    } catch (sendError) {
+      console.error(`Sending the ${channel} code failed:`, (sendError as Error).message);
+      return fail(502, 'The code could not be sent. Please try again in a minute.');
+    }
+    return json(200, { success: true, destination: data!.masked, retryAfter: RETRY_AFTER_SECONDS });
+  };
+}
@@ -0,0 +1,17 @@
+// POST { username, channel } -> { success, destination, retryAfter } | { success: false, error }
+// Deploy on the suppliers project: supabase functions deploy send-mfa-code
+// Secrets: SMTP_* (see _shared/mailer.ts) and, for WhatsApp, WHATSAPP_* (_shared/whatsapp.ts).
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { createMailer, smtpConfigFromEnv } from '../_shared/mailer.ts';
+import { createWhatsAppCodeSender, whatsAppConfigFromEnv } from '../_shared/whatsapp.ts';
+import { createHandler } from './handler.ts';
+
+const admin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!, {
+  auth: { persistSession: false }
+});
+
+Deno.serve(createHandler({
+  issueCode: (username, channel) => admin.rpc('issue_mfa_code', { username, channel }),
+  sendMail: createMailer(smtpConfigFromEnv()),
+  sendWhatsApp: Deno.env.get('WHATSAPP_TOKEN') ? createWhatsAppCodeSender(whatsAppConfigFromEnv()) : null
+}));
@@ -0,0 +1,86 @@
+// deno test --allow-net --allow-env --allow-read supabase/functions/tests
+import assert from 'node:assert/strict';
+import { createHandler, type Dependencies } from '../create-user/handler.ts';
+
+const ADMIN = 'Bearer admin-token';
+const post = (body: unknown, authorization = ADMIN) => new Request('http://localhost/create-user', {
+  method: 'POST',
+  headers: { Authorization: authorization },
+  body: JSON.stringify(body)
+});
+
+function fakeAuth() {
+  const users = new Map<string, { id: string; email: string; role?: string }>([
+    ['u1', { id: 'u1', email: 'mona@users.itsgroup.local', role: 'sales' }]
+  ]);
+  const calls: string[] = [];
+  const deps: Dependencies = {
+    requireAdmin: async authorization => {
+      calls.push(`require_admin ${authorization}`);
+      return authorization === ADMIN
+        ? { data: null, error: null }
+        : { data: null, error: { code: '42501', message: 'Only admins can manage users' } };
+    },
+    createUser: async (email, _password, username) => {
+      calls.push(`create ${email} ${username}`);
+      if ([...users.values()].some(user => user.email === email)) {
+        return { data: null, error: { code: 'email_exists', message: 'A user with this email address has already been registered' } };
+      }
+      const user = { id: `u${users.size + 1}`, email };
+      users.set(user.id, user);
+      return { data: user, error: null };
+    },
+    finishInvite: async (authorization, target, profile) => {
+      calls.push(`finish ${authorization} ${target} ${profile.new_role}`);
+      if (profile.new_role === 'owner') return { data: null, error: { code: '22023', message: 'Unknown role: owner' } };
+      users.get(target)!.role = profile.new_role;
+      return { data: null, error: null };
+    },
+    deleteUser: async id => {
+      calls.push(`delete ${id}`);
+      users.delete(id);
+    }
+  };
+  return { users, calls, deps };
+}
+
+Deno.test('create-user creates the account with the service key and sets it up as the calling admin', async () => {
+  const { users, calls, deps } = fakeAuth();
+  const handler = createHandler(deps);
+
+  const response = await handler(post({ username: 'Karim', password: 'Temp-pass-1', full_name: 'Karim Nabil', contact_email: ' ', role: 'warehouse' }));
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { success: true, user: { id: 'u2', email: 'karim@users.itsgroup.local' } });
+  assert.deepEqual(calls, [
+    `require_admin ${ADMIN}`,
+    'create karim@users.itsgroup.local Karim',
+    `finish ${ADMIN} u2 warehouse`
+  ]);
+  assert.equal(users.get('u2')!.role, 'warehouse');
+});
+
+Deno.test('create-user refuses non-admins and taken usernames, and removes an account it could not set up', async () => {
+  const { users, calls, deps } = fakeAuth();
+  const handler = createHandler(deps);
+
+  const anonymous = await handler(new Request('http://localhost/create-user', { method: 'POST', body: '{}' }));
+  assert.equal(anonymous.status, 401);
+
+  const notAdmin = await handler(post({ username: 'eve', password: 'x', role: 'admin' }, 'Bearer sales-token'));
+  assert.equal(notAdmin.status, 403);
+  assert.equal((await notAdmin.json()).error, 'Only admins can create accounts');
+
+  const taken = await handler(post({ username: 'mona', password: 'x', role: 'sales' }));
+  assert.equal(taken.status, 409);
+  assert.equal((await taken.json()).error, 'Username already exists. Please choose a different one.');
+
+  const badRole = await handler(post({ username: 'nour', password: 'x', role: 'owner' }));
+  assert.equal(badRole.status, 400);
+  assert.equal((await badRole.json()).error, 'Unknown role: owner');
+  assert.equal(calls.at(-1), 'delete u2');
+
+  assert.equal((await handler(post({ username: 'k', password: 'x', role: 'sales' }))).status, 400);
+  assert.deepEqual([...users.keys()], ['u1']);
+  assert.equal(calls.filter(call => call.startsWith('create')).length, 2);
+});
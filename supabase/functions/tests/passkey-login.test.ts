@@ -0,0 +1,127 @@
+// deno test --allow-net --allow-env --allow-read supabase/functions/tests
+import assert from 'node:assert/strict';
+import { isoBase64URL } from 'npm:@simplewebauthn/server@13.1.1/helpers';
+import { type Assertion, createHandler, userHandleFor } from '../passkey-login/handler.ts';
+
+const ORIGIN = 'https://erp.itsgroup.test';
+const USER_ID = '6f1c2a9e-3b4d-4e5f-8a7b-0c1d2e3f4a5b';
+const encoder = new TextEncoder();
+const b64 = (bytes: ArrayBuffer | Uint8Array) => isoBase64URL.fromBuffer(new Uint8Array(bytes));
+
+// A software authenticator producing what navigator.credentials gives the page: the SPKI
+// public key at registration, then authenticatorData, clientDataJSON and a signature
+// (DER for ECDSA) over authenticatorData || sha256(clientDataJSON).
+async function createAuthenticator(algorithm: -7 | -257) {
+  const params = algorithm === -7
+    ? { name: 'ECDSA', namedCurve: 'P-256' }
+    : { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+  const keys = await crypto.subtle.generateKey(params, true, ['sign', 'verify']) as CryptoKeyPair;
+  const credentialId = b64(crypto.getRandomValues(new Uint8Array(16)));
+  let counter = 0;
+
+  return {
+    credentialId,
+    publicKey: b64(await crypto.subtle.exportKey('spki', keys.publicKey)),
+    async assert(challenge: string, { origin = ORIGIN, rpId = new URL(ORIGIN).hostname, userHandle = userHandleFor(USER_ID) } = {}) {
+      counter++;
+      const clientDataJSON = encoder.encode(JSON.stringify({ type: 'webauthn.get', challenge, origin, crossOrigin: false }));
+      const authenticatorData = new Uint8Array(37);
+      authenticatorData.set(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(rpId))), 0);
+      authenticatorData[32] = 0x05; // user present, user verified
+      new DataView(authenticatorData.buffer).setUint32(33, counter);
+      const signed = new Uint8Array([...authenticatorData, ...new Uint8Array(await crypto.subtle.digest('SHA-256', clientDataJSON))]);
+      const signature = algorithm === -7
+        ? derSignature(new Uint8Array(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, keys.privateKey, signed)))
+        : new Uint8Array(await crypto.subtle.sign('RSASSA-PKCS1-v1_5', keys.privateKey, signed));
+      return {
+        credentialId,
+        clientDataJSON: b64(clientDataJSON),
+        authenticatorData: b64(authenticatorData),
+        signature: b64(signature),
+        userHandle
+      };
+    }
+  };
+}
+
+// WebCrypto signs ECDSA as r || s; authenticators send ASN.1 DER
+function derSignature(raw: Uint8Array): Uint8Array {
+  const integer = (bytes: Uint8Array) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    const value = [...bytes.slice(start)];
+    if (value[0] & 0x80) value.unshift(0);
+    return [0x02, value.length, ...value];
+  };
+  const r = integer(raw.slice(0, 32));
+  const s = integer(raw.slice(32));
+  return Uint8Array.from([0x30, r.length + s.length, ...r, ...s]);
+}
+
+function setup(authenticator: { credentialId: string; publicKey: string }, algorithm: number) {
+  const used: { credentialId: string; signCount: number }[] = [];
+  const tokensFor: string[] = [];
+  const handler = createHandler({
+    assertion: async credentialId => credentialId === authenticator.credentialId
+      ? {
+        data: { user_id: USER_ID, email: 'mona@users.itsgroup.local', public_key: authenticator.publicKey, algorithm, sign_count: 0, origin: ORIGIN } as Assertion,
+        error: null
+      }
+      : { data: null, error: { code: '22023', message: 'This passkey is not registered. Sign in with your password and add it again in settings.' } },
+    recordUse: async (credentialId, signCount) => {
+      used.push({ credentialId, signCount });
+      return { data: null, error: null };
+    },
+    createTokenHash: async email => {
+      tokensFor.push(email);
+      return 'hashed-token';
+    },
+    origins: [ORIGIN, 'http://localhost:5500']
+  });
+  const post = (body: unknown) => handler(new Request('http://localhost/passkey-login', { method: 'POST', body: JSON.stringify(body) }));
+  return { post, used, tokensFor };
+}
+
+for (const algorithm of [-7, -257] as const) {
+  Deno.test(`passkey-login signs in with a valid ${algorithm === -7 ? 'ES256' : 'RS256'} assertion`, async () => {
+    const authenticator = await createAuthenticator(algorithm);
+    const { post, used, tokensFor } = setup(authenticator, algorithm);
+
+    const response = await post(await authenticator.assert('challenge-1'));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true, tokenHash: 'hashed-token' });
+    assert.deepEqual(used, [{ credentialId: authenticator.credentialId, signCount: 1 }]);
+    assert.deepEqual(tokensFor, ['mona@users.itsgroup.local']);
+  });
+}
+
+Deno.test('passkey-login refuses a forged signature, another origin or another account', async () => {
+  const authenticator = await createAuthenticator(-7);
+  const impostor = await createAuthenticator(-7);
+  const { post, used, tokensFor } = setup(authenticator, -7);
+
+  const forged = { ...await impostor.assert('challenge-2'), credentialId: authenticator.credentialId };
+  const phished = await authenticator.assert('challenge-3', { origin: 'https://itsgroup.example', rpId: 'itsgroup.example' });
+  const otherAccount = await authenticator.assert('challenge-4', { userHandle: userHandleFor('00000000-0000-4000-8000-000000000000') });
+
+  for (const body of [forged, phished, otherAccount]) {
+    const response = await post(body);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).success, false);
+  }
+  assert.equal(used.length, 0);
+  assert.equal(tokensFor.length, 0);
+});
+
+Deno.test('passkey-login passes on database refusals', async () => {
+  const authenticator = await createAuthenticator(-7);
+  const { post } = setup(authenticator, -7);
+
+  const unknown = await post({ ...await authenticator.assert('challenge-5'), credentialId: 'dW5rbm93bg' });
+  assert.equal(unknown.status, 400);
+  assert.match((await unknown.json()).error, /not registered/);
+
+  const incomplete = await post({ credentialId: authenticator.credentialId });
+  assert.equal(incomplete.status, 400);
+});
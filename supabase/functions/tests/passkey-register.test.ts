@@ -0,0 +1,141 @@
+// deno test --allow-net --allow-env --allow-read supabase/functions/tests
+import assert from 'node:assert/strict';
+import { isoBase64URL, isoCBOR } from 'npm:@simplewebauthn/server@13.1.1/helpers';
+import { createHandler as createLoginHandler, spkiToCose } from '../passkey-login/handler.ts';
+import { createHandler, type Passkey } from '../passkey-register/handler.ts';
+
+const ORIGIN = 'https://erp.itsgroup.test';
+const USER_ID = '6f1c2a9e-3b4d-4e5f-8a7b-0c1d2e3f4a5b';
+const TOKEN = 'Bearer mona-token';
+const encoder = new TextEncoder();
+const b64 = (bytes: ArrayBuffer | Uint8Array) => isoBase64URL.fromBuffer(new Uint8Array(bytes));
+const sha256 = async (bytes: Uint8Array) => new Uint8Array(await crypto.subtle.digest('SHA-256', new Uint8Array(bytes)));
+
+// What navigator.credentials.create gives the page with attestation 'none': clientDataJSON and
+// an attestation object whose authenticator data carries the credential id and COSE public key
+async function createCredential(algorithm: -7 | -257, { origin = ORIGIN, rpId = new URL(ORIGIN).hostname, flags = 0x45 } = {}) {
+  const params = algorithm === -7
+    ? { name: 'ECDSA', namedCurve: 'P-256' }
+    : { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+  const keys = await crypto.subtle.generateKey(params, true, ['sign', 'verify']) as CryptoKeyPair;
+  const spki = b64(await crypto.subtle.exportKey('spki', keys.publicKey));
+  const credentialId = crypto.getRandomValues(new Uint8Array(16));
+  const publicKey = await spkiToCose(spki, algorithm);
+
+  const authData = new Uint8Array([
+    ...await sha256(encoder.encode(rpId)),
+    flags, // user present, user verified, attested credential data
+    0, 0, 0, 0,
+    ...new Uint8Array(16), // AAGUID
+    0, credentialId.length, ...credentialId,
+    ...publicKey
+  ]);
+  const attestationObject = isoCBOR.encode(new Map<string, unknown>([['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]]) as never);
+  const clientDataJSON = encoder.encode(JSON.stringify({ type: 'webauthn.create', challenge: 'cmVnaXN0ZXI', origin, crossOrigin: false }));
+
+  return {
+    spki,
+    keys,
+    body: { credentialId: b64(credentialId), clientDataJSON: b64(clientDataJSON), attestationObject: b64(attestationObject), transports: ['internal'], name: ' Work laptop ' }
+  };
+}
+
+function setup() {
+  const stored: Passkey[] = [];
+  const handler = createHandler({
+    consumeChallenge: async authorization => authorization === TOKEN
+      ? { data: USER_ID, error: null }
+      : { data: null, error: { code: '42501', message: 'Sign in to add a passkey' } },
+    store: async passkey => {
+      stored.push(passkey);
+      return { data: stored.length, error: null };
+    },
+    origins: [ORIGIN]
+  });
+  const post = (body: unknown, authorization = TOKEN) => handler(new Request('http://localhost/passkey-register', {
+    method: 'POST',
+    headers: { Authorization: authorization },
+    body: JSON.stringify(body)
+  }));
+  return { post, stored };
+}
+
+for (const algorithm of [-7, -257] as const) {
+  Deno.test(`passkey-register stores the ${algorithm === -7 ? 'ES256' : 'RS256'} key from the attestation`, async () => {
+    const { post, stored } = setup();
+    const credential = await createCredential(algorithm);
+
+    const response = await post(credential.body);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true, id: 1 });
+    assert.deepEqual(stored, [{
+      target: USER_ID,
+      credential_id: credential.body.credentialId,
+      public_key: credential.spki,
+      algorithm,
+      sign_count: 0,
+      transports: ['internal'],
+      name: 'Work laptop'
+    }]);
+  });
+}
+
+Deno.test('passkey-register refuses another origin, another RP, a missing user-present flag and strangers', async () => {
+  const { post, stored } = setup();
+
+  for (const options of [{ origin: 'https://itsgroup.example' }, { rpId: 'itsgroup.example' }, { flags: 0x44 }]) {
+    const response = await post((await createCredential(-7, options)).body);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'The passkey could not be verified. Please try again.');
+  }
+
+  const stranger = await post((await createCredential(-7)).body, 'Bearer someone-else');
+  assert.equal(stranger.status, 403);
+  assert.equal((await post({ credentialId: 'abc' })).status, 400);
+  assert.equal(stored.length, 0);
+});
+
+Deno.test('a registered passkey signs in through passkey-login', async () => {
+  const { post, stored } = setup();
+  const credential = await createCredential(-7);
+  assert.equal((await post(credential.body)).status, 200);
+  const [passkey] = stored;
+
+  const login = createLoginHandler({
+    assertion: async () => ({
+      data: { user_id: USER_ID, email: 'mona@users.itsgroup.local', public_key: passkey.public_key, algorithm: passkey.algorithm, sign_count: 0, origin: ORIGIN },
+      error: null
+    }),
+    recordUse: async () => ({ data: null, error: null }),
+    createTokenHash: async () => 'hashed-token',
+    origins: [ORIGIN]
+  });
+  const clientDataJSON = encoder.encode(JSON.stringify({ type: 'webauthn.get', challenge: 'bG9naW4', origin: ORIGIN }));
+  const authenticatorData = new Uint8Array([...await sha256(encoder.encode(new URL(ORIGIN).hostname)), 0x05, 0, 0, 0, 1]);
+  const raw = new Uint8Array(await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    credential.keys.privateKey,
+    new Uint8Array([...authenticatorData, ...await sha256(clientDataJSON)])
+  ));
+  const integer = (bytes: Uint8Array) => {
+    const value = [...bytes];
+    while (value.length > 1 && value[0] === 0 && !(value[1] & 0x80)) value.shift();
+    if (value[0] & 0x80) value.unshift(0);
+    return [0x02, value.length, ...value];
+  };
+  const r = integer(raw.slice(0, 32));
+  const s = integer(raw.slice(32));
+
+  const response = await login(new Request('http://localhost/passkey-login', {
+    method: 'POST',
+    body: JSON.stringify({
+      credentialId: passkey.credential_id,
+      clientDataJSON: b64(clientDataJSON),
+      authenticatorData: b64(authenticatorData),
+      signature: b64(Uint8Array.from([0x30, r.length + s.length, ...r, ...s]))
+    })
+  }));
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).tokenHash, 'hashed-token');
+});
@@ -0,0 +1,161 @@
+// deno test --allow-net --allow-env --allow-read supabase/functions/tests
+import assert from 'node:assert/strict';
+import { createMailer } from '../_shared/mailer.ts';
+import { createHandler } from '../send-campaign/handler.ts';
+import { type Campaign, type CampaignStore, campaignStatus, type Recipient } from '../send-campaign/store.ts';
+import { startSmtpStandIn } from './smtp-stand-in.ts';
+
+const SERVICE_KEY = 'service-key';
+
+// The two tables in memory, acting as a caller who may or may not send
+function memoryStore(campaigns: Campaign[], recipients: Recipient[], { canSend = true } = {}): CampaignStore {
+  return {
+    canSend: async () => canSend,
+    campaign: async id => campaigns.find(campaign => campaign.id === id) || null,
+    async claimDue() {
+      const due = campaigns.filter(campaign => campaign.status === 'scheduled');
+      due.forEach(campaign => { campaign.status = 'sending'; });
+      return due;
+    },
+    claim: async (campaignId, ids) => recipients
+      .filter(recipient => recipient.campaign_id === campaignId)
+      .filter(recipient => ids ? ids.includes(recipient.id) && ['queued', 'failed'].includes(recipient.status) : recipient.status === 'queued')
+      .map(recipient => {
+        recipient.status = 'sending';
+        return { ...recipient };
+      }),
+    async record(recipient, result) {
+      Object.assign(recipients.find(row => row.id === recipient.id)!, { status: result.status, error: result.error, attempts: recipient.attempts + 1 });
+    },
+    async finish(campaignId) {
+      const campaign = campaigns.find(row => row.id === campaignId)!;
+      campaign.status = campaignStatus(recipients.filter(row => row.campaign_id === campaignId).map(row => row.status));
+      return campaign.status;
+    }
+  };
+}
+
+const recipient = (id: number, campaignId: number, email: string): Recipient => ({
+  id, campaign_id: campaignId, email, name: null, subject: `Hello ${email}`, body: `Dear ${email}`, status: 'queued', error: null, attempts: 0
+});
+
+function dialogRequest(campaignId: number, recipientIds: number[], files: File[] = []) {
+  const form = new FormData();
+  form.append('campaign_id', String(campaignId));
+  form.append('recipient_ids', JSON.stringify(recipientIds));
+  files.forEach(file => form.append('attachments', file));
+  return new Request('http://localhost/send-campaign', { method: 'POST', headers: { Authorization: 'Bearer user-token' }, body: form });
+}
+
+Deno.test('send-campaign records each recipient and resends only the failures', async () => {
+  const smtp = startSmtpStandIn({ reject: ['karim@acme.com'] });
+  try {
+    const campaigns: Campaign[] = [{ id: 7, subject: 'Hello {{name}}', body: '', status: 'sending' }];
+    const recipients = [recipient(1, 7, 'mona@acme.com'), recipient(2, 7, 'karim@acme.com')];
+    const authorizations: string[] = [];
+    const handler = createHandler({
+      serviceKey: SERVICE_KEY,
+      storeFor: authorization => {
+        authorizations.push(authorization);
+        return memoryStore(campaigns, recipients);
+      },
+      mailer: () => createMailer({ host: '127.0.0.1', port: smtp.port, from: 'sales@itsgroup.test', insecure: true })
+    });
+
+    const first = await handler(dialogRequest(7, [1, 2], [new File(['price list'], 'prices.txt', { type: 'text/plain' })]));
+    const body = await first.json();
+
+    assert.equal(first.status, 200);
+    assert.equal(body.status, 'partial');
+    assert.deepEqual(body.results.map((result: { status: string }) => result.status), ['sent', 'failed']);
+    assert.match(body.results[1].error, /^550 5\.1\.1 No such user/);
+    assert.equal(recipients[1].attempts, 1);
+    assert.equal(campaigns[0].status, 'partial');
+    assert.equal(authorizations[0], 'Bearer user-token');
+    assert.deepEqual(smtp.received.map(mail => mail.to), [['mona@acme.com']]);
+    assert.match(smtp.received[0].data, /prices\.txt/);
+
+    // Mona already has it; Karim's mailbox is back
+    smtp.received.length = 0;
+    recipients[1].email = 'karim.adel@acme.com';
+    const retry = await handler(dialogRequest(7, [1, 2]));
+    assert.equal((await retry.json()).status, 'sent');
+    assert.deepEqual(smtp.received.map(mail => mail.to), [['karim.adel@acme.com']]);
+    assert.equal(recipients[1].attempts, 2);
+  } finally {
+    await smtp.close();
+  }
+});
+
+Deno.test('send-campaign delivers due scheduled campaigns when called with the service key', async () => {
+  const smtp = startSmtpStandIn();
+  try {
+    const campaigns: Campaign[] = [
+      { id: 8, subject: '', body: '', status: 'scheduled' },
+      { id: 9, subject: '', body: '', status: 'cancelled' }
+    ];
+    const recipients = [recipient(3, 8, 'nour@acme.com'), recipient(4, 9, 'ali@acme.com')];
+    const handler = createHandler({
+      serviceKey: SERVICE_KEY,
+      storeFor: () => memoryStore(campaigns, recipients),
+      mailer: () => createMailer({ host: '127.0.0.1', port: smtp.port, from: 'sales@itsgroup.test', insecure: true })
+    });
+    const scheduledRun = (key: string) => handler(new Request('http://localhost/send-campaign', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scheduled: true })
+    }));
+
+    assert.equal((await scheduledRun('user-token')).status, 401);
+    assert.equal(campaigns[0].status, 'scheduled');
+
+    assert.equal((await scheduledRun(SERVICE_KEY)).status, 200);
+    assert.equal(campaigns[0].status, 'sent');
+    assert.equal(campaigns[1].status, 'cancelled');
+    assert.deepEqual(smtp.received.map(mail => mail.to), [['nour@acme.com']]);
+  } finally {
+    await smtp.close();
+  }
+});
+
+Deno.test('send-campaign mails each recipient once when the same campaign is sent twice at once', async () => {
+  const mailed: string[] = [];
+  const campaigns: Campaign[] = [{ id: 11, subject: '', body: '', status: 'sending' }];
+  const recipients = [recipient(6, 11, 'mona@acme.com'), recipient(7, 11, 'karim@acme.com')];
+  const handler = createHandler({
+    serviceKey: SERVICE_KEY,
+    storeFor: () => memoryStore(campaigns, recipients),
+    mailer: () => async ({ to }) => { mailed.push(to); }
+  });
+
+  const responses = await Promise.all([handler(dialogRequest(11, [6, 7])), handler(dialogRequest(11, [6, 7]))]);
+  const bodies = await Promise.all(responses.map(response => response.json()));
+
+  assert.deepEqual(mailed.sort(), ['karim@acme.com', 'mona@acme.com']);
+  assert.deepEqual(bodies.map(body => body.results.length).sort(), [0, 2]);
+  assert.equal(campaigns[0].status, 'sent');
+});
+
+Deno.test('send-campaign refuses roles that cannot send and campaigns still scheduled', async () => {
+  let mailed = 0;
+  const campaigns: Campaign[] = [{ id: 10, subject: '', body: '', status: 'scheduled' }];
+  const recipients = [recipient(5, 10, 'mona@acme.com')];
+  const handler = (canSend: boolean) => createHandler({
+    serviceKey: SERVICE_KEY,
+    storeFor: () => memoryStore(campaigns, recipients, { canSend }),
+    mailer: () => async () => { mailed++; }
+  });
+
+  assert.equal((await handler(false)(dialogRequest(10, [5]))).status, 403);
+  assert.equal((await handler(true)(dialogRequest(10, [5]))).status, 409);
+  assert.equal(mailed, 0);
+
+  const unconfigured = createHandler({
+    serviceKey: SERVICE_KEY,
+    storeFor: () => memoryStore(campaigns, recipients),
+    mailer: () => { throw new Error('Set the SMTP_HOST and SMTP_FROM function secrets'); }
+  });
+  const response = await unconfigured(dialogRequest(10, [5]));
+  assert.equal(response.status, 500);
+  assert.match((await response.json()).error, /SMTP_HOST/);
+});
@@ -0,0 +1,94 @@
+// deno test --allow-net --allow-env --allow-read supabase/functions/tests
+import assert from 'node:assert/strict';
+import { createMailer } from '../_shared/mailer.ts';
+import { createHandler } from '../send-mfa-code/handler.ts';
+import { startSmtpStandIn } from './smtp-stand-in.ts';
+
+const post = (body: unknown) => new Request('http://localhost/send-mfa-code', { method: 'POST', body: JSON.stringify(body) });
+
+Deno.test('send-mfa-code mails the issued code and answers with the masked address only', async () => {
+  const smtp = startSmtpStandIn();
+  try {
+    const calls: unknown[] = [];
+    const handler = createHandler({
+      issueCode: async (username, channel) => {
+        calls.push({ username, channel });
+        return {
+          data: { code: '482913', channel: 'email', destination: 'mona@acme.com', masked: 'mo***@acme.com', expires_in: 600 },
+          error: null
+        };
+      },
+      sendMail: createMailer({ host: '127.0.0.1', port: smtp.port, from: 'no-reply@itsgroup.test', insecure: true }),
+      sendWhatsApp: null
+    });
+
+    const response = await handler(post({ username: 'mona', channel: 'email' }));
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, { success: true, destination: 'mo***@acme.com', retryAfter: 60 });
+    assert.deepEqual(calls, [{ username: 'mona', channel: 'email' }]);
+    assert.equal(smtp.received.length, 1);
+    assert.deepEqual(smtp.received[0].to, ['mona@acme.com']);
+    assert.match(smtp.received[0].data, /482913/);
+    assert.doesNotMatch(JSON.stringify(body), /482913/);
+  } finally {
+    await smtp.close();
+  }
+});
+
+Deno.test('send-mfa-code passes on the rate limit and reports a failed delivery', async () => {
+  const smtp = startSmtpStandIn({ reject: ['gone@acme.com'] });
+  try {
+    const issued = { code: '111111', channel: 'email' as const, destination: 'gone@acme.com', masked: 'go***@acme.com', expires_in: 600 };
+    let limited = true;
+    const handler = createHandler({
+      issueCode: async () => limited
+        ? { data: null, error: { code: '54000', message: 'Please wait 42 seconds before requesting another code' } }
+        : { data: issued, error: null },
+      sendMail: createMailer({ host: '127.0.0.1', port: smtp.port, from: 'no-reply@itsgroup.test', insecure: true }),
+      sendWhatsApp: null
+    });
+
+    const tooSoon = await handler(post({ username: 'mona', channel: 'email' }));
+    assert.equal(tooSoon.status, 429);
+    assert.equal((await tooSoon.json()).error, 'Please wait 42 seconds before requesting another code');
+
+    limited = false;
+    const bounced = await handler(post({ username: 'mona', channel: 'email' }));
+    assert.equal(bounced.status, 502);
+    assert.equal((await bounced.json()).success, false);
+
+    const noWhatsApp = await handler(post({ username: 'mona', channel: 'whatsapp' }));
+    assert.equal(noWhatsApp.status, 400);
+  } finally {
+    await smtp.close();
+  }
+});
+
+Deno.test('send-mfa-code sends WhatsApp codes through the authentication template', async () => {
+  const { createWhatsAppCodeSender } = await import('../_shared/whatsapp.ts');
+  const requests: { url: string; body: any }[] = [];
+  const sendWhatsApp = createWhatsAppCodeSender(
+    { token: 't', phoneNumberId: '123', template: 'verification_code', language: 'en' },
+    (async (url: string, init: RequestInit) => {
+      requests.push({ url, body: JSON.parse(String(init.body)) });
+      return new Response('{}', { status: 200 });
+    }) as typeof fetch
+  );
+  const handler = createHandler({
+    issueCode: async () => ({
+      data: { code: '654321', channel: 'whatsapp', destination: '+201001611579', masked: '+20******1579', expires_in: 600 },
+      error: null
+    }),
+    sendMail: async () => assert.fail('no email expected'),
+    sendWhatsApp
+  });
+
+  const response = await handler(post({ username: 'mona', channel: 'whatsapp' }));
+
+  assert.equal(response.status, 200);
+  assert.equal(requests[0].url, 'https://graph.facebook.com/v21.0/123/messages');
+  assert.equal(requests[0].body.to, '201001611579');
+  assert.equal(requests[0].body.template.components[0].parameters[0].text, '654321');
+});
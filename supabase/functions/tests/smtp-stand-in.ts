@@ -0,0 +1,107 @@
+// A local SMTP server for the function tests: accepts mail for every mailbox except the
+// ones in `reject`, which get "550 No such user", and keeps what it received.
+
+export interface ReceivedMail {
+  from: string;
+  to: string[];
+  data: string;
+}
+
+export interface SmtpStandIn {
+  port: number;
+  received: ReceivedMail[];
+  close(): Promise<void>;
+}
+
+export function startSmtpStandIn({ reject = [] as string[] } = {}): SmtpStandIn {
+  const listener = Deno.listen({ hostname: '127.0.0.1', port: 0 });
+  const received: ReceivedMail[] = [];
+  const sessions: Promise<void>[] = [];
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  async function serve(connection: Deno.Conn) {
+    const reply = (line: string) => connection.write(encoder.encode(`${line}\r\n`));
+    let buffer = '';
+    let mail: ReceivedMail = { from: '', to: [], data: '' };
+    let inData = false;
+    await reply('220 stand-in ESMTP');
+    const chunk = new Uint8Array(64 * 1024);
+    try {
+      while (true) {
+        const read = await connection.read(chunk);
+        if (read === null) break;
+        buffer += decoder.decode(chunk.subarray(0, read));
+        while (true) {
+          if (inData) {
+            const end = buffer.indexOf('\r\n.\r\n');
+            if (end === -1) break;
+            mail.data = buffer.slice(0, end);
+            buffer = buffer.slice(end + 5);
+            inData = false;
+            received.push(mail);
+            mail = { from: '', to: [], data: '' };
+            await reply('250 OK queued');
+            continue;
+          }
+          const newline = buffer.indexOf('\r\n');
+          if (newline === -1) break;
+          const line = buffer.slice(0, newline);
+          buffer = buffer.slice(newline + 2);
+          const command = line.slice(0, 4).toUpperCase();
+          if (command === 'EHLO' || command === 'HELO') {
+            await reply('250 stand-in');
+          } else if (command === 'MAIL') {
+            mail.from = line.replace(/^MAIL FROM:\s*<?([^>\s]*)>?.*$/i, '$1');
+            await reply('250 OK');
+          } else if (command === 'RCPT') {
+            const to = line.replace(/^RCPT TO:\s*<?([^>\s]*)>?.*$/i, '$1');
+            if (reject.includes(to)) {
+              await reply('550 5.1.1 No such user');
+            } else {
+              mail.to.push(to);
+              await reply('250 OK');
+            }
+          } else if (command === 'DATA') {
+            inData = true;
+            await reply('354 End data with <CR><LF>.<CR><LF>');
+          } else if (command === 'RSET') {
+            mail = { from: '', to: [], data: '' };
+            await reply('250 OK');
+          } else if (command === 'QUIT') {
+            await reply('221 Bye');
+            break;
+          } else {
+            await reply('250 OK');
+          }
+        }
+      }
+    } catch {
+      // The client hung up
+    } finally {
+      try {
+        connection.close();
+      } catch {
+        // Already closed
+      }
+    }
+  }
+
+  const accepting = (async () => {
+    try {
+      for await (const connection of listener) sessions.push(serve(connection));
+    } catch {
+      // Listener closed
+    }
+  })();
+
+  return {
+    port: (listener.addr as Deno.NetAddr).port,
+    received,
+    async close() {
+      listener.close();
+      await accepting;
+      await Promise.all(sessions);
+    }
+  };
+}
@@ -0,0 +1,55 @@
+/*
+  # Create Saved Views Table
+
+  1. New Tables
+    - `saved_views`
+      - `id` (bigserial, primary key)
+      - `table_name` (text) - page/table the view belongs to, e.g. `all_suppliers`, `clients`
+      - `name` (text) - view name, unique per table
+      - `state` (jsonb) - tab, category, filters, sort stack and hidden columns
+      - `owner` (uuid, defaults to the caller's `auth.uid()`) - who shared it; only the
+        owner may replace or delete it (enforced by the role_based_access migration)
+      - `created_at` (timestamptz, defaults to now)
+
+  2. Security
+    - Enable RLS
+    - Add policies for public access (matching the other tables)
+
+  Run this on every Supabase project whose pages share views
+  (suppliers and clients live in different projects).
+*/
+
+CREATE TABLE IF NOT EXISTS saved_views (
+  id bigserial PRIMARY KEY,
+  table_name text NOT NULL,
+  name text NOT NULL,
+  state jsonb NOT NULL DEFAULT '{}'::jsonb,
+  owner uuid DEFAULT auth.uid(),
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (table_name, name)
+);
+
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on saved_views"
+  ON saved_views FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE POLICY "Allow public insert on saved_views"
+  ON saved_views FOR INSERT
+  TO anon, authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Allow public update on saved_views"
+  ON saved_views FOR UPDATE
+  TO anon, authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow public delete on saved_views"
+  ON saved_views FOR DELETE
+  TO anon, authenticated
+  USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_table_name ON saved_views(table_name);
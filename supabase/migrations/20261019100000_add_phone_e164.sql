@@ -0,0 +1,45 @@
+/*
+  # Add canonical E.164 phone columns
+
+  1. Modified Tables
+    - `clients`, `hot_vendors`, `hot_vendors🔥🔥🔥`, `global_code`, `global_code_duplicate1`, `services`
+      - `phone_e164` (text) - the `phone` value parsed with the record's country
+        (see PhoneNumber in public/js/vendors-core.js), e.g. `+201001611579`.
+        `phone` keeps the number as it was typed, for display.
+
+  2. Indexes
+    - `phone_e164` on the main tables, for duplicate matching and lookups
+
+  Tables that do not exist in a project are skipped, so this runs on both
+  the suppliers and the clients projects.
+
+  The pages fill `phone_e164` on write. Existing rows are filled once, after this
+  migration, with supabase/scripts/backfill-phone-e164.mjs (same PhoneNumber rules);
+  until then they are missing from the index.
+*/
+
+ALTER TABLE IF EXISTS clients ADD COLUMN IF NOT EXISTS phone_e164 text;
+ALTER TABLE IF EXISTS hot_vendors ADD COLUMN IF NOT EXISTS phone_e164 text;
+ALTER TABLE IF EXISTS "hot_vendors🔥🔥🔥" ADD COLUMN IF NOT EXISTS phone_e164 text;
+ALTER TABLE IF EXISTS global_code ADD COLUMN IF NOT EXISTS phone_e164 text;
+ALTER TABLE IF EXISTS global_code_duplicate1 ADD COLUMN IF NOT EXISTS phone_e164 text;
+ALTER TABLE IF EXISTS services ADD COLUMN IF NOT EXISTS phone_e164 text;
+
+DO $$
+BEGIN
+  IF to_regclass('public.clients') IS NOT NULL THEN
+    CREATE INDEX IF NOT EXISTS idx_clients_phone_e164 ON clients(phone_e164);
+  END IF;
+  IF to_regclass('public.hot_vendors') IS NOT NULL THEN
+    CREATE INDEX IF NOT EXISTS idx_hot_vendors_phone_e164 ON hot_vendors(phone_e164);
+  END IF;
+  IF to_regclass('public.global_code') IS NOT NULL THEN
+    CREATE INDEX IF NOT EXISTS idx_global_code_phone_e164 ON global_code(phone_e164);
+  END IF;
+  IF to_regclass('public.global_code_duplicate1') IS NOT NULL THEN
+    CREATE INDEX IF NOT EXISTS idx_global_code_duplicate1_phone_e164 ON global_code_duplicate1(phone_e164);
+  END IF;
+  IF to_regclass('public.services') IS NOT NULL THEN
+    CREATE INDEX IF NOT EXISTS idx_services_phone_e164 ON services(phone_e164);
+  END IF;
+END $$;
@@ -0,0 +1,132 @@
+/*
+  # Create Audit Log Table
+
+  1. New Tables
+    - `audit_log`
+      - `id` (bigserial, primary key)
+      - `created_at` (timestamptz, defaults to now)
+      - `actor` (text) - signed-in user who made the change
+      - `action` (text) - `insert`, `update` or `delete`
+      - `table_name` (text) - table the row lives in, e.g. `clients`, `hot_vendors`
+      - `key_column` (text) - primary key column of that table
+      - `record_id` (text) - primary key value of the row
+      - `before` (jsonb) - whole row before the change, null for inserts
+      - `after` (jsonb) - whole row after the change, null for deletes
+      - `changes` (jsonb) - `{ column: { from, to } }` for the columns that changed
+
+  2. Functions and triggers
+    - `audit_actor()` - who is making the change, from the caller's token: the
+      username for `<username>@users.itsgroup.local` accounts, else their email,
+      else their user id, else the token role (e.g. `service_role` for scripts),
+      else `anonymous`. Only claims Auth sets are used; user_metadata is editable
+      by the user and is ignored.
+    - `write_audit_log()` - AFTER INSERT / UPDATE / DELETE row trigger on each data
+      table that appends the entry. Updates that change nothing are not logged.
+      Every write is logged whoever makes it, including the service key.
+
+  3. Security
+    - Enable RLS
+    - Add a read policy for public access (matching the other tables). There are
+      no insert, update or delete policies: entries are only written by the
+      triggers, with an actor the caller cannot choose, and the log is append-only.
+
+  4. Indexes
+    - `(table_name, record_id)` for the history of one row
+    - `created_at` and `actor` for the viewer filters
+
+  The pages read the log with AuditLog (public/js/vendors-core.js).
+  Run this on both the suppliers and the clients projects.
+*/
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  actor text NOT NULL DEFAULT 'anonymous',
+  action text NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  table_name text NOT NULL,
+  key_column text NOT NULL DEFAULT 'id',
+  record_id text NOT NULL,
+  before jsonb,
+  after jsonb,
+  changes jsonb NOT NULL DEFAULT '{}'::jsonb
+);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on audit_log"
+  ON audit_log FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor);
+
+CREATE OR REPLACE FUNCTION public.audit_actor()
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT coalesce(
+    nullif(regexp_replace(auth.jwt() ->> 'email', '@users\.itsgroup\.local$', ''), ''),
+    auth.uid()::text,
+    auth.jwt() ->> 'role',
+    'anonymous'
+  );
+$$;
+
+-- SECURITY DEFINER so the entry is written whatever the caller may do on audit_log.
+-- TG_ARGV[0] is the table's primary key column.
+CREATE OR REPLACE FUNCTION public.write_audit_log()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  before_row jsonb := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+  after_row jsonb := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+  changed jsonb;
+BEGIN
+  SELECT coalesce(jsonb_object_agg(field, jsonb_build_object('from', before_row -> field, 'to', after_row -> field)), '{}'::jsonb)
+  INTO changed
+  FROM (
+    SELECT DISTINCT jsonb_object_keys(coalesce(before_row, '{}'::jsonb) || coalesce(after_row, '{}'::jsonb)) AS field
+  ) fields
+  WHERE coalesce(before_row -> field, 'null'::jsonb) IS DISTINCT FROM coalesce(after_row -> field, 'null'::jsonb);
+
+  IF TG_OP = 'UPDATE' AND changed = '{}'::jsonb THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO audit_log (actor, action, table_name, key_column, record_id, before, after, changes)
+  VALUES (
+    public.audit_actor(), lower(TG_OP), TG_TABLE_NAME, TG_ARGV[0],
+    coalesce(after_row, before_row) ->> TG_ARGV[0], before_row, after_row, changed
+  );
+  RETURN NULL;
+END;
+$$;
+
+DO $$
+DECLARE
+  target text;
+  key_column text;
+BEGIN
+  FOREACH target IN ARRAY ARRAY[
+    'clients', 'hot_vendors', 'hot_vendors🔥🔥🔥', 'global_code',
+    'global_code_duplicate1', 'services', 'warehouse_inventory'
+  ] LOOP
+    CONTINUE WHEN to_regclass(format('public.%I', target)) IS NULL;
+
+    SELECT a.attname INTO key_column
+    FROM pg_index i
+    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+    WHERE i.indrelid = format('public.%I', target)::regclass AND i.indisprimary;
+
+    EXECUTE format('DROP TRIGGER IF EXISTS audit_log_changes ON public.%I', target);
+    EXECUTE format(
+      'CREATE TRIGGER audit_log_changes AFTER INSERT OR UPDATE OR DELETE ON public.%I FOR EACH ROW EXECUTE FUNCTION public.write_audit_log(%L)',
+      target, coalesce(key_column, 'id'));
+  END LOOP;
+END $$;
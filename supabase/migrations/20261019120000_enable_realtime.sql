@@ -0,0 +1,32 @@
+/*
+  # Enable Realtime on the data tables
+
+  1. Publication
+    - Adds `clients`, `hot_vendors`, `hot_vendors🔥🔥🔥`, `global_code`,
+      `global_code_duplicate1`, `services` and `warehouse_inventory` to the
+      `supabase_realtime` publication, so the pages receive their inserts,
+      updates and deletes (see RealtimeSync in public/js/realtime-sync.js).
+
+  Deletes only carry the primary key, which is all the pages need.
+  Tables that do not exist in a project, or are already published, are skipped,
+  so this runs on both the suppliers and the clients projects.
+*/
+
+DO $$
+DECLARE
+  table_name text;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY[
+    'clients', 'hot_vendors', 'hot_vendors🔥🔥🔥', 'global_code',
+    'global_code_duplicate1', 'services', 'warehouse_inventory'
+  ] LOOP
+    IF to_regclass(format('public.%I', table_name)) IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = table_name
+      )
+    THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', table_name);
+    END IF;
+  END LOOP;
+END $$;
@@ -0,0 +1,191 @@
+/*
+  # Role-based access control
+
+  1. New Tables
+    - `role_permissions`
+      - `role` (text) - `admin`, `sales`, `procurement`, `warehouse` or `read-only`
+      - `table_name` (text) - table the row applies to
+      - `can_read`, `can_insert`, `can_update`, `can_delete` (boolean)
+      - primary key `(role, table_name)`
+
+  2. Functions
+    - `app_role()` - the caller's role from the `app_metadata.role` claim of their
+      Supabase Auth token, null when it has none. app_metadata can only be
+      written with the service key, so users cannot change their own role.
+    - `can_access(table_name, action)` - whether the caller's role may `read`,
+      `insert`, `update` or `delete` rows of a table. Admins may do everything;
+      a token without a role may do nothing, and neither may a role without a
+      row for the table.
+
+  3. Security
+    - Replaces the public policies on the data tables with one policy per action
+      for signed-in users, checked with `can_access`. Anonymous access ends.
+    - `audit_log`: reading needs `read` on `audit_log`; only the audit triggers write it.
+    - `saved_views`: signed-in users read every shared view; only its owner may
+      change or delete it, and a new one is always owned by the caller. Views shared
+      before sign-in was required have no owner, so no one could ever change or remove
+      them: they are deleted, and `owner` becomes required.
+    - `role_permissions`: readable by signed-in users, changed by admins only.
+
+  The pages read `role_permissions` to hide what a role may not do
+  (see AccessControl in public/js/access-control.js).
+  Run this on both the suppliers and the clients projects. The clients project
+  must accept tokens issued by the suppliers project, since that is where people
+  sign in: give it the suppliers project's JWT secret and the anon key signed with
+  it, then check both with supabase/scripts/shared-auth.mjs (steps in its header).
+*/
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role text NOT NULL CHECK (role IN ('admin', 'sales', 'procurement', 'warehouse', 'read-only')),
+  table_name text NOT NULL,
+  can_read boolean NOT NULL DEFAULT false,
+  can_insert boolean NOT NULL DEFAULT false,
+  can_update boolean NOT NULL DEFAULT false,
+  can_delete boolean NOT NULL DEFAULT false,
+  PRIMARY KEY (role, table_name)
+);
+
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+
+-- Read-only used to have one `*` row for every table; each table is listed now
+DELETE FROM role_permissions WHERE table_name = '*';
+
+INSERT INTO role_permissions (role, table_name, can_read, can_insert, can_update, can_delete) VALUES
+  ('read-only', 'clients', true, false, false, false),
+  ('read-only', 'global_code', true, false, false, false),
+  ('read-only', 'global_code_duplicate1', true, false, false, false),
+  ('read-only', 'hot_vendors', true, false, false, false),
+  ('read-only', 'hot_vendors🔥🔥🔥', true, false, false, false),
+  ('read-only', 'services', true, false, false, false),
+  ('read-only', 'warehouse_inventory', true, false, false, false),
+  ('read-only', 'audit_log', true, false, false, false),
+  ('sales', 'clients', true, true, true, false),
+  ('sales', 'global_code', true, false, false, false),
+  ('sales', 'global_code_duplicate1', true, false, false, false),
+  ('sales', 'hot_vendors', true, false, false, false),
+  ('sales', 'hot_vendors🔥🔥🔥', true, false, false, false),
+  ('sales', 'services', true, false, false, false),
+  ('procurement', 'global_code', true, true, true, true),
+  ('procurement', 'global_code_duplicate1', true, true, true, true),
+  ('procurement', 'hot_vendors', true, true, true, true),
+  ('procurement', 'hot_vendors🔥🔥🔥', true, true, true, true),
+  ('procurement', 'services', true, true, true, true),
+  ('procurement', 'warehouse_inventory', true, false, false, false),
+  ('warehouse', 'warehouse_inventory', true, true, true, false),
+  ('warehouse', 'global_code', true, false, false, false),
+  ('warehouse', 'global_code_duplicate1', true, false, false, false)
+ON CONFLICT (role, table_name) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.app_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT auth.jwt() -> 'app_metadata' ->> 'role';
+$$;
+
+-- SECURITY DEFINER so the check can read role_permissions whatever its own policies say
+CREATE OR REPLACE FUNCTION public.can_access(target_table text, action text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT coalesce(public.app_role() = 'admin', false) OR EXISTS (
+    SELECT 1 FROM role_permissions p
+    WHERE p.role = public.app_role()
+      AND p.table_name = target_table
+      AND CASE action
+        WHEN 'read' THEN p.can_read
+        WHEN 'insert' THEN p.can_insert
+        WHEN 'update' THEN p.can_update
+        WHEN 'delete' THEN p.can_delete
+        ELSE false
+      END
+  );
+$$;
+
+DO $$
+DECLARE
+  target text;
+  existing record;
+BEGIN
+  FOREACH target IN ARRAY ARRAY[
+    'clients', 'hot_vendors', 'hot_vendors🔥🔥🔥', 'global_code',
+    'global_code_duplicate1', 'services', 'warehouse_inventory'
+  ] LOOP
+    CONTINUE WHEN to_regclass(format('public.%I', target)) IS NULL;
+
+    FOR existing IN
+      SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = target
+    LOOP
+      EXECUTE format('DROP POLICY %I ON public.%I', existing.policyname, target);
+    END LOOP;
+
+    EXECUTE format('ALTER TABLE public.%I ENABLE ROW LEVEL SECURITY', target);
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR SELECT TO authenticated USING (public.can_access(%L, ''read''))',
+      'Role read on ' || target, target, target);
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR INSERT TO authenticated WITH CHECK (public.can_access(%L, ''insert''))',
+      'Role insert on ' || target, target, target);
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR UPDATE TO authenticated USING (public.can_access(%L, ''update'')) WITH CHECK (public.can_access(%L, ''update''))',
+      'Role update on ' || target, target, target, target);
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR DELETE TO authenticated USING (public.can_access(%L, ''delete''))',
+      'Role delete on ' || target, target, target);
+  END LOOP;
+END $$;
+
+-- audit_log
+DROP POLICY IF EXISTS "Allow public read access on audit_log" ON audit_log;
+DROP POLICY IF EXISTS "Allow public insert on audit_log" ON audit_log;
+
+CREATE POLICY "Role read on audit_log"
+  ON audit_log FOR SELECT
+  TO authenticated
+  USING (public.can_access('audit_log', 'read'));
+
+-- saved_views
+DROP POLICY IF EXISTS "Allow public read access on saved_views" ON saved_views;
+DROP POLICY IF EXISTS "Allow public insert on saved_views" ON saved_views;
+DROP POLICY IF EXISTS "Allow public update on saved_views" ON saved_views;
+DROP POLICY IF EXISTS "Allow public delete on saved_views" ON saved_views;
+
+DELETE FROM saved_views WHERE owner IS NULL;
+ALTER TABLE saved_views ALTER COLUMN owner SET NOT NULL;
+
+CREATE POLICY "Signed-in read on saved_views"
+  ON saved_views FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Owner insert on saved_views"
+  ON saved_views FOR INSERT
+  TO authenticated
+  WITH CHECK (owner = auth.uid());
+
+CREATE POLICY "Owner update on saved_views"
+  ON saved_views FOR UPDATE
+  TO authenticated
+  USING (owner = auth.uid())
+  WITH CHECK (owner = auth.uid());
+
+CREATE POLICY "Owner delete on saved_views"
+  ON saved_views FOR DELETE
+  TO authenticated
+  USING (owner = auth.uid());
+
+-- role_permissions
+CREATE POLICY "Signed-in read on role_permissions"
+  ON role_permissions FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin write on role_permissions"
+  ON role_permissions FOR ALL
+  TO authenticated
+  USING (public.app_role() IS NOT DISTINCT FROM 'admin')
+  WITH CHECK (public.app_role() IS NOT DISTINCT FROM 'admin');
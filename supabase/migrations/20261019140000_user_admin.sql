@@ -0,0 +1,258 @@
+/*
+  # User administration
+
+  1. Functions (admins only, callable through `rpc`)
+    - `admin_list_users()` - every account with username, full name, contact email,
+      role (null when it has none), status (`active`, `invited` or `deactivated`),
+      last sign-in, active session count and whether MFA is set up
+    - `admin_finish_invite(user_id, full_name, contact_email, role)` - sets the
+      profile and role of an account the create-user Edge Function has just created
+    - `admin_update_user(user_id, full_name, contact_email, role)`
+    - `admin_set_password(user_id, password)` - sets a temporary password and signs
+      the user out everywhere
+    - `admin_set_active(user_id, active)` - deactivating bans the account and signs
+      it out; reactivating lifts the ban
+    - `admin_sign_out_user(user_id)` - ends every session of the account. Access
+      tokens already issued stay valid until they expire (one hour at most).
+
+  2. Audit trail
+    - Every function writes an `audit_log` entry for table `users`, keyed by the
+      account id, with the profile before and after the change.
+
+  Accounts live in Supabase Auth on the suppliers project, the same store index.html
+  signs in against, so run this on the suppliers project only. The browser cannot
+  hold the service key, so these functions run as their owner after checking that
+  the caller's token carries the admin role.
+*/
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE OR REPLACE FUNCTION public.require_admin()
+RETURNS void
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  IF public.app_role() IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can manage users' USING ERRCODE = '42501';
+  END IF;
+END;
+$$;
+
+-- What the audit trail records about an account; never includes the password itself
+CREATE OR REPLACE FUNCTION public.user_admin_snapshot(target uuid)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+  SELECT jsonb_build_object(
+    'username', split_part(u.email, '@', 1),
+    'full_name', u.raw_user_meta_data ->> 'full_name',
+    'contact_email', u.raw_app_meta_data ->> 'contact_email',
+    'role', u.raw_app_meta_data ->> 'role',
+    'active', u.banned_until IS NULL OR u.banned_until < now(),
+    'password_set_at', u.raw_app_meta_data ->> 'password_set_at',
+    'sessions', (SELECT count(*) FROM auth.sessions s WHERE s.user_id = u.id)
+  )
+  FROM auth.users u
+  WHERE u.id = target;
+$$;
+
+CREATE OR REPLACE FUNCTION public.log_user_admin(action text, target uuid, before jsonb, after jsonb)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO audit_log (actor, action, table_name, key_column, record_id, before, after, changes)
+  SELECT
+    public.audit_actor(),
+    action, 'users', 'id', target::text, before, after,
+    coalesce(jsonb_object_agg(field, jsonb_build_object('from', before -> field, 'to', after -> field)), '{}'::jsonb)
+  FROM (
+    SELECT DISTINCT jsonb_object_keys(coalesce(before, '{}'::jsonb) || coalesce(after, '{}'::jsonb)) AS field
+  ) fields
+  WHERE (before -> field) IS DISTINCT FROM (after -> field);
+$$;
+
+CREATE OR REPLACE FUNCTION public.admin_list_users()
+RETURNS TABLE (
+  id uuid,
+  username text,
+  full_name text,
+  contact_email text,
+  role text,
+  status text,
+  last_sign_in_at timestamptz,
+  created_at timestamptz,
+  sessions bigint,
+  mfa_enabled boolean
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+  PERFORM public.require_admin();
+  RETURN QUERY
+  SELECT
+    u.id,
+    split_part(u.email, '@', 1)::text,
+    (u.raw_user_meta_data ->> 'full_name')::text,
+    (u.raw_app_meta_data ->> 'contact_email')::text,
+    (u.raw_app_meta_data ->> 'role')::text,
+    CASE
+      WHEN u.banned_until IS NOT NULL AND u.banned_until > now() THEN 'deactivated'
+      WHEN u.last_sign_in_at IS NULL OR u.raw_app_meta_data ->> 'invited_at' IS NOT NULL AND u.last_sign_in_at <= (u.raw_app_meta_data ->> 'invited_at')::timestamptz THEN 'invited'
+      ELSE 'active'
+    END::text,
+    u.last_sign_in_at,
+    u.created_at,
+    (SELECT count(*) FROM auth.sessions s WHERE s.user_id = u.id),
+    EXISTS (SELECT 1 FROM auth.mfa_factors f WHERE f.user_id = u.id AND f.status = 'verified')
+  FROM auth.users u
+  ORDER BY u.created_at;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.check_role(new_role text)
+RETURNS void
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  IF new_role NOT IN ('admin', 'sales', 'procurement', 'warehouse', 'read-only') THEN
+    RAISE EXCEPTION 'Unknown role: %', new_role USING ERRCODE = '22023';
+  END IF;
+END;
+$$;
+
+-- The account was just created by the create-user Edge Function, which calls this with the
+-- admin's token; invited_at marks it as invited until the user's own first sign-in
+CREATE OR REPLACE FUNCTION public.admin_finish_invite(target uuid, full_name text, contact_email text, new_role text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+  PERFORM public.require_admin();
+  PERFORM public.check_role(new_role);
+  UPDATE auth.users
+  SET raw_user_meta_data = coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('full_name', full_name),
+      raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb)
+        || jsonb_build_object('role', new_role, 'contact_email', contact_email, 'invited_at', now(), 'password_set_at', now())
+  WHERE id = target AND raw_app_meta_data ->> 'role' IS NULL AND created_at > now() - interval '10 minutes';
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Only a just-created account can be set up as an invite' USING ERRCODE = '22023';
+  END IF;
+  DELETE FROM auth.sessions WHERE user_id = target;
+  PERFORM public.log_user_admin('insert', target, NULL, public.user_admin_snapshot(target));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.admin_update_user(target uuid, full_name text, contact_email text, new_role text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  before jsonb;
+BEGIN
+  PERFORM public.require_admin();
+  PERFORM public.check_role(new_role);
+  IF target = auth.uid() AND new_role <> 'admin' THEN
+    RAISE EXCEPTION 'You cannot remove your own admin role' USING ERRCODE = '22023';
+  END IF;
+  before := public.user_admin_snapshot(target);
+  UPDATE auth.users
+  SET raw_user_meta_data = coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('full_name', full_name),
+      raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb)
+        || jsonb_build_object('role', new_role, 'contact_email', contact_email)
+  WHERE id = target;
+  PERFORM public.log_user_admin('update', target, before, public.user_admin_snapshot(target));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.admin_set_password(target uuid, password text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth, extensions
+AS $$
+DECLARE
+  before jsonb;
+BEGIN
+  PERFORM public.require_admin();
+  IF length(password) < 6 THEN
+    RAISE EXCEPTION 'Password must be at least 6 characters long' USING ERRCODE = '22023';
+  END IF;
+  before := public.user_admin_snapshot(target);
+  UPDATE auth.users
+  SET encrypted_password = crypt(password, gen_salt('bf')),
+      raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb) || jsonb_build_object('password_set_at', now())
+  WHERE id = target;
+  DELETE FROM auth.sessions WHERE user_id = target;
+  PERFORM public.log_user_admin('update', target, before, public.user_admin_snapshot(target));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.admin_set_active(target uuid, active boolean)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  before jsonb;
+BEGIN
+  PERFORM public.require_admin();
+  IF target = auth.uid() AND NOT active THEN
+    RAISE EXCEPTION 'You cannot deactivate your own account' USING ERRCODE = '22023';
+  END IF;
+  before := public.user_admin_snapshot(target);
+  UPDATE auth.users
+  SET banned_until = CASE WHEN active THEN NULL ELSE 'infinity'::timestamptz END
+  WHERE id = target;
+  IF NOT active THEN
+    DELETE FROM auth.sessions WHERE user_id = target;
+  END IF;
+  PERFORM public.log_user_admin('update', target, before, public.user_admin_snapshot(target));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.admin_sign_out_user(target uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  before jsonb;
+BEGIN
+  PERFORM public.require_admin();
+  before := public.user_admin_snapshot(target);
+  -- Refresh tokens belong to sessions and go with them
+  DELETE FROM auth.sessions WHERE user_id = target;
+  PERFORM public.log_user_admin('update', target, before, public.user_admin_snapshot(target));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.user_admin_snapshot(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.log_user_admin(text, uuid, jsonb, jsonb) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.admin_list_users() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_finish_invite(uuid, text, text, text) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_update_user(uuid, text, text, text) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_set_password(uuid, text) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_set_active(uuid, boolean) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_sign_out_user(uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_list_users() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_finish_invite(uuid, text, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_update_user(uuid, text, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_set_password(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_set_active(uuid, boolean) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_sign_out_user(uuid) TO authenticated;
@@ -0,0 +1,499 @@
+/*
+  # Server-issued one-time codes and authenticator-app MFA
+
+  1. New Tables (no policies: only the functions below touch them)
+    - `mfa_codes` - one-time codes for password reset
+      - `user_id`, `channel` (`email` or `whatsapp`)
+      - `code_hash` (bcrypt of the 6-digit code), `expires_at` (10 minutes)
+      - `attempts` - wrong guesses so far, at most 5
+      - `verified_at`, `reset_token_hash`, `reset_used_at` - a verified code becomes a
+        reset token, valid for 10 minutes and once
+    - `mfa_backup_codes` - sha256 of each backup code for the authenticator app, `used_at`
+
+  2. Functions
+    - `mfa_destinations(username)` - masked email / WhatsApp number on the profile
+    - `issue_mfa_code(username, channel)` - service key only: creates a code and returns it
+      with the full destination, for the send-mfa-code Edge Function to deliver. One code
+      a minute and five an hour per account; a new code replaces the previous one.
+    - `verify_mfa_code(username, code)` - returns `{ token }`, or `{ error }` while counting
+      the wrong guess
+    - `reset_password_with_token(username, token, password)`
+    - `create_mfa_backup_codes()` - ten new codes for the signed-in user, who must have just
+      verified their authenticator app (aal2)
+    - `redeem_mfa_backup_code(code)` - for a user who lost their authenticator: removes their
+      TOTP factors so they can sign in and enrol again, and records it in audit_log
+    - `mfa_satisfied()` - false for a user with a verified authenticator whose token is not
+      yet aal2; `can_access` and `require_admin` now check it
+
+  3. Profiles
+    - The WhatsApp number is the `phone` app_metadata field, set by admins in settings.html,
+      so `admin_finish_invite` and `admin_update_user` take a phone number too.
+    - Codes only go to the `phone` and `contact_email` in app_metadata, which users cannot
+      edit themselves. Values earlier versions kept in user_metadata are moved there.
+    - Accounts are found by the email Auth derives from the username
+      (`<username>@users.itsgroup.local`, as AuthService.toEmail does), never by the
+      user-editable `username` user_metadata field.
+
+  TOTP itself (RFC 6238 enrolment, QR code, challenges) is Supabase Auth's MFA.
+  Run this on the suppliers project, where people sign in.
+*/
+
+CREATE TABLE IF NOT EXISTS mfa_codes (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+  channel text NOT NULL CHECK (channel IN ('email', 'whatsapp')),
+  code_hash text NOT NULL,
+  expires_at timestamptz NOT NULL,
+  attempts integer NOT NULL DEFAULT 0,
+  verified_at timestamptz,
+  reset_token_hash text,
+  reset_used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS mfa_codes_user_created_idx ON mfa_codes (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS mfa_backup_codes (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS mfa_backup_codes_user_idx ON mfa_backup_codes (user_id);
+
+ALTER TABLE mfa_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mfa_backup_codes ENABLE ROW LEVEL SECURITY;
+
+-- ---- Helpers ----
+
+CREATE OR REPLACE FUNCTION public.user_id_for(username text)
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+  SELECT id FROM auth.users
+  WHERE email = CASE
+    WHEN position('@' IN username) > 0 THEN lower(trim(username))
+    ELSE lower(trim(username)) || '@users.itsgroup.local'
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.mask_destination(channel text, destination text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN destination IS NULL OR destination = '' THEN NULL
+    WHEN channel = 'email' THEN
+      left(split_part(destination, '@', 1), 1) || '*****' || right(split_part(destination, '@', 1), 1)
+        || '@' || split_part(destination, '@', 2)
+    ELSE left(destination, 3) || '****' || right(destination, 4)
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.mfa_satisfied()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+  SELECT coalesce(auth.jwt() ->> 'aal', 'aal1') = 'aal2' OR NOT EXISTS (
+    SELECT 1 FROM auth.mfa_factors f WHERE f.user_id = auth.uid() AND f.status = 'verified'
+  );
+$$;
+
+-- Tokens from the suppliers project carry the aal claim, but only that project knows who has
+-- an authenticator, so on the clients project a user without aal2 is not stopped here
+CREATE OR REPLACE FUNCTION public.can_access(target_table text, action text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.mfa_satisfied() AND (coalesce(public.app_role() = 'admin', false) OR EXISTS (
+    SELECT 1 FROM role_permissions p
+    WHERE p.role = public.app_role()
+      AND p.table_name = target_table
+      AND CASE action
+        WHEN 'read' THEN p.can_read
+        WHEN 'insert' THEN p.can_insert
+        WHEN 'update' THEN p.can_update
+        WHEN 'delete' THEN p.can_delete
+        ELSE false
+      END
+  ));
+$$;
+
+CREATE OR REPLACE FUNCTION public.require_admin()
+RETURNS void
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  IF public.app_role() IS DISTINCT FROM 'admin' OR NOT public.mfa_satisfied() THEN
+    RAISE EXCEPTION 'Only admins can manage users' USING ERRCODE = '42501';
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.user_admin_snapshot(target uuid)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+  SELECT jsonb_build_object(
+    'username', split_part(u.email, '@', 1),
+    'full_name', u.raw_user_meta_data ->> 'full_name',
+    'contact_email', u.raw_app_meta_data ->> 'contact_email',
+    'phone', u.raw_app_meta_data ->> 'phone',
+    'role', u.raw_app_meta_data ->> 'role',
+    'active', u.banned_until IS NULL OR u.banned_until < now(),
+    'password_set_at', u.raw_app_meta_data ->> 'password_set_at',
+    'sessions', (SELECT count(*) FROM auth.sessions s WHERE s.user_id = u.id),
+    'mfa', EXISTS (SELECT 1 FROM auth.mfa_factors f WHERE f.user_id = u.id AND f.status = 'verified')
+  )
+  FROM auth.users u
+  WHERE u.id = target;
+$$;
+
+-- ---- Profiles with a WhatsApp number ----
+
+-- Reset destinations set before they moved to app_metadata
+UPDATE auth.users
+SET raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb)
+      || jsonb_strip_nulls(jsonb_build_object(
+        'contact_email', raw_user_meta_data ->> 'contact_email',
+        'phone', raw_user_meta_data ->> 'phone')),
+    raw_user_meta_data = raw_user_meta_data - 'contact_email' - 'phone'
+WHERE raw_user_meta_data ?| ARRAY['contact_email', 'phone'];
+
+DROP FUNCTION IF EXISTS public.admin_finish_invite(uuid, text, text, text);
+DROP FUNCTION IF EXISTS public.admin_update_user(uuid, text, text, text);
+DROP FUNCTION IF EXISTS public.admin_list_users();
+
+CREATE FUNCTION public.admin_list_users()
+RETURNS TABLE (
+  id uuid,
+  username text,
+  full_name text,
+  contact_email text,
+  phone text,
+  role text,
+  status text,
+  last_sign_in_at timestamptz,
+  created_at timestamptz,
+  sessions bigint,
+  mfa_enabled boolean
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+  PERFORM public.require_admin();
+  RETURN QUERY
+  SELECT
+    u.id,
+    split_part(u.email, '@', 1)::text,
+    (u.raw_user_meta_data ->> 'full_name')::text,
+    (u.raw_app_meta_data ->> 'contact_email')::text,
+    (u.raw_app_meta_data ->> 'phone')::text,
+    (u.raw_app_meta_data ->> 'role')::text,
+    CASE
+      WHEN u.banned_until IS NOT NULL AND u.banned_until > now() THEN 'deactivated'
+      WHEN u.last_sign_in_at IS NULL OR u.raw_app_meta_data ->> 'invited_at' IS NOT NULL AND u.last_sign_in_at <= (u.raw_app_meta_data ->> 'invited_at')::timestamptz THEN 'invited'
+      ELSE 'active'
+    END::text,
+    u.last_sign_in_at,
+    u.created_at,
+    (SELECT count(*) FROM auth.sessions s WHERE s.user_id = u.id),
+    EXISTS (SELECT 1 FROM auth.mfa_factors f WHERE f.user_id = u.id AND f.status = 'verified')
+  FROM auth.users u
+  ORDER BY u.created_at;
+END;
+$$;
+
+CREATE FUNCTION public.admin_finish_invite(target uuid, full_name text, contact_email text, new_role text, phone text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+  PERFORM public.require_admin();
+  PERFORM public.check_role(new_role);
+  UPDATE auth.users
+  SET raw_user_meta_data = coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('full_name', full_name),
+      raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb)
+        || jsonb_build_object('role', new_role, 'contact_email', contact_email, 'phone', phone, 'invited_at', now(), 'password_set_at', now())
+  WHERE id = target AND raw_app_meta_data ->> 'role' IS NULL AND created_at > now() - interval '10 minutes';
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Only a just-created account can be set up as an invite' USING ERRCODE = '22023';
+  END IF;
+  DELETE FROM auth.sessions WHERE user_id = target;
+  PERFORM public.log_user_admin('insert', target, NULL, public.user_admin_snapshot(target));
+END;
+$$;
+
+CREATE FUNCTION public.admin_update_user(target uuid, full_name text, contact_email text, new_role text, phone text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  before jsonb;
+BEGIN
+  PERFORM public.require_admin();
+  PERFORM public.check_role(new_role);
+  IF target = auth.uid() AND new_role <> 'admin' THEN
+    RAISE EXCEPTION 'You cannot remove your own admin role' USING ERRCODE = '22023';
+  END IF;
+  before := public.user_admin_snapshot(target);
+  UPDATE auth.users
+  SET raw_user_meta_data = coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('full_name', full_name),
+      raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb)
+        || jsonb_build_object('role', new_role, 'contact_email', contact_email, 'phone', phone)
+  WHERE id = target;
+  PERFORM public.log_user_admin('update', target, before, public.user_admin_snapshot(target));
+END;
+$$;
+
+-- ---- One-time codes ----
+
+CREATE OR REPLACE FUNCTION public.mfa_destinations(username text)
+RETURNS TABLE (channel text, destination text)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+  SELECT d.channel, public.mask_destination(d.channel, d.value)
+  FROM auth.users u
+  CROSS JOIN LATERAL (VALUES
+    ('whatsapp', u.raw_app_meta_data ->> 'phone'),
+    ('email', u.raw_app_meta_data ->> 'contact_email')
+  ) AS d (channel, value)
+  WHERE u.id = public.user_id_for(username)
+    AND coalesce(d.value, '') <> ''
+    AND (u.banned_until IS NULL OR u.banned_until < now());
+$$;
+
+CREATE OR REPLACE FUNCTION public.issue_mfa_code(username text, channel text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth, extensions
+AS $$
+DECLARE
+  target uuid := public.user_id_for(username);
+  destination text;
+  last_sent timestamptz;
+  bytes bytea;
+  draw bigint;
+  code text;
+BEGIN
+  SELECT CASE channel
+    WHEN 'email' THEN u.raw_app_meta_data ->> 'contact_email'
+    WHEN 'whatsapp' THEN u.raw_app_meta_data ->> 'phone'
+  END INTO destination
+  FROM auth.users u
+  WHERE u.id = target AND (u.banned_until IS NULL OR u.banned_until < now());
+  IF coalesce(destination, '') = '' THEN
+    RAISE EXCEPTION 'No % is set up for this account', CASE channel WHEN 'email' THEN 'email address' ELSE 'WhatsApp number' END
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT max(created_at) INTO last_sent FROM mfa_codes WHERE user_id = target;
+  IF last_sent > now() - interval '60 seconds' THEN
+    RAISE EXCEPTION 'Please wait % seconds before requesting another code',
+      ceil(extract(epoch FROM last_sent + interval '60 seconds' - now()))::int USING ERRCODE = '54000';
+  END IF;
+  IF (SELECT count(*) FROM mfa_codes WHERE user_id = target AND created_at > now() - interval '1 hour') >= 5 THEN
+    RAISE EXCEPTION 'Too many codes requested. Try again in an hour.' USING ERRCODE = '54000';
+  END IF;
+
+  -- Uniform over 000000-999999: 2^32 is not a multiple of 10^6, so redraw the few top values
+  LOOP
+    bytes := gen_random_bytes(4);
+    draw := get_byte(bytes, 0)::bigint * 16777216 + get_byte(bytes, 1) * 65536 + get_byte(bytes, 2) * 256 + get_byte(bytes, 3);
+    EXIT WHEN draw < 4294000000;
+  END LOOP;
+  code := lpad((draw % 1000000)::text, 6, '0');
+
+  UPDATE mfa_codes SET expires_at = now() WHERE user_id = target AND verified_at IS NULL AND expires_at > now();
+  INSERT INTO mfa_codes (user_id, channel, code_hash, expires_at)
+  VALUES (target, channel, crypt(code, gen_salt('bf')), now() + interval '10 minutes');
+
+  RETURN jsonb_build_object(
+    'code', code,
+    'channel', channel,
+    'destination', destination,
+    'masked', public.mask_destination(channel, destination),
+    'expires_in', 600
+  );
+END;
+$$;
+
+-- Returns a result instead of raising, so the counted attempt is not rolled back
+CREATE OR REPLACE FUNCTION public.verify_mfa_code(username text, code text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth, extensions
+AS $$
+DECLARE
+  target uuid := public.user_id_for(username);
+  pending mfa_codes;
+  token text;
+BEGIN
+  SELECT * INTO pending FROM mfa_codes
+  WHERE user_id = target AND verified_at IS NULL AND expires_at > now()
+  ORDER BY created_at DESC
+  LIMIT 1
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'This code has expired. Please request a new one.');
+  END IF;
+  IF pending.attempts >= 5 THEN
+    RETURN jsonb_build_object('error', 'Too many wrong codes. Please request a new one.');
+  END IF;
+
+  IF crypt(coalesce(code, ''), pending.code_hash) <> pending.code_hash THEN
+    UPDATE mfa_codes SET attempts = attempts + 1 WHERE id = pending.id;
+    IF pending.attempts + 1 >= 5 THEN
+      RETURN jsonb_build_object('error', 'Too many wrong codes. Please request a new one.');
+    END IF;
+    RETURN jsonb_build_object('error', format('Invalid verification code. %s attempt(s) left.', 5 - pending.attempts - 1));
+  END IF;
+
+  token := encode(gen_random_bytes(32), 'hex');
+  UPDATE mfa_codes
+  SET verified_at = now(), reset_token_hash = encode(digest(token, 'sha256'), 'hex')
+  WHERE id = pending.id;
+  RETURN jsonb_build_object('token', token);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reset_password_with_token(username text, token text, password text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth, extensions
+AS $$
+DECLARE
+  target uuid := public.user_id_for(username);
+  verified mfa_codes;
+  before jsonb;
+BEGIN
+  IF length(coalesce(password, '')) < 6 THEN
+    RAISE EXCEPTION 'Password must be at least 6 characters long' USING ERRCODE = '22023';
+  END IF;
+  SELECT * INTO verified FROM mfa_codes
+  WHERE user_id = target
+    AND reset_token_hash = encode(digest(coalesce(token, ''), 'sha256'), 'hex')
+    AND reset_used_at IS NULL
+    AND verified_at > now() - interval '10 minutes'
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This reset link has expired. Please verify again.' USING ERRCODE = '22023';
+  END IF;
+
+  before := public.user_admin_snapshot(target);
+  UPDATE mfa_codes SET reset_used_at = now() WHERE id = verified.id;
+  UPDATE auth.users
+  SET encrypted_password = crypt(password, gen_salt('bf')),
+      raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb) || jsonb_build_object('password_set_at', now())
+  WHERE id = target;
+  DELETE FROM auth.sessions WHERE user_id = target;
+  PERFORM public.log_user_admin('update', target, before, public.user_admin_snapshot(target));
+END;
+$$;
+
+-- ---- Backup codes for the authenticator app ----
+
+CREATE OR REPLACE FUNCTION public.create_mfa_backup_codes()
+RETURNS text[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth, extensions
+AS $$
+DECLARE
+  alphabet text := 'abcdefghjkmnpqrstuvwxyz23456789';
+  codes text[] := '{}';
+  code text;
+  bytes bytea;
+BEGIN
+  IF auth.uid() IS NULL OR coalesce(auth.jwt() ->> 'aal', 'aal1') <> 'aal2' THEN
+    RAISE EXCEPTION 'Verify your authenticator app first' USING ERRCODE = '42501';
+  END IF;
+  DELETE FROM mfa_backup_codes WHERE user_id = auth.uid();
+  FOR i IN 1..10 LOOP
+    bytes := gen_random_bytes(10);
+    code := '';
+    FOR j IN 0..9 LOOP
+      code := code || substr(alphabet, get_byte(bytes, j) % length(alphabet) + 1, 1);
+    END LOOP;
+    code := left(code, 5) || '-' || right(code, 5);
+    codes := codes || code;
+    INSERT INTO mfa_backup_codes (user_id, code_hash) VALUES (auth.uid(), encode(digest(code, 'sha256'), 'hex'));
+  END LOOP;
+  RETURN codes;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.redeem_mfa_backup_code(code text)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth, extensions
+AS $$
+DECLARE
+  before jsonb;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in with your password first' USING ERRCODE = '42501';
+  END IF;
+  UPDATE mfa_backup_codes
+  SET used_at = now()
+  WHERE user_id = auth.uid()
+    AND used_at IS NULL
+    AND code_hash = encode(digest(lower(trim(coalesce(code, ''))), 'sha256'), 'hex');
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  before := public.user_admin_snapshot(auth.uid());
+  DELETE FROM auth.mfa_factors WHERE user_id = auth.uid() AND factor_type = 'totp';
+  DELETE FROM mfa_backup_codes WHERE user_id = auth.uid();
+  PERFORM public.log_user_admin('update', auth.uid(), before, public.user_admin_snapshot(auth.uid()));
+  RETURN true;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.user_id_for(text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.issue_mfa_code(text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.issue_mfa_code(text, text) TO service_role;
+REVOKE EXECUTE ON FUNCTION public.admin_list_users() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_finish_invite(uuid, text, text, text, text) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_update_user(uuid, text, text, text, text) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.create_mfa_backup_codes() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.redeem_mfa_backup_code(text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_list_users() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_finish_invite(uuid, text, text, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_update_user(uuid, text, text, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.mfa_destinations(text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.verify_mfa_code(text, text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reset_password_with_token(text, text, text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.create_mfa_backup_codes() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_mfa_backup_code(text) TO authenticated;
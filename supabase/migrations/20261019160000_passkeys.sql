@@ -0,0 +1,341 @@
+/*
+  # Passkeys (WebAuthn)
+
+  1. New Tables
+    - `passkey_credentials` - one row per passkey
+      - `user_id`, `name` (shown in settings)
+      - `credential_id` (base64url, unique), `public_key` (base64url SPKI), `algorithm`
+        (COSE: -7 ES256 or -257 RS256), `sign_count`, `transports`
+      - `created_at`, `last_used_at`
+    - `passkey_challenges` - random challenges, valid for 5 minutes and once. Login
+      challenges may have no user: a discoverable passkey names its own account.
+      Spent and expired ones are deleted whenever a new one is made, and at most 5 may
+      be open per account and 500 in all, so anonymous callers cannot fill the table.
+
+  2. Security
+    - Users read, rename and delete their own passkeys (and must have passed their
+      authenticator-app check, like every other table). Everything else goes through:
+    - `passkey_registration_options()` - challenge and user handle for navigator.credentials.create
+    - `consume_passkey_registration(client_data_json)` - spends the caller's registration
+      challenge and returns their user id
+    - `register_passkey(user_id, ...)` - service key only: stores a public key the
+      passkey-register Edge Function has verified. Registration happens from a signed-in
+      session, so attestation is not requested.
+    - `passkey_login_options(username)` - challenge, plus that user's credential ids when a
+      username is given
+    - `passkey_assertion(credential_id, client_data_json)` - service key only: consumes the
+      challenge and returns the account and public key
+    - `record_passkey_use(credential_id, sign_count)` - service key only: refuses a sign
+      count that went backwards (a cloned authenticator)
+
+  The WebAuthn checks need CBOR and ECDSA/RSA, which Postgres lacks, so Edge Functions
+  (supabase/functions) do them. passkey-register: consume_passkey_registration with the
+  caller's token, verify the origin, rpIdHash, flags and attestation object, then
+  register_passkey with the public key taken from it. passkey-login: passkey_assertion,
+  verify the origin, rpIdHash, flags and signature over authenticatorData ||
+  sha256(clientDataJSON), record_passkey_use, then generate a magic link for the account and
+  return its hashed token, which the browser exchanges for a session with verifyOtp.
+  Run this on the suppliers project.
+*/
+
+CREATE TABLE IF NOT EXISTS passkey_credentials (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+  name text NOT NULL DEFAULT 'Passkey',
+  credential_id text NOT NULL UNIQUE,
+  public_key text NOT NULL,
+  algorithm integer NOT NULL CHECK (algorithm IN (-7, -257)),
+  sign_count bigint NOT NULL DEFAULT 0,
+  transports text[] NOT NULL DEFAULT '{}',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS passkey_credentials_user_idx ON passkey_credentials (user_id);
+
+CREATE TABLE IF NOT EXISTS passkey_challenges (
+  id bigserial PRIMARY KEY,
+  user_id uuid REFERENCES auth.users (id) ON DELETE CASCADE,
+  purpose text NOT NULL CHECK (purpose IN ('register', 'login')),
+  challenge text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz
+);
+
+ALTER TABLE passkey_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE passkey_challenges ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Own passkeys read"
+  ON passkey_credentials FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid() AND public.mfa_satisfied());
+
+CREATE POLICY "Own passkeys rename"
+  ON passkey_credentials FOR UPDATE
+  TO authenticated
+  USING (user_id = auth.uid() AND public.mfa_satisfied())
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Own passkeys delete"
+  ON passkey_credentials FOR DELETE
+  TO authenticated
+  USING (user_id = auth.uid() AND public.mfa_satisfied());
+
+-- Only the name can be changed from the browser
+REVOKE UPDATE ON passkey_credentials FROM anon, authenticated;
+GRANT UPDATE (name) ON passkey_credentials TO authenticated;
+
+-- ---- Helpers ----
+
+CREATE OR REPLACE FUNCTION public.base64url_encode(value bytea)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT translate(encode(value, 'base64'), E'+/=\n', '-_');
+$$;
+
+CREATE OR REPLACE FUNCTION public.base64url_decode(value text)
+RETURNS bytea
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT decode(rpad(translate(value, '-_', '+/'), length(value) + (4 - length(value) % 4) % 4, '='), 'base64');
+$$;
+
+CREATE OR REPLACE FUNCTION public.new_passkey_challenge(target uuid, purpose text)
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  challenge text := public.base64url_encode(gen_random_bytes(32));
+BEGIN
+  DELETE FROM passkey_challenges WHERE used_at IS NOT NULL OR expires_at < now();
+  IF (target IS NOT NULL AND (SELECT count(*) FROM passkey_challenges c WHERE c.user_id = target) >= 5)
+     OR (SELECT count(*) FROM passkey_challenges) >= 500 THEN
+    RAISE EXCEPTION 'Too many passkey requests. Please wait a few minutes and try again.' USING ERRCODE = '54000';
+  END IF;
+  INSERT INTO passkey_challenges (user_id, purpose, challenge, expires_at)
+  VALUES (target, purpose, challenge, now() + interval '5 minutes');
+  RETURN challenge;
+END;
+$$;
+
+-- Marks the challenge in client_data_json used and returns the parsed client data
+CREATE OR REPLACE FUNCTION public.consume_passkey_challenge(client_data_json text, ceremony text, target uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  client_data jsonb;
+BEGIN
+  BEGIN
+    client_data := convert_from(public.base64url_decode(client_data_json), 'UTF8')::jsonb;
+  EXCEPTION WHEN others THEN
+    RAISE EXCEPTION 'The passkey response could not be read' USING ERRCODE = '22023';
+  END;
+  IF client_data ->> 'type' IS DISTINCT FROM 'webauthn.' || ceremony THEN
+    RAISE EXCEPTION 'The passkey response is for the wrong ceremony' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE passkey_challenges
+  SET used_at = now()
+  WHERE challenge = client_data ->> 'challenge'
+    AND purpose = CASE ceremony WHEN 'create' THEN 'register' ELSE 'login' END
+    AND used_at IS NULL
+    AND expires_at > now()
+    AND (user_id IS NULL OR user_id = target);
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'The passkey request has expired. Please try again.' USING ERRCODE = '22023';
+  END IF;
+  RETURN client_data;
+END;
+$$;
+
+-- ---- Registration (signed in) ----
+
+CREATE OR REPLACE FUNCTION public.passkey_registration_options()
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  account auth.users;
+BEGIN
+  SELECT * INTO account FROM auth.users WHERE id = auth.uid();
+  IF account.id IS NULL OR NOT public.mfa_satisfied() THEN
+    RAISE EXCEPTION 'Sign in to add a passkey' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'challenge', public.new_passkey_challenge(account.id, 'register'),
+    'user', jsonb_build_object(
+      'id', public.base64url_encode(decode(replace(account.id::text, '-', ''), 'hex')),
+      'name', coalesce(account.raw_user_meta_data ->> 'username', split_part(account.email, '@', 1)),
+      'displayName', coalesce(account.raw_user_meta_data ->> 'full_name', account.raw_user_meta_data ->> 'username', split_part(account.email, '@', 1))
+    ),
+    'excludeCredentials', coalesce(
+      (SELECT jsonb_agg(jsonb_build_object('id', credential_id, 'transports', transports))
+       FROM passkey_credentials WHERE user_id = account.id),
+      '[]'::jsonb)
+  );
+END;
+$$;
+
+-- Registrations used to be stored straight from the browser
+DROP FUNCTION IF EXISTS public.register_passkey(text, text, integer, text[], text, text, text);
+
+CREATE OR REPLACE FUNCTION public.consume_passkey_registration(client_data_json text)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL OR NOT public.mfa_satisfied() THEN
+    RAISE EXCEPTION 'Sign in to add a passkey' USING ERRCODE = '42501';
+  END IF;
+  PERFORM public.consume_passkey_challenge(client_data_json, 'create', auth.uid());
+  RETURN auth.uid();
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.register_passkey(
+  target uuid,
+  credential_id text,
+  public_key text,
+  algorithm integer,
+  sign_count bigint,
+  transports text[],
+  name text DEFAULT NULL
+)
+RETURNS bigint
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  created_id bigint;
+BEGIN
+  IF algorithm NOT IN (-7, -257) THEN
+    RAISE EXCEPTION 'This passkey uses an unsupported algorithm' USING ERRCODE = '22023';
+  END IF;
+  IF (SELECT count(*) FROM passkey_credentials p WHERE p.user_id = target) >= 10 THEN
+    RAISE EXCEPTION 'You already have 10 passkeys. Remove one first.' USING ERRCODE = '54000';
+  END IF;
+  IF EXISTS (SELECT 1 FROM passkey_credentials p WHERE p.credential_id = register_passkey.credential_id) THEN
+    RAISE EXCEPTION 'This passkey is already registered' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO passkey_credentials (user_id, name, credential_id, public_key, algorithm, sign_count, transports)
+  VALUES (
+    target,
+    coalesce(nullif(trim(name), ''), 'Passkey'),
+    credential_id,
+    public_key,
+    algorithm,
+    sign_count,
+    coalesce(transports, '{}')
+  )
+  RETURNING id INTO created_id;
+  RETURN created_id;
+END;
+$$;
+
+-- ---- Login (signed out) ----
+
+CREATE OR REPLACE FUNCTION public.passkey_login_options(username text DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  target uuid := CASE WHEN coalesce(trim(username), '') = '' THEN NULL ELSE public.user_id_for(username) END;
+BEGIN
+  IF coalesce(trim(username), '') <> '' AND NOT EXISTS (SELECT 1 FROM passkey_credentials p WHERE p.user_id = target) THEN
+    RAISE EXCEPTION 'No passkey is set up for this account' USING ERRCODE = '22023';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'challenge', public.new_passkey_challenge(target, 'login'),
+    'allowCredentials', coalesce(
+      (SELECT jsonb_agg(jsonb_build_object('id', p.credential_id, 'transports', p.transports))
+       FROM passkey_credentials p WHERE target IS NOT NULL AND p.user_id = target),
+      '[]'::jsonb)
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.passkey_assertion(credential_id text, client_data_json text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+DECLARE
+  credential passkey_credentials;
+  client_data jsonb;
+  account auth.users;
+BEGIN
+  SELECT * INTO credential FROM passkey_credentials p WHERE p.credential_id = passkey_assertion.credential_id;
+  IF credential.id IS NULL THEN
+    RAISE EXCEPTION 'This passkey is not registered. Sign in with your password and add it again in settings.'
+      USING ERRCODE = '22023';
+  END IF;
+  client_data := public.consume_passkey_challenge(client_data_json, 'get', credential.user_id);
+
+  SELECT * INTO account FROM auth.users WHERE id = credential.user_id;
+  IF account.banned_until IS NOT NULL AND account.banned_until > now() THEN
+    RAISE EXCEPTION 'This account has been deactivated' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'user_id', account.id,
+    'email', account.email,
+    'public_key', credential.public_key,
+    'algorithm', credential.algorithm,
+    'sign_count', credential.sign_count,
+    'origin', client_data ->> 'origin'
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.record_passkey_use(credential_id text, sign_count bigint)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  stored bigint;
+BEGIN
+  SELECT p.sign_count INTO stored FROM passkey_credentials p WHERE p.credential_id = record_passkey_use.credential_id FOR UPDATE;
+  -- Authenticators that do not count always report 0
+  IF (sign_count > 0 OR stored > 0) AND sign_count <= stored THEN
+    RAISE EXCEPTION 'This passkey may have been copied. Remove it in settings and add it again.' USING ERRCODE = '42501';
+  END IF;
+  UPDATE passkey_credentials p
+  SET sign_count = record_passkey_use.sign_count, last_used_at = now()
+  WHERE p.credential_id = record_passkey_use.credential_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.new_passkey_challenge(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.consume_passkey_challenge(text, text, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.passkey_registration_options() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.consume_passkey_registration(text) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.register_passkey(uuid, text, text, integer, bigint, text[], text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.passkey_assertion(text, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.record_passkey_use(text, bigint) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.passkey_registration_options() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_passkey_registration(text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.register_passkey(uuid, text, text, integer, bigint, text[], text) TO service_role;
+GRANT EXECUTE ON FUNCTION public.passkey_login_options(text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.passkey_assertion(text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION public.record_passkey_use(text, bigint) TO service_role;
@@ -0,0 +1,57 @@
+/*
+  # Create Email Templates Table
+
+  1. New Tables
+    - `email_templates`
+      - `id` (bigserial, primary key)
+      - `name` (text, unique) - shown in the template picker of the email dialog
+      - `subject`, `body` (text) - mail-merge text with {{placeholders}} and
+        {{#if field}}…{{/if}} blocks (see MailMergeTemplate in public/js/mail-merge.js)
+      - `updated_by` (text) - signed-in user who saved it last
+      - `updated_at` (timestamptz, defaults to now)
+
+  2. Security
+    - Enable RLS
+    - One policy per action, checked with `can_access('email_templates', …)` like the
+      data tables (see the role_based_access migration). Sales may read and write
+      templates; read-only may read them.
+
+  Run this on the clients project, whose page sends the emails.
+*/
+
+CREATE TABLE IF NOT EXISTS email_templates (
+  id bigserial PRIMARY KEY,
+  name text NOT NULL UNIQUE,
+  subject text NOT NULL DEFAULT '',
+  body text NOT NULL DEFAULT '',
+  updated_by text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE email_templates ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO role_permissions (role, table_name, can_read, can_insert, can_update, can_delete) VALUES
+  ('sales', 'email_templates', true, true, true, true),
+  ('read-only', 'email_templates', true, false, false, false)
+ON CONFLICT (role, table_name) DO NOTHING;
+
+CREATE POLICY "Role read on email_templates"
+  ON email_templates FOR SELECT
+  TO authenticated
+  USING (public.can_access('email_templates', 'read'));
+
+CREATE POLICY "Role insert on email_templates"
+  ON email_templates FOR INSERT
+  TO authenticated
+  WITH CHECK (public.can_access('email_templates', 'insert'));
+
+CREATE POLICY "Role update on email_templates"
+  ON email_templates FOR UPDATE
+  TO authenticated
+  USING (public.can_access('email_templates', 'update'))
+  WITH CHECK (public.can_access('email_templates', 'update'));
+
+CREATE POLICY "Role delete on email_templates"
+  ON email_templates FOR DELETE
+  TO authenticated
+  USING (public.can_access('email_templates', 'delete'));
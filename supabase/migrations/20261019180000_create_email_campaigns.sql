@@ -0,0 +1,172 @@
+/*
+  # Email Campaigns
+
+  1. New Tables
+    - `email_campaigns` - one row per batch sent from the email dialog
+      - `id` (bigserial, primary key)
+      - `subject`, `body` (text) - the mail-merge templates as typed
+      - `status` (text) - `scheduled`, `sending`, `sent`, `partial` (some failed),
+        `failed` or `cancelled`
+      - `scheduled_at` (timestamptz) - delivery time of a scheduled campaign
+      - `attachment_names` (text[]) - files sent with it; the files themselves are not kept
+      - `created_by` (text), `created_at`, `finished_at` (timestamptz)
+    - `email_campaign_recipients` - one row per recipient
+      - `campaign_id`, `email`, `name`
+      - `subject`, `body` (text) - this recipient's personalized copy
+      - `status` (text) - `queued`, `sending` (claimed by a send in progress), `sent` or
+        `failed`; `error` - why it failed
+      - `attempts` (integer), `claimed_at`, `sent_at` (timestamptz)
+
+  2. Functions
+    - `claim_due_email_campaigns()` - service key only: marks scheduled campaigns whose
+      time has come as `sending` and returns them, each claimed by one caller only
+    - `claim_email_campaign_recipients(target_campaign, recipient_ids)` - the same for the
+      recipients of one campaign: marks the given ones still queued or failed (or, without
+      ids, every queued one) as `sending` and returns them, so two sends of the same
+      campaign never mail anyone twice. A claim left for 15 minutes by a send that died is
+      taken over. Runs with the caller's rights, so RLS decides whether they may send.
+
+  3. Security
+    - Enable RLS; one policy per action on both tables, checked with
+      `can_access('email_campaigns', …)` like the data tables. Sales may read, create and
+      update campaigns; read-only may read them.
+
+  4. Schedule
+    - pg_cron job `send-due-email-campaigns` posts { scheduled: true } to the send-campaign
+      Edge Function every minute with the service key, through pg_net. The project URL and
+      key are read from Vault; add them once per project:
+        select vault.create_secret('https://<ref>.supabase.co', 'project_url');
+        select vault.create_secret('<service_role key>', 'service_role_key');
+
+  Delivery is done by the send-campaign Edge Function (supabase/functions), which sends
+  each recipient their copy over SMTP and records their status and the campaign status.
+  To try it without mailing anyone, point its SMTP_* secrets at a local catcher such as
+  MailHog (localhost:1025); supabase/functions/tests runs it against an SMTP stand-in.
+  Run this on the clients project, whose page sends the emails.
+*/
+
+CREATE TABLE IF NOT EXISTS email_campaigns (
+  id bigserial PRIMARY KEY,
+  subject text NOT NULL DEFAULT '',
+  body text NOT NULL DEFAULT '',
+  status text NOT NULL DEFAULT 'sending'
+    CHECK (status IN ('scheduled', 'sending', 'sent', 'partial', 'failed', 'cancelled')),
+  scheduled_at timestamptz,
+  attachment_names text[] NOT NULL DEFAULT '{}',
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS email_campaign_recipients (
+  id bigserial PRIMARY KEY,
+  campaign_id bigint NOT NULL REFERENCES email_campaigns (id) ON DELETE CASCADE,
+  email text NOT NULL,
+  name text,
+  subject text NOT NULL DEFAULT '',
+  body text NOT NULL DEFAULT '',
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+  error text,
+  attempts integer NOT NULL DEFAULT 0,
+  claimed_at timestamptz,
+  sent_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_created_at ON email_campaigns(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_due ON email_campaigns(scheduled_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_email_campaign_recipients_campaign ON email_campaign_recipients(campaign_id, status);
+
+ALTER TABLE email_campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_campaign_recipients ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO role_permissions (role, table_name, can_read, can_insert, can_update, can_delete) VALUES
+  ('sales', 'email_campaigns', true, true, true, false),
+  ('read-only', 'email_campaigns', true, false, false, false)
+ON CONFLICT (role, table_name) DO NOTHING;
+
+-- Recipients are part of their campaign, so both tables go by the email_campaigns permissions
+DO $$
+DECLARE
+  target text;
+BEGIN
+  FOREACH target IN ARRAY ARRAY['email_campaigns', 'email_campaign_recipients'] LOOP
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR SELECT TO authenticated USING (public.can_access(''email_campaigns'', ''read''))',
+      'Role read on ' || target, target);
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR INSERT TO authenticated WITH CHECK (public.can_access(''email_campaigns'', ''insert''))',
+      'Role insert on ' || target, target);
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR UPDATE TO authenticated USING (public.can_access(''email_campaigns'', ''update'')) WITH CHECK (public.can_access(''email_campaigns'', ''update''))',
+      'Role update on ' || target, target);
+    EXECUTE format(
+      'CREATE POLICY %I ON public.%I FOR DELETE TO authenticated USING (public.can_access(''email_campaigns'', ''delete''))',
+      'Role delete on ' || target, target);
+  END LOOP;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.claim_due_email_campaigns()
+RETURNS SETOF email_campaigns
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE email_campaigns c
+  SET status = 'sending'
+  WHERE c.id IN (
+    SELECT id FROM email_campaigns
+    WHERE status = 'scheduled' AND scheduled_at <= now()
+    ORDER BY scheduled_at
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING c.*;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_due_email_campaigns() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_due_email_campaigns() TO service_role;
+
+CREATE OR REPLACE FUNCTION public.claim_email_campaign_recipients(target_campaign bigint, recipient_ids bigint[] DEFAULT NULL)
+RETURNS SETOF email_campaign_recipients
+LANGUAGE sql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  UPDATE email_campaign_recipients r
+  SET status = 'sending', claimed_at = now()
+  WHERE r.id IN (
+    SELECT id FROM email_campaign_recipients
+    WHERE campaign_id = target_campaign
+      AND (recipient_ids IS NULL OR id = ANY(recipient_ids))
+      AND (
+        status = 'queued'
+        OR (status = 'failed' AND recipient_ids IS NOT NULL)
+        OR (status = 'sending' AND claimed_at < now() - interval '15 minutes')
+      )
+    ORDER BY id
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING r.*;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_email_campaign_recipients(bigint, bigint[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.claim_email_campaign_recipients(bigint, bigint[]) TO authenticated, service_role;
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+-- The function answers at once and keeps sending in the background, so a short timeout is enough
+SELECT cron.schedule(
+  'send-due-email-campaigns',
+  '* * * * *',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/send-campaign',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{"scheduled": true}'::jsonb,
+    timeout_milliseconds := 5000
+  );
+  $$
+);
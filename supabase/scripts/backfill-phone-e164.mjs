@@ -0,0 +1,95 @@
+/**
+ * One-off backfill of `phone_e164` for rows written before the add_phone_e164 migration.
+ * The pages fill the column on every write; this fills it for existing rows with the same
+ * PhoneNumber rules (public/js/vendors-core.js), so old and new rows match.
+ *
+ *   SUPABASE_URL=https://<ref>.supabase.co SUPABASE_SERVICE_ROLE_KEY=<key> \
+ *     node supabase/scripts/backfill-phone-e164.mjs [--dry-run] [table ...]
+ *
+ * Run it once per project (suppliers and clients). Tables missing from a project are
+ * skipped; only rows whose value changes are written. Needs Node 18 or later.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const TABLES = ['clients', 'hot_vendors', 'hot_vendors🔥🔥🔥', 'global_code', 'global_code_duplicate1', 'services'];
+const BATCH_SIZE = 1000;
+
+// The browser's PhoneNumber class, loaded as the pages load it
+function loadPhoneNumber() {
+  const source = readFileSync(fileURLToPath(new URL('../../public/js/vendors-core.js', import.meta.url)), 'utf8');
+  const context = { console };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(`${source}\n;globalThis.PhoneNumber = PhoneNumber;`, context);
+  return context.PhoneNumber;
+}
+
+function createRest(url, key) {
+  return async (path, init = {}) => {
+    const response = await fetch(`${url}/rest/v1/${path}`, {
+      ...init,
+      headers: { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', ...init.headers }
+    });
+    const body = response.status === 204 ? null : await response.json();
+    return { ok: response.ok, status: response.status, body };
+  };
+}
+
+async function backfill(rest, PhoneNumber, table, dryRun) {
+  const name = encodeURIComponent(table);
+  const sample = await rest(`${name}?select=*&limit=1`);
+  if (!sample.ok) {
+    console.log(`${table}: skipped (${sample.body && sample.body.message ? sample.body.message : sample.status})`);
+    return;
+  }
+  if (sample.body.length === 0) return console.log(`${table}: empty`);
+
+  // Same primary key detection as the pages
+  const columns = Object.keys(sample.body[0]);
+  const primaryKey = columns.find(column => column === 'id') || columns.find(column => column.toLowerCase() === 'id') || columns[0];
+  if (!columns.some(column => column.endsWith('_e164'))) return console.log(`${table}: no *_e164 column, run the migration first`);
+
+  let scanned = 0;
+  let changed = 0;
+  while (true) {
+    const page = await rest(`${name}?select=*&order=${encodeURIComponent(primaryKey)}.asc&offset=${scanned}&limit=${BATCH_SIZE}`);
+    if (!page.ok) throw new Error(`${table}: ${page.body.message}`);
+
+    for (const row of page.body) {
+      const filled = PhoneNumber.addE164(row, columns);
+      const updates = Object.fromEntries(Object.entries(filled).filter(([column, value]) => column.endsWith('_e164') && value !== row[column]));
+      if (Object.keys(updates).length === 0) continue;
+      changed++;
+      if (dryRun) continue;
+
+      const result = await rest(`${name}?${encodeURIComponent(primaryKey)}=eq.${encodeURIComponent(row[primaryKey])}`, {
+        method: 'PATCH',
+        headers: { Prefer: 'return=minimal' },
+        body: JSON.stringify(updates)
+      });
+      if (!result.ok) throw new Error(`${table} ${primaryKey}=${row[primaryKey]}: ${result.body.message}`);
+    }
+
+    scanned += page.body.length;
+    if (page.body.length < BATCH_SIZE) break;
+  }
+  console.log(`${table}: ${changed} of ${scanned} rows ${dryRun ? 'to update (dry run)' : 'updated'}`);
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const tables = args.filter(arg => arg !== '--dry-run');
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+  console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  process.exit(1);
+}
+
+const rest = createRest(SUPABASE_URL.replace(/\/$/, ''), SUPABASE_SERVICE_ROLE_KEY);
+const PhoneNumber = loadPhoneNumber();
+for (const table of tables.length ? tables : TABLES) {
+  await backfill(rest, PhoneNumber, table, dryRun);
+}
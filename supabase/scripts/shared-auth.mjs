@@ -0,0 +1,145 @@
+/**
+ * Sets up and checks sign-in across both projects. People sign in on the suppliers project;
+ * the clients project must accept those tokens, so RLS there sees the same user and role.
+ * Supabase accepts a token signed with the project's JWT secret, so the clients project is
+ * given the suppliers project's secret.
+ *
+ *   1. Suppliers project dashboard, Project Settings > JWT Keys: copy the legacy JWT secret.
+ *   2. Clients project dashboard, same page: change the legacy JWT secret to that value.
+ *      This replaces the clients project's anon and service_role keys.
+ *   3. SUPABASE_JWT_SECRET=<secret> node supabase/scripts/shared-auth.mjs key
+ *      writes a clients anon key signed with the shared secret into public/js/auth-guard.js.
+ *      Scripts run with the clients service_role key need the new one from the dashboard.
+ *   4. Run supabase/migrations on the clients project too.
+ *   5. On both projects, Authentication > Sign In / Providers: turn "Allow new users to sign up"
+ *      off. Accounts are made by admins through the create-user Edge Function.
+ *   6. CHECK_USERNAME=<user> CHECK_PASSWORD=<password> node supabase/scripts/shared-auth.mjs check
+ *      signs that user in on the suppliers project and checks the clients project accepts
+ *      the anon key and the token, and gives the user the same role. It also checks public
+ *      sign-up is off on both projects.
+ *
+ * Project URLs and keys are read from public/js/auth-guard.js. Needs Node 18 or later.
+ */
+
+import { createHmac } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const AUTH_GUARD = fileURLToPath(new URL('../../public/js/auth-guard.js', import.meta.url));
+// Same lifetime as the keys the dashboard issues
+const KEY_LIFETIME_SECONDS = 10 * 365 * 24 * 60 * 60;
+
+function readConstants() {
+  const source = readFileSync(AUTH_GUARD, 'utf8');
+  const constant = name => {
+    const match = source.match(new RegExp(`const ${name} = '([^']*)'`));
+    if (!match) throw new Error(`${name} not found in ${AUTH_GUARD}`);
+    return match[1];
+  };
+  return {
+    source,
+    suppliers: { url: constant('AUTH_SUPABASE_URL'), key: constant('AUTH_SUPABASE_KEY') },
+    clients: { url: constant('CLIENTS_SUPABASE_URL'), key: constant('CLIENTS_SUPABASE_KEY') },
+    usernameDomain: constant('AUTH_USERNAME_DOMAIN')
+  };
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+// An HS256 token with the claims of a dashboard-issued anon key
+function signAnonKey(secret, ref, now = Math.floor(Date.now() / 1000)) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iss: 'supabase', ref, role: 'anon', iat: now, exp: now + KEY_LIFETIME_SECONDS }));
+  const signature = createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function writeKey() {
+  const { SUPABASE_JWT_SECRET } = process.env;
+  if (!SUPABASE_JWT_SECRET) throw new Error('Set SUPABASE_JWT_SECRET to the suppliers project\'s legacy JWT secret');
+  const { source, clients } = readConstants();
+  const ref = new URL(clients.url).hostname.split('.')[0];
+  const key = signAnonKey(SUPABASE_JWT_SECRET, ref);
+  writeFileSync(AUTH_GUARD, source.replace(`const CLIENTS_SUPABASE_KEY = '${clients.key}'`, `const CLIENTS_SUPABASE_KEY = '${key}'`));
+  console.log(`Wrote the ${ref} anon key to ${AUTH_GUARD}`);
+}
+
+async function request(url, key, path, { token = key, method = 'GET', body } = {}) {
+  const response = await fetch(`${url}${path}`, {
+    method,
+    headers: { apikey: key, Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    json = text;
+  }
+  return { ok: response.ok, status: response.status, body: json };
+}
+
+function describe(result) {
+  const body = result.body || {};
+  return `${result.status} ${body.message || body.msg || body.error_description || ''}`.trim();
+}
+
+async function check() {
+  const { CHECK_USERNAME, CHECK_PASSWORD } = process.env;
+  if (!CHECK_USERNAME || !CHECK_PASSWORD) throw new Error('Set CHECK_USERNAME and CHECK_PASSWORD to an account on the suppliers project');
+  const { suppliers, clients, usernameDomain } = readConstants();
+  const name = CHECK_USERNAME.trim().toLowerCase();
+  const email = name.includes('@') ? name : `${name}@${usernameDomain}`;
+  const failures = [];
+  const report = (passed, message) => {
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${message}`);
+    if (!passed) failures.push(message);
+  };
+
+  const anon = await request(clients.url, clients.key, '/rest/v1/role_permissions?select=role&limit=1');
+  report(anon.ok, `clients project accepts CLIENTS_SUPABASE_KEY${anon.ok ? '' : ` (${describe(anon)})`}`);
+
+  for (const [project, { url, key }] of Object.entries({ suppliers, clients })) {
+    const settings = await request(url, key, '/auth/v1/settings');
+    const off = settings.ok && settings.body.disable_signup === true;
+    report(off, `${project} project has public sign-up off${settings.ok ? '' : ` (${describe(settings)})`}`);
+  }
+
+  const signIn = await request(suppliers.url, suppliers.key, '/auth/v1/token?grant_type=password', {
+    method: 'POST',
+    body: { email, password: CHECK_PASSWORD }
+  });
+  report(signIn.ok, `${CHECK_USERNAME} signs in on the suppliers project${signIn.ok ? '' : ` (${describe(signIn)})`}`);
+  if (!signIn.ok) return failures;
+  const token = signIn.body.access_token;
+
+  const roles = {};
+  for (const [project, { url, key }] of Object.entries({ suppliers, clients })) {
+    const result = await request(url, key, '/rest/v1/rpc/app_role', { token, method: 'POST', body: {} });
+    report(result.ok, `${project} project accepts the token${result.ok ? `, role ${result.body}` : ` (${describe(result)})`}`);
+    roles[project] = result.ok ? result.body : null;
+  }
+  if (roles.suppliers !== null && roles.clients !== null) {
+    report(roles.suppliers === roles.clients, 'both projects see the same role');
+  }
+  return failures;
+}
+
+const command = process.argv[2];
+try {
+  if (command === 'key') {
+    writeKey();
+  } else if (command === 'check') {
+    const failures = await check();
+    if (failures.length) process.exitCode = 1;
+  } else {
+    console.error('Usage: node supabase/scripts/shared-auth.mjs key|check');
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}